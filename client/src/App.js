@@ -5,18 +5,25 @@ import {
   Route,
   Routes,
   useNavigate,
+  useParams,
 } from "react-router-dom";
 import {
   FaDiscord,
   FaInfoCircle,
   FaNewspaper,
+  FaPlay,
   FaUserCircle,
 } from "react-icons/fa";
 import Game from "./components/Game";
 import GameRoomList from "./components/GameRoomList";
+import ReplayViewer from "./components/ReplayViewer";
 import MapPreview from "./components/MapPreview";
+import MapEditor from "./components/MapEditor";
 import { ErrorBoundary } from "./components/ErrorHandling";
 import ProfileModal from "./components/ProfileModal";
+import PlayerProfile from "./components/PlayerProfile";
+import PlayNow from "./components/PlayNow";
+import InviteLink from "./components/InviteLink";
 import { AuthProvider, useAuth } from "./context/AuthContext";
 import { isDiscordActivity } from "./utils/discord";
 import DiscordActivity from "./components/DiscordActivity";
@@ -98,6 +105,7 @@ const navLinkClassName = ({ isActive }) =>
 
 const ProfileMenu = () => {
   const { user, profile, loading, loginWithGoogle, logout } = useAuth();
+  const navigate = useNavigate();
   const [open, setOpen] = React.useState(false);
   const [showProfileModal, setShowProfileModal] = React.useState(false);
   const displayName = profile?.displayName || user?.id || "Player";
@@ -149,6 +157,15 @@ const ProfileMenu = () => {
           <div className="mb-2 truncate text-sm text-gray-200">
             {displayName}
           </div>
+          <button
+            onClick={() => {
+              setOpen(false);
+              navigate("/profile");
+            }}
+            className="mb-2 w-full rounded bg-gray-800 px-3 py-2 text-left text-sm text-white hover:bg-gray-700"
+          >
+            View Profile
+          </button>
           <button
             onClick={() => {
               setOpen(false);
@@ -213,6 +230,9 @@ const AppShell = ({ children }) => {
             <NavLink to="/how-to-play" className={navLinkClassName}>
               How to Play
             </NavLink>
+            <NavLink to="/map-editor" className={navLinkClassName}>
+              Map Editor
+            </NavLink>
             <NavLink to="/about" className={navLinkClassName}>
               About
             </NavLink>
@@ -343,6 +363,14 @@ const HomePage = () => (
       </section>
 
       <aside className="space-y-6 lg:col-span-1">
+        <Card title="Play Now" icon={<FaPlay className="text-yellow-400" />}>
+          <p className="mb-3 text-sm text-gray-300">
+            Jump into a public match. Bots fill any empty slots if the queue is
+            quiet.
+          </p>
+          <PlayNow />
+        </Card>
+
         <Card
           title="About Annexi.io"
           icon={<FaInfoCircle className="text-blue-300" />}
@@ -514,6 +542,34 @@ const NewsPage = () => (
   </AppShell>
 );
 
+const ProfilePage = () => {
+  const { id } = useParams();
+  const { user, loading, loginWithGoogle } = useAuth();
+  const userId = id || user?.id;
+
+  return (
+    <AppShell>
+      <Card>
+        {userId ? (
+          <PlayerProfile userId={userId} />
+        ) : loading ? (
+          <p className="text-sm text-gray-300">Loading...</p>
+        ) : (
+          <div className="space-y-3 text-sm text-gray-200">
+            <p>Sign in to track your rating and match history.</p>
+            <button
+              onClick={() => loginWithGoogle("/profile")}
+              className="rounded bg-yellow-500 px-4 py-2 font-semibold text-gray-900 hover:bg-yellow-400"
+            >
+              Sign in
+            </button>
+          </div>
+        )}
+      </Card>
+    </AppShell>
+  );
+};
+
 const TermsPage = () => (
   <AppShell>
     <Card title="Terms of Service">
@@ -761,6 +817,16 @@ function App() {
             <Route path="/news" element={<NewsPage />} />
             <Route path="/terms" element={<TermsPage />} />
             <Route path="/privacy" element={<PrivacyPage />} />
+            <Route path="/profile" element={<ProfilePage />} />
+            <Route path="/profile/:id" element={<ProfilePage />} />
+            <Route
+              path="/map-editor"
+              element={
+                <AppShell>
+                  <MapEditor />
+                </AppShell>
+              }
+            />
             {process.env.NODE_ENV !== "production" && (
               <Route
                 path="/map-preview"
@@ -771,7 +837,18 @@ function App() {
                 }
               />
             )}
+            <Route
+              path="/invite/:code"
+              element={
+                <AppShell>
+                  <Card>
+                    <InviteLink />
+                  </Card>
+                </AppShell>
+              }
+            />
             <Route path="/rooms/:id" element={<Game />} />
+            <Route path="/replays/:id" element={<ReplayViewer />} />
           </Routes>
         </Router>
       </AuthProvider>
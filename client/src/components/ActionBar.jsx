@@ -1,4 +1,6 @@
 import React from "react";
+import { getStructureIcon } from "../utils/cityIcons";
+import { ECONOMY_STRUCTURES } from "../utils/structures";
 
 // Build costs fallback (should match server config)
 const BUILD_COSTS = {
@@ -15,18 +17,15 @@ const RESOURCE_ICONS = {
   gold: "/bronze.png",
 };
 
-const BUILD_ICONS = {
-  town: "/town.png",
-  tower: "/fort.png",
-  fort: "/fort.png",
-  farm: "/farm.png",
-  mine: "/mine.png",
-  stable: "/stable.png",
-  "lumber mill": "/lumber_mill.png",
-  workshop: "/workshop.png",
-};
-
-const BuildButton = ({ type, icon, costs, resources, disabled, onClick }) => {
+const BuildButton = ({
+  type,
+  icon,
+  costs,
+  description,
+  resources,
+  disabled,
+  onClick,
+}) => {
   const canAfford = Object.entries(costs).every(
     ([resource, amount]) => (resources?.[resource] || 0) >= amount
   );
@@ -41,7 +40,7 @@ const BuildButton = ({ type, icon, costs, resources, disabled, onClick }) => {
           ? "bg-gray-700 opacity-50 cursor-not-allowed"
           : "bg-gray-800 hover:bg-gray-700 cursor-pointer"
       }`}
-      title={`Build ${type}`}
+      title={description ? `Build ${type}: ${description}` : `Build ${type}`}
     >
       <img src={icon} alt={type} className="w-8 h-8" />
       <span className="text-xs capitalize">{type}</span>
@@ -181,7 +180,11 @@ const ActionBar = ({
   activeAttackArrows,
   activeDefendArrow,
   maxAttackArrows,
+  hasPort = false,
+  fleetCount = 0,
+  maxFleets = 2,
   buildCosts,
+  buildDescriptions,
   uiMode,
   onSetMode,
   onExitMode,
@@ -189,6 +192,7 @@ const ActionBar = ({
   gameState,
   isRoomStarted = true,
   canStartRoom = false,
+  allPlayersReady = true,
   onStartRoom,
   isStartingRoom = false,
   readyPlayerCount = 0,
@@ -198,7 +202,8 @@ const ActionBar = ({
   const maxArrows = maxAttackArrows || 3;
   const atMaxAttackArrows = attackArrowCount >= maxArrows;
   const buildCostMap = buildCosts || BUILD_COSTS;
-  const primaryBuilds = ["town", "tower"].filter((b) => buildCostMap[b]);
+  const primaryBuilds = ["town", "tower", "port"].filter((b) => buildCostMap[b]);
+  const economyBuilds = ECONOMY_STRUCTURES.filter((b) => buildCostMap[b]);
   // If no userState, show the found-nation button.
   if (!hasFounded) {
     if (isSpectating) {
@@ -265,10 +270,14 @@ const ActionBar = ({
           {canStartRoom && (
             <button
               onClick={onStartRoom}
-              disabled={isStartingRoom}
+              disabled={isStartingRoom || !allPlayersReady}
               className="rounded bg-emerald-600 px-4 py-2 text-sm font-semibold text-white hover:bg-emerald-500 disabled:cursor-not-allowed disabled:bg-emerald-900"
             >
-              {isStartingRoom ? "Starting Match..." : "Start Match"}
+              {isStartingRoom
+                ? "Starting Match..."
+                : allPlayersReady
+                  ? "Start Match"
+                  : "Waiting for players to ready up"}
             </button>
           )}
           {!canStartRoom && (
@@ -317,6 +326,20 @@ const ActionBar = ({
                     }
                   }}
                 />
+                {hasPort && (
+                  <ModeButton
+                    icon="⛵"
+                    label={`Naval (${fleetCount}/${maxFleets})`}
+                    active={uiMode === "naval"}
+                    onClick={() => {
+                      if (uiMode === "naval") {
+                        onExitMode?.();
+                      } else if (fleetCount < maxFleets) {
+                        onSetMode?.("naval");
+                      }
+                    }}
+                  />
+                )}
                 <ModeButton
                   icon="🖐️"
                   label="Pan"
@@ -330,6 +353,11 @@ const ActionBar = ({
                   }}
                 />
               </div>
+              {uiMode === "naval" && (
+                <div className="text-xs text-blue-300 mt-1">
+                  Click an enemy or empty coast across the sea to land troops
+                </div>
+              )}
               {(attackArrowCount > 0 || activeDefendArrow) && (
                 <div className="text-xs text-yellow-400 mt-1">
                   {attackArrowCount > 0 && `${attackArrowCount} attack arrow${attackArrowCount > 1 ? "s" : ""} active`}
@@ -397,14 +425,35 @@ const ActionBar = ({
                   <BuildButton
                     key={type}
                     type={type}
-                    icon={BUILD_ICONS[type] || `/${type.replace(" ", "_")}.png`}
+                    icon={getStructureIcon(type)}
                     costs={buildCostMap[type]}
+                    description={buildDescriptions?.[type]}
                     resources={playerResources}
                     onClick={() => onBuildStructure?.(type)}
                   />
                 ))}
               </div>
             </div>
+
+            {/* Economy Structures Section */}
+            {economyBuilds.length > 0 && (
+              <div className="flex flex-col gap-1">
+                <h3 className="text-sm font-medium text-gray-300">Economy</h3>
+                <div className="flex gap-2">
+                  {economyBuilds.map((type) => (
+                    <BuildButton
+                      key={type}
+                      type={type}
+                      icon={getStructureIcon(type)}
+                      costs={buildCostMap[type]}
+                      description={buildDescriptions?.[type]}
+                      resources={playerResources}
+                      onClick={() => onBuildStructure?.(type)}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
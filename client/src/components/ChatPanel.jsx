@@ -0,0 +1,197 @@
+// ChatPanel.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronDown, ChevronUp, MessageSquare, Send } from "lucide-react";
+
+const SCOPE_CLASSES = {
+  global: "text-gray-100",
+  team: "text-sky-300",
+  ally: "text-emerald-300",
+  private: "text-fuchsia-300",
+};
+
+const sameOwner = (a, b) => a != null && b != null && String(a) === String(b);
+
+const scopeTag = (message, userId) => {
+  if (message.scope === "team") return "[Team] ";
+  if (message.scope === "ally") return "[Allies] ";
+  if (message.scope !== "private") return "";
+  return sameOwner(message.from, userId) ? `[To ${message.toName || "?"}] ` : "[Private] ";
+};
+
+const ChatPanel = ({
+  messages = [],
+  userId,
+  nations = [],
+  pacts = [],
+  canSend = false,
+  onSend,
+  maxLength = 300,
+  bottomOffset = 0,
+  isMobile = false,
+}) => {
+  const [open, setOpen] = useState(!isMobile);
+  const [scope, setScope] = useState("global");
+  const [target, setTarget] = useState("");
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [seenId, setSeenId] = useState(0);
+  const listRef = useRef(null);
+
+  const lastId = messages.length ? messages[messages.length - 1].id : 0;
+  const unread = open ? 0 : messages.filter((message) => message.id > seenId).length;
+
+  useEffect(() => {
+    if (!open) return;
+    setSeenId(lastId);
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [open, lastId]);
+
+  const ownNation = nations.find(
+    (nation) => sameOwner(nation.owner, userId) && nation.status !== "defeated"
+  );
+  const hasTeam = ownNation?.team != null;
+  // Teammates and nations with an active (or breaking) pact, as the server counts them
+  const hasAllies =
+    !!ownNation &&
+    nations.some(
+      (nation) =>
+        !nation.isBot &&
+        nation.status !== "defeated" &&
+        !sameOwner(nation.owner, userId) &&
+        ((hasTeam && nation.team === ownNation.team) ||
+          pacts.some(
+            (pact) =>
+              (pact.status === "active" || pact.status === "breaking") &&
+              ((sameOwner(pact.a, userId) && sameOwner(pact.b, nation.owner)) ||
+                (sameOwner(pact.b, userId) && sameOwner(pact.a, nation.owner)))
+          ))
+    );
+  const privateTargets = nations.filter(
+    (nation) =>
+      !nation.isBot && nation.status !== "defeated" && !sameOwner(nation.owner, userId)
+  );
+
+  // Fall back to global when the chosen scope stops being available
+  useEffect(() => {
+    if (scope === "team" && !hasTeam) setScope("global");
+    if (scope === "ally" && !hasAllies) setScope("global");
+    if (scope === "private" && !privateTargets.some((n) => sameOwner(n.owner, target))) {
+      if (privateTargets.length) {
+        setTarget(privateTargets[0].owner);
+      } else {
+        setScope("global");
+      }
+    }
+  }, [scope, hasTeam, hasAllies, target, privateTargets]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || isSending) return;
+    setIsSending(true);
+    setError("");
+    try {
+      await onSend(scope, text, scope === "private" ? target : undefined);
+      setDraft("");
+    } catch (err) {
+      setError(err.message || "Message not sent");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div
+      className={`absolute right-0 z-20 ${isMobile ? "px-2 w-64" : "px-3 w-80"}`}
+      style={{ bottom: `${bottomOffset}px` }}
+    >
+      <div className="bg-gray-900/90 text-white rounded-lg shadow-lg text-xs">
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="w-full flex items-center justify-between px-3 py-2 font-semibold"
+        >
+          <span className="flex items-center gap-2">
+            <MessageSquare size={14} /> Chat
+            {unread > 0 && (
+              <span className="rounded-full bg-yellow-500 px-1.5 text-gray-900">
+                {unread}
+              </span>
+            )}
+          </span>
+          {open ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+        </button>
+        {open && (
+          <div className="px-2 pb-2 space-y-2">
+            <div ref={listRef} className="max-h-48 overflow-y-auto flex flex-col gap-0.5">
+              {messages.length === 0 && (
+                <div className="text-gray-400">No messages yet.</div>
+              )}
+              {messages.map((message) => (
+                <div key={message.id} className={`break-words ${SCOPE_CLASSES[message.scope]}`}>
+                  {scopeTag(message, userId)}
+                  <span className="font-semibold" style={{ color: message.color || undefined }}>
+                    {message.nationName || message.fromName}:
+                  </span>{" "}
+                  {message.text}
+                </div>
+              ))}
+            </div>
+            {canSend ? (
+              <form onSubmit={handleSubmit} className="space-y-1">
+                <div className="flex gap-1">
+                  <select
+                    value={scope}
+                    onChange={(e) => setScope(e.target.value)}
+                    className="bg-gray-800 border border-gray-700 rounded px-1 py-0.5"
+                  >
+                    <option value="global">All</option>
+                    {hasTeam && <option value="team">Team</option>}
+                    {hasAllies && <option value="ally">Allies</option>}
+                    {privateTargets.length > 0 && <option value="private">Private</option>}
+                  </select>
+                  {scope === "private" && (
+                    <select
+                      value={target}
+                      onChange={(e) => setTarget(e.target.value)}
+                      className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-1 py-0.5"
+                    >
+                      {privateTargets.map((nation) => (
+                        <option key={nation.owner} value={nation.owner}>
+                          {nation.nationName || nation.owner}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <div className="flex gap-1">
+                  <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    maxLength={maxLength}
+                    placeholder="Say something..."
+                    className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!draft.trim() || isSending}
+                    className="px-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-60"
+                    title="Send"
+                  >
+                    <Send size={12} />
+                  </button>
+                </div>
+                {error && <div className="text-red-400">{error}</div>}
+              </form>
+            ) : (
+              <div className="text-gray-400">Spectators can read global chat only.</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
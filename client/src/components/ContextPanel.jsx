@@ -7,6 +7,9 @@ const ContextPanel = ({
   nationColors,
   nationLabels,
   bottomOffset = 0,
+  nodeUpgrade,
+  playerGold = 0,
+  onUpgradeNode,
 }) => {
   if (!cellInfo) return null;
 
@@ -73,6 +76,23 @@ const ContextPanel = ({
           Node claim: {claimOwner}
         </div>
       )}
+      {nodeUpgrade && (
+        <div className="text-xs text-gray-300 mt-1 flex items-center justify-between">
+          <span>Node level: {nodeUpgrade.level}</span>
+          {nodeUpgrade.owned && nodeUpgrade.nextCost !== null && (
+            <button
+              className="px-2 py-1 rounded bg-yellow-600 hover:bg-yellow-500 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={playerGold < nodeUpgrade.nextCost}
+              onClick={() => onUpgradeNode?.(x, y)}
+            >
+              Upgrade ({nodeUpgrade.nextCost} gold)
+            </button>
+          )}
+          {nodeUpgrade.owned && nodeUpgrade.nextCost === null && (
+            <span className="text-gray-500">Max level</span>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -1,10 +1,11 @@
 // ControlButtons.jsx
 import React from "react";
-import { Settings, Users } from "lucide-react";
+import { FlaskConical, Settings, Users } from "lucide-react";
 
 const ControlButtons = ({
   onOpenSettings,
   onOpenPlayerList,
+  onOpenResearch,
   topOffset = 0,
   isMobile = false,
 }) => {
@@ -18,6 +19,16 @@ const ControlButtons = ({
           top: `${topOffset}px`,
         }}
       >
+        {onOpenResearch && (
+          <button
+            onClick={onOpenResearch}
+            className={`bg-gray-900 text-white rounded-xl shadow-lg hover:bg-gray-700 ${
+              isMobile ? "p-2.5" : "p-2"
+            }`}
+          >
+            <FlaskConical size={isMobile ? 26 : 24} />
+          </button>
+        )}
         <button
           onClick={onOpenPlayerList}
           className={`bg-gray-900 text-white rounded-xl shadow-lg hover:bg-gray-700 ${
@@ -0,0 +1,76 @@
+// DiplomacyNotices.jsx
+import React from "react";
+import { X } from "lucide-react";
+
+const PACT_LABELS = { nap: "non-aggression pact", truce: "truce" };
+
+export const nationLabel = (nations, owner, userId) => {
+  if (owner != null && String(owner) === String(userId)) return "You";
+  const nation = nations.find((n) => n.owner === owner);
+  return nation?.nationName || nation?.displayName || owner;
+};
+
+/** Human-readable line and tone for a diplomacy event from the server. */
+export const describeDiplomacyEvent = (event, nations, userId) => {
+  const from = nationLabel(nations, event.from, userId);
+  const to = nationLabel(nations, event.to, userId);
+  const pact = PACT_LABELS[event.pactType] || "pact";
+  switch (event.type) {
+    case "proposed":
+      return { text: `${from} proposed a ${pact} to ${to}`, tone: "info" };
+    case "accepted":
+      return { text: `${from} accepted a ${pact} with ${to}`, tone: "good" };
+    case "declined":
+      return { text: `${from} declined a ${pact} with ${to}`, tone: "info" };
+    case "withdrawn":
+      return { text: `The ${pact} between ${from} and ${to} lapsed`, tone: "info" };
+    case "broken":
+      return {
+        text: `${from} broke the ${pact} with ${to} — it ends shortly`,
+        tone: "bad",
+      };
+    case "ended":
+      return { text: `The ${pact} between ${from} and ${to} has ended`, tone: "bad" };
+    case "expired":
+      return { text: `The truce between ${from} and ${to} expired`, tone: "info" };
+    case "war":
+      return { text: `${from} declared war on ${to}!`, tone: "bad" };
+    default:
+      return { text: `${from} → ${to}: ${event.type}`, tone: "info" };
+  }
+};
+
+const TONE_CLASSES = {
+  good: "border-emerald-500",
+  bad: "border-red-500",
+  info: "border-blue-500",
+};
+
+const DiplomacyNotices = ({ notices, onDismiss, topOffset = 0 }) => {
+  if (!notices?.length) return null;
+  return (
+    <div
+      className="absolute left-0 right-0 z-40 flex flex-col items-center gap-2 pointer-events-none px-2"
+      style={{ top: `${topOffset + 56}px` }}
+    >
+      {notices.map((notice) => (
+        <div
+          key={notice.id}
+          className={`pointer-events-auto flex items-center gap-3 bg-gray-900/90 text-white text-sm rounded-lg shadow-lg px-3 py-2 border-l-4 ${
+            TONE_CLASSES[notice.tone] || TONE_CLASSES.info
+          }`}
+        >
+          <span>{notice.text}</span>
+          <button
+            onClick={() => onDismiss(notice.id)}
+            className="text-gray-400 hover:text-white"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DiplomacyNotices;
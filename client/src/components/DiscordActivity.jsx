@@ -3,6 +3,8 @@ import { MemoryRouter, Routes, Route } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { getDiscordSdk } from "../utils/discord";
 import { apiFetch } from "../utils/api";
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from "../utils/bots";
+import { WIN_MODES, DEFAULT_WIN_MODE } from "../utils/victory";
 import Game from "./Game";
 import { LoadingSpinner } from "./ErrorHandling";
 
@@ -17,11 +19,27 @@ const DiscordSetupScreen = ({ profile, onStart, loading }) => {
   const [color, setColor] = useState(profile?.color || "#3b82f6");
   const [mapSize, setMapSize] = useState("Small");
   const [botCount, setBotCount] = useState(0);
+  const [botDifficulty, setBotDifficulty] = useState(DEFAULT_BOT_DIFFICULTY);
+  const [teamCount, setTeamCount] = useState(0);
+  const [winMode, setWinMode] = useState(DEFAULT_WIN_MODE);
+  const [archetype, setArchetype] = useState("");
+  const [archetypes, setArchetypes] = useState([]);
+
+  useEffect(() => {
+    apiFetch("api/maps/archetypes")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setArchetypes(data.archetypes || []);
+        setArchetype((prev) => prev || data.default || "");
+      })
+      .catch(() => {});
+  }, []);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     const { width, height } = MAP_SIZES[mapSize];
-    onStart({ nationName, capitalName, color, mapWidth: width, mapHeight: height, botCount });
+    onStart({ nationName, capitalName, color, mapWidth: width, mapHeight: height, botCount, botDifficulty, teamCount, winMode, archetype });
   };
 
   return (
@@ -80,6 +98,22 @@ const DiscordSetupScreen = ({ profile, onStart, loading }) => {
               <option value="Normal">Normal (500 x 500)</option>
             </select>
           </div>
+          {archetypes.length > 0 && (
+            <div>
+              <label className="text-xs text-gray-400">Map Type</label>
+              <select
+                value={archetype}
+                onChange={(e) => setArchetype(e.target.value)}
+                className="mt-1 w-full rounded bg-gray-800 border border-gray-700 px-3 py-2 text-sm"
+              >
+                {archetypes.map(({ id, label }) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
             <label className="text-xs text-gray-400">Bot Opponents</label>
             <input
@@ -91,6 +125,48 @@ const DiscordSetupScreen = ({ profile, onStart, loading }) => {
               className="mt-1 w-full rounded bg-gray-800 border border-gray-700 px-3 py-2 text-sm"
             />
           </div>
+          <div>
+            <label className="text-xs text-gray-400">Bot Difficulty</label>
+            <select
+              value={botDifficulty}
+              onChange={(e) => setBotDifficulty(e.target.value)}
+              disabled={botCount === 0}
+              className="mt-1 w-full rounded bg-gray-800 border border-gray-700 px-3 py-2 text-sm disabled:opacity-50"
+            >
+              {BOT_DIFFICULTIES.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-400">Game Mode</label>
+            <select
+              value={teamCount}
+              onChange={(e) => setTeamCount(Number(e.target.value))}
+              className="mt-1 w-full rounded bg-gray-800 border border-gray-700 px-3 py-2 text-sm"
+            >
+              <option value={0}>Free-for-all</option>
+              <option value={2}>2 teams</option>
+              <option value={3}>3 teams</option>
+              <option value={4}>4 teams</option>
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-400">Victory Condition</label>
+            <select
+              value={winMode}
+              onChange={(e) => setWinMode(e.target.value)}
+              className="mt-1 w-full rounded bg-gray-800 border border-gray-700 px-3 py-2 text-sm"
+            >
+              {WIN_MODES.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <button
@@ -121,7 +197,7 @@ const DiscordActivity = () => {
     }
   }, [authLoading, user, error]);
 
-  const handleStart = async ({ nationName, capitalName, color, mapWidth, mapHeight, botCount }) => {
+  const handleStart = async ({ nationName, capitalName, color, mapWidth, mapHeight, botCount, botDifficulty, teamCount, winMode, archetype }) => {
     setPhase("creating");
     let cancelled = false;
 
@@ -141,7 +217,7 @@ const DiscordActivity = () => {
       const response = await apiFetch("api/gamerooms/discord-instance", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ instanceId, mapWidth, mapHeight, botCount }),
+        body: JSON.stringify({ instanceId, mapWidth, mapHeight, botCount, botDifficulty, teamCount, winMode, archetype: archetype || undefined }),
       });
 
       if (!response.ok) {
@@ -7,15 +7,31 @@ import { ControlButtons } from "./ControlButtons";
 import StatsBar from "./StatsBar";
 import SettingsModal from "./SettingsModal";
 import PlayerListModal from "./PlayerListModal";
+import ResearchModal from "./ResearchModal";
+import LobbyPanel from "./LobbyPanel";
 import ActionBar from "./ActionBar";
 import ArrowPanel from "./ArrowPanel";
-import { unpackTerritoryDelta } from "../utils/packedDelta";
+import { unpackTerritoryDelta, decodeStateFrame } from "../utils/packedDelta";
 import MobileActionDock from "./MobileActionDock";
 import ContextPanel from "./ContextPanel";
+import SpectatorPanel from "./SpectatorPanel";
+import DiplomacyNotices, { describeDiplomacyEvent } from "./DiplomacyNotices";
+import MatchEventFeed, { describeMatchEvent } from "./MatchEventFeed";
+import ChatPanel from "./ChatPanel";
 import { useAuth } from "../context/AuthContext";
 import { apiFetch, getWsUrl } from "../utils/api";
 import { isDiscordActivity, getDiscordToken } from "../utils/discord";
 
+// Player commands sent over the WebSocket wait this long for their ack
+const COMMAND_ACK_TIMEOUT_MS = 5000;
+// Unacknowledged commands are sent this many times in all (same request id, so
+// the server applies them once) before being reported unconfirmed
+const COMMAND_MAX_SENDS = 3;
+// Desktop: keep the event feed clear of the action bar
+const EVENT_FEED_BOTTOM_OFFSET = 150;
+// Most recent chat messages kept on the client
+const MAX_CHAT_MESSAGES = 100;
+
 const sameOwner = (ownerId, currentUserId) =>
   ownerId != null &&
   currentUserId != null &&
@@ -50,8 +66,15 @@ const Game = ({ discordRoomId }) => {
   const wsRef = useRef(null);
   const applyDeltaGameStateRef = useRef(null);
   const requestFullStateRef = useRef(null);
+  const transmitCommandRef = useRef(null);
+  const requestSpectateRef = useRef(null);
+  const removedFromRoomRef = useRef(null);
   const wsReconnectTimerRef = useRef(null);
   const wsReconnectAttemptsRef = useRef(0);
+  const pendingCommandsRef = useRef(new Map()); // request id -> { resolve, reject, timer, message?, sends? }
+  const commandSeqRef = useRef(0);
+  // Request ids must stay unique across page loads: the server de-dups resends by id
+  const commandSessionRef = useRef(Math.random().toString(36).slice(2, 10));
   const lastNationOwnersRef = useRef("");
   const lastAppliedTickRef = useRef(-1);
   const pollRequestIdRef = useRef(0);
@@ -59,6 +82,9 @@ const Game = ({ discordRoomId }) => {
   const pollInFlightRef = useRef(false);
   const fullInFlightRef = useRef(false);
   const pendingGapSyncRef = useRef(false);
+  const lastDiplomacyEventIdRef = useRef(null);
+  const lastMatchEventIdRef = useRef(null);
+  const mapRevisionRef = useRef(null);
 
   // ----------------------------
   // Login and credentials state
@@ -74,6 +100,10 @@ const Game = ({ discordRoomId }) => {
   const [joinCode, setJoinCode] = useState(
     localStorage.getItem(`${roomKey}-joinCode`) || ""
   );
+  const [roomPassword, setRoomPassword] = useState("");
+  const [roomAccess, setRoomAccess] = useState(null);
+  const [inviteCode, setInviteCode] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
   const [joinError, setJoinError] = useState("");
   const [isJoining, setIsJoining] = useState(false);
   const [hasJoined, setHasJoined] = useState(false);
@@ -83,11 +113,15 @@ const Game = ({ discordRoomId }) => {
   // ----------------------------
   const [showSettings, setShowSettings] = useState(false);
   const [showPlayerList, setShowPlayerList] = useState(false);
+  const [showResearch, setShowResearch] = useState(false);
   const [actionModal, setActionModal] = useState(null);
   const [foundingNation, setFoundingNation] = useState(false);
   const [buildingStructure, setBuildingStructure] = useState(null);
   const [isDefeated, setIsDefeated] = useState(false);
   const [isSpectating, setIsSpectating] = useState(false);
+  // Watching without a player slot (joined via /spectate, or gave up a defeated slot)
+  const [spectatorOnly, setSpectatorOnly] = useState(false);
+  const [followedOwner, setFollowedOwner] = useState(null);
   const [hasFounded, setHasFounded] = useState(false);
   const [attackPercent, setAttackPercent] = useState(0.25);
   const [troopTarget, setTroopTarget] = useState(0.2);
@@ -101,16 +135,24 @@ const Game = ({ discordRoomId }) => {
   const [combatFlashes, setCombatFlashes] = useState([]);
   const [regionData, setRegionData] = useState(null);
   const [isStartingRoom, setIsStartingRoom] = useState(false);
+  const [notices, setNotices] = useState([]);
   const actionModalRef = useRef(actionModal);
   const isDefeatedRef = useRef(isDefeated);
   const hasFoundedRef = useRef(hasFounded);
-  const allowRefound = config?.territorial?.allowRefound !== false;
+  const spectatorOnlyRef = useRef(spectatorOnly);
+  const allowRefound =
+    (gameState?.gameState?.settings?.allowRefound ??
+      config?.territorial?.allowRefound) !== false;
   const roomStatus = gameState?.roomStatus || "open";
   const roomPlayers = gameState?.players || [];
   const isRoomStarted = roomStatus === "open" || roomStatus === "paused";
   const isRoomLobby = roomStatus === "lobby";
   const isRoomCreator = gameState?.roomCreator === userId;
+  // Unknown access (metadata not loaded yet) keeps the join code required
+  const requiresJoinCode = roomAccess?.visibility !== "public";
   const readyPlayerCount = roomPlayers.filter((player) => player.ready).length;
+  const allPlayersReady =
+    roomPlayers.length > 0 && readyPlayerCount === roomPlayers.length;
   const discordHeaderCompensation =
     isMobile && isDiscord ? Math.ceil(statsBarHeight) : 0;
   const discordTopOffset = isMobile
@@ -147,17 +189,21 @@ const Game = ({ discordRoomId }) => {
   useEffect(() => {
     setHasJoined(false);
     setJoinError("");
+    setSpectatorOnly(false);
+    setFollowedOwner(null);
+    setChatMessages([]);
   }, [id, userId]);
 
   useEffect(() => {
     setJoinCode(localStorage.getItem(`${roomKey}-joinCode`) || "");
+    setRoomPassword("");
   }, [roomKey]);
 
   useEffect(() => {
     if (joinError) {
       setJoinError("");
     }
-  }, [joinCode]);
+  }, [joinCode, roomPassword]);
 
   useEffect(() => {
     actionModalRef.current = actionModal;
@@ -171,6 +217,10 @@ const Game = ({ discordRoomId }) => {
     hasFoundedRef.current = hasFounded;
   }, [hasFounded]);
 
+  useEffect(() => {
+    spectatorOnlyRef.current = spectatorOnly;
+  }, [spectatorOnly]);
+
   const startFoundNation = () => {
     setIsSpectating(false);
     setFoundingNation(true);
@@ -201,7 +251,7 @@ const Game = ({ discordRoomId }) => {
       exitModes();
       return;
     }
-    if (nextMode === "pan") {
+    if (nextMode === "pan" || nextMode === "naval") {
       setFoundingNation(false);
       setBuildingStructure(null);
       setDrawingArrowType(null);
@@ -360,6 +410,7 @@ const Game = ({ discordRoomId }) => {
       const data = await response.json();
       setMapMetadata(data.map);
       setConfig(data.config);
+      setRoomAccess(data.access || null);
     } catch (err) {
       setError(err.message);
     }
@@ -426,6 +477,38 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  const pushNotices = (fresh) => {
+    if (fresh.length === 0) return;
+    setNotices((prev) => prev.concat(fresh).slice(-4));
+    fresh.forEach((notice) => {
+      setTimeout(() => {
+        setNotices((prev) => prev.filter((n) => n.id !== notice.id));
+      }, 8000);
+    });
+  };
+
+  const showDiplomacyNotices = (events, nations) => {
+    pushNotices(
+      events.map((event) => ({
+        id: `diplomacy-${event.id}`,
+        ...describeDiplomacyEvent(event, nations, userId),
+      }))
+    );
+  };
+
+  // Match events only toast when they matter to this player (or someone
+  // was eliminated); the rest stay in the feed
+  const showMatchEventNotices = (events, nations) => {
+    pushNotices(
+      events
+        .map((event) => ({
+          id: `match-${event.id}`,
+          ...describeMatchEvent(event, nations, userId),
+        }))
+        .filter((notice) => notice.alert)
+    );
+  };
+
   const applyDeltaGameState = (data, options = {}) => {
     const { isFullState = false } = options;
     if (!data?.gameState) return false;
@@ -457,12 +540,21 @@ const Game = ({ discordRoomId }) => {
     }
 
     logNationOwners(data.gameState);
-    const allowRefound = config?.territorial?.allowRefound !== false;
+    if (typeof data.spectating === "boolean") {
+      spectatorOnlyRef.current = data.spectating;
+      setSpectatorOnly(data.spectating);
+    }
+    const allowRefound =
+      (data.gameState?.settings?.allowRefound ??
+        config?.territorial?.allowRefound) !== false;
+    // Fog-of-war matches can't be spectated; defeated players keep their seat
+    const canSpectate = !data.gameState?.settings?.fogOfWar;
     const beginSpectate = () => {
       setActionModal(null);
       setFoundingNation(false);
       setHasFounded(false);
       setIsSpectating(true);
+      requestSpectateRef.current?.();
     };
     const beginRefound = () => {
       setActionModal(null);
@@ -549,6 +641,8 @@ const Game = ({ discordRoomId }) => {
         roomCreator: data.roomCreator,
         roomStatus: data.roomStatus || prevState?.roomStatus || "open",
         players: data.players || prevState?.players || [],
+        spectatorCount: data.spectatorCount ?? prevState?.spectatorCount ?? 0,
+        lobby: data.lobby || null,
         gameState: data.gameState,
       };
     });
@@ -559,25 +653,74 @@ const Game = ({ discordRoomId }) => {
       pendingGapSyncRef.current = false;
     }
 
-    const winningNation = data.gameState.nations?.find(
+    // Surface diplomacy events that arrived since the last update (the
+    // first state we see only sets the baseline)
+    const diplomacyEvents = data.gameState.diplomacy?.events || [];
+    const lastDiplomacyEventId = lastDiplomacyEventIdRef.current;
+    if (lastDiplomacyEventId !== null) {
+      const freshEvents = diplomacyEvents.filter(
+        (event) => event.id > lastDiplomacyEventId
+      );
+      if (freshEvents.length > 0) {
+        showDiplomacyNotices(freshEvents, data.gameState.nations || []);
+      }
+    }
+    lastDiplomacyEventIdRef.current = diplomacyEvents.reduce(
+      (max, event) => Math.max(max, event.id),
+      lastDiplomacyEventId ?? 0
+    );
+
+    // Same for match events (captures, eliminations, cities under attack)
+    const matchEvents = data.gameState.matchEvents || [];
+    const lastMatchEventId = lastMatchEventIdRef.current;
+    if (lastMatchEventId !== null) {
+      const freshEvents = matchEvents.filter((event) => event.id > lastMatchEventId);
+      if (freshEvents.length > 0) {
+        showMatchEventNotices(freshEvents, data.gameState.nations || []);
+      }
+    }
+    lastMatchEventIdRef.current = matchEvents.reduce(
+      (max, event) => Math.max(max, event.id),
+      lastMatchEventId ?? 0
+    );
+
+    // Team games can have several winners — prefer the player's own nation
+    const winningNations = (data.gameState.nations || []).filter(
       (n) => n.status === "winner"
     );
-    const winningLabel = winningNation
-      ? winningNation.nationName || winningNation.displayName || winningNation.owner
-      : null;
-    if (winningNation) {
-      if (sameOwner(winningNation.owner, userId)) {
+    const winningNation =
+      winningNations.find((n) => sameOwner(n.owner, userId)) ||
+      winningNations[0];
+    const winningTeam = data.gameState.winningTeam ?? null;
+    const userTeam = data.gameState.teams?.[userId] ?? null;
+    const winningLabel =
+      winningTeam !== null
+        ? `Team ${winningTeam}`
+        : winningNation
+        ? winningNation.nationName || winningNation.displayName || winningNation.owner
+        : null;
+    if (spectatorOnlyRef.current) {
+      setUserState(null);
+      setFoundingNation(false);
+      setHasFounded(false);
+      setIsSpectating(true);
+    } else if (winningNation) {
+      const userNationWon = sameOwner(winningNation.owner, userId);
+      if (userNationWon || (winningTeam !== null && userTeam === winningTeam)) {
         if (!actionModalRef.current || actionModalRef.current.type !== "win") {
           setActionModal({
             type: "win",
-            message: "Congratulations! Your nation has won the game!",
+            message:
+              winningTeam !== null
+                ? `Congratulations! ${winningLabel} has won the game!`
+                : "Congratulations! Your nation has won the game!",
             onClose: () => {
               handleEndGame();
             },
           });
         }
-        setUserState(winningNation);
-        setIsSpectating(false);
+        setUserState(userNationWon ? winningNation : null);
+        setIsSpectating(!userNationWon);
       } else {
         if (
           !actionModalRef.current ||
@@ -586,7 +729,8 @@ const Game = ({ discordRoomId }) => {
           setActionModal({
             type: "defeat",
             message: `${winningLabel} has won the game. Your nation has been defeated.`,
-            onSpectate: beginSpectate,
+            onSpectate: canSpectate ? beginSpectate : null,
+            onClose: () => setActionModal(null),
           });
         }
         setUserState(null);
@@ -618,10 +762,15 @@ const Game = ({ discordRoomId }) => {
             setActionModal({
               type: "defeat",
               message: allowRefound
-                ? "Your nation has been defeated! You can start over by founding a new nation or spectate."
-                : "Your nation has been defeated. Refounding is disabled; you can spectate the match.",
-              onSpectate: beginSpectate,
+                ? canSpectate
+                  ? "Your nation has been defeated! You can start over by founding a new nation or spectate."
+                  : "Your nation has been defeated! You can start over by founding a new nation."
+                : canSpectate
+                  ? "Your nation has been defeated. Refounding is disabled; you can spectate the match."
+                  : "Your nation has been defeated. Refounding is disabled.",
+              onSpectate: canSpectate ? beginSpectate : null,
               onRefound: allowRefound ? beginRefound : null,
+              onClose: () => setActionModal(null),
             });
           }
         } else {
@@ -695,6 +844,22 @@ const Game = ({ discordRoomId }) => {
     }
   }, [id]);
 
+  // ----------------------------
+  // Reload the map when the host regenerates it from the lobby
+  // ----------------------------
+  const mapRevision = gameState?.lobby?.mapRevision;
+  useEffect(() => {
+    if (mapRevision === undefined) return;
+    if (mapRevisionRef.current !== null && mapRevisionRef.current !== mapRevision) {
+      setMapChunks([]);
+      setLoadedRows(0);
+      setRegionData(null);
+      setMapMetadata(null);
+      fetchMapMetadata();
+    }
+    mapRevisionRef.current = mapRevision;
+  }, [mapRevision]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // ----------------------------
   // Fetch region data after metadata loads
   // ----------------------------
@@ -780,6 +945,7 @@ const Game = ({ discordRoomId }) => {
     const connect = () => {
       if (!isActive) return;
       const ws = new WebSocket(wsUrl);
+      ws.binaryType = "arraybuffer";
       wsRef.current = ws;
 
       ws.onopen = () => {
@@ -787,17 +953,26 @@ const Game = ({ discordRoomId }) => {
         wsReconnectAttemptsRef.current = 0;
         ws.send(
           JSON.stringify({
-            type: "subscribe",
+            type: spectatorOnly ? "spectate" : "subscribe",
             roomId: id,
+            binary: true,
           })
         );
       };
 
       ws.onmessage = (event) => {
         try {
-          const msg = JSON.parse(event.data);
+          // State arrives as binary frames; everything else is JSON
+          const msg =
+            event.data instanceof ArrayBuffer
+              ? decodeStateFrame(event.data)
+              : JSON.parse(event.data);
           if (msg.type === "subscribed") {
             setWsConnected(true);
+            // Resend commands whose ack was lost with the previous socket
+            pendingCommandsRef.current.forEach((pending, requestId) => {
+              if (pending.message) transmitCommandRef.current?.(requestId);
+            });
             return;
           }
           if (msg.type === "state") {
@@ -805,6 +980,41 @@ const Game = ({ discordRoomId }) => {
             applyDeltaGameStateRef.current?.(msg);
             return;
           }
+          if (msg.type === "chatBacklog") {
+            setChatMessages(msg.messages || []);
+            return;
+          }
+          if (msg.type === "chat") {
+            setChatMessages((prev) =>
+              prev.some((message) => message.id === msg.message.id)
+                ? prev
+                : [...prev, msg.message].slice(-MAX_CHAT_MESSAGES)
+            );
+            return;
+          }
+          // Chat sends are acknowledged the same way as commands
+          if (msg.type === "ack" || msg.type === "chatAck") {
+            const pending = pendingCommandsRef.current.get(msg.id);
+            if (!pending) return;
+            pendingCommandsRef.current.delete(msg.id);
+            clearTimeout(pending.timer);
+            if (msg.ok) {
+              pending.resolve(msg.result);
+            } else {
+              pending.reject(
+                Object.assign(new Error(msg.error || "Command failed"), {
+                  status: msg.status,
+                })
+              );
+            }
+            return;
+          }
+          if (msg.type === "kicked") {
+            isActive = false;
+            ws.close();
+            removedFromRoomRef.current?.(msg.banned);
+            return;
+          }
           if (msg.type === "error") {
             setError(msg.message || "WebSocket error");
             ws.close();
@@ -817,6 +1027,14 @@ const Game = ({ discordRoomId }) => {
       ws.onclose = () => {
         console.warn("[WS] closed");
         setWsConnected(false);
+        // Commands wait for the reconnect to be resent; chat and anything
+        // left when leaving the room fail now
+        pendingCommandsRef.current.forEach((pending, requestId) => {
+          if (pending.message && isActive) return;
+          clearTimeout(pending.timer);
+          pendingCommandsRef.current.delete(requestId);
+          pending.reject(new Error("Connection lost"));
+        });
         scheduleReconnect();
       };
       ws.onerror = (err) => {
@@ -835,7 +1053,7 @@ const Game = ({ discordRoomId }) => {
       }
       wsRef.current?.close();
     };
-  }, [id, userId, hasJoined]);
+  }, [id, userId, hasJoined, spectatorOnly]);
 
   // ----------------------------
   // Poll game state (every 200ms)
@@ -961,7 +1179,7 @@ const Game = ({ discordRoomId }) => {
       return;
     }
     setJoinError("");
-    if (!joinCode) {
+    if (requiresJoinCode && !joinCode) {
       setJoinError("Join code is required");
       return;
     }
@@ -972,6 +1190,7 @@ const Game = ({ discordRoomId }) => {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           joinCode: joinCode,
+          roomPassword,
         }),
       });
       if (!response.ok) {
@@ -979,7 +1198,9 @@ const Game = ({ discordRoomId }) => {
         throw new Error(errData.error || "Failed to join game room");
       }
       await response.json();
-      localStorage.setItem(`${roomKey}-joinCode`, joinCode);
+      if (joinCode) {
+        localStorage.setItem(`${roomKey}-joinCode`, joinCode);
+      }
       setHasJoined(true);
 
       // Immediately fetch the full state so the new player gets all territories.
@@ -1004,6 +1225,56 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  // ----------------------------
+  // Spectate without a player slot
+  // ----------------------------
+  const requestSpectate = async () => {
+    if (!user) {
+      loginWithGoogle(`/rooms/${id}`);
+      return false;
+    }
+    try {
+      setIsJoining(true);
+      const response = await apiFetch(`api/gamerooms/${id}/spectate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ joinCode, roomPassword }),
+      });
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || "Failed to spectate game room");
+      }
+      await response.json();
+      if (joinCode) {
+        localStorage.setItem(`${roomKey}-joinCode`, joinCode);
+      }
+      spectatorOnlyRef.current = true;
+      setSpectatorOnly(true);
+      setIsSpectating(true);
+      setFoundingNation(false);
+      setUiMode("idle");
+      setHasJoined(true);
+      return true;
+    } catch (err) {
+      console.error("Spectate error:", err);
+      setJoinError(err.message);
+      return false;
+    } finally {
+      setIsJoining(false);
+    }
+  };
+  requestSpectateRef.current = requestSpectate;
+
+  const handleSpectateSubmit = async (e) => {
+    e?.preventDefault();
+    setJoinError("");
+    if (requiresJoinCode && !joinCode) {
+      setJoinError("Join code is required");
+      return;
+    }
+    await requestSpectate();
+  };
+
   // ----------------------------
   // API call wrappers for game actions
   // ----------------------------
@@ -1046,6 +1317,97 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  // ----------------------------
+  // Player commands: sent over the WebSocket and applied on the server's next
+  // tick, falling back to the REST route while the socket is down or the
+  // game isn't ticking (e.g. paused)
+  // ----------------------------
+  const postCommand = async (command, payload) => {
+    const response = await apiFetch(`api/gamerooms/${id}/${command}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `${command} failed`);
+    return data;
+  };
+
+  const nextRequestId = () =>
+    `${commandSessionRef.current}-${++commandSeqRef.current}`;
+
+  // Send a pending command, or resend it when its ack hasn't arrived. After
+  // COMMAND_MAX_SENDS it's rejected as unconfirmed, since the server may
+  // still have applied it, and a full state fetch shows the outcome.
+  const transmitCommand = (requestId) => {
+    const pending = pendingCommandsRef.current.get(requestId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    if (pending.sends >= COMMAND_MAX_SENDS) {
+      pendingCommandsRef.current.delete(requestId);
+      pending.reject(
+        Object.assign(new Error("Command unconfirmed, resyncing..."), {
+          unconfirmed: true,
+        })
+      );
+      pushNotices([
+        {
+          id: `command-${requestId}`,
+          text: "Your order wasn't confirmed — resyncing with the server",
+          tone: "info",
+        },
+      ]);
+      requestFullStateRef.current?.();
+      return;
+    }
+    pending.sends += 1;
+    const ws = wsRef.current;
+    if (ws?.readyState === WebSocket.OPEN) ws.send(pending.message);
+    pending.timer = setTimeout(
+      () => transmitCommand(requestId),
+      COMMAND_ACK_TIMEOUT_MS
+    );
+  };
+  transmitCommandRef.current = transmitCommand;
+
+  const sendCommand = (command, payload) => {
+    const ws = wsRef.current;
+    if (!wsConnected || spectatorOnly || ws?.readyState !== WebSocket.OPEN) {
+      return postCommand(command, payload);
+    }
+    const requestId = nextRequestId();
+    const message = JSON.stringify({ type: "command", id: requestId, command, payload });
+    return new Promise((resolve, reject) => {
+      pendingCommandsRef.current.set(requestId, {
+        resolve,
+        reject,
+        timer: null,
+        message,
+        sends: 0,
+      });
+      transmitCommand(requestId);
+    }).catch((err) => {
+      if (err.status === 409) return postCommand(command, payload);
+      throw err;
+    });
+  };
+
+  const sendChat = (scope, text, to) => {
+    const ws = wsRef.current;
+    if (!wsConnected || ws?.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error("Chat is offline, reconnecting..."));
+    }
+    const requestId = nextRequestId();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingCommandsRef.current.delete(requestId);
+        reject(new Error("Message timed out"));
+      }, COMMAND_ACK_TIMEOUT_MS);
+      pendingCommandsRef.current.set(requestId, { resolve, reject, timer });
+      ws.send(JSON.stringify({ type: "chat", id: requestId, scope, text, to }));
+    });
+  };
+
   const handleBuildCity = async (x, y, cityType, cityName) => {
     // If x and y are null, it means we're just selecting what to build
     if (x === null && y === null) {
@@ -1060,28 +1422,35 @@ const Game = ({ discordRoomId }) => {
     if (!isRoomStarted) return;
 
     try {
-      const response = await apiFetch(`api/gamerooms/${id}/buildCity`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          x,
-          y,
-          cityType,
-          cityName,
-        }),
-      });
-      if (!response.ok) throw new Error("Failed to build city");
+      await sendCommand("buildCity", { x, y, cityType, cityName });
       // Clear building mode after successful build
       setBuildingStructure(null);
       setUiMode("idle");
     } catch (err) {
-      setError(err.message);
+      if (!err.unconfirmed) setError(err.message);
       // Also clear building mode on error
       setBuildingStructure(null);
       setUiMode("idle");
     }
   };
 
+  const handleUpgradeNode = async (x, y) => {
+    if (!userId || !hasJoined || !isRoomStarted) return;
+    try {
+      await sendCommand("upgradeNode", { x, y });
+    } catch (err) {
+      if (!err.unconfirmed) setError(err.message);
+    }
+  };
+
+  const handleResearch = async (techId) => {
+    if (!userId || !hasJoined || !isRoomStarted) return;
+    try {
+      await sendCommand("research", { techId });
+    } catch (err) {
+      if (!err.unconfirmed) setError(err.message);
+    }
+  };
 
   const handlePauseGame = async () => {
     try {
@@ -1138,6 +1507,46 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  const handleAssignTeam = async (owner, team) => {
+    try {
+      const response = await apiFetch(`api/gamerooms/${id}/teams`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ teams: { [owner]: team } }),
+      });
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || "Failed to update teams");
+      }
+      const data = await response.json();
+      setGameState((prev) =>
+        prev
+          ? { ...prev, gameState: { ...prev.gameState, teams: data.teams } }
+          : prev
+      );
+    } catch (err) {
+      console.error("Error assigning team:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleDiplomacy = async (action, body) => {
+    try {
+      const response = await apiFetch(`api/gamerooms/${id}/diplomacy/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || "Diplomacy action failed");
+      }
+    } catch (err) {
+      console.error("Error in diplomacy action:", err);
+      setError(err.message);
+    }
+  };
+
   const handleQuitGame = async () => {
     try {
       const response = await apiFetch(`api/gamerooms/${id}/quit`, {
@@ -1194,21 +1603,11 @@ const Game = ({ discordRoomId }) => {
     const initialPower = population * attackPercent;
 
     try {
-      const response = await apiFetch(`api/gamerooms/${id}/arrow`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          type,
-          path,
-          percent: attackPercent,
-        }),
+      const result = await sendCommand("arrow", {
+        type,
+        path,
+        percent: attackPercent,
       });
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || "Failed to send arrow command");
-      }
-
-      const result = await response.json();
 
       if (type === "attack") {
         setActiveAttackArrows((prev) => [
@@ -1252,18 +1651,24 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  const handleSendNaval = async (x, y) => {
+    if (!userId || !hasJoined) return;
+    if (!isRoomStarted) return;
+
+    try {
+      await sendCommand("navalArrow", { x, y, percent: attackPercent });
+      setUiMode("idle");
+    } catch (err) {
+      if (!err.unconfirmed) setError(err.message);
+      setUiMode("idle");
+    }
+  };
+
   const handleClearActiveArrow = async (type, arrowId) => {
     if (!userId || !hasJoined) return;
 
     try {
-      await apiFetch(`api/gamerooms/${id}/clearArrow`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          type,
-          arrowId,
-        }),
-      });
+      await sendCommand("clearArrow", { type, arrowId });
 
       if (type === "attack") {
         if (arrowId) {
@@ -1282,14 +1687,7 @@ const Game = ({ discordRoomId }) => {
   const handleReinforceArrow = async (arrowId, percent = 0.1) => {
     if (!userId || !hasJoined) return;
     try {
-      await apiFetch(`api/gamerooms/${id}/reinforceArrow`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          arrowId,
-          percent,
-        }),
-      });
+      await sendCommand("reinforceArrow", { arrowId, percent });
     } catch (err) {
       console.error("Failed to reinforce arrow:", err);
     }
@@ -1298,13 +1696,7 @@ const Game = ({ discordRoomId }) => {
   const handleRetreatArrow = async (arrowId) => {
     if (!userId || !hasJoined) return;
     try {
-      await apiFetch(`api/gamerooms/${id}/retreatArrow`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          arrowId,
-        }),
-      });
+      await sendCommand("retreatArrow", { arrowId });
     } catch (err) {
       console.error("Failed to retreat arrow:", err);
     }
@@ -1315,20 +1707,14 @@ const Game = ({ discordRoomId }) => {
     setTroopTarget(newTarget);
     if (!userId || !hasJoined) return;
     try {
-      await apiFetch(`api/gamerooms/${id}/troopTarget`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          troopTarget: newTarget,
-        }),
-      });
+      await sendCommand("troopTarget", { troopTarget: newTarget });
     } catch (err) {
       console.error("Failed to set troop target:", err);
     }
   };
 
   const handleStartRoom = async () => {
-    if (!isRoomCreator || !isRoomLobby || isStartingRoom) return;
+    if (!isRoomCreator || !isRoomLobby || !allPlayersReady || isStartingRoom) return;
     try {
       setIsStartingRoom(true);
       const response = await apiFetch(`api/gamerooms/${id}/start`, {
@@ -1355,6 +1741,75 @@ const Game = ({ discordRoomId }) => {
     }
   };
 
+  // ----------------------------
+  // Lobby: ready checks, host controls and room settings
+  // ----------------------------
+  const postLobbyAction = async (action, body, fallbackError) => {
+    try {
+      const response = await apiFetch(`api/gamerooms/${id}/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || fallbackError);
+      }
+      return await response.json();
+    } catch (err) {
+      console.error(`Lobby ${action} failed:`, err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleToggleReady = (ready) =>
+    postLobbyAction("ready", { ready }, "Failed to update ready state");
+
+  const handleKickPlayer = (target, ban) =>
+    postLobbyAction("kick", { target, ban }, "Failed to remove player");
+
+  const handleTransferHost = (target) =>
+    postLobbyAction("host", { target }, "Failed to transfer host");
+
+  const handleUpdateRoomSettings = (settings) =>
+    postLobbyAction("settings", settings, "Failed to update room settings");
+
+  const handleRemovedFromRoom = (banned) => {
+    setError(
+      banned
+        ? "You have been banned from this room"
+        : "You were removed from this room"
+    );
+    setHasJoined(false);
+    navigate("/rooms");
+  };
+  removedFromRoomRef.current = handleRemovedFromRoom;
+
+  // The invite code is per-user (private rooms only show it to the host), so
+  // it's fetched separately rather than broadcast with the lobby state.
+  const lobbyVisibility = gameState?.lobby?.visibility;
+  useEffect(() => {
+    setInviteCode(null);
+    if (!id || !hasJoined || !isRoomLobby) return;
+    if (lobbyVisibility === "private" && !isRoomCreator) return;
+    let isActive = true;
+    const fetchInvite = async () => {
+      try {
+        const response = await apiFetch(`api/gamerooms/${id}/invite`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (isActive) setInviteCode(data.joinCode || null);
+      } catch (err) {
+        console.error("Failed to fetch invite link:", err);
+      }
+    };
+    fetchInvite();
+    return () => {
+      isActive = false;
+    };
+  }, [id, hasJoined, isRoomLobby, lobbyVisibility, isRoomCreator]);
+
   // Track arrow state from server and detect completions
   useEffect(() => {
     const playerNation = gameState?.gameState?.nations?.find(
@@ -1471,12 +1926,42 @@ const Game = ({ discordRoomId }) => {
   );
   const playerResources = playerNation?.resources || {};
   const playerTroopCount = playerNation?.troopCount ?? 0;
+  const playerHasPort =
+    config?.naval?.enabled !== false &&
+    (playerNation?.cities || []).some((c) => c.type === "port");
+  const playerFleetCount = playerNation?.arrowOrders?.naval?.length || 0;
+  const researchEnabled =
+    config?.research?.enabled !== false &&
+    Object.keys(config?.research?.techs || {}).length > 0;
+  // Upgrade state for the inspected tile, read live so it tracks spending
+  const selectedNodeUpgrade = (() => {
+    if (!selectedCellInfo?.resources?.length) return null;
+    const key = `${selectedCellInfo.x},${selectedCellInfo.y}`;
+    const level = gameState?.gameState?.resourceUpgrades?.[key]?.level || 0;
+    const costs = config?.territorial?.resourceNodeUpgradeCosts || {};
+    const nextCost = costs[String(level + 1)] ?? null;
+    const owned =
+      !spectatorOnly &&
+      !!playerNation &&
+      sameOwner(gameState?.gameState?.resourceNodeClaims?.[key]?.owner, userId);
+    return { level, nextCost, owned };
+  })();
   // Cache density map — server throttles to every 5 ticks, use last known between updates
   const lastDensityMapRef = React.useRef(null);
   if (playerNation?.troopDensityMap) {
     lastDensityMapRef.current = playerNation.troopDensityMap;
   }
   const playerTroopDensityMap = lastDensityMapRef.current;
+  // Fog-of-war mask — server only sends it when vision changes, keep the last one
+  const lastFogRef = React.useRef(null);
+  const fogActive =
+    !!gameState?.gameState?.settings?.fogOfWar && !!playerNation && !spectatorOnly;
+  if (!fogActive) {
+    lastFogRef.current = null;
+  } else if (gameState?.gameState?.fog) {
+    lastFogRef.current = gameState.gameState.fog;
+  }
+  const playerFog = lastFogRef.current;
 
   // ----------------------------
   // Create a flat grid from the loaded map chunks.
@@ -1570,6 +2055,21 @@ const Game = ({ discordRoomId }) => {
     return nation.color || nationColors[nation.owner] || "#999999";
   };
 
+  // Spectators follow a nation's capital (or any held cell once it has none)
+  const followedNation = followedOwner
+    ? (gameState?.gameState?.nations || []).find(
+        (nation) => nation.owner === followedOwner && nation.status !== "defeated"
+      )
+    : null;
+  const followedCapital =
+    followedNation?.cities?.find((city) => city.type === "capital") ||
+    followedNation?.cities?.[0];
+  const followCell = followedCapital
+    ? { x: followedCapital.x, y: followedCapital.y }
+    : followedNation?.territory?.x?.length
+    ? { x: followedNation.territory.x[0], y: followedNation.territory.y[0] }
+    : null;
+
   const isMapLoaded = mapMetadata && loadedRows >= mapMetadata.height;
 
   return (
@@ -1592,10 +2092,13 @@ const Game = ({ discordRoomId }) => {
       <ControlButtons
         onOpenSettings={() => setShowSettings(true)}
         onOpenPlayerList={() => setShowPlayerList(true)}
+        onOpenResearch={
+          researchEnabled && !spectatorOnly ? () => setShowResearch(true) : null
+        }
         topOffset={controlButtonsTopOffset}
         isMobile={isMobile}
       />
-      {!isDefeated && (
+      {!isDefeated && !spectatorOnly && (
         <StatsBar
           gameState={gameState}
           userId={userId}
@@ -1616,13 +2119,77 @@ const Game = ({ discordRoomId }) => {
         onEndGame={handleEndGame}
         onLeaveGame={handleQuitGame}
         onBackToGameRooms={() => navigate("/rooms")}
+        onViewReplay={isDiscord ? null : () => navigate(`/replays/${id}`)}
       />
       <PlayerListModal
         isOpen={showPlayerList}
         onClose={() => setShowPlayerList(false)}
         gameState={gameState}
         getNationColor={getNationColor}
+        canEditTeams={isRoomCreator && isRoomLobby}
+        onAssignTeam={handleAssignTeam}
+        userId={userId}
+        onDiplomacy={spectatorOnly ? null : handleDiplomacy}
       />
+      <ResearchModal
+        isOpen={showResearch}
+        onClose={() => setShowResearch(false)}
+        techs={config?.research?.techs}
+        nation={playerNation}
+        onResearch={handleResearch}
+      />
+      {(isRoomLobby || roomStatus === "initializing") && (
+        <LobbyPanel
+          gameState={gameState}
+          userId={userId}
+          mapWidth={mapMetadata?.width}
+          isHost={isRoomCreator}
+          onToggleReady={handleToggleReady}
+          onKick={handleKickPlayer}
+          onTransferHost={handleTransferHost}
+          onUpdateSettings={handleUpdateRoomSettings}
+          inviteCode={inviteCode}
+          topOffset={discordTopOffset + statsBarHeight}
+          isMobile={isMobile}
+        />
+      )}
+      <DiplomacyNotices
+        notices={notices}
+        onDismiss={(noticeId) =>
+          setNotices((prev) => prev.filter((n) => n.id !== noticeId))
+        }
+        topOffset={discordTopOffset + statsBarHeight}
+      />
+      {isMapLoaded && (
+        <MatchEventFeed
+          events={gameState?.gameState?.matchEvents}
+          nations={gameState?.gameState?.nations || []}
+          userId={userId}
+          isMobile={isMobile}
+          bottomOffset={
+            isMobile
+              ? discordBottomOffset + mobileDockReservedHeight + 8
+              : EVENT_FEED_BOTTOM_OFFSET
+          }
+        />
+      )}
+      {isMapLoaded && hasJoined && (
+        <ChatPanel
+          messages={chatMessages}
+          userId={userId}
+          nations={gameState?.gameState?.nations || []}
+          pacts={gameState?.gameState?.diplomacy?.pacts || []}
+          canSend={!spectatorOnly}
+          onSend={sendChat}
+          maxLength={config?.chat?.maxLength}
+          isMobile={isMobile}
+          bottomOffset={
+            isMobile
+              ? discordBottomOffset + mobileDockReservedHeight + 8
+              : EVENT_FEED_BOTTOM_OFFSET
+          }
+        />
+      )}
       {/* Main Content Area */}
       <div ref={canvasHostRef} className="absolute inset-0">
         {!isMapLoaded ? (
@@ -1659,22 +2226,35 @@ const Game = ({ discordRoomId }) => {
             onArrowPathUpdate={handleArrowPathUpdate}
             onSendArrow={handleSendArrow}
             onCancelArrow={handleCancelArrow}
+            onSendNaval={handleSendNaval}
             activeAttackArrows={activeAttackArrows}
             activeDefendArrow={activeDefendArrow}
             uiMode={uiMode}
             isMobile={isMobile}
             onInspectCell={handleInspectCell}
             troopDensityMap={playerTroopDensityMap}
+            fog={playerFog}
             combatFlashes={combatFlashes}
             setCombatFlashes={setCombatFlashes}
             regionData={regionData}
             isDiscord={isDiscord}
             stageWidth={stageViewport.width}
             stageHeight={stageViewport.height}
+            followCell={spectatorOnly ? followCell : null}
           />
         )}
       </div>
-      {!isMobile && (
+      {spectatorOnly && hasJoined && (
+        <SpectatorPanel
+          gameState={gameState}
+          getNationColor={getNationColor}
+          followedOwner={followedOwner}
+          onFollow={setFollowedOwner}
+          isMobile={isMobile}
+          bottomOffset={discordBottomOffset}
+        />
+      )}
+      {!isMobile && !spectatorOnly && (
         <ActionBar
           onFoundNation={startFoundNation}
           userState={userState}
@@ -1692,9 +2272,13 @@ const Game = ({ discordRoomId }) => {
           activeAttackArrows={activeAttackArrows}
           activeDefendArrow={activeDefendArrow}
           maxAttackArrows={config?.territorial?.maxAttackArrows ?? 3}
+          hasPort={playerHasPort}
+          fleetCount={playerFleetCount}
+          maxFleets={config?.naval?.maxFleets ?? 2}
           onBuildStructure={handleBuildStructure}
           playerResources={playerResources}
           buildCosts={config?.buildCosts?.structures}
+          buildDescriptions={config?.structures?.descriptions}
           uiMode={uiMode}
           onSetMode={setMode}
           onExitMode={exitModes}
@@ -1702,13 +2286,14 @@ const Game = ({ discordRoomId }) => {
           gameState={gameState}
           isRoomStarted={isRoomStarted}
           canStartRoom={isRoomCreator && isRoomLobby}
+          allPlayersReady={allPlayersReady}
           onStartRoom={handleStartRoom}
           isStartingRoom={isStartingRoom}
           readyPlayerCount={readyPlayerCount}
           totalPlayers={roomPlayers.length}
         />
       )}
-      {isMobile && (
+      {isMobile && !spectatorOnly && (
         <MobileActionDock
           onFoundNation={startFoundNation}
           hasFounded={hasFounded}
@@ -1723,8 +2308,12 @@ const Game = ({ discordRoomId }) => {
           buildCosts={config?.buildCosts?.structures}
           activeAttackArrows={activeAttackArrows}
           activeDefendArrow={activeDefendArrow}
+          hasPort={playerHasPort}
+          fleetCount={playerFleetCount}
+          maxFleets={config?.naval?.maxFleets ?? 2}
           isRoomStarted={isRoomStarted}
           canStartRoom={isRoomCreator && isRoomLobby}
+          allPlayersReady={allPlayersReady}
           onStartRoom={handleStartRoom}
           isStartingRoom={isStartingRoom}
           readyPlayerCount={readyPlayerCount}
@@ -1740,25 +2329,39 @@ const Game = ({ discordRoomId }) => {
         nationColors={nationColors}
         nationLabels={nationLabels}
         bottomOffset={contextPanelBottomOffset}
+        nodeUpgrade={selectedNodeUpgrade}
+        playerGold={playerResources.gold || 0}
+        onUpgradeNode={handleUpgradeNode}
       />
-      <ArrowPanel
-        activeAttackArrows={activeAttackArrows}
-        activeDefendArrow={activeDefendArrow}
-        onReinforceArrow={handleReinforceArrow}
-        onRetreatArrow={handleRetreatArrow}
-        onClearArrow={handleClearActiveArrow}
-        isMobile={isMobile}
-        topOffset={arrowPanelTopOffset}
-        bottomOffset={arrowPanelBottomOffset}
-      />
+      {!spectatorOnly && (
+        <ArrowPanel
+          activeAttackArrows={activeAttackArrows}
+          activeDefendArrow={activeDefendArrow}
+          onReinforceArrow={handleReinforceArrow}
+          onRetreatArrow={handleRetreatArrow}
+          onClearArrow={handleClearActiveArrow}
+          isMobile={isMobile}
+          topOffset={arrowPanelTopOffset}
+          bottomOffset={arrowPanelBottomOffset}
+        />
+      )}
       {/* The join/login modal now appears only if the map is loaded */}
       <Modal
         showLoginModal={isMapLoaded && !authLoading && (!userId || !hasJoined)}
         onJoinSubmit={handleJoinSubmit}
+        onSpectateSubmit={
+          (isRoomLobby || isRoomStarted) && roomAccess?.canSpectate !== false
+            ? handleSpectateSubmit
+            : null
+        }
         onLogin={() => loginWithGoogle(`/rooms/${id}`)}
         isAuthenticated={!!userId}
         joinCode={joinCode}
         setJoinCode={setJoinCode}
+        requiresJoinCode={requiresJoinCode}
+        hasPassword={!!roomAccess?.hasPassword}
+        roomPassword={roomPassword}
+        setRoomPassword={setRoomPassword}
         joinError={joinError}
         isJoining={isJoining}
         profile={profile}
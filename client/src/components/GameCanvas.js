@@ -19,8 +19,16 @@ import { settings } from "@pixi/settings";
 import { SCALE_MODES } from "@pixi/constants";
 import MapTiles from "./MapTiles";
 import { SCALE_MODES as PIXI_SCALE_MODES } from "pixi.js";
-import { TerritoryLayer } from "./TerritoryRenderer";
+import { TerritoryLayer, applyTeamColors } from "./TerritoryRenderer";
 import RegionOverlay from "./RegionOverlay";
+import { getStructureIcon } from "../utils/cityIcons";
+import { getStructureSiteError, isCoastTile } from "../utils/structures";
+import {
+  decodeFogMask,
+  FOG_EXPLORED,
+  FOG_UNEXPLORED,
+  FOG_VISIBLE,
+} from "../utils/fog";
 
 // Feature flag for optimized territory rendering (set via environment or default false)
 const USE_OPTIMIZED_TERRITORY = process.env.REACT_APP_OPTIMIZED_TERRITORY === "true";
@@ -36,23 +44,12 @@ const resourceIconMap = {
   gold: "bronze",
 };
 
-const buildIconMap = {
-  tower: "/fort.png",
-  fort: "/fort.png",
-  town: "/town.png",
-  farm: "/farm.png",
-  mine: "/mine.png",
-  stable: "/stable.png",
-  "lumber mill": "/lumber_mill.png",
-  workshop: "/workshop.png",
-};
-
 const CAPTURE_EFFECT_DURATION_MS = 1600;
 const CAPTURE_EFFECT_MAX = 36;
 const TOUCH_LONG_PRESS_MS = 320;
 const TOUCH_LONG_PRESS_MOVE_PX = 10;
 
-const renderResources = (mapGrid, cellSize, scale) => {
+const renderResources = (mapGrid, cellSize, scale, resourceUpgrades) => {
   const resources = [];
   const zoomBoost = Math.min(
     3,
@@ -86,6 +83,41 @@ const renderResources = (mapGrid, cellSize, scale) => {
         />
       );
     });
+
+    // Upgrade level badge in the node's top-right corner
+    const level = resourceUpgrades?.[`${x},${y}`]?.level || 0;
+    if (level > 0) {
+      const badgeRadius = Math.max(cellSize * 0.28, iconSize * 0.22);
+      const badgeX = centerX + (cell[5].length * spacing) / 2;
+      const badgeY = centerY - iconSize / 2;
+      resources.push(
+        <Graphics
+          key={`resource-level-bg-${x}-${y}`}
+          zIndex={118}
+          draw={(g) => {
+            g.clear();
+            g.lineStyle(1, 0x000000, 0.8);
+            g.beginFill(0xf59e0b, 0.95);
+            g.drawCircle(badgeX, badgeY, badgeRadius);
+            g.endFill();
+          }}
+        />,
+        <Text
+          key={`resource-level-${x}-${y}`}
+          text={String(level)}
+          x={badgeX}
+          y={badgeY}
+          zIndex={119}
+          anchor={{ x: 0.5, y: 0.5 }}
+          style={{
+            fontFamily: "system-ui, -apple-system, sans-serif",
+            fill: "#111827",
+            fontSize: Math.max(8, badgeRadius * 1.4),
+            fontWeight: "700",
+          }}
+        />
+      );
+    }
   });
   return resources;
 };
@@ -348,6 +380,64 @@ const renderArrowPath = (
   );
 };
 
+// Index of the first route waypoint still ahead of a fleet
+const getFleetLeg = (fleet) => {
+  const path = fleet.path;
+  let remaining = fleet.sailed || 0;
+  for (let i = 1; i < path.length; i++) {
+    remaining -= Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    if (remaining < 0) return i;
+  }
+  return path.length - 1;
+};
+
+// Ship marker for a fleet at sea: a hull pointing along its heading plus troop count
+const renderFleet = (fleet, cellSize, key, scale, color) => {
+  if (!Number.isFinite(fleet?.x) || !Number.isFinite(fleet?.y)) return null;
+  const invScale = 1 / Math.max(0.35, scale || 1);
+  const size = Math.max(10, cellSize * 0.9);
+
+  return (
+    <Container
+      key={key}
+      x={fleet.x * cellSize + cellSize / 2}
+      y={fleet.y * cellSize + cellSize / 2}
+      zIndex={210}
+      scale={{ x: invScale, y: invScale }}
+    >
+      <Graphics
+        rotation={fleet.heading || 0}
+        draw={(g) => {
+          g.clear();
+          g.lineStyle(2, 0x000000, 0.8);
+          g.beginFill(color, 1);
+          g.moveTo(size, 0);
+          g.lineTo(size * 0.3, size * 0.45);
+          g.lineTo(-size * 0.8, size * 0.45);
+          g.lineTo(-size * 0.8, -size * 0.45);
+          g.lineTo(size * 0.3, -size * 0.45);
+          g.closePath();
+          g.endFill();
+        }}
+      />
+      <Text
+        text={Math.round(fleet.power || 0).toString()}
+        x={0}
+        y={-size - 4}
+        anchor={0.5}
+        style={{
+          fontFamily: "Barlow Semi Condensed, system-ui",
+          fill: "#ffffff",
+          fontSize: 14,
+          fontWeight: "700",
+          stroke: "#000000",
+          strokeThickness: 3,
+        }}
+      />
+    </Container>
+  );
+};
+
 // Broad wedge arrow for active attack arrows (documentary war style)
 const renderArrowV2 = (arrow, cellSize, key, scale) => {
   if (!arrow?.path || arrow.path.length < 2) return null;
@@ -866,6 +956,39 @@ const CombatFlashLayer = React.memo(({ combatFlashes, cellSize, animTime, visibl
   );
 });
 
+// Fog of war shading: unexplored cells dark, explored but out-of-sight dimmed.
+// Runs of equal cells in a row are drawn as one rect.
+const FOG_ALPHA = { [FOG_UNEXPLORED]: 0.85, [FOG_EXPLORED]: 0.45 };
+const FogOverlay = React.memo(({ fogMask, cellSize, visibleBounds }) => {
+  if (!fogMask || !visibleBounds) return null;
+
+  return (
+    <Graphics
+      zIndex={110}
+      draw={(g) => {
+        g.clear();
+        const { width, height, mask } = fogMask;
+        const maxX = Math.min(width - 1, visibleBounds.maxX);
+        const maxY = Math.min(height - 1, visibleBounds.maxY);
+        for (let y = visibleBounds.minY; y <= maxY; y++) {
+          let x = visibleBounds.minX;
+          while (x <= maxX) {
+            const value = mask[y * width + x];
+            let end = x + 1;
+            while (end <= maxX && mask[y * width + end] === value) end++;
+            if (value !== FOG_VISIBLE) {
+              g.beginFill(0x0b0f19, FOG_ALPHA[value] ?? 0.85);
+              g.drawRect(x * cellSize, y * cellSize, (end - x) * cellSize, cellSize);
+              g.endFill();
+            }
+            x = end;
+          }
+        }
+      }}
+    />
+  );
+});
+
 // Note: renderTowers for resource upgrades has been removed
 // Towers are now handled as structures within nations.cities
 
@@ -1027,6 +1150,27 @@ function usePanZoom({ mapMetadata, stageWidth, stageHeight }) {
     [clampOffsetFinal]
   );
 
+  // Center the viewport on a map cell, zooming in to at least `minScale`
+  const centerOnCell = useCallback(
+    (cellX, cellY, minScale = 1) => {
+      const nextScale = Math.min(
+        Math.max(scaleRef.current, minScale, computedMinScale),
+        14
+      );
+      const next = clampOffsetFinal(
+        {
+          x: stageWidth / 2 - (cellX + 0.5) * cellSize * nextScale,
+          y: stageHeight / 2 - (cellY + 0.5) * cellSize * nextScale,
+        },
+        nextScale
+      );
+      scaleRef.current = nextScale;
+      setScale(nextScale);
+      setOffset(next);
+    },
+    [stageWidth, stageHeight, cellSize, computedMinScale, clampOffsetFinal]
+  );
+
   const getCellCoordinates = useCallback(
     (screenX, screenY) => {
       const adjustedX = (screenX - offset.x) / scale;
@@ -1049,6 +1193,7 @@ function usePanZoom({ mapMetadata, stageWidth, stageHeight }) {
     panBy,
     handleWheel,
     zoomAtPoint,
+    centerOnCell,
     getCellCoordinates,
     computedMinScale,
   };
@@ -1160,8 +1305,8 @@ const NationOverlay = React.memo(({
     "#5E5CE6",
   ];
   const nationColor =
-    nation.color ||
     nationColors?.[nation.owner] ||
+    nation.color ||
     palette[nationIndex % palette.length];
   const baseColor = string2hex(nationColor);
 
@@ -1314,7 +1459,7 @@ const NationOverlay = React.memo(({
           return (
             <React.Fragment key={`city-${nation.owner}-${idx}`}>
               <BorderedSprite
-                texture={buildIconMap[city.type] || `/${city.type.toLowerCase().replace(" ", "_")}.png`}
+                texture={getStructureIcon(city.type)}
                 x={centerX}
                 y={centerY}
                 width={iconSize}
@@ -1368,18 +1513,21 @@ const GameCanvas = ({
   onArrowPathUpdate,
   onSendArrow,
   onCancelArrow,
+  onSendNaval,
   activeAttackArrows,
   activeDefendArrow,
   uiMode,
   isMobile,
   onInspectCell,
   troopDensityMap,
+  fog = null,
   combatFlashes,
   setCombatFlashes,
   regionData,
   isDiscord,
   stageWidth,
   stageHeight,
+  followCell = null,
 }) => {
   const viewportWidth = Math.max(
     1,
@@ -1398,6 +1546,7 @@ const GameCanvas = ({
     panBy,
     handleWheel,
     zoomAtPoint,
+    centerOnCell,
     getCellCoordinates,
   } = usePanZoom({
     mapMetadata,
@@ -1405,16 +1554,31 @@ const GameCanvas = ({
     stageHeight: viewportHeight,
   });
 
+  // Spectators following a nation: re-center whenever the followed cell moves
+  const followX = followCell?.x;
+  const followY = followCell?.y;
+  useEffect(() => {
+    if (!Number.isFinite(followX) || !Number.isFinite(followY)) return;
+    centerOnCell(followX, followY, 3);
+  }, [followX, followY]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Local state for unit selections and hovered cell
   const [hoveredCell, setHoveredCell] = useState(null);
   const hoverFrameRef = useRef(null);
   const pendingHoverRef = useRef(null);
   const nations = gameState?.gameState?.nations || [];
+  // Allied nations are tinted toward their team color
+  const teamKey = nations.map((n) => `${n.owner}:${n.team ?? ""}`).join(",");
+  const territoryColors = useMemo(
+    () => applyTeamColors(nationColors, nations),
+    [nationColors, teamKey] // eslint-disable-line react-hooks/exhaustive-deps
+  );
   const playerNation = useMemo(() =>
     nations.find((n) => sameOwner(n.owner, userId) && n.status !== "defeated") || null,
     [nations, userId]
   );
   const resourceNodeClaims = gameState?.gameState?.resourceNodeClaims || {};
+  const resourceUpgrades = gameState?.gameState?.resourceUpgrades;
   const captureTicks =
     config?.territorial?.resourceCaptureTicks || 20;
   const [captureEffects, setCaptureEffects] = useState([]);
@@ -1574,6 +1738,22 @@ const GameCanvas = ({
     return rows;
   }, [mapGrid, mapMetadata]);
 
+  // Biome and resources of a tile, for build placement previews
+  const getBuildTile = useCallback(
+    (x, y) => {
+      const cell = mapGridByRow[y]?.[x];
+      if (!cell) return null;
+      const resources = Array.isArray(cell[5]) ? cell[5] : [];
+      return {
+        biome: mappings?.biomes?.[cell[3]] || cell[3],
+        resources: resources.map((r) =>
+          typeof r === "string" ? r : mappings?.resources?.[r] ?? r
+        ),
+      };
+    },
+    [mapGridByRow, mappings]
+  );
+
   const biomeColors = useMemo(
     () => ({
       OCEAN: 0x1b4f72,
@@ -2083,7 +2263,16 @@ const GameCanvas = ({
               (n) => sameOwner(n.owner, userId)
             );
             const pop = playerNation?.population || 0;
-            const maxRange = Math.min(maxRangeCfg, baseRange + Math.sqrt(pop) * rangePerSqrtPop);
+            // Researched techs can raise the cap (see server research.js)
+            const researchRange = (playerNation?.research?.completed || []).reduce(
+              (sum, techId) =>
+                sum + (Number(cfg?.research?.techs?.[techId]?.effects?.arrowRange) || 0),
+              0
+            );
+            const maxRange = Math.min(
+              maxRangeCfg + researchRange,
+              baseRange + Math.sqrt(pop) * rangePerSqrtPop
+            );
 
             // Compute current path length
             const path = arrowPathRef.current;
@@ -2279,18 +2468,6 @@ const GameCanvas = ({
         return;
       }
       if (buildingStructure) {
-        const gridCellData = mapGridByRow[cell.y]?.[cell.x];
-        const resourceStructureMapping = {
-          farm: "food",
-          "lumber mill": "wood",
-          mine: ["stone", "bronze", "steel"],
-          stable: "horses",
-        };
-        const required = resourceStructureMapping[buildingStructure];
-        const cellResources = gridCellData ? gridCellData[5] : [];
-        let resourceValid = Array.isArray(required)
-          ? required.some((r) => cellResources.includes(r))
-          : cellResources.includes(required);
         const userNation = gameState?.gameState?.nations?.find(
           (n) => sameOwner(n.owner, userId)
         );
@@ -2305,15 +2482,26 @@ const GameCanvas = ({
             }
           }
         }
-        resourceValid =
-          resourceValid ||
-          ["town", "capital", "fort"].includes(buildingStructure);
-        if (resourceValid && territoryValid) {
+        const siteError = getStructureSiteError(
+          buildingStructure,
+          cell.x,
+          cell.y,
+          getBuildTile,
+          userNation,
+          config?.structures
+        );
+        if (!siteError && territoryValid) {
           onBuildCity?.(cell.x, cell.y, buildingStructure);
         }
         onCancelBuild();
         return;
       }
+      if (uiMode === "naval") {
+        if (isCoastTile(cell.x, cell.y, getBuildTile)) {
+          onSendNaval?.(cell.x, cell.y);
+        }
+        return;
+      }
       if (uiMode === "idle" && onInspectCell) {
         const gridCellData = mapGridByRow[cell.y]?.[cell.x];
         const info = gridCellData
@@ -2338,6 +2526,10 @@ const GameCanvas = ({
       onInspectCell,
       buildCellInfo,
       clearLongPress,
+      getBuildTile,
+      config,
+      uiMode,
+      onSendNaval,
     ]
   );
 
@@ -2354,6 +2546,9 @@ const GameCanvas = ({
     return result;
   }, [mappings]);
 
+  // Server fog-of-war mask (null when the whole map is visible)
+  const fogMask = useMemo(() => decodeFogMask(fog), [fog]);
+
   /* ----- Render Nation Overlays using NationOverlay ----- */
   const visibleBounds = useMemo(() => {
     if (!mapMetadata) return null;
@@ -2385,7 +2580,7 @@ const GameCanvas = ({
           cellSize={cellSize}
           scale={scale}
           userId={userId}
-          nationColors={nationColors}
+          nationColors={territoryColors}
           ownershipMap={ownershipMap}
           visibleBounds={visibleBounds}
         />
@@ -2397,7 +2592,7 @@ const GameCanvas = ({
     cellSize,
     scale,
     userId,
-    nationColors,
+    territoryColors,
     ownershipMap,
     visibleBounds,
   ]);
@@ -2436,8 +2631,8 @@ const GameCanvas = ({
       });
       console.log("[CLIENT RESOURCES] sample counts", counts);
     }
-    return renderResources(visibleMapGrid, cellSize, scale);
-  }, [visibleMapGrid, cellSize, scale]);
+    return renderResources(visibleMapGrid, cellSize, scale, resourceUpgrades);
+  }, [visibleMapGrid, cellSize, scale, resourceUpgrades]);
   const memoizedCaptureOverlays = useMemo(() => {
     if (scale < 0.45) return null;
     return renderResourceCaptureOverlays(
@@ -2553,18 +2748,6 @@ const GameCanvas = ({
 
   let buildPreview = null;
   if (buildingStructure && hoveredCell) {
-    const gridCellData = mapGridByRow[hoveredCell.y]?.[hoveredCell.x];
-    const resourceStructureMapping = {
-      farm: "food",
-      "lumber mill": "wood",
-      mine: ["stone", "bronze", "steel"],
-      stable: "horses",
-    };
-    const required = resourceStructureMapping[buildingStructure];
-    const cellResources = gridCellData ? gridCellData[5] : [];
-    let resourceValid = Array.isArray(required)
-      ? required.some((r) => cellResources.includes(r))
-      : cellResources.includes(required);
     const userNation = gameState?.gameState?.nations?.find(
       (n) => sameOwner(n.owner, userId)
     );
@@ -2579,13 +2762,17 @@ const GameCanvas = ({
         }
       }
     }
-    resourceValid =
-      resourceValid || ["town", "capital", "fort", "tower"].includes(buildingStructure);
-    const valid = resourceValid && territoryValid;
+    const siteError = getStructureSiteError(
+      buildingStructure,
+      hoveredCell.x,
+      hoveredCell.y,
+      getBuildTile,
+      userNation,
+      config?.structures
+    );
+    const valid = !siteError && territoryValid;
     const borderColor = valid ? 0x00ff00 : 0xff0000;
-    const previewTexture =
-      buildIconMap[buildingStructure] ||
-      `/${buildingStructure.toLowerCase().replace(" ", "_")}.png`;
+    const previewTexture = getStructureIcon(buildingStructure);
     buildPreview = (
       <BorderedSprite
         texture={previewTexture}
@@ -2602,6 +2789,25 @@ const GameCanvas = ({
     );
   }
 
+  let navalPreview = null;
+  if (uiMode === "naval" && hoveredCell) {
+    const valid = isCoastTile(hoveredCell.x, hoveredCell.y, getBuildTile);
+    navalPreview = (
+      <Graphics
+        zIndex={300}
+        draw={(g) => {
+          g.clear();
+          g.lineStyle(2, valid ? 0x00ff00 : 0xff0000, 0.9);
+          g.drawCircle(
+            hoveredCell.x * cellSize + cellSize / 2,
+            hoveredCell.y * cellSize + cellSize / 2,
+            cellSize * 1.2
+          );
+        }}
+      />
+    );
+  }
+
   const sceneChildren = useMemo(() => {
     const children = [];
     if (useFullMapTexture && fullMapImageUrl && mapMetadata) {
@@ -2657,7 +2863,7 @@ const GameCanvas = ({
           mapHeight={mapMetadata.height}
           cellSize={cellSize}
           nations={nations}
-          nationColors={nationColors}
+          nationColors={territoryColors}
           zIndex={100}
         />
       );
@@ -2703,6 +2909,17 @@ const GameCanvas = ({
       );
     }
 
+    if (fogMask) {
+      children.push(
+        <FogOverlay
+          key="fog-of-war"
+          fogMask={fogMask}
+          cellSize={cellSize}
+          visibleBounds={visibleBounds}
+        />
+      );
+    }
+
     // NOTE: Attack and defend arrows are rendered OUTSIDE this useMemo
     // (directly in the JSX below) so they always reflect the latest state
     // and don't get stuck from stale memoization.
@@ -2825,12 +3042,13 @@ const GameCanvas = ({
     playerNation,
     combatFlashes,
     captureEffectTime,
+    fogMask,
     visibleBounds,
     drawingArrowType,
     currentArrowPath,
     buildPreview,
     nations,
-    nationColors,
+    territoryColors,
     regionData,
     hoveredRegionId,
     regionBuildable,
@@ -2869,6 +3087,7 @@ const GameCanvas = ({
           foundingNation ||
           uiMode === "drawAttack" ||
           uiMode === "drawDefend" ||
+          uiMode === "naval" ||
           drawingArrowType
             ? "crosshair"
             : isPanning
@@ -2903,6 +3122,38 @@ const GameCanvas = ({
             />
           ) : null
         )}
+        {/* Own fleets' remaining sea routes, then every nation's ships */}
+        {(playerNation?.arrowOrders?.naval || []).map((fleet, i) =>
+          Array.isArray(fleet?.path)
+            ? renderArrowPath(
+                [
+                  { x: fleet.x, y: fleet.y },
+                  ...fleet.path.filter((_, pi) => pi >= getFleetLeg(fleet)),
+                ],
+                cellSize,
+                "naval",
+                true,
+                `naval-route-${fleet.id || i}`,
+                null,
+                scale,
+                0x66ccff
+              )
+            : null
+        )}
+        {nations.flatMap((nation) =>
+          nation.status === "defeated"
+            ? []
+            : (nation.fleets || []).map((fleet, i) =>
+                renderFleet(
+                  fleet,
+                  cellSize,
+                  `fleet-${nation.owner}-${fleet.id || i}`,
+                  scale,
+                  string2hex(territoryColors?.[nation.owner] || nation.color || "#ffffff")
+                )
+              )
+        )}
+        {navalPreview}
         {activeDefendArrow?.path
           ? renderArrowPath(
               activeDefendArrow.path,
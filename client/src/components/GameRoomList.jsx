@@ -1,9 +1,18 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { Lock } from "lucide-react";
 import { ErrorMessage, LoadingSpinner } from "./ErrorHandling";
 import MapCreationPoller from "./MapCreationPoller";
 import { useAuth } from "../context/AuthContext";
 import { apiFetch } from "../utils/api";
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from "../utils/bots";
+import {
+  WIN_MODES,
+  DEFAULT_WIN_MODE,
+  DEFAULT_WIN_PERCENTAGE,
+  DEFAULT_MATCH_LENGTH_MINUTES,
+  getWinModeLabel,
+} from "../utils/victory";
 
 const MAP_SIZES = {
   Small: { width: 250, height: 250, erosion_passes: 3, num_blobs: 7 },
@@ -11,6 +20,46 @@ const MAP_SIZES = {
   Large: { width: 1000, height: 1000, erosion_passes: 3, num_blobs: 12 },
 };
 
+// Heightmap part of the room request: a bundled preset or an uploaded PNG
+const buildHeightmapRequest = (formData) => {
+  if (formData.selectedMapId.startsWith("preset:")) {
+    return { preset: formData.selectedMapId.slice("preset:".length) };
+  }
+  if (formData.selectedMapId === "upload" && formData.heightmapImage) {
+    return {
+      image: formData.heightmapImage,
+      biomeImage: formData.biomeImage || undefined,
+      seaLevel: Number(formData.seaLevel),
+    };
+  }
+  return undefined;
+};
+
+// Same values as server/utils/roomAccess.js
+const VISIBILITY_OPTIONS = [
+  { value: "public", label: "Public", hint: "Listed below; anyone can join." },
+  {
+    value: "unlisted",
+    label: "Unlisted",
+    hint: "Hidden from the list; players join with the invite link or code.",
+  },
+  {
+    value: "private",
+    label: "Private",
+    hint: "Hidden from the list; only you can share the invite, and outsiders can't spectate.",
+  },
+];
+const MAX_ROOM_PLAYERS = 16;
+
+const STATUS_FILTERS = [
+  { value: "all", label: "All" },
+  { value: "lobby", label: "Lobby" },
+  { value: "open", label: "In Progress" },
+];
+
+const isRoomFull = (room) =>
+  !!room.maxPlayers && (room.players?.length ?? 0) >= room.maxPlayers;
+
 const buildDefaultRoomName = (creatorLabel) =>
   `${creatorLabel || "Player"}'s room`;
 
@@ -32,10 +81,29 @@ const CreateGameRoomForm = ({
     erosion_passes: MAP_SIZES.Normal.erosion_passes,
     num_blobs: MAP_SIZES.Normal.num_blobs,
     joinCode: "",
+    visibility: "public",
+    roomPassword: "",
+    maxPlayers: 0,
     botCount: 0,
+    botDifficulty: DEFAULT_BOT_DIFFICULTY,
+    customBotDifficulties: false,
+    botDifficulties: [],
     allowRefound: true,
+    fogOfWar: false,
+    teamCount: 0,
+    winMode: DEFAULT_WIN_MODE,
+    winPercentage: DEFAULT_WIN_PERCENTAGE,
+    matchLengthMinutes: DEFAULT_MATCH_LENGTH_MINUTES,
+    heightmapImage: null,
+    biomeImage: null,
+    seaLevel: 0.35,
+    archetype: "",
   });
 
+  const [customMaps, setCustomMaps] = useState([]);
+  const [heightmapPresets, setHeightmapPresets] = useState([]);
+  const [archetypes, setArchetypes] = useState([]);
+
   useEffect(() => {
     if (!isOpen) return;
     setFormData((prev) => ({
@@ -44,12 +112,63 @@ const CreateGameRoomForm = ({
     }));
   }, [isOpen, creatorLabel]);
 
+  // Maps saved from the map editor can stand in for a generated map
+  useEffect(() => {
+    if (!isOpen) return;
+    apiFetch("api/maps?source=editor")
+      .then((response) => (response.ok ? response.json() : []))
+      .then((maps) =>
+        setCustomMaps(maps.filter((map) => map.status === "ready"))
+      )
+      .catch((err) => console.error("Failed to load custom maps:", err));
+    apiFetch("api/maps/heightmaps")
+      .then((response) => (response.ok ? response.json() : []))
+      .then(setHeightmapPresets)
+      .catch((err) => console.error("Failed to load heightmap presets:", err));
+    apiFetch("api/maps/archetypes")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setArchetypes(data.archetypes || []);
+        setFormData((prev) => ({
+          ...prev,
+          archetype: prev.archetype || data.default || "",
+        }));
+      })
+      .catch((err) => console.error("Failed to load map archetypes:", err));
+  }, [isOpen]);
+
   if (!isOpen) return null;
 
+  const handleBotDifficultyChange = (index, value) => {
+    setFormData((prev) => {
+      const botDifficulties = [...prev.botDifficulties];
+      botDifficulties[index] = value;
+      return { ...prev, botDifficulties };
+    });
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
 
-    if (name === "mapSize") {
+    if (name === "selectedMapId") {
+      // Presets and uploaded heightmaps are still generated at the chosen size
+      setFormData((prev) => ({
+        ...prev,
+        selectedMapId: value,
+        generateNewMap: !value || value === "upload" || value.startsWith("preset:"),
+      }));
+    } else if (type === "file") {
+      const file = e.target.files?.[0];
+      if (!file) {
+        setFormData((prev) => ({ ...prev, [name]: null }));
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () =>
+        setFormData((prev) => ({ ...prev, [name]: reader.result }));
+      reader.readAsDataURL(file);
+    } else if (name === "mapSize") {
       // When map size changes, update both width and height
       const selectedSize = MAP_SIZES[value];
       setFormData((prev) => ({
@@ -133,6 +252,81 @@ const CreateGameRoomForm = ({
                   />
                 </div>
 
+                {/* Visibility */}
+                <div>
+                  <label
+                    htmlFor="visibility"
+                    className="block text-sm font-medium text-gray-500"
+                  >
+                    Visibility
+                  </label>
+                  <select
+                    id="visibility"
+                    name="visibility"
+                    value={formData.visibility}
+                    onChange={handleChange}
+                    className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    {VISIBILITY_OPTIONS.map(({ value, label }) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {
+                      VISIBILITY_OPTIONS.find(
+                        (option) => option.value === formData.visibility
+                      )?.hint
+                    }
+                  </p>
+                </div>
+
+                {/* Room Password */}
+                <div>
+                  <label
+                    htmlFor="roomPassword"
+                    className="block text-sm font-medium text-gray-500"
+                  >
+                    Password (optional)
+                  </label>
+                  <input
+                    type="password"
+                    id="roomPassword"
+                    name="roomPassword"
+                    value={formData.roomPassword}
+                    onChange={handleChange}
+                    autoComplete="new-password"
+                    className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                </div>
+
+                {/* Max Players */}
+                <div>
+                  <label
+                    htmlFor="maxPlayers"
+                    className="block text-sm font-medium text-gray-500"
+                  >
+                    Max Players
+                  </label>
+                  <select
+                    id="maxPlayers"
+                    name="maxPlayers"
+                    value={formData.maxPlayers}
+                    onChange={handleChange}
+                    className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    <option value={0}>No limit</option>
+                    {Array.from({ length: MAX_ROOM_PLAYERS }, (_, i) => i + 1).map(
+                      (count) => (
+                        <option key={count} value={count}>
+                          {count}
+                        </option>
+                      )
+                    )}
+                  </select>
+                </div>
+
                 <div className="text-sm text-gray-400">
                   Creator: <span className="text-gray-200">{creatorLabel}</span>
                 </div>
@@ -141,27 +335,130 @@ const CreateGameRoomForm = ({
                 <div className="space-y-2">
                   <div>
                     <label
-                      htmlFor="mapSize"
+                      htmlFor="selectedMapId"
                       className="block text-sm font-medium text-gray-500"
                     >
-                      Map Size
+                      Map
                     </label>
                     <select
-                      id="mapSize"
-                      name="mapSize"
-                      value={formData.mapSize}
+                      id="selectedMapId"
+                      name="selectedMapId"
+                      value={formData.selectedMapId}
                       onChange={handleChange}
                       className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
-                      required
                     >
-                      {Object.keys(MAP_SIZES).map((size) => (
-                        <option key={size} value={size}>
-                          {size} ({MAP_SIZES[size].width}x
-                          {MAP_SIZES[size].height})
+                      <option value="">Generate a new map</option>
+                      {heightmapPresets.map((preset) => (
+                        <option key={preset.id} value={`preset:${preset.id}`}>
+                          {preset.label} (real-world)
+                        </option>
+                      ))}
+                      <option value="upload">Upload a heightmap...</option>
+                      {customMaps.map((map) => (
+                        <option key={map._id} value={map._id}>
+                          {map.name} ({map.width}x{map.height})
                         </option>
                       ))}
                     </select>
                   </div>
+                  {formData.selectedMapId === "upload" && (
+                    <div className="space-y-2 text-sm text-gray-500">
+                      <label className="block">
+                        Heightmap PNG (grayscale, brighter is higher)
+                        <input
+                          type="file"
+                          name="heightmapImage"
+                          accept="image/png"
+                          onChange={handleChange}
+                          className="mt-1 block w-full text-gray-300"
+                          required
+                        />
+                      </label>
+                      <label className="block">
+                        Biome colors PNG (optional)
+                        <input
+                          type="file"
+                          name="biomeImage"
+                          accept="image/png"
+                          onChange={handleChange}
+                          className="mt-1 block w-full text-gray-300"
+                        />
+                      </label>
+                      <label className="block">
+                        Sea level: {Number(formData.seaLevel).toFixed(2)}
+                        <input
+                          type="range"
+                          name="seaLevel"
+                          min="0.05"
+                          max="0.95"
+                          step="0.01"
+                          value={formData.seaLevel}
+                          onChange={handleChange}
+                          className="block w-full"
+                        />
+                      </label>
+                    </div>
+                  )}
+                  {!formData.selectedMapId && archetypes.length > 0 && (
+                    <div>
+                      <label
+                        htmlFor="archetype"
+                        className="block text-sm font-medium text-gray-500"
+                      >
+                        Map Type
+                      </label>
+                      <select
+                        id="archetype"
+                        name="archetype"
+                        value={formData.archetype}
+                        onChange={handleChange}
+                        className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      >
+                        {archetypes.map((archetype) => (
+                          <option key={archetype.id} value={archetype.id}>
+                            {archetype.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {
+                          archetypes.find(
+                            (archetype) => archetype.id === formData.archetype
+                          )?.description
+                        }
+                      </p>
+                    </div>
+                  )}
+                  {formData.generateNewMap && (
+                    <div>
+                      <label
+                        htmlFor="mapSize"
+                        className="block text-sm font-medium text-gray-500"
+                      >
+                        Map Size
+                      </label>
+                      <select
+                        id="mapSize"
+                        name="mapSize"
+                        value={formData.mapSize}
+                        onChange={handleChange}
+                        className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        required
+                      >
+                        {Object.keys(MAP_SIZES).map((size) => (
+                          <option key={size} value={size}>
+                            {size} ({MAP_SIZES[size].width}x
+                            {MAP_SIZES[size].height})
+                          </option>
+                        ))}
+                      </select>
+                      {formData.selectedMapId && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Sets the width; the height follows the image.
+                        </p>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Bot Count */}
@@ -187,6 +484,174 @@ const CreateGameRoomForm = ({
                   </p>
                 </div>
 
+                {/* Bot Difficulty */}
+                {Number(formData.botCount) > 0 && (
+                  <div>
+                    <label
+                      htmlFor="botDifficulty"
+                      className="block text-sm font-medium text-gray-500"
+                    >
+                      Bot Difficulty
+                    </label>
+                    <select
+                      id="botDifficulty"
+                      name="botDifficulty"
+                      value={formData.botDifficulty}
+                      onChange={handleChange}
+                      className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    >
+                      {BOT_DIFFICULTIES.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="flex items-center gap-2 mt-2">
+                      <input
+                        type="checkbox"
+                        id="customBotDifficulties"
+                        name="customBotDifficulties"
+                        checked={formData.customBotDifficulties}
+                        onChange={handleChange}
+                        className="h-4 w-4"
+                      />
+                      <label
+                        htmlFor="customBotDifficulties"
+                        className="text-sm text-gray-500"
+                      >
+                        Set difficulty per bot
+                      </label>
+                    </div>
+                    {formData.customBotDifficulties && (
+                      <div className="grid grid-cols-2 gap-2 mt-2">
+                        {Array.from(
+                          { length: Math.min(20, Number(formData.botCount)) },
+                          (_, index) => (
+                            <label
+                              key={index}
+                              className="flex items-center gap-2 text-xs text-gray-500"
+                            >
+                              Bot {index + 1}
+                              <select
+                                value={
+                                  formData.botDifficulties[index] ||
+                                  formData.botDifficulty
+                                }
+                                onChange={(e) =>
+                                  handleBotDifficultyChange(index, e.target.value)
+                                }
+                                className="flex-1 text-black rounded border border-gray-300 px-1 py-1"
+                              >
+                                {BOT_DIFFICULTIES.map(({ value, label }) => (
+                                  <option key={value} value={value}>
+                                    {label}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                          )
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Team Mode */}
+                <div>
+                  <label
+                    htmlFor="teamCount"
+                    className="block text-sm font-medium text-gray-500"
+                  >
+                    Game Mode
+                  </label>
+                  <select
+                    id="teamCount"
+                    name="teamCount"
+                    value={formData.teamCount}
+                    onChange={handleChange}
+                    className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    <option value={0}>Free-for-all</option>
+                    {[2, 3, 4].map((count) => (
+                      <option key={count} value={count}>
+                        {count} teams
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Teams are assigned by the room creator in the lobby.
+                  </p>
+                </div>
+
+                {/* Win Mode */}
+                <div>
+                  <label
+                    htmlFor="winMode"
+                    className="block text-sm font-medium text-gray-500"
+                  >
+                    Victory Condition
+                  </label>
+                  <select
+                    id="winMode"
+                    name="winMode"
+                    value={formData.winMode}
+                    onChange={handleChange}
+                    className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    {WIN_MODES.map(({ value, label }) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {
+                      WIN_MODES.find((mode) => mode.value === formData.winMode)
+                        ?.description
+                    }
+                  </p>
+                  {formData.winMode === "territory" && (
+                    <div className="mt-2">
+                      <label
+                        htmlFor="winPercentage"
+                        className="block text-sm font-medium text-gray-500"
+                      >
+                        Land to Win (%)
+                      </label>
+                      <input
+                        type="number"
+                        id="winPercentage"
+                        name="winPercentage"
+                        min="20"
+                        max="100"
+                        value={formData.winPercentage}
+                        onChange={handleChange}
+                        className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      />
+                    </div>
+                  )}
+                  {formData.winMode === "score" && (
+                    <div className="mt-2">
+                      <label
+                        htmlFor="matchLengthMinutes"
+                        className="block text-sm font-medium text-gray-500"
+                      >
+                        Match Length (minutes)
+                      </label>
+                      <input
+                        type="number"
+                        id="matchLengthMinutes"
+                        name="matchLengthMinutes"
+                        min="1"
+                        max="180"
+                        value={formData.matchLengthMinutes}
+                        onChange={handleChange}
+                        className="mt-1 text-black block w-full rounded-md border border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      />
+                    </div>
+                  )}
+                </div>
+
                 <div className="flex items-center gap-2">
                   <input
                     type="checkbox"
@@ -204,6 +669,23 @@ const CreateGameRoomForm = ({
                   </label>
                 </div>
 
+                <div className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    id="fogOfWar"
+                    name="fogOfWar"
+                    checked={formData.fogOfWar}
+                    onChange={handleChange}
+                    className="h-4 w-4"
+                  />
+                  <label
+                    htmlFor="fogOfWar"
+                    className="text-sm font-medium text-gray-500"
+                  >
+                    Fog of war (only see land near your territory)
+                  </label>
+                </div>
+
                 {/* Form Buttons */}
                 <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
                   <button
@@ -244,6 +726,13 @@ const GameRoomList = () => {
   const [error, setError] = useState(null);
   const [createError, setCreateError] = useState(null);
   const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
+  const [filters, setFilters] = useState({
+    search: "",
+    status: "all",
+    hideFull: false,
+    hidePassworded: false,
+  });
+  const [inviteCode, setInviteCode] = useState("");
 
   const [mapGenerationState, setMapGenerationState] = useState({
     isPolling: false,
@@ -299,18 +788,39 @@ const GameRoomList = () => {
         body: JSON.stringify({
           roomName: formData.roomName,
           joinCode: formData.joinCode,
+          visibility: formData.visibility,
+          roomPassword: formData.roomPassword || undefined,
+          maxPlayers: Number(formData.maxPlayers || 0),
           mapName: `Room:${profile?.displayName || user.id}`,
           width: formData.width,
           height: formData.height,
           erosion_passes: formData.erosion_passes,
           num_blobs: formData.num_blobs,
+          mapId: formData.generateNewMap ? undefined : formData.selectedMapId,
+          heightmap: buildHeightmapRequest(formData),
+          archetype: formData.selectedMapId
+            ? undefined
+            : formData.archetype || undefined,
           botCount: Number(formData.botCount || 0),
+          botDifficulty: formData.customBotDifficulties
+            ? Array.from(
+                { length: Number(formData.botCount || 0) },
+                (_, index) =>
+                  formData.botDifficulties[index] || formData.botDifficulty
+              )
+            : formData.botDifficulty,
           allowRefound: !!formData.allowRefound,
+          fogOfWar: !!formData.fogOfWar,
+          teamCount: Number(formData.teamCount || 0),
+          winMode: formData.winMode,
+          winPercentage: Number(formData.winPercentage),
+          matchLengthMinutes: Number(formData.matchLengthMinutes),
         }),
       });
 
       if (!response.ok) {
-        throw new Error("Failed to create game room");
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "Failed to create game room");
       }
 
       const result = await response.json(); // { gameRoomId, joinCode }
@@ -318,6 +828,7 @@ const GameRoomList = () => {
       setMapGenerationState({
         isPolling: true,
         gameRoomId: result.gameRoomId,
+        joinCode: result.joinCode,
         formData: formData,
       });
 
@@ -337,11 +848,10 @@ const GameRoomList = () => {
 
     // Store join code for convenience
     const roomKey = `gameRoom-${mapGenerationState.gameRoomId}-userId`;
-    if (mapGenerationState.formData?.joinCode) {
-      localStorage.setItem(
-        `${roomKey}-joinCode`,
-        mapGenerationState.formData.joinCode
-      );
+    const joinCode =
+      mapGenerationState.joinCode || mapGenerationState.formData?.joinCode;
+    if (joinCode) {
+      localStorage.setItem(`${roomKey}-joinCode`, joinCode);
     }
     // Optionally, you can store credentials or any additional data here.
     navigate(`/rooms/${mapGenerationState.gameRoomId}`);
@@ -358,8 +868,27 @@ const GameRoomList = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const updateFilter = (name, value) =>
+    setFilters((prev) => ({ ...prev, [name]: value }));
+
+  const handleInviteSubmit = (e) => {
+    e.preventDefault();
+    const code = inviteCode.trim();
+    if (code) navigate(`/invite/${encodeURIComponent(code)}`);
+  };
+
   if (isLoading && gameRooms.length === 0) return <LoadingSpinner />;
   const displayName = profile?.displayName || user?.id || "Unknown";
+  const search = filters.search.trim().toLowerCase();
+  const visibleRooms = gameRooms.filter((room) => {
+    if (search && !String(room.roomName || "").toLowerCase().includes(search)) {
+      return false;
+    }
+    if (filters.status !== "all" && room.status !== filters.status) return false;
+    if (filters.hideFull && isRoomFull(room)) return false;
+    if (filters.hidePassworded && room.hasPassword) return false;
+    return true;
+  });
 
   return (
     <div className="w-full p-4 sm:p-6">
@@ -405,6 +934,62 @@ const GameRoomList = () => {
 
       {createError && <ErrorMessage message={createError} />}
 
+      <div
+        className="mb-4 flex flex-wrap items-center gap-3 rounded-lg bg-gray-900 p-3 text-sm text-gray-200"
+        style={{ backgroundColor: "rgba(17, 24, 39, 0.78)" }}
+      >
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => updateFilter("search", e.target.value)}
+          placeholder="Search rooms"
+          className="min-w-0 flex-1 rounded-md border border-gray-700 bg-gray-800 px-3 py-1.5 text-white"
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilter("status", e.target.value)}
+          className="rounded-md border border-gray-700 bg-gray-800 px-2 py-1.5 text-white"
+        >
+          {STATUS_FILTERS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.hideFull}
+            onChange={(e) => updateFilter("hideFull", e.target.checked)}
+          />
+          Hide full
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.hidePassworded}
+            onChange={(e) => updateFilter("hidePassworded", e.target.checked)}
+          />
+          Hide password-protected
+        </label>
+        <form onSubmit={handleInviteSubmit} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value)}
+            placeholder="Invite code"
+            className="w-32 rounded-md border border-gray-700 bg-gray-800 px-3 py-1.5 text-white"
+          />
+          <button
+            type="submit"
+            disabled={!inviteCode.trim()}
+            className="rounded-md bg-gray-700 px-3 py-1.5 text-white hover:bg-gray-600 disabled:opacity-60"
+          >
+            Join
+          </button>
+        </form>
+      </div>
+
       <div className="space-y-4">
         {gameRooms.length === 0 && (
           <div
@@ -414,7 +999,15 @@ const GameRoomList = () => {
             No open games available. Start one and invite players from Discord.
           </div>
         )}
-        {gameRooms.map((room) => (
+        {gameRooms.length > 0 && visibleRooms.length === 0 && (
+          <div
+            className="rounded-lg bg-gray-900 p-4 text-sm text-gray-200"
+            style={{ backgroundColor: "rgba(17, 24, 39, 0.78)" }}
+          >
+            No rooms match these filters.
+          </div>
+        )}
+        {visibleRooms.map((room) => (
           <div
             key={room._id}
             className="rounded-lg bg-gray-900 p-4 shadow-sm transition-shadow duration-200 hover:shadow-md"
@@ -422,8 +1015,11 @@ const GameRoomList = () => {
           >
             <div className="flex justify-between items-center">
               <div>
-                <h2 className="text-xl font-semibold text-gray-100">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-100">
                   {room.roomName}
+                  {room.hasPassword && (
+                    <Lock size={16} className="text-yellow-400" aria-label="Password protected" />
+                  )}
                 </h2>
                 <p className="mt-1 text-sm text-gray-300">
                   Created: {new Date(room.createdAt).toLocaleDateString()}
@@ -433,13 +1029,30 @@ const GameRoomList = () => {
                 </p>
                 <p className="text-sm text-gray-300">
                   Players: {room.connectedPlayers ?? room.players?.length ?? 0}
+                  {room.maxPlayers ? ` / ${room.maxPlayers}` : ""}
                 </p>
+                {room.spectatorCount > 0 && (
+                  <p className="text-sm text-gray-300">
+                    Spectators: {room.spectatorCount}
+                  </p>
+                )}
                 <p className="text-sm text-gray-300">
                   Status: {room.status === "lobby" ? "Lobby" : "In Progress"}
                 </p>
                 <p className="text-sm text-gray-300">
                   Refounding: {room.allowRefound === false ? "Disabled" : "Allowed"}
                 </p>
+                {room.teamCount > 1 && (
+                  <p className="text-sm text-gray-300">
+                    Mode: {room.teamCount} teams
+                  </p>
+                )}
+                <p className="text-sm text-gray-300">
+                  Victory: {getWinModeLabel(room.winMode)}
+                </p>
+                {room.fogOfWar && (
+                  <p className="text-sm text-gray-300">Fog of war</p>
+                )}
               </div>
               <div className="flex gap-3">
                 <button
@@ -0,0 +1,51 @@
+// InviteLink.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { apiFetch } from "../utils/api";
+import { ErrorMessage, LoadingSpinner } from "./ErrorHandling";
+
+/** /invite/:code — look up the room behind a join code and open it with the code filled in. */
+const InviteLink = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isActive = true;
+    const resolveInvite = async () => {
+      try {
+        const response = await apiFetch(
+          `api/gamerooms/invite/${encodeURIComponent(code)}`
+        );
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to open invite link");
+        }
+        if (!isActive) return;
+        localStorage.setItem(`gameRoom-${data.gameRoomId}-userId-joinCode`, code);
+        navigate(`/rooms/${data.gameRoomId}`, { replace: true });
+      } catch (err) {
+        if (isActive) setError(err.message);
+      }
+    };
+    resolveInvite();
+    return () => {
+      isActive = false;
+    };
+  }, [code, navigate]);
+
+  if (!error) return <LoadingSpinner />;
+  return (
+    <div className="space-y-3">
+      <ErrorMessage message={error} />
+      <button
+        onClick={() => navigate("/rooms")}
+        className="rounded-md bg-gray-800 px-4 py-2 text-sm text-white hover:bg-gray-700"
+      >
+        Browse rooms
+      </button>
+    </div>
+  );
+};
+
+export default InviteLink;
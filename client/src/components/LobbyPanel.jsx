@@ -0,0 +1,379 @@
+// LobbyPanel.jsx
+import React, { useState } from "react";
+import { Bot, ChevronDown, ChevronUp, Copy, Crown, Users } from "lucide-react";
+import { WIN_MODES, getWinModeLabel } from "../utils/victory";
+import { BOT_DIFFICULTIES } from "../utils/bots";
+
+// Keep in sync with matchmaking.mapSizes in server gameConfig.json
+const MAP_SIZE_OPTIONS = [
+  { value: "small", label: "Small", width: 250 },
+  { value: "normal", label: "Normal", width: 500 },
+  { value: "large", label: "Large", width: 1000 },
+];
+// Same cap as MAX_BOTS in server/utils/lobby.js
+const MAX_BOTS = 20;
+// Same values as server/utils/roomAccess.js
+const VISIBILITY_OPTIONS = [
+  { value: "public", label: "Public" },
+  { value: "unlisted", label: "Unlisted" },
+  { value: "private", label: "Private" },
+];
+const MAX_ROOM_PLAYERS = 16;
+
+const selectClass =
+  "bg-gray-800 border border-gray-700 rounded px-1 py-0.5 text-xs text-white disabled:opacity-60";
+
+const PlayerSlot = ({ player, isSelf, isHost, onToggleReady, onKick, onTransferHost }) => (
+  <div className="flex items-center justify-between gap-2 bg-gray-800/70 rounded px-2 py-1 text-xs">
+    <div className="flex items-center gap-1 min-w-0">
+      {player.isCreator && <Crown size={12} className="text-yellow-400 shrink-0" />}
+      <span className="truncate">
+        {player.displayName}
+        {isSelf && <span className="text-gray-400"> (you)</span>}
+      </span>
+    </div>
+    <div className="flex items-center gap-1 shrink-0">
+      {isSelf ? (
+        <button
+          onClick={() => onToggleReady(!player.ready)}
+          className={`px-2 py-0.5 rounded font-semibold ${
+            player.ready
+              ? "bg-emerald-600 hover:bg-emerald-500"
+              : "bg-gray-700 hover:bg-gray-600"
+          }`}
+        >
+          {player.ready ? "Ready" : "Not ready"}
+        </button>
+      ) : (
+        <span className={player.ready ? "text-emerald-400" : "text-gray-400"}>
+          {player.ready ? "Ready" : "Not ready"}
+        </span>
+      )}
+      {isHost && !isSelf && (
+        <>
+          <button
+            onClick={() => onTransferHost(player.userId)}
+            className="px-1.5 py-0.5 rounded bg-gray-700 hover:bg-gray-600"
+            title="Make host"
+          >
+            <Crown size={12} />
+          </button>
+          <button
+            onClick={() => onKick(player.userId, false)}
+            className="px-1.5 py-0.5 rounded bg-gray-700 hover:bg-red-700"
+          >
+            Kick
+          </button>
+          <button
+            onClick={() => onKick(player.userId, true)}
+            className="px-1.5 py-0.5 rounded bg-gray-700 hover:bg-red-700"
+          >
+            Ban
+          </button>
+        </>
+      )}
+    </div>
+  </div>
+);
+
+const LobbyPanel = ({
+  gameState,
+  userId,
+  mapWidth,
+  isHost,
+  onToggleReady,
+  onKick,
+  onTransferHost,
+  onUpdateSettings,
+  inviteCode,
+  topOffset = 0,
+  isMobile = false,
+}) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const [passwordDraft, setPasswordDraft] = useState("");
+  const [copied, setCopied] = useState(false);
+  const players = gameState?.players || [];
+  const lobby = gameState?.lobby;
+  const botSlots = lobby?.botSlots || [];
+  const settings = gameState?.gameState?.settings || {};
+  const regenerating = gameState?.roomStatus === "initializing";
+  const readyCount = players.filter((player) => player.ready).length;
+  const mapSize =
+    lobby?.mapSize ||
+    MAP_SIZE_OPTIONS.find((option) => option.width === mapWidth)?.value ||
+    "";
+
+  const visibility = lobby?.visibility || "public";
+  const inviteUrl = inviteCode ? `${window.location.origin}/invite/${inviteCode}` : null;
+
+  const copyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Failed to copy invite link:", err);
+    }
+  };
+
+  const submitPassword = (password) => {
+    onUpdateSettings({ roomPassword: password });
+    setPasswordDraft("");
+  };
+
+  const setBotDifficulty = (index, difficulty) => {
+    const difficulties = botSlots.map((slot) => slot.difficulty);
+    difficulties[index] = difficulty;
+    onUpdateSettings({ botDifficulty: difficulties });
+  };
+
+  return (
+    <div
+      className={`absolute left-0 z-40 pointer-events-none ${isMobile ? "px-2" : "px-4"}`}
+      style={{ top: `${topOffset + 8}px` }}
+    >
+      <div
+        className={`pointer-events-auto bg-gray-900/90 text-white rounded-lg shadow-lg p-3 ${
+          isMobile ? "w-64" : "w-80"
+        }`}
+      >
+        <button
+          onClick={() => setCollapsed((prev) => !prev)}
+          className="w-full flex items-center justify-between text-sm font-semibold"
+        >
+          <span className="flex items-center gap-2">
+            <Users size={16} /> Lobby
+            <span className="text-xs font-normal text-gray-400">
+              {readyCount}/{players.length} ready
+            </span>
+          </span>
+          {collapsed ? <ChevronDown size={16} /> : <ChevronUp size={16} />}
+        </button>
+
+        {!collapsed && (
+          <div className="scrollbar-panel mt-2 space-y-3 overflow-y-auto max-h-[60vh]">
+            {regenerating && (
+              <div className="text-xs text-yellow-300">Generating a new map...</div>
+            )}
+
+            <div className="space-y-1">
+              <div className="text-xs uppercase tracking-wide text-gray-400">Players</div>
+              {players.map((player) => (
+                <PlayerSlot
+                  key={player.userId}
+                  player={player}
+                  isSelf={player.userId === userId}
+                  isHost={isHost}
+                  onToggleReady={onToggleReady}
+                  onKick={onKick}
+                  onTransferHost={onTransferHost}
+                />
+              ))}
+            </div>
+
+            {botSlots.length > 0 && (
+              <div className="space-y-1">
+                <div className="text-xs uppercase tracking-wide text-gray-400">Bots</div>
+                {botSlots.map((slot) => (
+                  <div
+                    key={slot.index}
+                    className="flex items-center justify-between gap-2 bg-gray-800/70 rounded px-2 py-1 text-xs"
+                  >
+                    <span className="flex items-center gap-1 truncate">
+                      <Bot size={12} className="shrink-0" />
+                      {slot.nationName || slot.owner || `Bot ${slot.index + 1}`}
+                    </span>
+                    <select
+                      value={slot.difficulty}
+                      onChange={(e) => setBotDifficulty(slot.index, e.target.value)}
+                      disabled={!isHost || regenerating}
+                      className={selectClass}
+                    >
+                      {BOT_DIFFICULTIES.map((tier) => (
+                        <option key={tier.value} value={tier.value}>
+                          {tier.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-1 text-xs">
+              <div className="uppercase tracking-wide text-gray-400">Settings</div>
+              {isHost ? (
+                <>
+                  <label className="flex items-center justify-between gap-2">
+                    Bots
+                    <select
+                      value={botSlots.length}
+                      onChange={(e) => onUpdateSettings({ botCount: Number(e.target.value) })}
+                      disabled={regenerating}
+                      className={selectClass}
+                    >
+                      {Array.from({ length: MAX_BOTS + 1 }, (_, count) => (
+                        <option key={count} value={count}>
+                          {count}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between gap-2">
+                    Win condition
+                    <select
+                      value={settings.winMode || WIN_MODES[0].value}
+                      onChange={(e) => onUpdateSettings({ winMode: e.target.value })}
+                      disabled={regenerating}
+                      className={selectClass}
+                    >
+                      {WIN_MODES.map((mode) => (
+                        <option key={mode.value} value={mode.value}>
+                          {mode.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between gap-2">
+                    Map size
+                    <select
+                      value={mapSize}
+                      onChange={(e) => onUpdateSettings({ mapSize: e.target.value })}
+                      disabled={regenerating}
+                      className={selectClass}
+                    >
+                      {!mapSize && <option value="">Custom</option>}
+                      {MAP_SIZE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between gap-2">
+                    Allow refounding
+                    <input
+                      type="checkbox"
+                      checked={settings.allowRefound !== false}
+                      onChange={(e) => onUpdateSettings({ allowRefound: e.target.checked })}
+                      disabled={regenerating}
+                    />
+                  </label>
+                </>
+              ) : (
+                <div className="text-gray-300 space-y-0.5">
+                  <div>Bots: {botSlots.length}</div>
+                  <div>Win condition: {getWinModeLabel(settings.winMode)}</div>
+                  <div>
+                    Map size:{" "}
+                    {MAP_SIZE_OPTIONS.find((option) => option.value === mapSize)?.label ||
+                      "Custom"}
+                  </div>
+                  <div>Refounding: {settings.allowRefound !== false ? "On" : "Off"}</div>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-1 text-xs">
+              <div className="uppercase tracking-wide text-gray-400">Room access</div>
+              {isHost ? (
+                <>
+                  <label className="flex items-center justify-between gap-2">
+                    Visibility
+                    <select
+                      value={visibility}
+                      onChange={(e) => onUpdateSettings({ visibility: e.target.value })}
+                      className={selectClass}
+                    >
+                      {VISIBILITY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between gap-2">
+                    Max players
+                    <select
+                      value={lobby?.maxPlayers || 0}
+                      onChange={(e) => onUpdateSettings({ maxPlayers: Number(e.target.value) })}
+                      className={selectClass}
+                    >
+                      <option value={0}>No limit</option>
+                      {Array.from({ length: MAX_ROOM_PLAYERS }, (_, i) => i + 1)
+                        .filter((count) => count >= players.length)
+                        .map((count) => (
+                          <option key={count} value={count}>
+                            {count}
+                          </option>
+                        ))}
+                    </select>
+                  </label>
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      if (passwordDraft) submitPassword(passwordDraft);
+                    }}
+                    className="flex items-center gap-1"
+                  >
+                    <input
+                      type="password"
+                      value={passwordDraft}
+                      onChange={(e) => setPasswordDraft(e.target.value)}
+                      placeholder={lobby?.hasPassword ? "Change password" : "Set a password"}
+                      className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-1 py-0.5 text-white"
+                    />
+                    <button
+                      type="submit"
+                      disabled={!passwordDraft}
+                      className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-60"
+                    >
+                      Set
+                    </button>
+                    {lobby?.hasPassword && (
+                      <button
+                        type="button"
+                        onClick={() => submitPassword("")}
+                        className="px-2 py-0.5 rounded bg-gray-700 hover:bg-red-700"
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </form>
+                </>
+              ) : (
+                <div className="text-gray-300 space-y-0.5">
+                  <div>
+                    Visibility:{" "}
+                    {VISIBILITY_OPTIONS.find((option) => option.value === visibility)?.label}
+                  </div>
+                  <div>Max players: {lobby?.maxPlayers || "No limit"}</div>
+                  <div>Password: {lobby?.hasPassword ? "Yes" : "No"}</div>
+                </div>
+              )}
+              {inviteUrl && (
+                <div className="flex items-center gap-1">
+                  <input
+                    readOnly
+                    value={inviteUrl}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-1 py-0.5 text-gray-300"
+                  />
+                  <button
+                    onClick={copyInvite}
+                    className="flex items-center gap-1 px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600"
+                    title="Copy invite link"
+                  >
+                    <Copy size={12} /> {copied ? "Copied" : "Copy"}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LobbyPanel;
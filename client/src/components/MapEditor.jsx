@@ -0,0 +1,461 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { apiFetch } from "../utils/api";
+import {
+  BIOMES,
+  BIOME_COLORS,
+  RESOURCE_TYPES,
+  createBlankMap,
+  documentToEditorMap,
+  editorMapToDocument,
+} from "../utils/mapFormat";
+
+// Keep in sync with mapEditor in server gameConfig.json
+const MIN_SIZE = 32;
+const MAX_SIZE = 1000;
+const MAX_RESOURCE_LEVEL = 3;
+const VIEW_SIZE = 720;
+
+const RESOURCE_COLORS = {
+  food: "#facc15",
+  wood: "#92400e",
+  iron: "#94a3b8",
+  stone: "#e5e7eb",
+  gold: "#f59e0b",
+};
+
+const TOOLS = [
+  { value: "biome", label: "Terrain" },
+  { value: "elevation", label: "Elevation" },
+  { value: "resource", label: "Resource" },
+  { value: "erase", label: "Remove Resource" },
+];
+
+const formatBiome = (biome) =>
+  biome
+    .toLowerCase()
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+const inputClass =
+  "mt-1 w-full rounded bg-gray-800 px-2 py-1 text-sm text-white";
+const buttonClass =
+  "rounded bg-gray-800 px-3 py-2 text-sm text-white hover:bg-gray-700 disabled:cursor-not-allowed disabled:opacity-50";
+
+/** Paint terrain, elevation and resource nodes, then save or export the map. */
+const MapEditor = () => {
+  const { user, loginWithGoogle } = useAuth();
+  const [map, setMap] = useState(() => createBlankMap(100, 100));
+  const [revision, setRevision] = useState(0);
+  const [tool, setTool] = useState("biome");
+  const [biome, setBiome] = useState("GRASSLAND");
+  const [elevationDigit, setElevationDigit] = useState(5);
+  const [resourceType, setResourceType] = useState("food");
+  const [resourceLevel, setResourceLevel] = useState(0);
+  const [brushSize, setBrushSize] = useState(3);
+  const [showElevation, setShowElevation] = useState(false);
+  const [newSize, setNewSize] = useState({ width: 100, height: 100 });
+  const [savedMapId, setSavedMapId] = useState(null);
+  const [customMaps, setCustomMaps] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const canvasRef = useRef(null);
+  const paintingRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  const scale = Math.max(1, Math.floor(VIEW_SIZE / Math.max(map.width, map.height)));
+
+  const loadCustomMaps = useCallback(async () => {
+    try {
+      const response = await apiFetch("api/maps?source=editor");
+      if (response.ok) setCustomMaps(await response.json());
+    } catch (err) {
+      console.error("Failed to load custom maps:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCustomMaps();
+  }, [loadCustomMaps]);
+
+  // Redraw whenever the map or the view changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.width = map.width * scale;
+    canvas.height = map.height * scale;
+    const ctx = canvas.getContext("2d");
+
+    const tiles = document.createElement("canvas");
+    tiles.width = map.width;
+    tiles.height = map.height;
+    const tileCtx = tiles.getContext("2d");
+    const img = tileCtx.createImageData(map.width, map.height);
+    const d = img.data;
+    for (let i = 0; i < map.biomes.length; i++) {
+      const off = i * 4;
+      if (showElevation) {
+        const shade = Math.round((map.elevation[i] / 9) * 255);
+        d[off] = shade;
+        d[off + 1] = shade;
+        d[off + 2] = shade;
+      } else {
+        const [r, g, b] = BIOME_COLORS[BIOMES[map.biomes[i]]];
+        d[off] = r;
+        d[off + 1] = g;
+        d[off + 2] = b;
+      }
+      d[off + 3] = 255;
+    }
+    tileCtx.putImageData(img, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(tiles, 0, 0, canvas.width, canvas.height);
+
+    const radius = Math.max(1.5, scale * 0.6);
+    for (const [key, node] of Object.entries(map.resources)) {
+      const [x, y] = key.split(",").map(Number);
+      ctx.beginPath();
+      ctx.arc((x + 0.5) * scale, (y + 0.5) * scale, radius, 0, Math.PI * 2);
+      ctx.fillStyle = RESOURCE_COLORS[node.type] || "#fff";
+      ctx.fill();
+      ctx.strokeStyle = "#000";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  }, [map, revision, scale, showElevation]);
+
+  const paintAt = useCallback(
+    (tileX, tileY) => {
+      const { width, height, biomes, elevation, resources } = map;
+      if (tool === "resource") {
+        const i = tileY * width + tileX;
+        if (BIOMES[biomes[i]] === "OCEAN") return;
+        resources[`${tileX},${tileY}`] = { type: resourceType, level: resourceLevel };
+        setRevision((r) => r + 1);
+        return;
+      }
+      const half = Math.floor(brushSize / 2);
+      const biomeIndex = BIOMES.indexOf(biome);
+      for (let y = tileY - half; y <= tileY + half; y++) {
+        if (y < 0 || y >= height) continue;
+        for (let x = tileX - half; x <= tileX + half; x++) {
+          if (x < 0 || x >= width) continue;
+          const i = y * width + x;
+          if (tool === "biome") {
+            biomes[i] = biomeIndex;
+            if (biome === "OCEAN") delete resources[`${x},${y}`];
+          } else if (tool === "elevation") {
+            elevation[i] = elevationDigit;
+          } else if (tool === "erase") {
+            delete resources[`${x},${y}`];
+          }
+        }
+      }
+      setRevision((r) => r + 1);
+    },
+    [map, tool, biome, elevationDigit, resourceType, resourceLevel, brushSize]
+  );
+
+  const handlePointer = (e) => {
+    if (!paintingRef.current) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * map.width);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * map.height);
+    if (x < 0 || y < 0 || x >= map.width || y >= map.height) return;
+    paintAt(x, y);
+  };
+
+  const startNewMap = () => {
+    const width = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Number(newSize.width) || MIN_SIZE));
+    const height = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Number(newSize.height) || MIN_SIZE));
+    setMap(createBlankMap(width, height));
+    setSavedMapId(null);
+    setMessage(null);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const result = documentToEditorMap(JSON.parse(reader.result));
+        if (result.error) {
+          setMessage({ error: true, text: result.error });
+          return;
+        }
+        setMap(result.map);
+        setSavedMapId(null);
+        setMessage({ text: `Imported ${file.name}` });
+      } catch (err) {
+        setMessage({ error: true, text: "File is not valid JSON" });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () => {
+    const doc = editorMapToDocument(map);
+    const blob = new Blob([JSON.stringify(doc)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${map.name.replace(/[^\w-]+/g, "_") || "map"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoad = async (mapId) => {
+    if (!mapId) return;
+    try {
+      const response = await apiFetch(`api/maps/${mapId}/export`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to load map");
+      const result = documentToEditorMap(data);
+      if (result.error) throw new Error(result.error);
+      setMap(result.map);
+      const owned = customMaps.find((m) => m._id === mapId)?.createdBy === user?.id;
+      setSavedMapId(owned ? mapId : null);
+      setMessage({ text: owned ? `Editing ${data.name}` : `Loaded a copy of ${data.name}` });
+    } catch (err) {
+      setMessage({ error: true, text: err.message });
+    }
+  };
+
+  const handleSave = async () => {
+    if (!user) {
+      loginWithGoogle("/map-editor");
+      return;
+    }
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await apiFetch(
+        savedMapId ? `api/maps/custom/${savedMapId}` : "api/maps/custom",
+        {
+          method: savedMapId ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ map: editorMapToDocument(map) }),
+        }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to save map");
+      setSavedMapId(data._id);
+      setMessage({ text: "Map saved. Pick it under Map when creating a room." });
+      loadCustomMaps();
+    } catch (err) {
+      setMessage({ error: true, text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-4 lg:flex-row">
+      <aside className="w-full space-y-4 rounded-lg bg-gray-900 p-4 lg:w-64">
+        <label className="block text-xs text-gray-400">
+          Name
+          <input
+            type="text"
+            value={map.name}
+            maxLength={80}
+            onChange={(e) => setMap({ ...map, name: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+
+        <div className="grid grid-cols-2 gap-2">
+          {TOOLS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setTool(option.value)}
+              className={`rounded px-2 py-1 text-xs ${
+                tool === option.value
+                  ? "bg-yellow-500 text-gray-900"
+                  : "bg-gray-800 text-white hover:bg-gray-700"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {tool === "biome" && (
+          <div className="grid grid-cols-2 gap-1">
+            {BIOMES.map((name) => (
+              <button
+                key={name}
+                onClick={() => setBiome(name)}
+                className={`flex items-center gap-1 rounded px-1 py-1 text-left text-xs ${
+                  biome === name ? "bg-gray-700 text-white" : "text-gray-300 hover:bg-gray-800"
+                }`}
+              >
+                <span
+                  className="inline-block h-3 w-3 flex-shrink-0 rounded-sm"
+                  style={{ backgroundColor: `rgb(${BIOME_COLORS[name].join(",")})` }}
+                />
+                {formatBiome(name)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {tool === "elevation" && (
+          <label className="block text-xs text-gray-400">
+            Elevation: {elevationDigit}
+            <input
+              type="range"
+              min="0"
+              max="9"
+              value={elevationDigit}
+              onChange={(e) => setElevationDigit(Number(e.target.value))}
+              className="w-full"
+            />
+          </label>
+        )}
+
+        {tool === "resource" && (
+          <div className="space-y-2">
+            <label className="block text-xs text-gray-400">
+              Resource
+              <select
+                value={resourceType}
+                onChange={(e) => setResourceType(e.target.value)}
+                className={inputClass}
+              >
+                {RESOURCE_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-xs text-gray-400">
+              Starting level: {resourceLevel}
+              <input
+                type="range"
+                min="0"
+                max={MAX_RESOURCE_LEVEL}
+                value={resourceLevel}
+                onChange={(e) => setResourceLevel(Number(e.target.value))}
+                className="w-full"
+              />
+            </label>
+          </div>
+        )}
+
+        {tool !== "resource" && (
+          <label className="block text-xs text-gray-400">
+            Brush size: {brushSize}
+            <input
+              type="range"
+              min="1"
+              max="15"
+              step="2"
+              value={brushSize}
+              onChange={(e) => setBrushSize(Number(e.target.value))}
+              className="w-full"
+            />
+          </label>
+        )}
+
+        <label className="flex items-center gap-2 text-xs text-gray-300">
+          <input
+            type="checkbox"
+            checked={showElevation}
+            onChange={(e) => setShowElevation(e.target.checked)}
+          />
+          Show elevation
+        </label>
+
+        <div className="space-y-2 border-t border-gray-800 pt-3">
+          <button onClick={handleSave} disabled={isSaving} className={`${buttonClass} w-full`}>
+            {isSaving ? "Saving..." : savedMapId ? "Save Changes" : "Save to Server"}
+          </button>
+          <div className="grid grid-cols-2 gap-2">
+            <button onClick={() => fileInputRef.current?.click()} className={buttonClass}>
+              Import
+            </button>
+            <button onClick={handleExport} className={buttonClass}>
+              Export
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+          {customMaps.length > 0 && (
+            <label className="block text-xs text-gray-400">
+              Open saved map
+              <select value="" onChange={(e) => handleLoad(e.target.value)} className={inputClass}>
+                <option value="">Choose...</option>
+                {customMaps.map((m) => (
+                  <option key={m._id} value={m._id}>
+                    {m.name} ({m.width}x{m.height})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <div className="space-y-2 border-t border-gray-800 pt-3">
+          <div className="grid grid-cols-2 gap-2">
+            {["width", "height"].map((key) => (
+              <label key={key} className="block text-xs capitalize text-gray-400">
+                {key}
+                <input
+                  type="number"
+                  min={MIN_SIZE}
+                  max={MAX_SIZE}
+                  value={newSize[key]}
+                  onChange={(e) => setNewSize({ ...newSize, [key]: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+          <button onClick={startNewMap} className={`${buttonClass} w-full`}>
+            New Blank Map
+          </button>
+        </div>
+
+        {message && (
+          <p className={`text-sm ${message.error ? "text-red-400" : "text-green-400"}`}>
+            {message.text}
+          </p>
+        )}
+      </aside>
+
+      <div className="flex-1 overflow-auto rounded-lg bg-gray-900 p-4">
+        <div className="mb-2 text-xs text-gray-400">
+          {map.width}x{map.height} · {Object.keys(map.resources).length} resource nodes
+        </div>
+        <canvas
+          ref={canvasRef}
+          className="cursor-crosshair"
+          style={{ imageRendering: "pixelated", touchAction: "none" }}
+          onPointerDown={(e) => {
+            paintingRef.current = true;
+            e.currentTarget.setPointerCapture(e.pointerId);
+            handlePointer(e);
+          }}
+          onPointerMove={handlePointer}
+          onPointerUp={() => {
+            paintingRef.current = false;
+          }}
+          onPointerLeave={() => {
+            paintingRef.current = false;
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MapEditor;
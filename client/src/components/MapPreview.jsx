@@ -114,6 +114,8 @@ export default function MapPreview() {
   const [height, setHeight] = useState(500);
   const [numBlobs, setNumBlobs] = useState(9);
   const [seed, setSeed] = useState(42);
+  const [archetype, setArchetype] = useState("");
+  const [archetypes, setArchetypes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [stats, setStats] = useState(null);
   const [saveMsg, setSaveMsg] = useState("");
@@ -129,6 +131,10 @@ export default function MapPreview() {
         }
       })
       .catch(() => {});
+    apiFetch("/api/maps/archetypes")
+      .then((r) => r.json())
+      .then((data) => setArchetypes(data.archetypes || []))
+      .catch(() => {});
   }, []);
 
   const abortRef = useRef(null);
@@ -147,6 +153,7 @@ export default function MapPreview() {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           width, height, num_blobs: numBlobs, seed, mapConfig,
+          archetype: archetype || undefined,
         }),
         signal: controller.signal,
       });
@@ -177,7 +184,7 @@ export default function MapPreview() {
     } finally {
       if (!controller.signal.aborted) setLoading(false);
     }
-  }, [width, height, numBlobs, seed, mapConfig]);
+  }, [width, height, numBlobs, seed, mapConfig, archetype]);
 
   // Auto-generate on any parameter change (debounced 300ms)
   useEffect(() => {
@@ -260,6 +267,18 @@ export default function MapPreview() {
               onChange={(e) => setSeed(Number(e.target.value))}
               className="w-20 rounded bg-gray-800 px-2 py-1 text-sm text-white" />
           </div>
+          <div className="flex items-center gap-2">
+            <label className="w-20 text-xs text-gray-400">Archetype</label>
+            <select value={archetype}
+              onChange={(e) => setArchetype(e.target.value)}
+              title="Previewed on top of the sliders; saving only stores the sliders"
+              className="flex-1 rounded bg-gray-800 px-2 py-1 text-sm text-white">
+              <option value="">None (base config)</option>
+              {archetypes.map((a) => (
+                <option key={a.id} value={a.id}>{a.label} v{a.version}</option>
+              ))}
+            </select>
+          </div>
           <div className="flex gap-2">
             <button onClick={randomSeed}
               className="flex-1 rounded bg-gray-700 px-3 py-2 text-sm text-white hover:bg-gray-600">
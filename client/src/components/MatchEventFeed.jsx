@@ -0,0 +1,133 @@
+// MatchEventFeed.jsx
+import React, { useState } from "react";
+import { Bell, ChevronDown, ChevronUp } from "lucide-react";
+import { nationLabel } from "./DiplomacyNotices";
+
+const cityLabel = (event) =>
+  `${event.cityType || "city"}${event.name ? ` "${event.name}"` : ""}`;
+
+/**
+ * Human-readable line and tone for a match event from the server; `alert`
+ * marks the ones worth a toast for this player.
+ */
+export const describeMatchEvent = (event, nations, userId) => {
+  const label = (owner) => nationLabel(nations, owner, userId);
+  const isMe = (owner) => owner != null && String(owner) === String(userId);
+  const owner = label(event.owner);
+  switch (event.type) {
+    case "cityCaptured":
+      if (isMe(event.from)) {
+        return { text: `${owner} captured your ${cityLabel(event)}!`, tone: "bad", alert: true };
+      }
+      if (isMe(event.owner)) {
+        return { text: `You captured ${label(event.from)}'s ${cityLabel(event)}`, tone: "good", alert: true };
+      }
+      return { text: `${owner} captured ${label(event.from)}'s ${cityLabel(event)}`, tone: "info" };
+    case "structureDestroyed":
+      if (isMe(event.owner)) {
+        return { text: `Your ${cityLabel(event)} was destroyed`, tone: "bad", alert: true };
+      }
+      if (isMe(event.by)) {
+        return { text: `You destroyed ${owner}'s ${cityLabel(event)}`, tone: "good" };
+      }
+      return { text: `${owner}'s ${cityLabel(event)} was destroyed`, tone: "info" };
+    case "cityThreatened":
+      if (isMe(event.owner)) {
+        return {
+          text:
+            event.cityType === "capital"
+              ? "Your capital is under attack!"
+              : `Your ${cityLabel(event)} is under attack`,
+          tone: "bad",
+          alert: true,
+        };
+      }
+      return { text: `${label(event.by)} is attacking ${owner}'s ${cityLabel(event)}`, tone: "info" };
+    case "nationDefeated": {
+      const by = event.by ? ` by ${label(event.by)}` : "";
+      if (isMe(event.owner)) {
+        return { text: `You were eliminated${by}`, tone: "bad", alert: true };
+      }
+      if (isMe(event.by)) {
+        return { text: `You eliminated ${owner}`, tone: "good", alert: true };
+      }
+      return { text: `${owner} was eliminated${by}`, tone: "info", alert: true };
+    }
+    case "nationEncircled":
+      if (isMe(event.owner)) {
+        return { text: `${label(event.by)} has encircled your capital`, tone: "bad", alert: true };
+      }
+      if (isMe(event.by)) {
+        return { text: `You encircled ${owner}'s capital`, tone: "good" };
+      }
+      return { text: `${label(event.by)} encircled ${owner}'s capital`, tone: "info" };
+    case "encirclement":
+      if (isMe(event.from)) {
+        return { text: `${owner} cut off and took ${event.cells} of your cells`, tone: "bad", alert: true };
+      }
+      if (isMe(event.owner)) {
+        return { text: `You took ${event.cells} encircled cells from ${label(event.from)}`, tone: "good" };
+      }
+      return { text: `${owner} took ${event.cells} encircled cells from ${label(event.from)}`, tone: "info" };
+    case "resourceClaimed":
+      return isMe(event.owner)
+        ? { text: `You claimed a ${event.resource} node`, tone: "good" }
+        : { text: `${owner} claimed a ${event.resource} node`, tone: "info" };
+    case "victory":
+      return {
+        text:
+          event.team != null ? `Team ${event.team} won the match` : `${owner} won the match`,
+        tone: isMe(event.owner) ? "good" : "info",
+      };
+    default:
+      return { text: event.type, tone: "info" };
+  }
+};
+
+const TONE_CLASSES = {
+  good: "border-emerald-500",
+  bad: "border-red-500",
+  info: "border-gray-600",
+};
+
+const MatchEventFeed = ({ events, nations, userId, bottomOffset = 0, isMobile = false }) => {
+  const [open, setOpen] = useState(!isMobile);
+  if (!events?.length) return null;
+  const recent = events.slice().reverse();
+
+  return (
+    <div
+      className={`absolute left-0 z-20 ${isMobile ? "px-2 w-64" : "px-3 w-72"}`}
+      style={{ bottom: `${bottomOffset}px` }}
+    >
+      <div className="bg-gray-900/90 text-white rounded-lg shadow-lg text-xs">
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="w-full flex items-center justify-between px-3 py-2 font-semibold"
+        >
+          <span className="flex items-center gap-2">
+            <Bell size={14} /> Events
+          </span>
+          {open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+        </button>
+        {open && (
+          <div className="max-h-56 overflow-y-auto px-2 pb-2 flex flex-col gap-1">
+            {recent.map((event) => {
+              const { text, tone } = describeMatchEvent(event, nations, userId);
+              return (
+                <div
+                  key={event.id}
+                  className={`border-l-2 pl-2 py-0.5 ${TONE_CLASSES[tone] || TONE_CLASSES.info}`}
+                >
+                  {text}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MatchEventFeed;
@@ -18,8 +18,12 @@ const MobileActionDock = ({
   playerResources,
   buildCosts,
   activeAttackArrows,
+  hasPort = false,
+  fleetCount = 0,
+  maxFleets = 2,
   isRoomStarted = true,
   canStartRoom = false,
+  allPlayersReady = true,
   onStartRoom,
   isStartingRoom = false,
   readyPlayerCount = 0,
@@ -134,10 +138,14 @@ const MobileActionDock = ({
           {canStartRoom && (
             <button
               onClick={onStartRoom}
-              disabled={isStartingRoom}
+              disabled={isStartingRoom || !allPlayersReady}
               className="w-full rounded bg-emerald-600 px-4 py-2 text-sm font-semibold text-white hover:bg-emerald-500 disabled:bg-emerald-900"
             >
-              {isStartingRoom ? "Starting Match..." : "Start Match"}
+              {isStartingRoom
+                ? "Starting Match..."
+                : allPlayersReady
+                  ? "Start Match"
+                  : "Waiting for players to ready up"}
             </button>
           )}
           {!canStartRoom && (
@@ -186,6 +194,22 @@ const MobileActionDock = ({
             <span>Troop Commitment: {Math.round((attackPercent || 0.25) * 100)}%</span>
             <span>Arrows: {activeAttackArrows?.length || 0}</span>
           </div>
+          {hasPort && (
+            <button
+              disabled={fleetCount >= maxFleets && uiMode !== "naval"}
+              onClick={() => {
+                onSetMode?.(uiMode === "naval" ? "idle" : "naval");
+                setActiveMenu(null);
+              }}
+              className={`mt-2 w-full rounded px-3 py-2 text-sm font-medium ${
+                uiMode === "naval" ? "bg-blue-700" : "bg-gray-800"
+              }`}
+            >
+              {uiMode === "naval"
+                ? "Cancel Naval Invasion"
+                : `Naval Invasion (${fleetCount}/${maxFleets}) — tap a coast`}
+            </button>
+          )}
         </div>
       )}
       {activeMenu === "build" && (
@@ -101,10 +101,15 @@ const BuildCityForm = ({
 const Modal = ({
   showLoginModal,
   onJoinSubmit,
+  onSpectateSubmit,
   onLogin,
   isAuthenticated,
   joinCode,
   setJoinCode,
+  requiresJoinCode = true,
+  hasPassword = false,
+  roomPassword,
+  setRoomPassword,
   joinError,
   isJoining,
   profile,
@@ -139,18 +144,34 @@ const Modal = ({
                   Signed in as <span className="font-medium">{profile.displayName}</span>
                 </div>
               )}
-              <div className="mb-4">
-                <label className="block text-sm font-medium mb-1">
-                  Join Code
-                </label>
-                <input
-                  type="text"
-                  value={joinCode}
-                  onChange={(e) => setJoinCode(e.target.value)}
-                  required
-                  className="w-full border rounded p-2"
-                />
-              </div>
+              {requiresJoinCode && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-1">
+                    Join Code
+                  </label>
+                  <input
+                    type="text"
+                    value={joinCode}
+                    onChange={(e) => setJoinCode(e.target.value)}
+                    required
+                    className="w-full border rounded p-2"
+                  />
+                </div>
+              )}
+              {hasPassword && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-1">
+                    Room Password
+                  </label>
+                  <input
+                    type="password"
+                    value={roomPassword}
+                    onChange={(e) => setRoomPassword(e.target.value)}
+                    required
+                    className="w-full border rounded p-2"
+                  />
+                </div>
+              )}
               {joinError && (
                 <p className="text-red-500 text-sm mb-3">{joinError}</p>
               )}
@@ -161,6 +182,16 @@ const Modal = ({
               >
                 {isJoining ? "Joining..." : "Join Game"}
               </button>
+              {onSpectateSubmit && (
+                <button
+                  type="button"
+                  onClick={onSpectateSubmit}
+                  disabled={isJoining}
+                  className="w-full mt-2 bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800 py-2 rounded"
+                >
+                  Spectate
+                </button>
+              )}
             </form>
           )}
         </ModalWrapper>
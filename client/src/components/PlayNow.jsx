@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { apiFetch, getWsUrl } from "../utils/api";
+import { getDiscordToken, isDiscordActivity } from "../utils/discord";
+
+// Keep in sync with matchmaking.mapSizes / players in server gameConfig.json
+const MATCH_SIZES = [2, 4, 6, 8];
+const MAP_SIZE_OPTIONS = [
+  { value: "small", label: "Small" },
+  { value: "normal", label: "Normal" },
+  { value: "large", label: "Large" },
+];
+
+const describeStatus = (status) => {
+  if (!status) return "";
+  switch (status.status) {
+    case "queued":
+      return status.botsFillInSeconds > 0
+        ? `Waiting for players (${status.queued}/${status.needed}) — bots fill in ${status.botsFillInSeconds}s`
+        : `Waiting for players (${status.queued}/${status.needed}) — starting with bots`;
+    case "matched":
+      return "Match found! Generating the map...";
+    default:
+      return "";
+  }
+};
+
+/** Public matchmaking: queue for a match and jump into the room once it is ready. */
+const PlayNow = () => {
+  const { user, loading: authLoading, loginWithGoogle } = useAuth();
+  const navigate = useNavigate();
+  const [players, setPlayers] = useState(4);
+  const [mapSize, setMapSize] = useState("normal");
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const wsRef = useRef(null);
+
+  const closeSocket = useCallback(() => {
+    if (wsRef.current) {
+      wsRef.current.onclose = null;
+      wsRef.current.close();
+      wsRef.current = null;
+    }
+  }, []);
+
+  // Updates arrive over a WebSocket that is open only while queued.
+  // Resolves once connected so no push is missed after joining.
+  const openSocket = useCallback(
+    () =>
+      new Promise((resolve, reject) => {
+        closeSocket();
+        const ws = new WebSocket(
+          getWsUrl(isDiscordActivity() ? getDiscordToken() : undefined)
+        );
+        wsRef.current = ws;
+        ws.onopen = () => resolve();
+        ws.onmessage = (event) => {
+          try {
+            const msg = JSON.parse(event.data);
+            if (msg.type !== "matchmaking") return;
+            if (msg.status === "found") {
+              closeSocket();
+              navigate(`/rooms/${msg.gameRoomId}`);
+              return;
+            }
+            if (msg.status === "error") {
+              closeSocket();
+              setStatus(null);
+              setError(msg.message || "Matchmaking failed");
+              return;
+            }
+            setStatus(msg);
+          } catch (err) {
+            console.error("Error parsing matchmaking message:", err);
+          }
+        };
+        // closeSocket detaches this first, so any close here is unexpected
+        ws.onclose = () => {
+          wsRef.current = null;
+          setStatus(null);
+          setError("Lost connection to the matchmaking server");
+          reject(new Error("Could not reach the matchmaking server"));
+        };
+      }),
+    [closeSocket, navigate]
+  );
+
+  useEffect(() => {
+    return () => {
+      if (wsRef.current) {
+        closeSocket();
+        apiFetch("api/gamerooms/matchmaking/leave", { method: "POST" }).catch(
+          () => {}
+        );
+      }
+    };
+  }, [closeSocket]);
+
+  const handlePlay = async () => {
+    if (!user) {
+      loginWithGoogle("/rooms");
+      return;
+    }
+    try {
+      setError(null);
+      await openSocket();
+      const response = await apiFetch("api/gamerooms/matchmaking/join", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ players, mapSize }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to join the queue");
+      }
+      setStatus((prev) => (prev?.status === "matched" ? prev : data));
+    } catch (err) {
+      closeSocket();
+      setStatus(null);
+      setError(err.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    closeSocket();
+    setStatus(null);
+    try {
+      await apiFetch("api/gamerooms/matchmaking/leave", { method: "POST" });
+    } catch (err) {
+      console.error("Failed to leave matchmaking:", err);
+    }
+  };
+
+  const searching = !!status;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-xs text-gray-400">
+          Players
+          <select
+            value={players}
+            onChange={(e) => setPlayers(Number(e.target.value))}
+            disabled={searching}
+            className="mt-1 w-full rounded bg-gray-800 px-2 py-2 text-sm text-white"
+          >
+            {MATCH_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size} players
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs text-gray-400">
+          Map Size
+          <select
+            value={mapSize}
+            onChange={(e) => setMapSize(e.target.value)}
+            disabled={searching}
+            className="mt-1 w-full rounded bg-gray-800 px-2 py-2 text-sm text-white"
+          >
+            {MAP_SIZE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {searching ? (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-sm text-gray-200">
+            <div className="h-4 w-4 animate-spin rounded-full border-b-2 border-yellow-400" />
+            <span>{describeStatus(status)}</span>
+          </div>
+          {status.status === "queued" && (
+            <button
+              onClick={handleCancel}
+              className="w-full rounded-md bg-gray-800 px-3 py-2 text-sm text-white hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      ) : (
+        <button
+          onClick={handlePlay}
+          disabled={authLoading}
+          className="w-full rounded-lg bg-yellow-500 px-5 py-3 text-lg font-semibold text-gray-900 shadow-sm transition-colors duration-200 hover:bg-yellow-400 disabled:cursor-not-allowed disabled:bg-yellow-200"
+        >
+          {user ? "Play Now" : "Sign in to Play"}
+        </button>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default PlayNow;
@@ -1,12 +1,121 @@
 // PlayerListModal.jsx
 import React from "react";
 import { X } from "lucide-react";
+import { getTeamColor } from "./TerritoryRenderer";
 
-const PlayerListModal = ({ isOpen, onClose, gameState, getNationColor }) => {
+const involves = (entry, ownerA, ownerB) =>
+  (entry.a === ownerA && entry.b === ownerB) ||
+  (entry.a === ownerB && entry.b === ownerA);
+
+const DiplomacyControls = ({ diplomacy, userId, owner, onDiplomacy }) => {
+  const pact = (diplomacy?.pacts || []).find((entry) =>
+    involves(entry, userId, owner)
+  );
+  const atWar = (diplomacy?.wars || []).some((war) =>
+    involves(war, userId, owner)
+  );
+  const buttonClass = "px-2 py-1 rounded text-xs";
+  const pactLabel = pact?.type === "truce" ? "Truce" : "Non-aggression pact";
+
+  let status = atWar ? "At war" : "Neutral";
+  let statusClass = atWar ? "text-red-400" : "text-gray-400";
+  if (pact?.status === "active") {
+    status = pactLabel;
+    statusClass = "text-emerald-400";
+  } else if (pact?.status === "breaking") {
+    status = `${pactLabel} ending`;
+    statusClass = "text-yellow-400";
+  } else if (pact?.status === "proposed") {
+    status = `${pactLabel} proposed`;
+    statusClass = "text-blue-400";
+  }
+
+  return (
+    <div className="relative z-20 mt-2 flex flex-wrap items-center gap-2 text-sm">
+      <span className={statusClass}>{status}</span>
+      {!pact && (
+        <>
+          <button
+            onClick={() => onDiplomacy("propose", { target: owner, type: "nap" })}
+            className={`${buttonClass} bg-emerald-700 hover:bg-emerald-600`}
+          >
+            Propose pact
+          </button>
+          <button
+            onClick={() => onDiplomacy("propose", { target: owner, type: "truce" })}
+            className={`${buttonClass} bg-blue-700 hover:bg-blue-600`}
+          >
+            Offer truce
+          </button>
+        </>
+      )}
+      {pact?.status === "proposed" && pact.proposedBy !== userId && (
+        <>
+          <button
+            onClick={() => onDiplomacy("respond", { pactId: pact.id, accept: true })}
+            className={`${buttonClass} bg-emerald-700 hover:bg-emerald-600`}
+          >
+            Accept
+          </button>
+          <button
+            onClick={() => onDiplomacy("respond", { pactId: pact.id, accept: false })}
+            className={`${buttonClass} bg-gray-700 hover:bg-gray-600`}
+          >
+            Decline
+          </button>
+        </>
+      )}
+      {pact?.status === "proposed" && pact.proposedBy === userId && (
+        <button
+          onClick={() => onDiplomacy("break", { pactId: pact.id })}
+          className={`${buttonClass} bg-gray-700 hover:bg-gray-600`}
+        >
+          Withdraw
+        </button>
+      )}
+      {pact?.status === "active" && (
+        <button
+          onClick={() => onDiplomacy("break", { pactId: pact.id })}
+          className={`${buttonClass} bg-yellow-700 hover:bg-yellow-600`}
+        >
+          Break pact
+        </button>
+      )}
+      {!atWar && pact?.status !== "breaking" && (
+        <button
+          onClick={() => onDiplomacy("war", { target: owner })}
+          className={`${buttonClass} bg-red-700 hover:bg-red-600`}
+        >
+          Declare war
+        </button>
+      )}
+    </div>
+  );
+};
+
+const PlayerListModal = ({
+  isOpen,
+  onClose,
+  gameState,
+  getNationColor,
+  canEditTeams = false,
+  onAssignTeam,
+  userId = null,
+  onDiplomacy,
+}) => {
   if (!isOpen) return null;
   const nations = gameState?.gameState?.nations || [];
   const nationsByOwner = new Map(nations.map((nation) => [nation.owner, nation]));
-  const players =
+  const teamCount = gameState?.gameState?.settings?.teamCount || 0;
+  const teams = gameState?.gameState?.teams || {};
+  const diplomacy = gameState?.gameState?.diplomacy || null;
+  const userNation = nationsByOwner.get(userId);
+  const canNegotiate =
+    !!onDiplomacy &&
+    gameState?.roomStatus !== "lobby" &&
+    !!userNation &&
+    userNation.status !== "defeated";
+  const basePlayers =
     gameState?.players?.length > 0
       ? gameState.players
       : nations.map((nation) => ({
@@ -15,6 +124,26 @@ const PlayerListModal = ({ isOpen, onClose, gameState, getNationColor }) => {
           ready: nation.status !== "defeated",
           isCreator: gameState?.roomCreator === nation.owner,
         }));
+  // Bots aren't room players, but they can be placed on teams and
+  // negotiated with too
+  const players =
+    teamCount > 1 || canNegotiate
+      ? basePlayers.concat(
+          nations
+            .filter(
+              (nation) =>
+                nation.isBot &&
+                !basePlayers.some((player) => player.userId === nation.owner)
+            )
+            .map((nation) => ({
+              userId: nation.owner,
+              displayName: nation.botDifficulty
+                ? `${nation.owner} (Bot, ${nation.botDifficulty})`
+                : `${nation.owner} (Bot)`,
+              ready: nation.status !== "defeated",
+            }))
+        )
+      : basePlayers;
 
   return (
     <div
@@ -89,6 +218,54 @@ const PlayerListModal = ({ isOpen, onClose, gameState, getNationColor }) => {
                     </span>
                   )}
                 </div>
+                {teamCount > 1 && (
+                  <div className="relative z-20 mt-2 flex items-center gap-2 text-sm">
+                    <span className="text-gray-400">Team</span>
+                    {canEditTeams ? (
+                      <select
+                        value={teams[player.userId] ?? ""}
+                        onChange={(e) =>
+                          onAssignTeam?.(
+                            player.userId,
+                            e.target.value === "" ? null : Number(e.target.value)
+                          )
+                        }
+                        className="bg-gray-800 text-white rounded px-2 py-1"
+                      >
+                        <option value="">None</option>
+                        {Array.from({ length: teamCount }, (_, i) => i + 1).map(
+                          (team) => (
+                            <option key={team} value={team}>
+                              Team {team}
+                            </option>
+                          )
+                        )}
+                      </select>
+                    ) : (
+                      <span
+                        style={{
+                          color: getTeamColor(teams[player.userId]) || "#9ca3af",
+                        }}
+                      >
+                        {teams[player.userId]
+                          ? `Team ${teams[player.userId]}`
+                          : "Unassigned"}
+                      </span>
+                    )}
+                  </div>
+                )}
+                {canNegotiate &&
+                  nation &&
+                  !defeated &&
+                  nation.owner !== userId &&
+                  !(teams[userId] && teams[userId] === teams[nation.owner]) && (
+                    <DiplomacyControls
+                      diplomacy={diplomacy}
+                      userId={userId}
+                      owner={nation.owner}
+                      onDiplomacy={onDiplomacy}
+                    />
+                  )}
               </div>
             );
           })}
@@ -0,0 +1,229 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Crown, Skull, Swords, Timer } from "lucide-react";
+import { ErrorMessage, LoadingSpinner } from "./ErrorHandling";
+import { apiFetch } from "../utils/api";
+import { getWinModeLabel } from "../utils/victory";
+
+const PAGE_SIZE = 20;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+const formatPlacement = (placement) => {
+  if (!placement) return "-";
+  const suffix =
+    placement % 100 >= 11 && placement % 100 <= 13
+      ? "th"
+      : { 1: "st", 2: "nd", 3: "rd" }[placement % 10] || "th";
+  return `${placement}${suffix}`;
+};
+
+const RatingStat = ({ label, value }) => (
+  <div className="rounded-lg bg-gray-800 px-4 py-3">
+    <div className="text-xs uppercase tracking-wide text-gray-400">{label}</div>
+    <div className="mt-1 text-2xl font-semibold text-white">{value}</div>
+  </div>
+);
+
+const RatingChange = ({ result }) => {
+  if (result?.ratingBefore == null || result?.ratingAfter == null) {
+    return <span className="text-gray-500">Unrated</span>;
+  }
+  const delta = result.ratingAfter - result.ratingBefore;
+  const color =
+    delta > 0 ? "text-green-400" : delta < 0 ? "text-red-400" : "text-gray-300";
+  return (
+    <span className={color}>
+      {result.ratingAfter} ({delta > 0 ? "+" : ""}
+      {delta})
+    </span>
+  );
+};
+
+const MatchRow = ({ match }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { result } = match;
+  const won = result?.placement === 1;
+
+  return (
+    <article className="rounded-lg bg-gray-800 p-4">
+      <button
+        onClick={() => setExpanded((prev) => !prev)}
+        className="flex w-full flex-wrap items-center gap-x-4 gap-y-1 text-left"
+      >
+        <span
+          className={`flex w-16 items-center gap-1 font-semibold ${
+            won ? "text-yellow-400" : "text-gray-200"
+          }`}
+        >
+          {won && <Crown size={14} />}
+          {formatPlacement(result?.placement)}
+        </span>
+        <span className="flex-1 truncate text-sm text-white">
+          {match.roomName}
+          <span className="ml-2 text-xs text-gray-400">
+            {getWinModeLabel(match.winMode)} &middot; {match.playerCount} nations
+            {match.reason === "ended" && " · ended early"}
+          </span>
+        </span>
+        <span className="text-sm">
+          <RatingChange result={result} />
+        </span>
+        <span className="w-full text-xs text-gray-400 sm:w-auto">
+          {new Date(match.endedAt).toLocaleDateString()}
+        </span>
+      </button>
+
+      <div className="mt-2 flex flex-wrap gap-4 text-xs text-gray-300">
+        <span>Peak territory {Math.round(result?.peakTerritoryPercentage || 0)}%</span>
+        <span className="flex items-center gap-1">
+          <Swords size={12} />
+          {result?.eliminations || 0} eliminations
+        </span>
+        <span className="flex items-center gap-1">
+          <Timer size={12} />
+          {formatDuration(match.durationMs)}
+        </span>
+      </div>
+
+      {expanded && (
+        <table className="mt-3 w-full text-left text-xs text-gray-300">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="py-1 pr-2">#</th>
+              <th className="py-1 pr-2">Nation</th>
+              <th className="py-1 pr-2">Peak</th>
+              <th className="py-1 pr-2">Elims</th>
+              <th className="py-1">Rating</th>
+            </tr>
+          </thead>
+          <tbody>
+            {match.players.map((player) => (
+              <tr key={player.userId} className="border-t border-gray-700">
+                <td className="py-1 pr-2">{formatPlacement(player.placement)}</td>
+                <td className="py-1 pr-2">
+                  <span className="flex items-center gap-1">
+                    {player.status === "defeated" && player.eliminatedAtTick != null && (
+                      <Skull size={12} className="text-gray-500" />
+                    )}
+                    {player.nationName}
+                    {player.isBot && (
+                      <span className="text-gray-500">
+                        (bot{player.botDifficulty ? `, ${player.botDifficulty}` : ""})
+                      </span>
+                    )}
+                  </span>
+                </td>
+                <td className="py-1 pr-2">
+                  {Math.round(player.peakTerritoryPercentage || 0)}%
+                </td>
+                <td className="py-1 pr-2">{player.eliminations || 0}</td>
+                <td className="py-1">
+                  <RatingChange result={player} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </article>
+  );
+};
+
+/** Rating summary and paged match history for one player ("me" for the signed-in user). */
+const PlayerProfile = ({ userId }) => {
+  const [profileUser, setProfileUser] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(
+    async (skip = 0) => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await apiFetch(
+          `api/users/${encodeURIComponent(userId)}/history?limit=${PAGE_SIZE}&skip=${skip}`
+        );
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || "Failed to load match history");
+        }
+        const data = await response.json();
+        setProfileUser(data.user);
+        setTotal(data.total || 0);
+        setMatches((prev) =>
+          skip === 0 ? data.matches || [] : [...prev, ...(data.matches || [])]
+        );
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [userId]
+  );
+
+  useEffect(() => {
+    fetchHistory(0);
+  }, [fetchHistory]);
+
+  if (isLoading && !profileUser) return <LoadingSpinner />;
+  if (error && !profileUser) {
+    return <ErrorMessage message={error} onRetry={() => fetchHistory(0)} />;
+  }
+
+  const rating = profileUser?.rating || {};
+  const games = rating.games || 0;
+  const winRate = games > 0 ? Math.round(((rating.wins || 0) / games) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-semibold text-white">
+          {profileUser?.profile?.displayName || "Player"}
+        </h2>
+        {profileUser?.profile?.nationName && (
+          <p className="text-sm text-gray-400">{profileUser.profile.nationName}</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <RatingStat label="Rating" value={rating.value ?? 1000} />
+        <RatingStat label="Peak" value={rating.peak ?? 1000} />
+        <RatingStat label="Matches" value={games} />
+        <RatingStat label="Win Rate" value={`${winRate}%`} />
+      </div>
+
+      <div>
+        <h3 className="mb-3 text-lg font-semibold text-white">Match History</h3>
+        {matches.length === 0 ? (
+          <p className="text-sm text-gray-400">No finished matches yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {matches.map((match) => (
+              <MatchRow key={match.id} match={match} />
+            ))}
+          </div>
+        )}
+        {error && <ErrorMessage message={error} />}
+        {matches.length < total && (
+          <button
+            onClick={() => fetchHistory(matches.length)}
+            disabled={isLoading}
+            className="mt-4 rounded bg-gray-800 px-4 py-2 text-sm text-white hover:bg-gray-700 disabled:opacity-50"
+          >
+            {isLoading ? "Loading..." : "Load more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlayerProfile;
@@ -0,0 +1,352 @@
+// ReplayViewer.jsx
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { Pause, Play, SkipBack, SkipForward } from "lucide-react";
+import GameCanvas from "./GameCanvas";
+import { LoadingSpinner, ErrorMessage } from "./ErrorHandling";
+import { apiFetch } from "../utils/api";
+import {
+  buildReplayMapGrid,
+  buildKeyframeNations,
+  diffTerritory,
+} from "../utils/replay";
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+const NATION_PALETTE = [
+  "#FF5733",
+  "#33FF57",
+  "#3357FF",
+  "#FF33A8",
+  "#A833FF",
+  "#33FFF0",
+  "#FFC133",
+  "#FF3333",
+  "#33FF33",
+  "#3333FF",
+];
+const noop = () => {};
+
+const formatCommand = (command) => {
+  const payload = command.payload || {};
+  switch (command.type) {
+    case "arrow":
+      return `${payload.type || "attack"} arrow (${Math.round(
+        (payload.percent || 0) * 100
+      )}%)`;
+    case "navalArrow":
+      return `naval invasion → (${payload.target?.x},${payload.target?.y}) (${Math.round(
+        (payload.percent || 0) * 100
+      )}%)`;
+    case "buildCity":
+      return `built ${payload.cityType} at (${payload.x},${payload.y})`;
+    case "upgradeNode":
+      return `upgraded node at (${payload.x},${payload.y}) to L${payload.level}`;
+    case "research":
+      return `researched ${payload.techId}`;
+    case "foundNation":
+      return `founded at (${payload.x},${payload.y})`;
+    case "troopTarget":
+      return `troop target ${Math.round((payload.troopTarget || 0) * 100)}%`;
+    case "diplomacy":
+      if (!payload.target) return `${payload.action} pact #${payload.pactId}`;
+      return payload.pactType
+        ? `${payload.action} ${payload.pactType} → ${payload.target}`
+        : `${payload.action} → ${payload.target}`;
+    case "quit":
+      return "quit the match";
+    case "resume":
+      return "match resumed";
+    default:
+      return command.type;
+  }
+};
+
+const ReplayViewer = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [viewState, setViewState] = useState(null);
+  const [viewport, setViewport] = useState({
+    width: window.innerWidth,
+    height: window.innerHeight,
+  });
+  const prevTerritoriesRef = useRef(new Map());
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadReplay = async () => {
+      try {
+        const response = await apiFetch(`api/gamerooms/${id}/replay`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load replay");
+        if (!cancelled) setReplay(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    loadReplay();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    const handleResize = () =>
+      setViewport({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  const keyframes = useMemo(() => replay?.keyframes || [], [replay]);
+  const mapMetadata = useMemo(
+    () =>
+      replay
+        ? { name: replay.roomName, width: replay.width, height: replay.height }
+        : null,
+    [replay]
+  );
+  const mapGrid = useMemo(() => buildReplayMapGrid(replay), [replay]);
+  const mappings = useMemo(
+    () =>
+      replay
+        ? {
+            biomes: replay.map?.mappings?.biomes || {},
+            resources: replay.map?.mappings?.resources || {},
+          }
+        : null,
+    [replay]
+  );
+
+  // Expand the selected keyframe and diff it against what is currently drawn
+  useEffect(() => {
+    const frame = keyframes[frameIndex];
+    if (!replay || !frame) return;
+    const nations = buildKeyframeNations(frame, replay.width, replay.height).map(
+      (nation) => ({
+        ...nation,
+        territoryDeltaForClient: diffTerritory(
+          prevTerritoriesRef.current.get(nation.owner),
+          nation.territory
+        ),
+      })
+    );
+    prevTerritoriesRef.current = new Map(
+      nations.map((nation) => [nation.owner, nation.territory])
+    );
+    setViewState({
+      tickCount: frame.tick,
+      roomName: replay.roomName,
+      gameState: { nations, resourceNodeClaims: {} },
+    });
+  }, [replay, frameIndex]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (!playing || !replay) return undefined;
+    const frameMs =
+      ((replay.keyframeIntervalTicks || 25) * (replay.tickRateMs || 200)) /
+      speed;
+    const timer = setInterval(() => {
+      setFrameIndex((current) => {
+        if (current >= keyframes.length - 1) {
+          setPlaying(false);
+          return current;
+        }
+        return current + 1;
+      });
+    }, Math.max(30, frameMs));
+    return () => clearInterval(timer);
+  }, [playing, speed, replay, keyframes.length]);
+
+  const nationColors = useMemo(() => {
+    const colors = {};
+    const owners = (keyframes[0]?.nations || [])
+      .concat(keyframes[keyframes.length - 1]?.nations || [])
+      .filter((nation) => nation?.owner)
+      .sort((a, b) => a.owner.localeCompare(b.owner));
+    let idx = 0;
+    owners.forEach((nation) => {
+      if (colors[nation.owner]) return;
+      colors[nation.owner] =
+        nation.color || NATION_PALETTE[idx++ % NATION_PALETTE.length];
+    });
+    return colors;
+  }, [keyframes]);
+
+  const currentTick = keyframes[frameIndex]?.tick ?? 0;
+  const previousTick =
+    frameIndex > 0 ? keyframes[frameIndex - 1]?.tick ?? -1 : -1;
+  const recentCommands = useMemo(
+    () =>
+      (replay?.commands || []).filter(
+        (command) => command.tick > previousTick && command.tick <= currentTick
+      ),
+    [replay, previousTick, currentTick]
+  );
+  const standings = useMemo(
+    () =>
+      (viewState?.gameState?.nations || [])
+        .filter((nation) => nation.status !== "defeated")
+        .sort((a, b) => (b.territoryPercentage || 0) - (a.territoryPercentage || 0))
+        .slice(0, 8),
+    [viewState]
+  );
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen bg-gray-900 gap-4">
+        <ErrorMessage message={error} />
+        <button
+          onClick={() => navigate("/rooms")}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded"
+        >
+          Back to Game Rooms
+        </button>
+      </div>
+    );
+  }
+
+  if (!replay || !viewState) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen bg-gray-800">
+        <LoadingSpinner />
+        <div className="text-white mt-4">Loading replay...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative h-screen overflow-hidden select-none bg-gray-900">
+      <GameCanvas
+        mapMetadata={mapMetadata}
+        mapGrid={mapGrid}
+        mappings={mappings}
+        gameState={viewState}
+        userId={null}
+        nationColors={nationColors}
+        config={replay.config}
+        foundingNation={false}
+        onFoundNation={noop}
+        buildingStructure={null}
+        onBuildCity={noop}
+        onCancelBuild={noop}
+        drawingArrowType={null}
+        onStartDrawArrow={noop}
+        currentArrowPath={[]}
+        onArrowPathUpdate={noop}
+        onSendArrow={noop}
+        onCancelArrow={noop}
+        activeAttackArrows={[]}
+        activeDefendArrow={null}
+        uiMode="idle"
+        isMobile={false}
+        onInspectCell={noop}
+        troopDensityMap={null}
+        combatFlashes={[]}
+        setCombatFlashes={noop}
+        regionData={null}
+        isDiscord={false}
+        stageWidth={viewport.width}
+        stageHeight={viewport.height}
+      />
+
+      <div className="absolute top-3 left-3 z-40 bg-gray-900/90 text-white rounded-lg p-3 w-64 shadow-lg">
+        <div className="flex items-center justify-between mb-2">
+          <span className="font-semibold truncate">{replay.roomName}</span>
+          <button
+            onClick={() => navigate("/rooms")}
+            className="text-xs text-gray-400 hover:text-white"
+          >
+            Exit
+          </button>
+        </div>
+        <div className="text-xs text-gray-400 mb-2">
+          Seed {replay.mapSeed ?? "unknown"} · {replay.commands?.length || 0}{" "}
+          commands
+        </div>
+        <div className="space-y-1">
+          {standings.map((nation) => (
+            <div key={nation.owner} className="flex items-center gap-2 text-sm">
+              <span
+                className="inline-block w-3 h-3 rounded-sm"
+                style={{ backgroundColor: nationColors[nation.owner] }}
+              />
+              <span className="flex-1 truncate">
+                {nation.nationName || nation.displayName || nation.owner}
+              </span>
+              <span className="text-gray-400">
+                {(nation.territoryPercentage || 0).toFixed(1)}%
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="absolute bottom-0 left-0 right-0 z-40 bg-gray-900/90 text-white p-3">
+        {recentCommands.length > 0 && (
+          <div className="text-xs text-gray-300 mb-2 max-h-16 overflow-y-auto">
+            {recentCommands.map((command, idx) => (
+              <div key={`${command.tick}-${idx}`}>
+                <span className="text-gray-500">t{command.tick}</span>{" "}
+                {command.actor ? `${command.actor}: ` : ""}
+                {formatCommand(command)}
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setFrameIndex((current) => Math.max(0, current - 1))}
+            className="p-1 hover:text-gray-300"
+          >
+            <SkipBack size={18} />
+          </button>
+          <button
+            onClick={() => setPlaying((current) => !current)}
+            className="p-1 hover:text-gray-300"
+          >
+            {playing ? <Pause size={18} /> : <Play size={18} />}
+          </button>
+          <button
+            onClick={() =>
+              setFrameIndex((current) =>
+                Math.min(keyframes.length - 1, current + 1)
+              )
+            }
+            className="p-1 hover:text-gray-300"
+          >
+            <SkipForward size={18} />
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={Math.max(0, keyframes.length - 1)}
+            value={frameIndex}
+            onChange={(e) => setFrameIndex(Number(e.target.value))}
+            className="flex-1"
+          />
+          <span className="text-sm tabular-nums w-24 text-right">
+            Tick {currentTick}
+          </span>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="bg-gray-800 text-sm rounded px-1 py-0.5"
+          >
+            {PLAYBACK_SPEEDS.map((value) => (
+              <option key={value} value={value}>
+                {value}x
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
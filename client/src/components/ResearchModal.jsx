@@ -0,0 +1,141 @@
+// ResearchModal.jsx
+import React from "react";
+import { X } from "lucide-react";
+
+const RESOURCE_ICONS = {
+  wood: "/wood.png",
+  stone: "/stone.png",
+  food: "/food.png",
+  iron: "/steel.png",
+  gold: "/bronze.png",
+};
+
+const TechCard = ({ id, tech, status, resources, techNames, onResearch }) => {
+  const cost = Object.entries(tech.cost || {});
+  const canAfford = cost.every(
+    ([resource, amount]) => (resources?.[resource] || 0) >= amount
+  );
+  const borderColor =
+    status === "done" ? "#10b981" : status === "available" ? "#4b5563" : "#374151";
+
+  return (
+    <div
+      className="p-3 rounded-lg border"
+      style={{
+        borderColor,
+        backgroundColor: "rgba(15,23,42,0.45)",
+        opacity: status === "locked" ? 0.55 : 1,
+      }}
+    >
+      <div className="flex justify-between items-center mb-1">
+        <span className="font-medium">{tech.name || id}</span>
+        {status === "done" && (
+          <span className="text-xs font-semibold text-emerald-400">Researched</span>
+        )}
+      </div>
+      {tech.description && (
+        <div className="text-sm text-gray-400 mb-2">{tech.description}</div>
+      )}
+      {status === "locked" && (
+        <div className="text-xs text-gray-500 mb-2">
+          Requires {(tech.requires || []).map((req) => techNames[req] || req).join(", ")}
+        </div>
+      )}
+      {status !== "done" && (
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex gap-2 flex-wrap">
+            {cost.map(([resource, amount]) => {
+              const hasEnough = (resources?.[resource] || 0) >= amount;
+              return (
+                <div
+                  key={resource}
+                  className={`flex items-center gap-0.5 text-xs ${
+                    hasEnough ? "text-gray-300" : "text-red-400"
+                  }`}
+                >
+                  <img
+                    src={RESOURCE_ICONS[resource] || `/${resource}.png`}
+                    alt={resource}
+                    className="w-3 h-3"
+                  />
+                  {amount}
+                </div>
+              );
+            })}
+          </div>
+          {status === "available" && (
+            <button
+              onClick={() => onResearch(id)}
+              disabled={!canAfford}
+              className="px-2 py-1 rounded text-xs bg-blue-700 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Research
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ResearchModal = ({ isOpen, onClose, techs, nation, onResearch }) => {
+  if (!isOpen) return null;
+  const completed = new Set(nation?.research?.completed || []);
+  const entries = Object.entries(techs || {});
+  const techNames = Object.fromEntries(
+    entries.map(([id, tech]) => [id, tech.name || id])
+  );
+  const statusOf = (id, tech) => {
+    if (completed.has(id)) return "done";
+    return (tech.requires || []).every((req) => completed.has(req))
+      ? "available"
+      : "locked";
+  };
+  // Available first, then locked, then researched
+  const order = { available: 0, locked: 1, done: 2 };
+  const sorted = entries
+    .map(([id, tech]) => ({ id, tech, status: statusOf(id, tech) }))
+    .sort((a, b) => order[a.status] - order[b.status]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-gray-900 bg-opacity-75 text-white rounded-lg p-6 w-[90vw] max-w-md overflow-hidden relative flex flex-col"
+        style={{ height: "70vh", maxHeight: "70vh" }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">Research</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="scrollbar-panel space-y-3 overflow-y-auto pr-2 flex-1 min-h-0">
+          {!nation && (
+            <div className="text-sm text-gray-400">
+              Found a nation to start researching.
+            </div>
+          )}
+          {!!nation &&
+            sorted.map(({ id, tech, status }) => (
+              <TechCard
+                key={id}
+                id={id}
+                tech={tech}
+                status={status}
+                resources={nation.resources}
+                techNames={techNames}
+                onResearch={onResearch}
+              />
+            ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResearchModal;
@@ -14,6 +14,7 @@ const SettingsModal = ({
   onEndGame,
   onLeaveGame,
   onBackToGameRooms,
+  onViewReplay,
 }) => {
   if (!isOpen) return null;
 
@@ -65,6 +66,15 @@ const SettingsModal = ({
                 >
                   End Game
                 </button>
+
+                {onViewReplay && (
+                  <button
+                    onClick={onViewReplay}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded"
+                  >
+                    View Replay
+                  </button>
+                )}
               </>
             )}
             <button
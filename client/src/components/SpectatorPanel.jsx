@@ -0,0 +1,75 @@
+// SpectatorPanel.jsx
+import React from "react";
+import { Eye, Crosshair } from "lucide-react";
+
+const SpectatorPanel = ({
+  gameState,
+  getNationColor,
+  followedOwner,
+  onFollow,
+  isMobile = false,
+  bottomOffset = 0,
+}) => {
+  const nations = (gameState?.gameState?.nations || [])
+    .filter((nation) => nation.status !== "defeated")
+    .sort(
+      (a, b) => (b.territoryPercentage || 0) - (a.territoryPercentage || 0)
+    );
+  const spectatorCount = gameState?.spectatorCount || 0;
+
+  return (
+    <div
+      className={`absolute left-0 right-0 z-40 flex justify-center pointer-events-none ${
+        isMobile ? "px-2" : "px-4"
+      }`}
+      style={{ bottom: `${bottomOffset + 12}px` }}
+    >
+      <div className="pointer-events-auto bg-gray-900/90 text-white rounded-lg shadow-lg p-3 w-full max-w-xl">
+        <div className="flex items-center justify-between mb-2 text-sm">
+          <span className="flex items-center gap-2 font-semibold">
+            <Eye size={16} /> Spectating
+          </span>
+          <span className="text-xs text-gray-400">
+            {spectatorCount} watching
+          </span>
+        </div>
+        {nations.length === 0 ? (
+          <div className="text-xs text-gray-400">
+            No nations have been founded yet.
+          </div>
+        ) : (
+          <div className="flex gap-2 overflow-x-auto">
+            {nations.map((nation) => {
+              const following = followedOwner === nation.owner;
+              return (
+                <button
+                  key={nation.owner}
+                  onClick={() => onFollow(following ? null : nation.owner)}
+                  className={`flex items-center gap-2 px-2 py-1 rounded text-xs whitespace-nowrap ${
+                    following
+                      ? "bg-blue-600 hover:bg-blue-500"
+                      : "bg-gray-800 hover:bg-gray-700"
+                  }`}
+                >
+                  <span
+                    className="inline-block w-3 h-3 rounded-sm"
+                    style={{ backgroundColor: getNationColor(nation) }}
+                  />
+                  <span className="max-w-[8rem] truncate">
+                    {nation.nationName || nation.displayName || nation.owner}
+                  </span>
+                  <span className="text-gray-300">
+                    {(nation.territoryPercentage || 0).toFixed(1)}%
+                  </span>
+                  {following && <Crosshair size={12} />}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorPanel;
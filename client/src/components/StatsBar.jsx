@@ -9,6 +9,10 @@ import {
   Mountain,
   Pickaxe,
   Coins,
+  Target,
+  Flag,
+  Crown,
+  Timer,
 } from "lucide-react";
 
 const sameOwner = (ownerId, currentUserId) =>
@@ -26,6 +30,60 @@ const STAT_ICONS = {
   stone: Mountain,
   iron: Pickaxe,
   gold: Coins,
+  territoryGoal: Target,
+  lastStanding: Flag,
+  capitals: Crown,
+  score: Timer,
+};
+
+const formatClock = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Progress toward the room's win mode, from the player's side (team or nation)
+const getVictoryStat = (victory, userNation, teamTerritory) => {
+  if (!victory?.mode) return null;
+  const team = Number.isInteger(userNation.team) ? userNation.team : null;
+  const rivals = Math.max(0, (victory.sidesRemaining || 0) - 1);
+  switch (victory.mode) {
+    case "territory": {
+      const own =
+        team !== null
+          ? teamTerritory?.[team] || 0
+          : userNation.territoryPercentage || 0;
+      return {
+        key: "territoryGoal",
+        label: "Victory progress",
+        value: `${own}% / ${victory.target}%`,
+      };
+    }
+    case "lastStanding":
+      return {
+        key: "lastStanding",
+        label: "Rivals remaining",
+        value: `${rivals} rival${rivals === 1 ? "" : "s"} left`,
+      };
+    case "capitals":
+      return {
+        key: "capitals",
+        label: "Rival capitals remaining",
+        value: `${rivals} capital${rivals === 1 ? "" : "s"} left`,
+      };
+    case "score": {
+      const scores =
+        team !== null ? victory.teamScores || {} : victory.scores || {};
+      const own = scores[team !== null ? team : userNation.owner] || 0;
+      const rank = Object.values(scores).filter((score) => score > own).length + 1;
+      return {
+        key: "score",
+        label: "Time remaining and score",
+        value: `${formatClock(victory.secondsRemaining)} · ${own} pts (#${rank})`,
+      };
+    }
+    default:
+      return null;
+  }
 };
 
 const StatIcon = ({ statKey, label, size = 14 }) => {
@@ -104,6 +162,11 @@ const StatsBar = ({
   if (!userNation || userNation.status === "defeated") return null;
 
   const territoryLength = userNation.territory?.x?.length || 0;
+  const victoryStat = getVictoryStat(
+    gameState?.gameState?.victory,
+    userNation,
+    gameState?.gameState?.teamTerritory
+  );
 
   const formatDelta = (d) => {
     if (d === undefined || d === 0) return null;
@@ -138,6 +201,7 @@ const StatsBar = ({
       label: "Controlled",
       value: `${userNation.territoryPercentage}%`,
     },
+    ...(victoryStat ? [victoryStat] : []),
   ];
 
   const resourceStats = ["food", "wood", "stone", "iron", "gold"].map(
@@ -194,6 +258,7 @@ const StatsBar = ({
       value: compactNumber(userNation.resources?.wood || 0),
       delta: deltas.wood,
     },
+    ...(victoryStat ? [{ ...victoryStat, wide: true }] : []),
   ];
 
   return (
@@ -209,7 +274,10 @@ const StatsBar = ({
           {mobileStats.map((stat) => {
             const deltaStr = formatDelta(stat.delta);
             return (
-              <div key={stat.key} className="min-w-0">
+              <div
+                key={stat.key}
+                className={`min-w-0 ${stat.wide ? "col-span-3" : ""}`}
+              >
                 <div className="flex items-baseline gap-1.5 whitespace-nowrap">
                   <StatIcon statKey={stat.key} label={stat.label} size={12} />
                   <span className="truncate text-sm font-semibold tabular-nums">
@@ -31,6 +31,51 @@ const NATION_PALETTE = [
   "#FF375F", "#64D2FF", "#FFD60A", "#32D74B", "#5E5CE6",
 ];
 
+// Team palette (team ids start at 1)
+export const TEAM_COLORS = [
+  "#E53935", "#1E88E5", "#43A047", "#FDD835",
+  "#8E24AA", "#FB8C00", "#00ACC1", "#6D4C41",
+];
+
+export function getTeamColor(team) {
+  if (!Number.isInteger(team) || team < 1) return null;
+  return TEAM_COLORS[(team - 1) % TEAM_COLORS.length];
+}
+
+// Blend a nation's color toward its team color so allies read as one bloc
+// while individual nations stay distinguishable
+function tintTowardTeam(color, team, weight = 0.65) {
+  const teamColor = getTeamColor(team);
+  if (!teamColor) return color;
+  if (typeof color !== "string" || !/^#?[0-9a-f]{6}$/i.test(color)) {
+    return teamColor;
+  }
+  const a = hexToRgb(color);
+  const b = hexToRgb(teamColor);
+  const mix = (from, to) => Math.round(from + (to - from) * weight);
+  const value = (mix(a.r, b.r) << 16) | (mix(a.g, b.g) << 8) | mix(a.b, b.b);
+  return `#${value.toString(16).padStart(6, "0")}`;
+}
+
+/**
+ * Apply team tints to an owner -> color map. Nations without a team keep
+ * their own color; returns the input map untouched when nobody has a team.
+ */
+export function applyTeamColors(nationColors, nations) {
+  const teamed = (nations || []).filter(
+    (nation) => nation?.owner && Number.isInteger(nation.team)
+  );
+  if (teamed.length === 0) return nationColors;
+  const colors = { ...(nationColors || {}) };
+  teamed.forEach((nation) => {
+    colors[nation.owner] = tintTowardTeam(
+      colors[nation.owner] || nation.color,
+      nation.team
+    );
+  });
+  return colors;
+}
+
 /**
  * TerritoryTextureManager - Manages territory rendering to a single shared canvas
  * This is used by the TerritoryLayer component
@@ -59,9 +104,12 @@ export class TerritoryTextureManager {
     this.nationColors = new Map();
   }
 
-  // Set color for a nation
+  // Set color for a nation; returns true when the color actually changed
   setNationColor(owner, colorHex) {
-    this.nationColors.set(owner, hexToRgb(colorHex));
+    const next = hexToRgb(colorHex);
+    const prev = this.nationColors.get(owner);
+    this.nationColors.set(owner, next);
+    return !prev || prev.r !== next.r || prev.g !== next.g || prev.b !== next.b;
   }
 
   // Clear a cell (make transparent)
@@ -123,6 +171,15 @@ export class TerritoryTextureManager {
     this.needsTextureUpdate = true;
   }
 
+  // Clear and repaint a nation's cells (after its color changed)
+  repaint(owner, territory) {
+    if (!territory?.x || !territory?.y) return;
+    for (let i = 0; i < territory.x.length; i++) {
+      this.clearCell(territory.x[i], territory.y[i]);
+    }
+    this.fullRedraw(owner, territory);
+  }
+
   // Clear entire canvas
   clear() {
     this.ctx.clearRect(0, 0, this.pixelWidth, this.pixelHeight);
@@ -185,15 +242,6 @@ export function useTerritoryTexture(mapWidth, mapHeight, cellSize, nations, nati
     };
   }, [mapWidth, mapHeight, cellSize]);
 
-  // Update nation colors
-  useEffect(() => {
-    if (!managerRef.current || !nationColors) return;
-
-    Object.entries(nationColors).forEach(([owner, color]) => {
-      managerRef.current.setNationColor(owner, color);
-    });
-  }, [nationColors]);
-
   // Process nation updates
   const texture = useMemo(() => {
     if (!managerRef.current || !nations) return null;
@@ -205,6 +253,15 @@ export function useTerritoryTexture(mapWidth, mapHeight, cellSize, nations, nati
     const prevByOwner = new Map();
     prevNations.forEach((n) => prevByOwner.set(n.owner, n));
 
+    // Sync colors (team assignments recolor nations that are already drawn)
+    const recolored = [];
+    Object.entries(nationColors || {}).forEach(([owner, color]) => {
+      const known = manager.nationColors.has(owner);
+      if (manager.setNationColor(owner, color) && known) {
+        recolored.push(owner);
+      }
+    });
+
     // Assign colors to new nations
     nations.forEach((nation, idx) => {
       if (!manager.nationColors.has(nation.owner)) {
@@ -213,6 +270,16 @@ export function useTerritoryTexture(mapWidth, mapHeight, cellSize, nations, nati
       }
     });
 
+    // Clear every nation's lost cells before painting gains, so a cell that
+    // changed hands isn't wiped by the loser's removal after the winner drew it
+    nations.forEach((nation) => {
+      if (nation.status === "defeated") return;
+      const delta = nation.territoryDeltaForClient;
+      if (delta?.sub?.x?.length) {
+        manager.applyDelta(nation.owner, { sub: delta.sub });
+      }
+    });
+
     // Process each nation
     nations.forEach((nation) => {
       if (nation.status === "defeated") return;
@@ -222,11 +289,8 @@ export function useTerritoryTexture(mapWidth, mapHeight, cellSize, nations, nati
       // Check if we have delta updates
       if (nation.territoryDeltaForClient) {
         const delta = nation.territoryDeltaForClient;
-        const hasChanges =
-          (delta.add?.x?.length || 0) > 0 || (delta.sub?.x?.length || 0) > 0;
-
-        if (hasChanges) {
-          manager.applyDelta(nation.owner, delta);
+        if ((delta.add?.x?.length || 0) > 0) {
+          manager.applyDelta(nation.owner, { add: delta.add });
         }
       } else if (!prev && nation.territory?.x?.length > 0) {
         // New nation, do full draw
@@ -234,6 +298,14 @@ export function useTerritoryTexture(mapWidth, mapHeight, cellSize, nations, nati
       }
     });
 
+    // Repaint nations whose color changed since they were drawn
+    recolored.forEach((owner) => {
+      const nation = nations.find((n) => n.owner === owner);
+      if (nation && nation.status !== "defeated" && prevByOwner.has(owner)) {
+        manager.repaint(owner, nation.territory);
+      }
+    });
+
     // Handle defeated/removed nations
     prevNations.forEach((prevNation) => {
       const current = nations.find((n) => n.owner === prevNation.owner);
@@ -0,0 +1,9 @@
+// Bot difficulty tiers — keep in sync with BOT_DIFFICULTIES in server/utils/botAI.js
+export const BOT_DIFFICULTIES = [
+  { value: "easy", label: "Easy" },
+  { value: "normal", label: "Normal" },
+  { value: "hard", label: "Hard" },
+  { value: "insane", label: "Insane" },
+];
+
+export const DEFAULT_BOT_DIFFICULTY = "normal";
@@ -1,3 +1,20 @@
+// Map and build-menu icons for every structure type
+export const STRUCTURE_ICONS = {
+  capital: "/capital.png",
+  town: "/town.png",
+  tower: "/fort.png",
+  fort: "/fort.png",
+  farm: "/farm.png",
+  "lumber mill": "/lumber_mill.png",
+  mine: "/mine.png",
+  stable: "/stable.png",
+  workshop: "/workshop.png",
+  port: "/port.png",
+};
+
+export const getStructureIcon = (type) =>
+  STRUCTURE_ICONS[type] || `/${String(type).toLowerCase().replace(" ", "_")}.png`;
+
 // const cityIconCache = {};
 
 // const createColoredCityIconImage = (color) => {
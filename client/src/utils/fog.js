@@ -0,0 +1,21 @@
+// Fog of war — keep in sync with server/utils/fogOfWar.js
+export const FOG_UNEXPLORED = 0;
+export const FOG_EXPLORED = 1;
+export const FOG_VISIBLE = 2;
+
+/**
+ * Expand the server's fog payload ({ width, height, runs: [value, count,
+ * ...] }) into one FOG_* value per cell, row-major. Returns null for a
+ * missing or malformed payload.
+ */
+export const decodeFogMask = (fog) => {
+  if (!fog?.runs || !fog.width || !fog.height) return null;
+  const mask = new Uint8Array(fog.width * fog.height);
+  let offset = 0;
+  for (let i = 0; i + 1 < fog.runs.length; i += 2) {
+    const end = Math.min(mask.length, offset + fog.runs[i + 1]);
+    mask.fill(fog.runs[i], offset, end);
+    offset = end;
+  }
+  return { width: fog.width, height: fog.height, mask };
+};
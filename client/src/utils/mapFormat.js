@@ -0,0 +1,171 @@
+// Map documents — keep in sync with server/utils/mapFormat.js
+export const MAP_FORMAT = "historyengine-map";
+export const MAP_FORMAT_VERSION = 1;
+
+export const BIOMES = [
+  "OCEAN",
+  "COASTAL",
+  "MOUNTAIN",
+  "DESERT",
+  "SAVANNA",
+  "TROPICAL_FOREST",
+  "RAINFOREST",
+  "TUNDRA",
+  "TAIGA",
+  "GRASSLAND",
+  "WOODLAND",
+  "FOREST",
+  "RIVER",
+];
+
+export const BIOME_COLORS = {
+  OCEAN: [30, 60, 120],
+  COASTAL: [160, 180, 140],
+  MOUNTAIN: [140, 140, 140],
+  DESERT: [210, 190, 120],
+  SAVANNA: [190, 190, 80],
+  TROPICAL_FOREST: [40, 140, 60],
+  RAINFOREST: [20, 100, 40],
+  TUNDRA: [200, 210, 220],
+  TAIGA: [60, 100, 80],
+  GRASSLAND: [130, 180, 80],
+  WOODLAND: [90, 140, 60],
+  FOREST: [40, 120, 50],
+  RIVER: [50, 90, 170],
+};
+
+export const DEFAULT_LEGEND = {
+  "~": "OCEAN",
+  ",": "COASTAL",
+  "^": "MOUNTAIN",
+  d: "DESERT",
+  s: "SAVANNA",
+  j: "TROPICAL_FOREST",
+  r: "RAINFOREST",
+  t: "TUNDRA",
+  a: "TAIGA",
+  g: "GRASSLAND",
+  w: "WOODLAND",
+  f: "FOREST",
+  "=": "RIVER",
+};
+
+// Elevation digit a tile gets when the document has no elevation rows
+export const DEFAULT_ELEVATION = {
+  OCEAN: 2,
+  COASTAL: 3,
+  MOUNTAIN: 8,
+  DESERT: 5,
+  SAVANNA: 5,
+  TROPICAL_FOREST: 4,
+  RAINFOREST: 4,
+  TUNDRA: 6,
+  TAIGA: 6,
+  GRASSLAND: 5,
+  WOODLAND: 5,
+  FOREST: 5,
+  RIVER: 4,
+};
+
+export const RESOURCE_TYPES = ["food", "wood", "iron", "stone", "gold"];
+
+const OCEAN = BIOMES.indexOf("OCEAN");
+const KEY_BY_BIOME = Object.fromEntries(
+  Object.entries(DEFAULT_LEGEND).map(([key, biome]) => [biome, key])
+);
+
+/**
+ * Editor maps keep one byte per tile: `biomes` holds BIOMES indices and
+ * `elevation` digits 0-9. `resources` maps "x,y" to { type, level }.
+ */
+export const createBlankMap = (width, height, fillBiome = "GRASSLAND") => {
+  const biomeIndex = BIOMES.indexOf(fillBiome);
+  const biomes = new Uint8Array(width * height);
+  const elevation = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Leave an ocean border so the map reads as an island
+      const edge = x < 2 || y < 2 || x >= width - 2 || y >= height - 2;
+      const biome = edge ? OCEAN : biomeIndex;
+      biomes[y * width + x] = biome;
+      elevation[y * width + x] = DEFAULT_ELEVATION[BIOMES[biome]];
+    }
+  }
+  return { name: "Untitled Map", width, height, biomes, elevation, resources: {} };
+};
+
+/** Read a map document into an editor map. Returns { error } or { map }. */
+export const documentToEditorMap = (doc) => {
+  if (!doc || typeof doc !== "object") return { error: "Not a map document" };
+  if (doc.format !== undefined && doc.format !== MAP_FORMAT) {
+    return { error: `Unsupported map format "${doc.format}"` };
+  }
+  const width = Number(doc.width);
+  const height = Number(doc.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return { error: "width and height must be positive whole numbers" };
+  }
+  if (!Array.isArray(doc.terrain) || doc.terrain.length !== height) {
+    return { error: `terrain must have ${height} rows` };
+  }
+  const legend = doc.legend || DEFAULT_LEGEND;
+  const biomes = new Uint8Array(width * height);
+  const elevation = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = doc.terrain[y];
+    if (typeof row !== "string" || row.length !== width) {
+      return { error: `terrain row ${y} must have ${width} characters` };
+    }
+    const elevationRow = doc.elevation?.[y];
+    for (let x = 0; x < width; x++) {
+      const biome = legend[row[x]];
+      const index = BIOMES.indexOf(biome);
+      if (index === -1) return { error: `Unknown terrain "${row[x]}" at (${x},${y})` };
+      biomes[y * width + x] = index;
+      const digit = Number(elevationRow?.[x]);
+      elevation[y * width + x] = Number.isInteger(digit)
+        ? digit
+        : DEFAULT_ELEVATION[biome];
+    }
+  }
+  const resources = {};
+  for (const node of doc.resources || []) {
+    if (!RESOURCE_TYPES.includes(node?.type)) continue;
+    resources[`${node.x},${node.y}`] = { type: node.type, level: node.level || 0 };
+  }
+  return {
+    map: { name: doc.name || "Untitled Map", width, height, biomes, elevation, resources },
+  };
+};
+
+/** Write an editor map as a map document. */
+export const editorMapToDocument = (map) => {
+  const terrain = [];
+  const elevation = [];
+  for (let y = 0; y < map.height; y++) {
+    let terrainRow = "";
+    let elevationRow = "";
+    for (let x = 0; x < map.width; x++) {
+      const i = y * map.width + x;
+      terrainRow += KEY_BY_BIOME[BIOMES[map.biomes[i]]];
+      elevationRow += String(map.elevation[i]);
+    }
+    terrain.push(terrainRow);
+    elevation.push(elevationRow);
+  }
+  const resources = Object.entries(map.resources).map(([key, node]) => {
+    const [x, y] = key.split(",").map(Number);
+    return { x, y, type: node.type, level: node.level || 0 };
+  });
+  return {
+    format: MAP_FORMAT,
+    version: MAP_FORMAT_VERSION,
+    name: map.name,
+    width: map.width,
+    height: map.height,
+    legend: DEFAULT_LEGEND,
+    terrain,
+    elevation,
+    resources,
+  };
+};
@@ -93,3 +93,179 @@ export function processGameStateDeltas(gameState, usePackedDeltas) {
 
   return gameState;
 }
+
+// ---------------------------------------------------------------------
+// Binary state frames — see the layout in server/utils/packedDelta.js
+// ---------------------------------------------------------------------
+
+const STATE_FRAME_MAGIC = 0x48;
+const STATE_FRAME_VERSION = 1;
+const FRAME_TYPE_STATE = 1;
+const FRAME_SECTIONS = {
+  META: 1,
+  NATIONS: 2,
+  DELTAS: 3,
+  ARROWS: 4,
+  TROOP_DENSITY: 5,
+};
+const NATION_FIELDS = [
+  "population",
+  "maxPopulation",
+  "nationalWill",
+  "territoryPercentage",
+  "troopCount",
+  "troopTarget",
+];
+const ARROW_SLOTS = ["attacks", "defend", "attack"];
+const ARROW_FIELDS = [
+  "currentIndex",
+  "remainingPower",
+  "initialPower",
+  "troopCommitment",
+  "percent",
+  "headX",
+  "headY",
+  "frontWidth",
+  "advanceProgress",
+  "phase",
+  "effectiveDensityAtFront",
+  "stalledTicks",
+  "emptyFrontTicks",
+  "createdAtTick",
+];
+const NO_PATH = 0xffff;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Decode a binary state frame (ArrayBuffer) into the same
+ * { type: "state", ... } message the JSON protocol delivers.
+ * Throws on frames of another version or type.
+ */
+export function decodeStateFrame(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.getUint8(0) !== STATE_FRAME_MAGIC) {
+    throw new Error("Not a state frame");
+  }
+  const version = view.getUint8(1);
+  if (version !== STATE_FRAME_VERSION) {
+    throw new Error(`Unsupported state frame version ${version}`);
+  }
+  if (view.getUint8(2) !== FRAME_TYPE_STATE) {
+    throw new Error(`Unsupported frame type ${view.getUint8(2)}`);
+  }
+  const sectionCount = view.getUint32(8, true);
+
+  let offset = 12;
+  const sections = {};
+  for (let i = 0; i < sectionCount; i++) {
+    const id = view.getUint8(offset);
+    const length = view.getUint32(offset + 1, true);
+    sections[id] = { start: offset + 5, length };
+    offset += 5 + length;
+  }
+
+  const meta = sections[FRAME_SECTIONS.META];
+  const message = JSON.parse(
+    textDecoder.decode(new Uint8Array(arrayBuffer, meta.start, meta.length))
+  );
+  const nations = message.gameState?.nations || [];
+
+  const nationSection = sections[FRAME_SECTIONS.NATIONS];
+  if (nationSection) {
+    offset = nationSection.start;
+    const count = view.getUint16(offset, true);
+    offset += 2;
+    for (let n = 0; n < count; n++) {
+      for (const field of NATION_FIELDS) {
+        const value = view.getFloat32(offset, true);
+        offset += 4;
+        if (!Number.isNaN(value) && nations[n]) nations[n][field] = value;
+      }
+    }
+  }
+
+  const deltaSection = sections[FRAME_SECTIONS.DELTAS];
+  if (deltaSection) {
+    offset = deltaSection.start;
+    const count = view.getUint16(offset, true);
+    offset += 2;
+    for (let d = 0; d < count; d++) {
+      const index = view.getUint16(offset, true);
+      const addCount = view.getUint32(offset + 2, true);
+      const subCount = view.getUint32(offset + 6, true);
+      offset += 10;
+      const delta = {
+        add: { x: new Array(addCount), y: new Array(addCount) },
+        sub: { x: new Array(subCount), y: new Array(subCount) },
+      };
+      for (let i = 0; i < addCount; i++, offset += 4) {
+        delta.add.x[i] = view.getUint16(offset, true);
+        delta.add.y[i] = view.getUint16(offset + 2, true);
+      }
+      for (let i = 0; i < subCount; i++, offset += 4) {
+        delta.sub.x[i] = view.getUint16(offset, true);
+        delta.sub.y[i] = view.getUint16(offset + 2, true);
+      }
+      if (nations[index]) nations[index].territoryDeltaForClient = delta;
+    }
+  }
+
+  const arrowSection = sections[FRAME_SECTIONS.ARROWS];
+  if (arrowSection) {
+    offset = arrowSection.start;
+    const count = view.getUint16(offset, true);
+    offset += 2;
+    for (let a = 0; a < count; a++) {
+      const index = view.getUint16(offset, true);
+      const slotName = ARROW_SLOTS[view.getUint8(offset + 2)];
+      const arrowIndex = view.getUint16(offset + 3, true);
+      const pathLength = view.getUint16(offset + 5, true);
+      offset += 7;
+      const orders = nations[index]?.arrowOrders;
+      const arrow =
+        slotName === "attacks" ? orders?.attacks?.[arrowIndex] : orders?.[slotName];
+      let path = null;
+      if (pathLength !== NO_PATH) {
+        path = new Array(pathLength);
+        for (let i = 0; i < pathLength; i++, offset += 4) {
+          path[i] = {
+            x: view.getUint16(offset, true),
+            y: view.getUint16(offset + 2, true),
+          };
+        }
+      }
+      const values = {};
+      for (const field of ARROW_FIELDS) {
+        const value = view.getFloat32(offset, true);
+        offset += 4;
+        if (!Number.isNaN(value)) values[field] = value;
+      }
+      if (arrow) {
+        Object.assign(arrow, values);
+        if (path) arrow.path = path;
+      }
+    }
+  }
+
+  const densitySection = sections[FRAME_SECTIONS.TROOP_DENSITY];
+  if (densitySection) {
+    offset = densitySection.start;
+    const count = view.getUint16(offset, true);
+    offset += 2;
+    for (let d = 0; d < count; d++) {
+      const index = view.getUint16(offset, true);
+      const cells = view.getUint32(offset + 2, true);
+      offset += 6;
+      const densityMap = new Array(cells * 3);
+      for (let i = 0; i < cells; i++, offset += 5) {
+        densityMap[i * 3] = view.getUint16(offset, true);
+        densityMap[i * 3 + 1] = view.getUint16(offset + 2, true);
+        densityMap[i * 3 + 2] = view.getUint8(offset + 4);
+      }
+      if (nations[index]) nations[index].troopDensityMap = densityMap;
+    }
+  }
+
+  return { type: "state", ...message };
+}
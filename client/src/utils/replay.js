@@ -0,0 +1,114 @@
+/**
+ * Client-side decoding for replay exports (GET /api/gamerooms/:id/replay)
+ * Matches the run-length encoding in server/utils/replayStore.js
+ */
+
+const UNOWNED = -1;
+const RIVER_BIOME = 12;
+
+// Decode base64 Int32 [value, count, ...] runs into a flat array of `size` cells
+export function decodeRuns(base64, size, ArrayType = Int32Array) {
+  const out = new ArrayType(size);
+  if (!base64) return out;
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  const runs = new Int32Array(bytes.buffer, 0, Math.floor(bytes.length / 4));
+  let offset = 0;
+  for (let i = 0; i + 1 < runs.length && offset < size; i += 2) {
+    const value = runs[i];
+    const end = Math.min(size, offset + runs[i + 1]);
+    out.fill(value, offset, end);
+    offset = end;
+  }
+  return out;
+}
+
+// Build the flat { cell, x, y } grid GameCanvas expects from the replay's map layers.
+// Cells use the same tuple layout as /data chunks: [elev, moist, temp, biome, river, resources]
+export function buildReplayMapGrid(replay) {
+  const { width, height, map } = replay || {};
+  if (!width || !height || !map) return [];
+  const size = width * height;
+  const biomes = decodeRuns(map.biome, size);
+  const resourceTypes = decodeRuns(map.resourceType, size);
+  const resourceNames = map.mappings?.resources || {};
+
+  const grid = new Array(size);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const resourceCode = resourceTypes[i];
+      const resourceName = resourceCode ? resourceNames[resourceCode] : null;
+      grid[i] = {
+        cell: [
+          0,
+          0,
+          0,
+          biomes[i],
+          biomes[i] === RIVER_BIOME ? 1 : 0,
+          resourceName && resourceName !== "none" ? [resourceName] : [],
+        ],
+        x,
+        y,
+      };
+    }
+  }
+  return grid;
+}
+
+// Expand a keyframe into nation objects with full territory arrays
+export function buildKeyframeNations(frame, width, height) {
+  if (!frame) return [];
+  const ownership = decodeRuns(frame.ownership, width * height);
+  const owners = frame.owners || [];
+  const territories = new Map();
+  for (let i = 0; i < ownership.length; i++) {
+    const idx = ownership[i];
+    if (idx === UNOWNED) continue;
+    const owner = owners[idx];
+    if (!owner) continue;
+    let territory = territories.get(owner);
+    if (!territory) {
+      territory = { x: [], y: [] };
+      territories.set(owner, territory);
+    }
+    territory.x.push(i % width);
+    territory.y.push(Math.floor(i / width));
+  }
+
+  return (frame.nations || []).map((nation) => ({
+    ...nation,
+    territory: territories.get(nation.owner) || { x: [], y: [] },
+  }));
+}
+
+// Territory delta between two snapshots of the same nation (numeric (y << 16) | x keys)
+export function diffTerritory(prevTerritory, nextTerritory) {
+  const prevKeys = new Set();
+  if (prevTerritory?.x) {
+    for (let i = 0; i < prevTerritory.x.length; i++) {
+      prevKeys.add((prevTerritory.y[i] << 16) | prevTerritory.x[i]);
+    }
+  }
+  const delta = { add: { x: [], y: [] }, sub: { x: [], y: [] } };
+  const nextKeys = new Set();
+  const nx = nextTerritory?.x || [];
+  const ny = nextTerritory?.y || [];
+  for (let i = 0; i < nx.length; i++) {
+    const key = (ny[i] << 16) | nx[i];
+    nextKeys.add(key);
+    if (!prevKeys.has(key)) {
+      delta.add.x.push(nx[i]);
+      delta.add.y.push(ny[i]);
+    }
+  }
+  prevKeys.forEach((key) => {
+    if (nextKeys.has(key)) return;
+    delta.sub.x.push(key & 0xffff);
+    delta.sub.y.push((key >> 16) & 0xffff);
+  });
+  return delta;
+}
@@ -0,0 +1,96 @@
+// Economy structures — keep in sync with server/utils/economyStructures.js
+export const ECONOMY_STRUCTURES = [
+  "farm",
+  "lumber mill",
+  "mine",
+  "stable",
+  "workshop",
+];
+
+export const isEconomyStructure = (type) => ECONOMY_STRUCTURES.includes(type);
+
+/**
+ * Client-side preview of the server's placement rules for an economy
+ * structure. `getTile(x, y)` returns { biome, resources } or null. Returns
+ * an error message, or null when the site looks valid.
+ */
+export const getEconomySiteError = (type, x, y, getTile, nation, structuresConfig) => {
+  if (!isEconomyStructure(type)) return null;
+  const cfg = structuresConfig?.[type] || {};
+  const tile = getTile(x, y);
+  if (!tile || tile.biome === "OCEAN") return `Cannot build ${type} on this tile`;
+
+  const cities = nation?.cities || [];
+  const minSpacing = cfg.minSpacing ?? 0;
+  if (
+    cities.some(
+      (c) => c.type === type && Math.abs(c.x - x) + Math.abs(c.y - y) < minSpacing
+    )
+  ) {
+    return `Too close to another ${type}`;
+  }
+
+  const radius = cfg.radius ?? 3;
+  if (cfg.requiresCity) {
+    const nearCity = cities.some(
+      (c) =>
+        (c.type === "town" || c.type === "capital") &&
+        Math.max(Math.abs(c.x - x), Math.abs(c.y - y)) <= radius
+    );
+    return nearCity ? null : `Must be near your town or capital`;
+  }
+
+  const biomeYields = cfg.biomeYields || {};
+  const nodeYields = cfg.nodeYields || {};
+  const biomeBonuses = cfg.biomeBonuses || {};
+  let productiveTiles = 0;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const t = getTile(x + dx, y + dy);
+      if (!t) continue;
+      if (
+        biomeYields[t.biome] ||
+        biomeBonuses[t.biome] ||
+        (t.resources || []).some((r) => nodeYields[r])
+      ) {
+        productiveTiles++;
+      }
+    }
+  }
+  const minTiles = cfg.minProductiveTiles ?? 1;
+  return productiveTiles >= minTiles ? null : `Not enough suitable land nearby`;
+};
+
+// Ports and naval targets — keep in sync with server/utils/naval.js
+const touchesOcean = (x, y, getTile) => {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if ((dx || dy) && getTile(x + dx, y + dy)?.biome === "OCEAN") return true;
+    }
+  }
+  return false;
+};
+
+/** Land tile next to the sea, where a naval invasion can land. */
+export const isCoastTile = (x, y, getTile) => {
+  const tile = getTile(x, y);
+  return !!tile && tile.biome !== "OCEAN" && touchesOcean(x, y, getTile);
+};
+
+/**
+ * Client-side preview of the placement rules for any structure with site
+ * rules (ports and economy structures). Returns an error message or null.
+ */
+export const getStructureSiteError = (type, x, y, getTile, nation, structuresConfig) => {
+  if (type !== "port") {
+    return getEconomySiteError(type, x, y, getTile, nation, structuresConfig);
+  }
+  if (getTile(x, y)?.biome !== "COASTAL" || !touchesOcean(x, y, getTile)) {
+    return "Must be on a coastal tile next to the sea";
+  }
+  const minSpacing = structuresConfig?.port?.minSpacing ?? 0;
+  const tooClose = (nation?.cities || []).some(
+    (c) => c.type === "port" && Math.abs(c.x - x) + Math.abs(c.y - y) < minSpacing
+  );
+  return tooClose ? "Too close to another port" : null;
+};
@@ -0,0 +1,30 @@
+// Win modes — keep in sync with WIN_MODES in server/utils/winConditions.js
+export const WIN_MODES = [
+  {
+    value: "territory",
+    label: "Territory",
+    description: "First nation or team to control the target share of land wins.",
+  },
+  {
+    value: "lastStanding",
+    label: "Last Nation Standing",
+    description: "Defeat every other nation or team.",
+  },
+  {
+    value: "capitals",
+    label: "Capital Conquest",
+    description: "Losing your capital knocks you out. Hold the last capital to win.",
+  },
+  {
+    value: "score",
+    label: "Timed Score",
+    description: "Highest score (land share plus towns) when the clock runs out wins.",
+  },
+];
+
+export const DEFAULT_WIN_MODE = "territory";
+export const DEFAULT_WIN_PERCENTAGE = 75;
+export const DEFAULT_MATCH_LENGTH_MINUTES = 15;
+
+export const getWinModeLabel = (mode) =>
+  WIN_MODES.find((entry) => entry.value === mode)?.label || "Territory";
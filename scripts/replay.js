@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Replay verifier — loads a recorded match from MongoDB and re-simulates it
+// through GameLoop.processRoom (see server/workers/replayRunner.js), checking
+// the territory against every recorded keyframe. Nothing is written back.
+//
+// Usage: node scripts/replay.js <roomId> [options]
+//   --ticks N    stop after N ticks (default: the whole recording)
+// MONGO_URI is read from the environment or server/.env, as for the server.
+// Example: MONGO_URI=mongodb://localhost:27017/fantasy-maps node scripts/replay.js 65f0c0ffee...
+//
+// Exits 0 when the replay matches, 1 when it diverges, 2 on bad input.
+
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+// Resolve server dependencies from server/node_modules, sharing its instances
+const requireServer = createRequire(new URL("../server/package.json", import.meta.url));
+const mongoose = requireServer("mongoose");
+requireServer("dotenv").config({ path: fileURLToPath(new URL("../server/.env", import.meta.url)) });
+
+const [roomId, ...rest] = process.argv.slice(2);
+const ticksFlag = rest.indexOf("--ticks");
+const maxTicks = ticksFlag >= 0 ? Number(rest[ticksFlag + 1]) : Infinity;
+if (!roomId || !mongoose.Types.ObjectId.isValid(roomId) || !(maxTicks > 0)) {
+  console.error("Usage: node scripts/replay.js <roomId> [--ticks N]");
+  process.exit(2);
+}
+
+const { loadReplayForSimulation } = await import("../server/utils/replayStore.js");
+const { resimulateReplay } = await import("../server/workers/replayRunner.js");
+
+await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/fantasy-maps");
+let exitCode = 1;
+try {
+  const replay = await loadReplayForSimulation(roomId);
+  if (!replay) {
+    console.error(`No replay found for room ${roomId}`);
+    exitCode = 2;
+  } else {
+    const { header } = replay;
+    console.log(
+      `Re-simulating "${header.roomName}" ticks ${header.startTick}-${header.lastTick} ` +
+        `on ${header.width}x${header.height}...`
+    );
+    const started = Date.now();
+    const result = await resimulateReplay(replay, { maxTicks });
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    if (result.divergence) {
+      console.log(
+        `  diverged at tick ${result.divergence.tick}: ${result.divergence.reason} ` +
+          `(${result.keyframesChecked} keyframe(s) matched before it)`
+      );
+    } else {
+      console.log(
+        `  ${result.matched ? "matched" : "nothing to compare"}: ${result.ticks} ticks, ` +
+          `${result.keyframesChecked} keyframe(s) checked in ${seconds}s` +
+          (result.stoppedAt != null ? `; stopped at tick ${result.stoppedAt} (loop resumed)` : "")
+      );
+    }
+    exitCode = result.matched ? 0 : 1;
+  }
+} catch (err) {
+  console.error(`Re-simulation failed: ${err.message}`);
+} finally {
+  await mongoose.disconnect();
+}
+process.exit(exitCode);
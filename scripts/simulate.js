@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+// Headless simulation harness — seats N bots on a generated map and runs the
+// live tick pipeline in memory (no MongoDB, no WebSocket), writing per-tick
+// nation stats for balance testing.
+//
+// Usage: node scripts/simulate.js [options]
+//   --bots N            bots per match (default 6)
+//   --width W           map width (default 200)
+//   --height H          map height (default 200)
+//   --seed S            first seed (default random)
+//   --runs N            run seeds S..S+N-1 (default 1)
+//   --seeds 1,2,3       explicit seed list (overrides --seed/--runs)
+//   --ticks N           tick limit per match (default 3000)
+//   --difficulty d,...  bot tiers, cycled across seats (default config default)
+//   --teams N           split bots round-robin into N teams (default none)
+//   --win-mode MODE     territory|lastStanding|capitals|score (default config)
+//   --every N           sample stats every N ticks (default 1)
+//   --format json|csv   per-run output format (default json)
+//   --config FILE       JSON deep-merged over gameConfig.json for this run
+//   --out DIR           output directory (default sim-results)
+// Example: node scripts/simulate.js --bots 8 --runs 20 --seed 1 --format csv
+//
+// Each seed drives both map generation and Math.random, so a seed replays the
+// same match as long as the engine and config are unchanged.
+
+import fs from "fs";
+import path from "path";
+import config from "../server/config/config.js";
+
+// ─── Arguments ──────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[token.slice(2)] = true;
+    } else {
+      args[token.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const positiveInt = (value, fallback) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const botCount = positiveInt(args.bots, 6);
+const width = positiveInt(args.width, 200);
+const height = positiveInt(args.height, 200);
+const maxTicks = positiveInt(args.ticks, 3000);
+const sampleEvery = positiveInt(args.every, 1);
+const teamCount = positiveInt(args.teams, 0);
+const format = args.format === "csv" ? "csv" : "json";
+const outDir = path.resolve(typeof args.out === "string" ? args.out : "sim-results");
+const firstSeed = Number.isFinite(Number(args.seed))
+  ? Number(args.seed)
+  : Math.floor(Math.random() * 100000);
+const seeds =
+  typeof args.seeds === "string"
+    ? args.seeds.split(",").map(Number).filter(Number.isFinite)
+    : Array.from({ length: positiveInt(args.runs, 1) }, (_, i) => firstSeed + i);
+
+// ─── Config overrides ───────────────────────────────────────────────────────
+// Engine modules read config at import time, so overrides are merged before
+// they are loaded below.
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      if (!target[key] || typeof target[key] !== "object") target[key] = {};
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+if (typeof args.config === "string") {
+  deepMerge(config, JSON.parse(fs.readFileSync(args.config, "utf8")));
+}
+
+const { generateWorldMap, mulberry32 } = await import("../server/utils/mapUtils.js");
+const { assignResourcesToMap } = await import("../server/utils/resourceManagement.js");
+const { generateRegions } = await import("../server/utils/regionGenerator.js");
+const { gameLoop, simulateTick, normalizeRuntimeCell } = await import(
+  "../server/workers/gameLoop.js"
+);
+const { findBotStartCell, buildBotNation, generateUniqueBotName } = await import(
+  "../server/utils/botSpawn.js"
+);
+const { normalizeBotDifficulty, DEFAULT_BOT_DIFFICULTY } = await import(
+  "../server/utils/botAI.js"
+);
+const { applyTeamAssignments, getNationTeam } = await import("../server/utils/teams.js");
+const { parseWinSettings } = await import("../server/utils/winConditions.js");
+
+const difficulties =
+  typeof args.difficulty === "string"
+    ? args.difficulty.split(",").map((d) => normalizeBotDifficulty(d.trim()))
+    : [DEFAULT_BOT_DIFFICULTY];
+if (difficulties.some((d) => !d)) {
+  console.error(`Unknown difficulty in "${args.difficulty}"`);
+  process.exit(1);
+}
+const victory = parseWinSettings({
+  winMode: typeof args["win-mode"] === "string" ? args["win-mode"] : undefined,
+});
+if (victory.error) {
+  console.error(victory.error);
+  process.exit(1);
+}
+
+// ─── Match setup ────────────────────────────────────────────────────────────
+
+function buildMap(seed) {
+  const numBlobs = width >= 500 ? 9 : 7;
+  const generated = generateWorldMap(width, height, 4, numBlobs, seed, config?.mapGeneration);
+  return assignResourcesToMap(generated, seed).map((row) => row.map(normalizeRuntimeCell));
+}
+
+function seatBots(mapData) {
+  const nations = [];
+  const names = new Set();
+  for (let i = 0; i < botCount; i++) {
+    const botId = generateUniqueBotName(names, i + 1);
+    const start = findBotStartCell(mapData, nations);
+    if (!start) {
+      console.warn(`  no valid start for bot ${i + 1}, seating ${nations.length}`);
+      break;
+    }
+    names.add(botId);
+    const bot = buildBotNation(botId, start.x, start.y, mapData, nations);
+    bot.botDifficulty = difficulties[i % difficulties.length];
+    nations.push(bot);
+  }
+  return nations;
+}
+
+function countClaimable(mapData) {
+  let total = 0;
+  for (const row of mapData) {
+    for (const cell of row) {
+      if (cell && cell.biome !== "OCEAN") total++;
+    }
+  }
+  return total;
+}
+
+// ─── Stats ──────────────────────────────────────────────────────────────────
+
+// Nations are reshuffled every tick; sort so rows line up between samples
+const snapshotNations = (nations) =>
+  [...nations].sort((a, b) => a.owner.localeCompare(b.owner)).map(snapshotNation);
+
+function snapshotNation(nation) {
+  return {
+    owner: nation.owner,
+    difficulty: nation.botDifficulty,
+    team: getNationTeam(nation),
+    status: nation.status,
+    territory: nation.territory?.x?.length || 0,
+    territoryPercentage: nation.territoryPercentage || 0,
+    population: Math.round(nation.population || 0),
+    troops: Math.round(nation.troopCount || 0),
+    cities: (nation.cities || []).length,
+    resources: Object.fromEntries(
+      Object.entries(nation.resources || {}).map(([k, v]) => [k, Math.round(v * 100) / 100])
+    ),
+  };
+}
+
+// Match ends on a declared winner or when one nation/team is left standing
+function getMatchOutcome(gameState) {
+  const winners = gameState.nations.filter((n) => n.status === "winner");
+  if (winners.length > 0) {
+    return {
+      reason: gameState.victory?.mode || "territory",
+      winner: winners.length === 1 ? winners[0].owner : null,
+      winningTeam: gameState.winningTeam ?? null,
+    };
+  }
+  const alive = gameState.nations.filter((n) => n.status !== "defeated");
+  const sides = new Set(alive.map((n) => getNationTeam(n) ?? n.owner));
+  if (sides.size <= 1) {
+    return {
+      reason: "elimination",
+      winner: alive.length === 1 ? alive[0].owner : null,
+      winningTeam: alive.length > 0 ? getNationTeam(alive[0]) : null,
+    };
+  }
+  return null;
+}
+
+function runMatch(seed) {
+  // Seed the engine's own randomness (bot choices, update order, spawns)
+  const originalRandom = Math.random;
+  Math.random = mulberry32(seed);
+  const mapKey = `sim-${seed}`;
+  const started = Date.now();
+
+  try {
+    const mapData = buildMap(seed);
+    const gameState = {
+      nations: seatBots(mapData),
+      resourceUpgrades: {},
+      resourceNodeClaims: {},
+      bots: { count: botCount, difficulties },
+      teams: {},
+      settings: { teamCount: teamCount || null, ...victory.settings },
+    };
+    if (teamCount > 0) {
+      gameState.nations.forEach((nation, i) => {
+        gameState.teams[nation.owner] = (i % teamCount) + 1;
+      });
+      applyTeamAssignments(gameState);
+    }
+
+    const regionData =
+      config?.regions?.enabled !== false
+        ? generateRegions(mapData, width, height, seed, config.regions)
+        : null;
+    const matrix = gameLoop.getMatrix(mapKey, mapData, gameState.nations, null);
+    const totalClaimable = countClaimable(mapData);
+    const samples = [];
+    const eliminations = [];
+    let outcome = null;
+    let tick = 0;
+
+    while (tick < maxTicks && !outcome) {
+      const aliveBefore = new Set(
+        gameState.nations.filter((n) => n.status !== "defeated").map((n) => n.owner)
+      );
+      simulateTick(gameState, {
+        mapData,
+        matrix,
+        currentTick: tick,
+        regionData,
+        totalClaimable,
+        mapKey,
+      });
+      tick++;
+
+      for (const nation of gameState.nations) {
+        if (nation.status === "defeated" && aliveBefore.has(nation.owner)) {
+          eliminations.push({ owner: nation.owner, tick });
+        }
+      }
+      outcome = getMatchOutcome(gameState);
+      if (tick % sampleEvery === 0 || outcome || tick === maxTicks) {
+        samples.push({ tick, nations: snapshotNations(gameState.nations) });
+      }
+    }
+
+    return {
+      seed,
+      settings: {
+        width,
+        height,
+        bots: gameState.nations.length,
+        maxTicks,
+        difficulties,
+        teams: teamCount || null,
+        winMode: victory.settings.winMode,
+      },
+      result: {
+        ticks: tick,
+        reason: outcome?.reason || "tick-limit",
+        winner: outcome?.winner ?? null,
+        winnerDifficulty:
+          gameState.nations.find((n) => n.owner === outcome?.winner)?.botDifficulty ?? null,
+        winningTeam: outcome?.winningTeam ?? null,
+        eliminations,
+        final: snapshotNations(gameState.nations),
+        durationMs: Date.now() - started,
+      },
+      samples,
+    };
+  } finally {
+    gameLoop.cachedMatrix.delete(mapKey);
+    Math.random = originalRandom;
+  }
+}
+
+// ─── Output ─────────────────────────────────────────────────────────────────
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+
+function writeRun(run) {
+  const base = path.join(outDir, `seed-${run.seed}`);
+  if (format === "json") {
+    fs.writeFileSync(`${base}.json`, JSON.stringify(run));
+    return `${base}.json`;
+  }
+  const resourceKeys = [
+    ...new Set(run.samples.flatMap((s) => s.nations.flatMap((n) => Object.keys(n.resources)))),
+  ].sort();
+  const header = [
+    "tick", "owner", "difficulty", "team", "status", "territory", "territoryPercentage",
+    "population", "troops", "cities", ...resourceKeys,
+  ];
+  const rows = run.samples.flatMap((sample) =>
+    sample.nations.map((n) => [
+      sample.tick, n.owner, n.difficulty, n.team, n.status, n.territory, n.territoryPercentage,
+      n.population, n.troops, n.cities, ...resourceKeys.map((k) => n.resources[k] ?? 0),
+    ])
+  );
+  fs.writeFileSync(`${base}.csv`, toCsv(header, rows));
+  return `${base}.csv`;
+}
+
+function writeSummary(runs) {
+  const summary = runs.map((run) => ({
+    seed: run.seed,
+    ticks: run.result.ticks,
+    reason: run.result.reason,
+    winner: run.result.winner,
+    winnerDifficulty: run.result.winnerDifficulty,
+    winningTeam: run.result.winningTeam,
+    eliminations: run.result.eliminations.length,
+    durationMs: run.result.durationMs,
+  }));
+  fs.writeFileSync(path.join(outDir, "summary.json"), JSON.stringify(summary, null, 2));
+  const header = Object.keys(summary[0] || {});
+  fs.writeFileSync(
+    path.join(outDir, "summary.csv"),
+    toCsv(header, summary.map((row) => header.map((key) => row[key])))
+  );
+}
+
+// ─── Main ───────────────────────────────────────────────────────────────────
+
+fs.mkdirSync(outDir, { recursive: true });
+console.log(
+  `Simulating ${seeds.length} match(es): ${botCount} bots on ${width}x${height}, ` +
+    `up to ${maxTicks} ticks, difficulty ${difficulties.join("/")}`
+);
+
+const runs = [];
+for (const seed of seeds) {
+  const run = runMatch(seed);
+  const file = writeRun(run);
+  const { ticks, reason, winner, winnerDifficulty, durationMs } = run.result;
+  console.log(
+    `  seed=${seed} ticks=${ticks} ${reason}` +
+      (winner ? ` winner=${winner} (${winnerDifficulty})` : "") +
+      ` ${(durationMs / 1000).toFixed(1)}s -> ${path.relative(process.cwd(), file)}`
+  );
+  // Keep only the summary fields once the run is on disk
+  runs.push({ seed: run.seed, result: run.result });
+}
+
+writeSummary(runs);
+console.log(`Summary written to ${path.relative(process.cwd(), outDir) || "."}/summary.{json,csv}`);
@@ -10,6 +10,7 @@ import { fileURLToPath } from "url";
 import mapRoutes from "./routes/mapRoutes.js";
 import gameRoutes from "./routes/gameRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
 import { gameLoop } from "./workers/gameLoop.js";
 import GameRoom from "./models/GameRoom.js";
 import {
@@ -19,6 +20,9 @@ import {
   touchRoom,
 } from "./wsHub.js";
 import { debug, debugWarn } from "./utils/debug.js";
+import { deleteReplay, pruneExpiredReplays } from "./utils/replayStore.js";
+import { getShardId, isSharded, ownsRoom } from "./utils/roomShards.js";
+import config from "./config/config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,6 +51,16 @@ app.use(
     credentials: true,
   })
 );
+// Map editor documents are larger than the default body limit
+app.use(
+  "/api/maps/custom",
+  express.json({ limit: config?.mapEditor?.maxUploadBytes ?? 8388608 })
+);
+// Heightmap uploads can also exceed it
+app.use(
+  ["/api/maps", "/api/gamerooms/init"],
+  express.json({ limit: config?.heightmaps?.maxUploadBytes ?? 4194304 })
+);
 app.use(express.json());
 
 // -------------------------------------------------------------------
@@ -76,7 +90,10 @@ if (process.env.RESET_DB === "true") {
     await mongoose.connection.collection("gamerooms").drop();
     await mongoose.connection.collection("mapchunks").drop();
     await mongoose.connection.collection("maps").drop();
-    debugWarn("RESET_DB enabled: dropped gamerooms, mapchunks, maps");
+    for (const name of ["replays", "replaychunks", "replaymapchunks"]) {
+      await mongoose.connection.collection(name).drop().catch(() => {}); // may not exist yet
+    }
+    debugWarn("RESET_DB enabled: dropped gamerooms, mapchunks, maps, replays");
   } catch (err) {
     console.error("RESET_DB enabled but failed to drop collections:", err);
   }
@@ -87,11 +104,13 @@ if (process.env.RESET_DB === "true") {
 // -------------------------------------------------------------------
 async function clearAllRooms() {
   try {
-    const rooms = await GameRoom.find({
-      status: { $in: ["open", "paused", "initializing"] },
-    })
-      .select("_id map")
-      .lean();
+    const rooms = (
+      await GameRoom.find({
+        status: { $in: ["open", "paused", "initializing"] },
+      })
+        .select("_id map")
+        .lean()
+    ).filter((room) => ownsRoom(room._id));
 
     if (rooms.length === 0) {
       debug("[CLEAR] No open rooms to clear.");
@@ -106,6 +125,7 @@ async function clearAllRooms() {
       gameLoop.stopRoom(roomId);
       await MapChunk.deleteMany({ map: room.map });
       await MapModel.findByIdAndDelete(room.map);
+      await deleteReplay(roomId);
       await GameRoom.findByIdAndDelete(room._id);
     }
 
@@ -124,7 +144,10 @@ async function resumeActiveGameLoops() {
       await clearAllRooms();
     }
 
-    const openRooms = await GameRoom.find({ status: "open" });
+    // Each shard resumes only the rooms it owns (see utils/roomShards.js)
+    const openRooms = (await GameRoom.find({ status: "open" })).filter((room) =>
+      ownsRoom(room._id)
+    );
     openRooms.forEach((room) => {
       // Make sure to pass the room id as a string
       gameLoop.startRoom(room._id.toString());
@@ -153,6 +176,7 @@ async function cleanupEmptyRooms() {
     const now = Date.now();
     for (const room of rooms) {
       const roomId = room._id.toString();
+      if (!ownsRoom(roomId)) continue;
       if (hasActiveConnections(roomId)) continue;
       const lastActivity = getLastActivity(roomId);
       if (lastActivity && now - lastActivity < EMPTY_ROOM_TTL_MS) continue;
@@ -162,9 +186,11 @@ async function cleanupEmptyRooms() {
       const MapChunk = mongoose.model("MapChunk");
       await MapChunk.deleteMany({ map: room.map });
       await MapModel.findByIdAndDelete(room.map);
+      await deleteReplay(roomId);
       await GameRoom.findByIdAndDelete(room._id);
       debug(`Closed inactive room ${roomId}`);
     }
+    await pruneExpiredReplays(ownsRoom);
   } catch (error) {
     console.error("Error cleaning up empty rooms:", error);
   }
@@ -176,6 +202,7 @@ async function cleanupEmptyRooms() {
 app.use("/api/maps", mapRoutes);
 app.use("/api/gamerooms", gameRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
 
 // -------------------------------------------------------------------
 // Serve static files from the React app in production
@@ -210,11 +237,15 @@ const server = http.createServer(app);
 initWebSocket(
   server,
   (roomId) => gameLoop.getLiveGameRoom(roomId),
-  (roomId) => gameLoop.getCachedMatrix(roomId)
+  (roomId, readFn) => gameLoop.withRoomMatrix(roomId, readFn),
+  (roomId, userId, command, payload, requestId) =>
+    gameLoop.queueCommand(roomId, userId, command, payload, requestId)
 );
 setInterval(cleanupEmptyRooms, EMPTY_ROOM_CLEANUP_INTERVAL_MS);
 server.listen(PORT, () => {
   debug(`Server running on port ${PORT}`);
+  // Tell shardRouter.js this shard can take traffic
+  if (isSharded()) process.send?.({ type: "ready", shardId: getShardId() });
 });
 
 // Graceful shutdown
@@ -5,6 +5,14 @@ const gameRoomSchema = new mongoose.Schema({
   map: { type: mongoose.Schema.Types.ObjectId, ref: "Map", required: true },
   roomName: { type: String, default: "Game Room" },
   joinCode: { type: String, required: true },
+  // Access rules (see utils/roomAccess.js)
+  visibility: {
+    type: String,
+    enum: ["public", "unlisted", "private"],
+    default: "public",
+  },
+  passwordHash: { type: String, default: null },
+  maxPlayers: { type: Number, default: null },
   status: {
     type: String,
     enum: ["lobby", "open", "ended", "initializing", "paused", "error"],
@@ -23,14 +31,26 @@ const gameRoomSchema = new mongoose.Schema({
       userState: { type: mongoose.Schema.Types.Mixed, default: {} },
     },
   ],
+  spectators: [
+    {
+      userId: { type: String, required: true },
+      profile: { type: mongoose.Schema.Types.Mixed, default: {} },
+      joinedAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Kicked with a ban from the lobby; they can't join or spectate again
+  bannedUsers: { type: [String], default: [] },
   gameState: { type: mongoose.Schema.Types.Mixed, default: {} },
   matrixState: { type: mongoose.Schema.Types.Mixed, default: null },
   discordInstanceId: { type: String, default: null },
+  // Created by the public matchmaking queue rather than a player
+  matchmade: { type: Boolean, default: false },
   tickCount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
 });
 
 gameRoomSchema.index({ discordInstanceId: 1 }, { sparse: true });
+gameRoomSchema.index({ joinCode: 1 });
 
 // Register and export the model.
 export default mongoose.model("GameRoom", gameRoomSchema);
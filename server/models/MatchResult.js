@@ -0,0 +1,47 @@
+// models/MatchResult.js
+import mongoose from "mongoose";
+
+const playerResultSchema = new mongoose.Schema(
+  {
+    // Nation owner id (a User id for signed-in players, a name for bots)
+    userId: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    isBot: { type: Boolean, default: false },
+    botDifficulty: { type: String, default: null },
+    displayName: { type: String },
+    nationName: { type: String },
+    team: { type: Number, default: null },
+    placement: { type: Number, required: true },
+    status: { type: String },
+    peakTerritory: { type: Number, default: 0 },
+    peakTerritoryPercentage: { type: Number, default: 0 },
+    finalTerritoryPercentage: { type: Number, default: 0 },
+    eliminations: { type: Number, default: 0 },
+    eliminatedAtTick: { type: Number, default: null },
+    eliminatedBy: { type: String, default: null },
+    ratingBefore: { type: Number, default: null },
+    ratingAfter: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const matchResultSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  roomName: { type: String, default: "Game Room" },
+  winMode: { type: String, default: "territory" },
+  // "victory" when the win condition was met, "ended" when the creator closed the room
+  reason: { type: String, enum: ["victory", "ended"], required: true },
+  winner: { type: String, default: null },
+  winningTeam: { type: Number, default: null },
+  durationTicks: { type: Number, default: 0 },
+  durationMs: { type: Number, default: 0 },
+  players: { type: [playerResultSchema], default: [] },
+  // Only "victory" results change ratings; see utils/matchResults.js
+  rated: { type: Boolean, default: false },
+  endedAt: { type: Date, default: Date.now },
+});
+
+matchResultSchema.index({ "players.user": 1, endedAt: -1 });
+
+// Register and export the model.
+export default mongoose.model("MatchResult", matchResultSchema);
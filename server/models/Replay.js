@@ -0,0 +1,51 @@
+// models/Replay.js
+import mongoose from "mongoose";
+
+const replaySchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  map: { type: mongoose.Schema.Types.ObjectId, ref: "Map", default: null },
+  roomName: { type: String, default: "Game Room" },
+  mapSeed: { type: Number, default: null },
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  tickRateMs: { type: Number, default: 200 },
+  keyframeIntervalTicks: { type: Number, default: 25 },
+  startTick: { type: Number, default: 0 },
+  lastTick: { type: Number, default: 0 },
+  // Static map layers (run-length encoded) so playback survives map deletion
+  mapLayers: {
+    biome: { type: Buffer, default: null },
+    resourceType: { type: Buffer, default: null },
+  },
+  // Nations as they stood when the loop first started (for offline re-simulation)
+  initialNations: { type: mongoose.Schema.Types.Mixed, default: [] },
+  // The rest of the game state at that point (settings, teams, diplomacy...)
+  initialGameState: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Seed each tick's Math.random is derived from (see simulateTick)
+  rngSeed: { type: Number, default: null },
+  // Whether ticks ran in a worker thread, which drops runtime caches between ticks
+  tickWorkers: { type: Boolean, default: null },
+  // Region layout the loop ran with; assignment is a gzipped Uint16Array
+  regions: {
+    regionCount: { type: Number, default: 0 },
+    seeds: { type: mongoose.Schema.Types.Mixed, default: null },
+    assignment: { type: Buffer, default: null },
+  },
+  // Number of ReplayMapChunk documents holding the runtime map
+  mapChunkCount: { type: Number, default: 0 },
+  // Legacy inline log; new commands and keyframes go to ReplayChunk documents
+  // [{ tick, type, actor, payload, at }]
+  commands: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // [{ tick, ownership, owners, nations }]
+  keyframes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  keyframeCount: { type: Number, default: 0 },
+  chunkCount: { type: Number, default: 0 },
+  endedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Expired replays are pruned by endedAt (see pruneExpiredReplays)
+replaySchema.index({ endedAt: 1 });
+
+// Register and export the model.
+export default mongoose.model("Replay", replaySchema);
@@ -0,0 +1,19 @@
+// models/ReplayChunk.js
+import mongoose from "mongoose";
+
+// One flush of a replay's commands and keyframes. Kept out of the Replay
+// document so long matches don't run into MongoDB's 16 MB document limit.
+const replayChunkSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, required: true },
+  seq: { type: Number, required: true },
+  // [{ tick, type, actor, payload, at }]
+  commands: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // [{ tick, ownership, owners, nations }]
+  keyframes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  createdAt: { type: Date, default: Date.now },
+});
+
+replayChunkSchema.index({ room: 1, seq: 1 }, { unique: true });
+
+// Register and export the model.
+export default mongoose.model("ReplayChunk", replayChunkSchema);
@@ -0,0 +1,17 @@
+// models/ReplayMapChunk.js
+import mongoose from "mongoose";
+
+// A band of the runtime map a replay was recorded on, so a match can be
+// re-simulated after its Map document is deleted. `rows` is gzipped JSON of
+// the normalized cells for rows startRow..startRow+rowCount-1.
+const replayMapChunkSchema = new mongoose.Schema({
+  room: { type: mongoose.Schema.Types.ObjectId, required: true },
+  startRow: { type: Number, required: true },
+  rowCount: { type: Number, required: true },
+  rows: { type: Buffer, required: true },
+});
+
+replayMapChunkSchema.index({ room: 1, startRow: 1 }, { unique: true });
+
+// Register and export the model.
+export default mongoose.model("ReplayMapChunk", replayMapChunkSchema);
@@ -21,6 +21,17 @@ const profileSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Multiplayer Elo, updated when a match result is recorded
+const ratingSchema = new mongoose.Schema(
+  {
+    value: { type: Number, default: 1000 },
+    peak: { type: Number, default: 1000 },
+    games: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     providers: {
@@ -28,6 +39,7 @@ const userSchema = new mongoose.Schema(
       discord: { type: providerSchema },
     },
     profile: { type: profileSchema, default: {} },
+    rating: { type: ratingSchema, default: () => ({}) },
   },
   { timestamps: true }
 );
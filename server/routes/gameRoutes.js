@@ -4,20 +4,88 @@ import mongoose from "mongoose";
 import { Worker } from "worker_threads";
 import { gameLoop } from "../workers/gameLoop.js";
 import config from "../config/config.js";
-import { buildGameStateResponse } from "../utils/gameStateView.js";
-import { broadcastRoomUpdate, touchRoom, getActiveConnectionCount } from "../wsHub.js";
+import {
+  buildGameStateResponse,
+  SPECTATOR_VIEWER_ID,
+} from "../utils/gameStateView.js";
+import {
+  broadcastRoomUpdate,
+  touchRoom,
+  getActiveConnectionCount,
+  getSpectatorCount,
+  removeUserFromRoom,
+} from "../wsHub.js";
 import { assignResourcesToMap } from "../utils/resourceManagement.js";
-import { generateCityName, generateTowerName, generateUniqueName } from "../utils/nameGenerator.js";
-import { computePathLength, computeMaxArrowRange } from "../utils/gameLogic.js";
+import { resolveHeightmap } from "../utils/heightmap.js";
+import { resolveMapArchetype } from "../utils/mapArchetypes.js";
+import { generateCityName, generateUniqueName } from "../utils/nameGenerator.js";
 import { getSessionUser } from "../utils/auth.js";
-import { getRegionForCell } from "../utils/regionGenerator.js";
 import { debug, debugWarn } from "../utils/debug.js";
+import {
+  recordCommand,
+  writeReplayExport,
+  deleteReplay,
+  stripTransientFields,
+} from "../utils/replayStore.js";
+import {
+  MAX_TEAMS,
+  normalizeTeamId,
+  applyTeamAssignments,
+} from "../utils/teams.js";
+import {
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  normalizeBotDifficulty,
+} from "../utils/botAI.js";
+import {
+  MIN_FOUND_DISTANCE,
+  manhattanDistance,
+  findBotStartCell,
+  buildBotNation,
+  generateUniqueBotName,
+} from "../utils/botSpawn.js";
+import { parseWinSettings, DEFAULT_WIN_MODE } from "../utils/winConditions.js";
+import { recordMatchResult } from "../utils/matchResults.js";
+import { runPlayerCommand } from "../utils/playerCommands.js";
+import { newRoomId } from "../utils/roomShards.js";
+import { canSpectateRoom } from "../utils/fogOfWar.js";
+import {
+  MAX_BOTS,
+  getUnreadyPlayers,
+  isBanned,
+  setPlayerReady,
+  removePlayer,
+  transferHost,
+  getSlotDifficulty,
+} from "../utils/lobby.js";
+import {
+  ROOM_VISIBILITIES,
+  parseVisibility,
+  parseMaxPlayers,
+  hashRoomPassword,
+  checkRoomAccess,
+  canSeeInvite,
+  getAccessView,
+} from "../utils/roomAccess.js";
+import {
+  initMatchmaking,
+  getMapSizePreset,
+  parseMatchmakingPreferences,
+  joinQueue,
+  leaveQueue,
+  getQueueStatus,
+} from "../utils/matchmaking.js";
+import {
+  proposePact,
+  respondToPact,
+  breakPact,
+  declareWar,
+} from "../utils/diplomacy.js";
 
 const router = express.Router();
 
 import GameRoom from "../models/GameRoom.js";
 
-const MIN_FOUND_DISTANCE = 5;
 const DEFAULT_ALLOW_REFOUND = config?.territorial?.allowRefound !== false;
 const ROOM_STATUS = {
   LOBBY: "lobby",
@@ -48,8 +116,14 @@ function getClientSafeConfig(cfg) {
       arrowRangePerSqrtPop: cfg?.territorial?.arrowRangePerSqrtPop,
       arrowMaxRange: cfg?.territorial?.arrowMaxRange,
       resourceTypes: cfg?.territorial?.resourceTypes,
+      resourceNodeUpgradeCosts: cfg?.territorial?.resourceNodeUpgradeCosts,
     },
     arrowCosts: cfg?.arrowCosts,
+    naval: cfg?.naval ? {
+      enabled: cfg.naval.enabled,
+      maxFleets: cfg.naval.maxFleets,
+      launchCost: cfg.naval.launchCost,
+    } : undefined,
     regions: cfg?.regions ? {
       enabled: cfg.regions.enabled,
       maxTownsPerRegion: cfg.regions.maxTownsPerRegion,
@@ -58,6 +132,13 @@ function getClientSafeConfig(cfg) {
     troopDensity: cfg?.troopDensity ? {
       enabled: cfg.troopDensity.enabled,
     } : undefined,
+    research: cfg?.research ? {
+      enabled: cfg.research.enabled,
+      techs: cfg.research.techs,
+    } : undefined,
+    chat: cfg?.chat ? {
+      maxLength: cfg.chat.maxLength,
+    } : undefined,
   };
 }
 
@@ -95,6 +176,59 @@ function parseBoolean(value, fallback = false) {
   return Boolean(value);
 }
 
+// botDifficulty may be one tier for every bot or an array with one tier per
+// bot (missing entries use the default). Returns null when invalid.
+function parseBotDifficulty(value) {
+  if (value === undefined || value === null || value === "") return {};
+  if (Array.isArray(value)) {
+    const difficulties = value.map(normalizeBotDifficulty);
+    return difficulties.includes(null) ? null : { difficulties };
+  }
+  const difficulty = normalizeBotDifficulty(value);
+  return difficulty ? { difficulty } : null;
+}
+
+const BOT_DIFFICULTY_ERROR = `botDifficulty must be one of ${BOT_DIFFICULTIES.join(
+  ", "
+)} (or an array of them, one per bot)`;
+
+// 0 = free-for-all; otherwise 2..MAX_TEAMS. Returns null when invalid.
+function parseTeamCount(value) {
+  const teams = Number(value || 0);
+  if (!Number.isInteger(teams) || teams < 0 || teams === 1 || teams > MAX_TEAMS) {
+    return null;
+  }
+  return teams;
+}
+
+// Visibility, optional password and player cap for a new room.
+// Returns { access: { visibility, passwordHash, maxPlayers } } or { error }.
+function parseRoomAccess({ visibility, roomPassword, maxPlayers }) {
+  const parsedVisibility = parseVisibility(visibility);
+  if (!parsedVisibility) {
+    return { error: `visibility must be one of ${ROOM_VISIBILITIES.join(", ")}` };
+  }
+  const cap = parseMaxPlayers(maxPlayers);
+  if (cap.error) return { error: cap.error };
+  return {
+    access: {
+      visibility: parsedVisibility,
+      passwordHash: hashRoomPassword(roomPassword),
+      maxPlayers: cap.maxPlayers,
+    },
+  };
+}
+
+// Invite links resolve a join code, so a custom code can't be shared by two
+// live rooms
+async function isJoinCodeInUse(joinCode) {
+  if (!joinCode) return false;
+  return !!(await GameRoom.exists({
+    joinCode,
+    status: { $nin: [ROOM_STATUS.ENDED, ROOM_STATUS.ERROR] },
+  }));
+}
+
 function isJoinableRoomStatus(status) {
   return JOINABLE_ROOM_STATUSES.has(status);
 }
@@ -138,62 +272,6 @@ async function persistRoomMutation(
   await gameRoom.save();
 }
 
-function manhattanDistance(x1, y1, x2, y2) {
-  return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-}
-
-function isCellOccupied(nations, x, y) {
-  return (nations || []).some((nation) => {
-    if (!nation.territory || !nation.territory.x || !nation.territory.y)
-      return false;
-    for (let i = 0; i < nation.territory.x.length; i++) {
-      if (nation.territory.x[i] === x && nation.territory.y[i] === y) {
-        return true;
-      }
-    }
-    return false;
-  });
-}
-
-function isTooCloseToExisting(nations, x, y) {
-  return (nations || []).some((nation) => {
-    if (nation.startingCell) {
-      if (
-        manhattanDistance(
-          x,
-          y,
-          nation.startingCell.x,
-          nation.startingCell.y
-        ) < MIN_FOUND_DISTANCE
-      ) {
-        return true;
-      }
-    }
-    if (nation.cities && nation.cities.length > 0) {
-      return nation.cities.some(
-        (city) => manhattanDistance(x, y, city.x, city.y) < MIN_FOUND_DISTANCE
-      );
-    }
-    return false;
-  });
-}
-
-function findBotStartCell(mapData, nations, maxAttempts = 5000) {
-  if (!Array.isArray(mapData) || !Array.isArray(mapData[0])) return null;
-  const height = mapData.length;
-  const width = mapData[0].length;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const x = Math.floor(Math.random() * width);
-    const y = Math.floor(Math.random() * height);
-    const cell = mapData[y]?.[x];
-    if (!cell || cell.biome === "OCEAN") continue;
-    if (isCellOccupied(nations, x, y)) continue;
-    if (isTooCloseToExisting(nations, x, y)) continue;
-    return { x, y };
-  }
-  return null;
-}
-
 function distanceToBorder(nation, x, y, maxDistance = 10) {
   if (!nation?.territory?.x || !nation?.territory?.y) return Infinity;
   const tx = nation.territory.x;
@@ -228,219 +306,6 @@ function distanceToBorder(nation, x, y, maxDistance = 10) {
   return best;
 }
 
-function isPointNearTerritory(nation, point, maxDistance = 3) {
-  if (!point || !nation?.territory?.x || !nation?.territory?.y) return false;
-  const tx = nation.territory.x;
-  const ty = nation.territory.y;
-  for (let i = 0; i < tx.length; i++) {
-    const dist = Math.abs(tx[i] - point.x) + Math.abs(ty[i] - point.y);
-    if (dist <= maxDistance) return true;
-  }
-  return false;
-}
-
-const BOT_NAME_PARTS = {
-  start: [
-    "Al",
-    "Bel",
-    "Cor",
-    "Dor",
-    "Eld",
-    "Fal",
-    "Gal",
-    "Hel",
-    "Ith",
-    "Jar",
-    "Kor",
-    "Lor",
-    "Mor",
-    "Nor",
-    "Or",
-    "Pal",
-    "Quel",
-    "Riv",
-    "Sol",
-    "Tor",
-    "Val",
-    "Wes",
-    "Xan",
-    "Yor",
-    "Zen",
-  ],
-  middle: [
-    "a",
-    "e",
-    "i",
-    "o",
-    "u",
-    "ae",
-    "io",
-    "or",
-    "an",
-    "en",
-    "in",
-    "on",
-    "un",
-    "ar",
-    "er",
-    "ir",
-    "ur",
-    "ath",
-    "eth",
-    "ith",
-    "oth",
-    "ul",
-  ],
-  end: [
-    "a",
-    "on",
-    "ia",
-    "is",
-    "ar",
-    "or",
-    "en",
-    "um",
-    "os",
-    "as",
-    "ath",
-    "eth",
-    "ir",
-    "or",
-    "un",
-    "ria",
-    "dor",
-    "mar",
-    "tor",
-    "lan",
-  ],
-  titles: [
-    "Duchy of {name}",
-    "Commonwealth of {name}",
-    "Kingdom of {name}",
-    "Principality of {name}",
-    "Free State of {name}",
-    "Republic of {name}",
-    "{name} Republic",
-    "{name} Confederacy",
-    "{name} Union",
-    "Grand {name}",
-    "{name} Dominion",
-    "{name} Federation",
-    "{name} League",
-    "{name} Pact",
-    "{name} Concord",
-    "{name} Realm",
-    "{name} Empire",
-    "{name} Protectorate",
-    "{name} Marches",
-    "{name} Republic",
-  ],
-};
-
-function sample(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
-
-function titleCase(value) {
-  if (!value) return value;
-  return value.charAt(0).toUpperCase() + value.slice(1);
-}
-
-function buildBotBaseName() {
-  const name =
-    sample(BOT_NAME_PARTS.start) +
-    sample(BOT_NAME_PARTS.middle) +
-    sample(BOT_NAME_PARTS.end);
-  return titleCase(name.toLowerCase());
-}
-
-function generateBotName(existingNames) {
-  const baseName = buildBotBaseName();
-  const template = sample(BOT_NAME_PARTS.titles);
-  return template.replace("{name}", baseName);
-}
-
-function generateUniqueBotName(existingNames, fallbackIndex) {
-  const used = existingNames || new Set();
-  for (let attempt = 0; attempt < 12; attempt++) {
-    const candidate = generateBotName(used);
-    if (!used.has(candidate)) return candidate;
-  }
-  return `Bot_${fallbackIndex}`;
-}
-
-function buildBotNation(botId, x, y, mapData, existingNations) {
-  // Generate circular starting territory (radius 5 for ~10x10 area)
-  const startingRadius = 5;
-  const territoryX = [];
-  const territoryY = [];
-
-  for (let dy = -startingRadius; dy <= startingRadius; dy++) {
-    for (let dx = -startingRadius; dx <= startingRadius; dx++) {
-      if (dx * dx + dy * dy <= startingRadius * startingRadius) {
-        const tx = x + dx;
-        const ty = y + dy;
-        if (mapData && tx >= 0 && ty >= 0 && ty < mapData.length && tx < mapData[0].length) {
-          const cell = mapData[ty][tx];
-          if (cell && cell.biome !== "OCEAN") {
-            // Check not already claimed
-            const alreadyClaimed = (existingNations || []).some((nation) => {
-              if (!nation.territory?.x) return false;
-              for (let i = 0; i < nation.territory.x.length; i++) {
-                if (nation.territory.x[i] === tx && nation.territory.y[i] === ty) {
-                  return true;
-                }
-              }
-              return false;
-            });
-            if (!alreadyClaimed) {
-              territoryX.push(tx);
-              territoryY.push(ty);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  // Fallback to just the center tile if no valid territory generated
-  if (territoryX.length === 0) {
-    territoryX.push(x);
-    territoryY.push(y);
-  }
-
-  const initialDelta = { add: { x: [...territoryX], y: [...territoryY] }, sub: { x: [], y: [] } };
-  return {
-    owner: botId,
-    status: "active",
-    isBot: true,
-    startingCell: { x, y },
-    territory: { x: territoryX, y: territoryY },
-    territoryDelta: initialDelta,
-    territoryDeltaForClient: initialDelta,
-    population: 100,
-    nationalWill: 50,
-    resources: {
-      food: 200,
-      wood: 150,
-      stone: 100,
-      iron: 0,
-      gold: 0,
-    },
-    cities: [
-      {
-        name: generateUniqueName(generateCityName, new Set()),
-        x,
-        y,
-        population: 50,
-        type: "capital",
-      },
-    ],
-    structures: [],
-    auto_city: false,
-  };
-}
-
 async function spawnBotsForRoom(roomId, mapData, desiredCount) {
   const count = Math.max(0, Number(desiredCount || 0));
   if (!count) return;
@@ -470,11 +335,10 @@ async function spawnBotsForRoom(roomId, mapData, desiredCount) {
   const existingNames = new Set(
     nations.map((nation) => nation.owner).filter(Boolean)
   );
+  const botSettings = gameRoom.gameState?.bots || {};
   for (let i = 0; i < toAdd; i++) {
-    const botId = generateUniqueBotName(
-      existingNames,
-      existingBots.length + i + 1
-    );
+    const botNumber = existingBots.length + i;
+    const botId = generateUniqueBotName(existingNames, botNumber + 1);
     const allExistingNations = nations.concat(created);
     const start = findBotStartCell(mapData, allExistingNations);
     if (!start) {
@@ -482,14 +346,29 @@ async function spawnBotsForRoom(roomId, mapData, desiredCount) {
       break;
     }
     existingNames.add(botId);
-    created.push(buildBotNation(botId, start.x, start.y, mapData, allExistingNations));
+    const bot = buildBotNation(botId, start.x, start.y, mapData, allExistingNations);
+    bot.botDifficulty =
+      normalizeBotDifficulty(botSettings.difficulties?.[botNumber]) ||
+      normalizeBotDifficulty(botSettings.difficulty) ||
+      DEFAULT_BOT_DIFFICULTY;
+    created.push(bot);
     debug(
-      `[BOTS] queued ${botId} at (${start.x},${start.y}) room=${roomId}`
+      `[BOTS] queued ${botId} (${bot.botDifficulty}) at (${start.x},${start.y}) room=${roomId}`
     );
   }
 
   if (created.length > 0) {
     gameRoom.gameState.nations.push(...created);
+    applyTeamAssignments(gameRoom.gameState);
+    // Start cells are random, so replays carry each bot as founded
+    for (const bot of created) {
+      recordCommand(roomId, gameRoom.tickCount, "foundNation", bot.owner, {
+        ...bot.startingCell,
+        nationName: bot.nationName || null,
+        color: bot.color || null,
+        nation: stripTransientFields(bot),
+      });
+    }
     await persistRoomMutation(gameRoom, roomId, ["gameState.nations"]);
 
     // Sync matrix with newly added bot territories
@@ -502,6 +381,147 @@ async function spawnBotsForRoom(roomId, mapData, desiredCount) {
   }
 }
 
+function runMapGenerationWorker(workerData) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/mapWorker.js", import.meta.url),
+      { workerData }
+    );
+    worker.on("message", resolve);
+    worker.on("error", reject);
+    worker.on("exit", (code) => {
+      if (code !== 0)
+        reject(new Error(`Worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Generate terrain and resources for a freshly created room's map, save the
+ * chunks, spawn bots and move the room into the lobby. On failure the map
+ * and room are marked "error" and the error is rethrown.
+ */
+async function generateRoomMap(gameRoom, map, options) {
+  const {
+    width,
+    height,
+    erosionPasses,
+    numBlobs,
+    seed,
+    botCount,
+    sourceMapId,
+    heightmap,
+    archetype,
+  } = options;
+  const Map = mongoose.model("Map");
+  const MapChunk = mongoose.model("MapChunk");
+  try {
+    debug("Starting asynchronous map generation for game room:", gameRoom._id);
+
+    let mapData;
+    if (sourceMapId) {
+      // Custom map: copy the editor's rows instead of generating terrain
+      await Map.findByIdAndUpdate(map._id, {
+        status: "generating",
+        generationProgress: 30,
+        generationStage: "loading_custom_map",
+      });
+      const sourceChunks = await MapChunk.find({ map: sourceMapId })
+        .sort({ startRow: 1 })
+        .lean();
+      mapData = sourceChunks.flatMap((chunk) => chunk.rows);
+      if (mapData.length !== height) {
+        throw new Error(`Custom map ${sourceMapId} is missing rows`);
+      }
+    } else {
+      await Map.findByIdAndUpdate(map._id, {
+        status: "generating",
+        generationProgress: 15,
+        generationStage: "generating_terrain",
+      });
+
+      mapData = await runMapGenerationWorker({
+        width,
+        height,
+        erosion_passes: erosionPasses,
+        num_blobs: numBlobs,
+        seed,
+        mapConfig: archetype?.mapConfig ?? config?.mapGeneration,
+        heightmap,
+      });
+
+      await Map.findByIdAndUpdate(map._id, {
+        status: "generating",
+        generationProgress: 60,
+        generationStage: "placing_resources",
+      });
+
+      mapData = assignResourcesToMap(mapData, seed, {
+        mirror: archetype?.mapConfig?.symmetry === "mirror",
+      });
+    }
+    debug("Map generation completed for game room:", gameRoom._id);
+
+    // Save map chunks
+    const CHUNK_SIZE = 50;
+    const chunks = [];
+    for (let i = 0; i < mapData.length; i += CHUNK_SIZE) {
+      const chunkRows = mapData.slice(i, i + CHUNK_SIZE);
+      chunks.push({
+        map: map._id,
+        startRow: i,
+        endRow: i + chunkRows.length - 1,
+        rows: chunkRows,
+      });
+    }
+    debug(`Saving ${chunks.length} map chunks for game room:`, gameRoom._id);
+
+    await Map.findByIdAndUpdate(map._id, {
+      status: "generating",
+      generationProgress: 78,
+      generationStage: "saving_chunks",
+    });
+
+    await MapChunk.insertMany(chunks);
+    debug("Map chunks saved for game room:", gameRoom._id);
+
+    await Map.findByIdAndUpdate(map._id, {
+      status: "generating",
+      generationProgress: 90,
+      generationStage: "finalizing_room",
+    });
+
+    await Map.findByIdAndUpdate(map._id, {
+      status: "generating",
+      generationProgress: 95,
+      generationStage: "spawning_bots",
+    });
+
+    await spawnBotsForRoom(gameRoom._id, mapData, botCount);
+
+    // Move room into lobby after map generation completes.
+    await GameRoom.findByIdAndUpdate(gameRoom._id, { status: ROOM_STATUS.LOBBY });
+    // Refresh in-memory cache so status is immediately visible to status polls.
+    await gameLoop.refreshRoomCache(gameRoom._id);
+    debug("Game room status updated to 'lobby':", gameRoom._id);
+
+    // Mark generation complete once room is staged in lobby.
+    await Map.findByIdAndUpdate(map._id, {
+      status: "ready",
+      generationProgress: 100,
+      generationStage: "complete",
+    });
+  } catch (err) {
+    await Map.findByIdAndUpdate(map._id, {
+      status: "error",
+      generationProgress: 100,
+      generationStage: "error",
+    });
+    await GameRoom.findByIdAndUpdate(gameRoom._id, { status: "error" });
+    throw err;
+  }
+}
+
 async function requireCreator(req, res) {
   const sessionActor = getSessionActor(req);
   const { userId, userName, password } = req.body || {};
@@ -535,10 +555,40 @@ router.post("/discord-instance", async (req, res, next) => {
     if (!sessionActor) {
       return res.status(401).json({ error: "Authentication required" });
     }
-    const { instanceId, mapWidth, mapHeight, botCount } = req.body || {};
+    const {
+      instanceId,
+      mapWidth,
+      mapHeight,
+      botCount,
+      botDifficulty,
+      teamCount,
+      winMode,
+      winPercentage,
+      matchLengthMinutes,
+      archetype,
+      fogOfWar,
+    } = req.body || {};
     if (!instanceId) {
       return res.status(400).json({ error: "instanceId is required" });
     }
+    const teams = parseTeamCount(teamCount);
+    if (teams === null) {
+      return res
+        .status(400)
+        .json({ error: `teamCount must be 0 (free-for-all) or 2-${MAX_TEAMS}` });
+    }
+    const botTiers = parseBotDifficulty(botDifficulty);
+    if (botTiers === null) {
+      return res.status(400).json({ error: BOT_DIFFICULTY_ERROR });
+    }
+    const victory = parseWinSettings({ winMode, winPercentage, matchLengthMinutes });
+    if (victory.error) {
+      return res.status(400).json({ error: victory.error });
+    }
+    const mapArchetype = resolveMapArchetype(archetype);
+    if (mapArchetype.error) {
+      return res.status(400).json({ error: mapArchetype.error });
+    }
 
     // Look up existing open room with this Discord instance
     const existing = await GameRoom.findOne({
@@ -547,6 +597,9 @@ router.post("/discord-instance", async (req, res, next) => {
     });
 
     if (existing) {
+      if (isBanned(existing, sessionActor.userId)) {
+        return res.status(403).json({ error: "You have been banned from this room" });
+      }
       // Add player if not already present
       const alreadyIn = existing.players?.some((p) => p.userId === sessionActor.userId);
       if (!alreadyIn) {
@@ -575,6 +628,8 @@ router.post("/discord-instance", async (req, res, next) => {
       width: w,
       height: h,
       seed: mapSeed,
+      archetype: mapArchetype.id,
+      archetypeVersion: mapArchetype.version,
       status: "initializing",
       generationProgress: 5,
       generationStage: "queued",
@@ -582,6 +637,7 @@ router.post("/discord-instance", async (req, res, next) => {
     await newMap.save();
 
     const gameRoom = new GameRoom({
+      _id: newRoomId(),
       map: newMap._id,
       roomName: "Discord Game",
       joinCode: generatedJoinCode,
@@ -595,8 +651,14 @@ router.post("/discord-instance", async (req, res, next) => {
         nations: [],
         resourceUpgrades: {},
         resourceNodeClaims: {},
-        bots: { count: botCount || 0 },
-        settings: { allowRefound: DEFAULT_ALLOW_REFOUND },
+        bots: { count: botCount || 0, ...botTiers },
+        teams: {},
+        settings: {
+          allowRefound: DEFAULT_ALLOW_REFOUND,
+          teamCount: teams,
+          fogOfWar: parseBoolean(fogOfWar),
+          ...victory.settings,
+        },
       },
       tickCount: 0,
     });
@@ -606,46 +668,15 @@ router.post("/discord-instance", async (req, res, next) => {
     res.status(201).json({ gameRoomId: gameRoom._id, joinCode: generatedJoinCode });
 
     // Run map generation asynchronously (same pattern as /init)
-    (async () => {
-      try {
-        await Map.findByIdAndUpdate(newMap._id, { status: "generating", generationProgress: 15, generationStage: "generating_terrain" });
-
-        const mapData = await new Promise((resolve, reject) => {
-          const worker = new Worker(
-            new URL("../workers/mapWorker.js", import.meta.url),
-            { workerData: { width: w, height: h, erosion_passes: 4, num_blobs: w >= 500 ? 9 : 7, seed: mapSeed, mapConfig: config?.mapGeneration } }
-          );
-          worker.on("message", resolve);
-          worker.on("error", reject);
-          worker.on("exit", (code) => { if (code !== 0) reject(new Error(`Worker stopped with exit code ${code}`)); });
-        });
-
-        await Map.findByIdAndUpdate(newMap._id, { status: "generating", generationProgress: 60, generationStage: "placing_resources" });
-        const finalMapData = assignResourcesToMap(mapData, mapSeed);
-
-        const MapChunk = mongoose.model("MapChunk");
-        const CHUNK_SIZE = 50;
-        const chunks = [];
-        for (let i = 0; i < finalMapData.length; i += CHUNK_SIZE) {
-          const chunkRows = finalMapData.slice(i, i + CHUNK_SIZE);
-          chunks.push({ map: newMap._id, startRow: i, endRow: i + chunkRows.length - 1, rows: chunkRows });
-        }
-        await Map.findByIdAndUpdate(newMap._id, { status: "generating", generationProgress: 78, generationStage: "saving_chunks" });
-        await MapChunk.insertMany(chunks);
-
-        await Map.findByIdAndUpdate(newMap._id, { status: "generating", generationProgress: 95, generationStage: "spawning_bots" });
-        await spawnBotsForRoom(gameRoom._id, finalMapData, botCount || 0);
-
-        await GameRoom.findByIdAndUpdate(gameRoom._id, { status: ROOM_STATUS.LOBBY });
-        await gameLoop.refreshRoomCache(gameRoom._id);
-
-        await Map.findByIdAndUpdate(newMap._id, { status: "ready", generationProgress: 100, generationStage: "complete" });
-      } catch (err) {
-        console.error("[DISCORD] Map generation error:", err);
-        await Map.findByIdAndUpdate(newMap._id, { status: "error", generationProgress: 100, generationStage: "error" });
-        await GameRoom.findByIdAndUpdate(gameRoom._id, { status: "error" });
-      }
-    })();
+    generateRoomMap(gameRoom, newMap, {
+      width: w,
+      height: h,
+      erosionPasses: 4,
+      numBlobs: w >= 500 ? 9 : 7,
+      seed: mapSeed,
+      botCount: botCount || 0,
+      archetype: mapArchetype,
+    }).catch((err) => console.error("[DISCORD] Map generation error:", err));
   } catch (error) {
     next(error);
   }
@@ -664,9 +695,42 @@ router.post("/init", async (req, res, next) => {
       num_blobs,
       seed,
       botCount,
+      botDifficulty,
       allowRefound,
+      teamCount,
+      winMode,
+      winPercentage,
+      matchLengthMinutes,
+      mapId,
+      heightmap,
+      archetype,
+      fogOfWar,
+      visibility,
+      roomPassword,
+      maxPlayers,
     } = req.body;
     debug(`[BOTS] init botCount=${botCount}`);
+    const teams = parseTeamCount(teamCount);
+    if (teams === null) {
+      return res
+        .status(400)
+        .json({ error: `teamCount must be 0 (free-for-all) or 2-${MAX_TEAMS}` });
+    }
+    const botTiers = parseBotDifficulty(botDifficulty);
+    if (botTiers === null) {
+      return res.status(400).json({ error: BOT_DIFFICULTY_ERROR });
+    }
+    const victory = parseWinSettings({ winMode, winPercentage, matchLengthMinutes });
+    if (victory.error) {
+      return res.status(400).json({ error: victory.error });
+    }
+    const roomAccess = parseRoomAccess({ visibility, roomPassword, maxPlayers });
+    if (roomAccess.error) {
+      return res.status(400).json({ error: roomAccess.error });
+    }
+    if (await isJoinCodeInUse(joinCode)) {
+      return res.status(409).json({ error: "Join code is already in use" });
+    }
 
     const sessionActor = getSessionActor(req);
     const creatorId = sessionActor?.userId || creatorName;
@@ -677,28 +741,66 @@ router.post("/init", async (req, res, next) => {
       throw error;
     }
 
-    if (!width || !height) {
+    // A custom map from the editor fixes the size and terrain
+    const Map = mongoose.model("Map");
+    let sourceMap = null;
+    if (mapId) {
+      if (!mongoose.Types.ObjectId.isValid(mapId)) {
+        return res.status(400).json({ error: "Invalid mapId" });
+      }
+      sourceMap = await Map.findById(mapId).lean();
+      if (!sourceMap || sourceMap.source !== "editor") {
+        return res.status(404).json({ error: "Custom map not found" });
+      }
+      if (sourceMap.status !== "ready") {
+        return res.status(409).json({ error: "Custom map is not ready yet" });
+      }
+    }
+
+    if (!sourceMap && (!width || !height)) {
       const error = new Error("Width and height must be provided");
       error.status = 400;
       throw error;
     }
-    const w = Number(width);
-    const h = Number(height);
+    const w = sourceMap ? sourceMap.width : Number(width);
+    let h = sourceMap ? sourceMap.height : Number(height);
     if (isNaN(w) || isNaN(h) || w <= 0 || h <= 0) {
       const error = new Error("Width and height must be positive numbers");
       error.status = 400;
       throw error;
     }
 
-    const mapSeed = seed !== undefined ? Number(seed) : Math.random();
+    // A heightmap image (or preset like Earth) keeps its own aspect ratio
+    let heightmapSource = null;
+    if (heightmap && !sourceMap) {
+      const resolved = resolveHeightmap(heightmap, w);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      h = resolved.height;
+      heightmapSource = resolved.source;
+    }
+
+    // Fully generated maps take their overall shape from an archetype
+    let mapArchetype = null;
+    if (!sourceMap && !heightmapSource) {
+      mapArchetype = resolveMapArchetype(archetype);
+      if (mapArchetype.error) {
+        return res.status(400).json({ error: mapArchetype.error });
+      }
+    }
+
+    let mapSeed = seed !== undefined ? Number(seed) : Math.random();
+    if (sourceMap?.seed !== undefined) mapSeed = sourceMap.seed;
 
     // Create new Map document with status "generating"
-    const Map = mongoose.model("Map");
     const newMap = new Map({
-      name: mapName || "Untitled Map",
+      name: mapName || sourceMap?.name || "Untitled Map",
       width: w,
       height: h,
       seed: mapSeed,
+      archetype: mapArchetype?.id ?? null,
+      archetypeVersion: mapArchetype?.version ?? null,
       status: "initializing",
       generationProgress: 5,
       generationStage: "queued",
@@ -711,9 +813,11 @@ router.post("/init", async (req, res, next) => {
 
     // Create the game room document referencing the new map
     const gameRoomData = {
+      _id: newRoomId(),
       map: newMap._id,
       roomName: roomName || "Game Room",
       joinCode: generatedJoinCode,
+      ...roomAccess.access,
       status: "initializing", // initial status while map is generating
       creator: { userId: creatorId, password: null, profile: creatorProfile },
       players: [
@@ -723,9 +827,13 @@ router.post("/init", async (req, res, next) => {
         nations: [],
         resourceUpgrades: {},
         resourceNodeClaims: {},
-        bots: { count: botCount || 0 },
+        bots: { count: botCount || 0, ...botTiers },
+        teams: {},
         settings: {
           allowRefound: parseBoolean(allowRefound, DEFAULT_ALLOW_REFOUND),
+          teamCount: teams,
+          fogOfWar: parseBoolean(fogOfWar),
+          ...victory.settings,
         },
       },
       tickCount: 0,
@@ -739,127 +847,200 @@ router.post("/init", async (req, res, next) => {
       .status(201)
       .json({ gameRoomId: gameRoom._id, joinCode: generatedJoinCode });
 
-    // ─── Helper: Run Map Generation Worker ─────────────────────────────────
-    function runMapGenerationWorker(workerData) {
-      return new Promise((resolve, reject) => {
-        const worker = new Worker(
-          new URL("../workers/mapWorker.js", import.meta.url),
-          { workerData }
-        );
-        worker.on("message", resolve);
-        worker.on("error", reject);
-        worker.on("exit", (code) => {
-          if (code !== 0)
-            reject(new Error(`Worker stopped with exit code ${code}`));
-        });
-      });
-    }
-
-    // Set defaults if not provided
-    const erosionPasses = erosion_passes || 4;
-    const numBlobs = num_blobs || 3;
     // Run map generation asynchronously
-    (async () => {
-      try {
-        debug(
-          "Starting asynchronous map generation for game room:",
-          gameRoom._id
-        );
-
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "generating",
-          generationProgress: 15,
-          generationStage: "generating_terrain",
-        });
-
-        let mapData = await runMapGenerationWorker({
-          width: w,
-          height: h,
-          erosion_passes: erosionPasses,
-          num_blobs: numBlobs,
-          seed: mapSeed,
-          mapConfig: config?.mapGeneration,
-        });
-
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "generating",
-          generationProgress: 60,
-          generationStage: "placing_resources",
-        });
+    generateRoomMap(gameRoom, newMap, {
+      width: w,
+      height: h,
+      erosionPasses: erosion_passes || 4,
+      numBlobs: num_blobs || 3,
+      seed: mapSeed,
+      botCount,
+      sourceMapId: sourceMap?._id,
+      heightmap: heightmapSource,
+      archetype: mapArchetype,
+    }).catch((err) =>
+      console.error(
+        "Error in asynchronous map generation for game room:",
+        gameRoom._id,
+        err
+      )
+    );
+  } catch (error) {
+    console.error("Error in POST /api/gamerooms/init:", error);
+    next(error);
+  }
+});
 
-        mapData = assignResourcesToMap(mapData, mapSeed);
-        debug("Map generation completed for game room:", gameRoom._id);
-
-        // Save map chunks
-        const MapChunk = mongoose.model("MapChunk");
-        const CHUNK_SIZE = 50;
-        const chunks = [];
-        for (let i = 0; i < mapData.length; i += CHUNK_SIZE) {
-          const chunkRows = mapData.slice(i, i + CHUNK_SIZE);
-          chunks.push({
-            map: newMap._id,
-            startRow: i,
-            endRow: i + chunkRows.length - 1,
-            rows: chunkRows,
-          });
-        }
-        debug(
-          `Saving ${chunks.length} map chunks for game room:`,
-          gameRoom._id
-        );
+// -------------------------------------------------------------------
+// Matchmaking — rooms built for a batch of queued players
+// -------------------------------------------------------------------
+async function createMatchmadeRoom({ players, preferences, botCount }) {
+  const preset = getMapSizePreset(preferences.mapSize);
+  const mapSeed = Math.random();
+  const generatedJoinCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+  const botTiers = parseBotDifficulty(config?.matchmaking?.botDifficulty) || {};
+  const roomName = config?.matchmaking?.roomName || "Public Match";
+  const mapArchetype = resolveMapArchetype();
+
+  const Map = mongoose.model("Map");
+  const newMap = new Map({
+    name: `${roomName} (${preferences.mapSize})`,
+    width: preset.width,
+    height: preset.height,
+    seed: mapSeed,
+    archetype: mapArchetype.id,
+    archetypeVersion: mapArchetype.version,
+    status: "initializing",
+    generationProgress: 5,
+    generationStage: "queued",
+  });
+  await newMap.save();
+
+  const [creator] = players;
+  const gameRoom = new GameRoom({
+    _id: newRoomId(),
+    map: newMap._id,
+    roomName,
+    joinCode: generatedJoinCode,
+    status: "initializing",
+    matchmade: true,
+    creator: { userId: creator.userId, password: null, profile: creator.profile },
+    players: players.map((player) => ({
+      userId: player.userId,
+      password: null,
+      profile: player.profile,
+      userState: { ready: false },
+    })),
+    gameState: {
+      nations: [],
+      resourceUpgrades: {},
+      resourceNodeClaims: {},
+      bots: { count: botCount, ...botTiers },
+      teams: {},
+      settings: {
+        allowRefound: DEFAULT_ALLOW_REFOUND,
+        teamCount: 0,
+        fogOfWar: config?.matchmaking?.fogOfWar === true,
+        ...parseWinSettings({}).settings,
+      },
+    },
+    tickCount: 0,
+  });
+  await gameRoom.save();
+  const roomKey = gameRoom._id.toString();
+  touchRoom(roomKey);
+
+  await generateRoomMap(gameRoom, newMap, {
+    width: preset.width,
+    height: preset.height,
+    erosionPasses: preset.erosionPasses,
+    numBlobs: preset.numBlobs,
+    seed: mapSeed,
+    botCount,
+    archetype: mapArchetype,
+  });
 
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "generating",
-          generationProgress: 78,
-          generationStage: "saving_chunks",
-        });
+  // Nobody needs to press start: the match begins as soon as the map is ready
+  await GameRoom.findByIdAndUpdate(roomKey, { status: ROOM_STATUS.OPEN });
+  await gameLoop.refreshRoomCache(roomKey);
+  await gameLoop.startRoom(roomKey);
 
-        await MapChunk.insertMany(chunks);
-        debug("Map chunks saved for game room:", gameRoom._id);
+  return { gameRoomId: roomKey, joinCode: generatedJoinCode };
+}
 
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "generating",
-          generationProgress: 90,
-          generationStage: "finalizing_room",
-        });
+initMatchmaking(createMatchmadeRoom);
 
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "generating",
-          generationProgress: 95,
-          generationStage: "spawning_bots",
-        });
+// -------------------------------------------------------------------
+// POST /api/gamerooms/matchmaking/join - Enter the public matchmaking queue
+// Body: { players?: number, mapSize?: "small" | "normal" | "large" }
+// -------------------------------------------------------------------
+router.post("/matchmaking/join", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    if (!sessionActor) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    const { players, mapSize } = req.body || {};
+    const parsed = parseMatchmakingPreferences({ players, mapSize });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const status = joinQueue(
+      sessionActor.userId,
+      sessionActor.profile,
+      parsed.preferences
+    );
+    // A full bucket launches immediately; the room id follows over the WebSocket
+    res.json(status || { type: "matchmaking", status: "matched" });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        await spawnBotsForRoom(gameRoom._id, mapData, botCount);
+// -------------------------------------------------------------------
+// POST /api/gamerooms/matchmaking/leave - Leave the matchmaking queue
+// -------------------------------------------------------------------
+router.post("/matchmaking/leave", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    if (!sessionActor) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    res.json({ left: leaveQueue(sessionActor.userId) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        // Move room into lobby after map generation completes.
-        await GameRoom.findByIdAndUpdate(gameRoom._id, { status: ROOM_STATUS.LOBBY });
-        // Refresh in-memory cache so status is immediately visible to status polls.
-        await gameLoop.refreshRoomCache(gameRoom._id);
-        debug("Game room status updated to 'lobby':", gameRoom._id);
+// -------------------------------------------------------------------
+// GET /api/gamerooms/matchmaking/status - Current queue status for the caller
+// -------------------------------------------------------------------
+router.get("/matchmaking/status", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    if (!sessionActor) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    res.json(
+      getQueueStatus(sessionActor.userId) || { type: "matchmaking", status: "idle" }
+    );
+  } catch (error) {
+    next(error);
+  }
+});
 
-        // Mark generation complete once room is staged in lobby.
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "ready",
-          generationProgress: 100,
-          generationStage: "complete",
-        });
-      } catch (err) {
-        console.error(
-          "Error in asynchronous map generation for game room:",
-          gameRoom._id,
-          err
-        );
-        const Map = mongoose.model("Map");
-        await Map.findByIdAndUpdate(newMap._id, {
-          status: "error",
-          generationProgress: 100,
-          generationStage: "error",
-        });
-        await GameRoom.findByIdAndUpdate(gameRoom._id, { status: "error" });
-      }
-    })();
+// -------------------------------------------------------------------
+// GET /api/gamerooms/invite/:joinCode - Resolve an invite link to its room
+// -------------------------------------------------------------------
+router.get("/invite/:joinCode", async (req, res, next) => {
+  try {
+    const gameRoom = await GameRoom.findOne({
+      joinCode: req.params.joinCode,
+      status: {
+        $in: [
+          ROOM_STATUS.INITIALIZING,
+          ROOM_STATUS.LOBBY,
+          ROOM_STATUS.OPEN,
+          ROOM_STATUS.PAUSED,
+        ],
+      },
+    })
+      .sort({ createdAt: -1 })
+      .select("roomName status players.userId visibility passwordHash maxPlayers")
+      .lean();
+    if (!gameRoom) {
+      return res
+        .status(404)
+        .json({ error: "This invite link is invalid or the room has ended" });
+    }
+    res.json({
+      gameRoomId: gameRoom._id,
+      roomName: gameRoom.roomName,
+      status: gameRoom.status,
+      ...getAccessView(gameRoom),
+      playerCount: (gameRoom.players || []).length,
+    });
   } catch (error) {
-    console.error("Error in POST /api/gamerooms/init:", error);
     next(error);
   }
 });
@@ -927,11 +1108,29 @@ router.post("/", async (req, res, next) => {
       joinCode,
       botCount,
       allowRefound,
+      teamCount,
+      fogOfWar,
+      visibility,
+      roomPassword,
+      maxPlayers,
     } = req.body;
     debug(`[BOTS] create botCount=${botCount}`);
-    if (!mapId) return res.status(400).json({ error: "mapId is required" });
-    const sessionActor = getSessionActor(req);
-    const creatorId = sessionActor?.userId;
+    const teams = parseTeamCount(teamCount);
+    if (teams === null) {
+      return res
+        .status(400)
+        .json({ error: `teamCount must be 0 (free-for-all) or 2-${MAX_TEAMS}` });
+    }
+    const roomAccess = parseRoomAccess({ visibility, roomPassword, maxPlayers });
+    if (roomAccess.error) {
+      return res.status(400).json({ error: roomAccess.error });
+    }
+    if (!mapId) return res.status(400).json({ error: "mapId is required" });
+    if (await isJoinCodeInUse(joinCode)) {
+      return res.status(409).json({ error: "Join code is already in use" });
+    }
+    const sessionActor = getSessionActor(req);
+    const creatorId = sessionActor?.userId;
     const creatorProfile = sessionActor?.profile || {};
     if (!creatorId) {
       return res.status(400).json({ error: "Authenticated creator required" });
@@ -961,9 +1160,11 @@ router.post("/", async (req, res, next) => {
     const generatedJoinCode =
       joinCode || Math.random().toString(36).substring(2, 8).toUpperCase();
     const gameRoom = new GameRoom({
+      _id: newRoomId(),
       map: gameMap._id,
       roomName: roomName || "Game Room",
       joinCode: generatedJoinCode,
+      ...roomAccess.access,
       status: ROOM_STATUS.LOBBY,
       creator: {
         userId: creatorId,
@@ -983,8 +1184,11 @@ router.post("/", async (req, res, next) => {
         resourceUpgrades: {},
         resourceNodeClaims: {},
         bots: { count: botCount || 0 },
+        teams: {},
         settings: {
           allowRefound: parseBoolean(allowRefound, DEFAULT_ALLOW_REFOUND),
+          teamCount: teams,
+          fogOfWar: parseBoolean(fogOfWar),
         },
       },
       tickCount: 0,
@@ -995,31 +1199,42 @@ router.post("/", async (req, res, next) => {
     if (mapData) {
       await spawnBotsForRoom(gameRoom._id, mapData, botCount);
     }
-    res.status(201).json(gameRoom);
+    const { passwordHash, ...created } = gameRoom.toObject();
+    res.status(201).json({ ...created, ...getAccessView(gameRoom) });
   } catch (error) {
     next(error);
   }
 });
 
 // -------------------------------------------------------------------
-// GET /api/gamerooms - List joinable game rooms
+// GET /api/gamerooms - List joinable public game rooms
+// (join codes and passwords stay out of the list)
 // -------------------------------------------------------------------
 router.get("/", async (req, res, next) => {
   try {
     const gameRooms = await GameRoom.find({
       status: { $in: [ROOM_STATUS.LOBBY, ROOM_STATUS.OPEN] },
+      visibility: { $nin: ["unlisted", "private"] },
     })
       .select(
-        "roomName joinCode map createdAt tickCount status players gameState.settings.allowRefound"
+        "roomName map createdAt tickCount status players.userId visibility passwordHash maxPlayers gameState.settings.allowRefound gameState.settings.teamCount gameState.settings.winMode gameState.settings.fogOfWar"
       )
       .populate("map", "name width height");
     const payload = gameRooms.map((room) => {
       const allowRefound =
         room.gameState?.settings?.allowRefound ?? DEFAULT_ALLOW_REFOUND;
+      const roomKey = room._id.toString();
+      const spectatorCount = getSpectatorCount(roomKey);
+      const { passwordHash, ...listed } = room.toObject();
       return {
-        ...room.toObject(),
+        ...listed,
+        ...getAccessView(room),
         allowRefound,
-        connectedPlayers: getActiveConnectionCount(room._id.toString()),
+        teamCount: room.gameState?.settings?.teamCount || 0,
+        winMode: room.gameState?.settings?.winMode || DEFAULT_WIN_MODE,
+        fogOfWar: room.gameState?.settings?.fogOfWar === true,
+        connectedPlayers: getActiveConnectionCount(roomKey) - spectatorCount,
+        spectatorCount,
       };
     });
     res.json(payload);
@@ -1042,7 +1257,38 @@ router.get("/:id/metadata", async (req, res, next) => {
     const safeConfig = getClientSafeConfig(config);
     safeConfig.territorial.allowRefound =
       roomAllowRefound !== undefined ? roomAllowRefound : DEFAULT_ALLOW_REFOUND;
-    res.json({ map: gameRoom.map, config: safeConfig });
+    res.json({
+      map: gameRoom.map,
+      config: safeConfig,
+      access: {
+        ...getAccessView(gameRoom),
+        playerCount: gameRoom.players.length,
+        canSpectate: canSpectateRoom(gameRoom.gameState),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// GET /api/gamerooms/:id/invite - The room's join code, for sharing an invite
+// link (players only; in private rooms, only the host)
+// -------------------------------------------------------------------
+router.get("/:id/invite", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    if (!sessionActor) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    const gameRoom = await getAuthoritativeRoom(req.params.id);
+    if (!gameRoom) {
+      return res.status(404).json({ error: "Game room not found" });
+    }
+    if (!canSeeInvite(gameRoom, sessionActor.userId)) {
+      return res.status(403).json({ error: "Only the host can invite players to this room" });
+    }
+    res.json({ joinCode: gameRoom.joinCode, ...getAccessView(gameRoom) });
   } catch (error) {
     next(error);
   }
@@ -1236,6 +1482,42 @@ router.get("/:id/regions", async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// GET /api/gamerooms/:id/replay - Export the recorded command log + keyframes
+// (Available once the match is over; the room creator can pull it mid-match)
+// -------------------------------------------------------------------
+router.get("/:id/replay", async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid room id" });
+    }
+
+    const gameRoom = await GameRoom.findById(req.params.id)
+      .select("status creator")
+      .lean();
+    if (gameRoom && isPlayableRoomStatus(gameRoom.status)) {
+      const sessionActor = getSessionActor(req);
+      if (!sessionActor || sessionActor.userId !== gameRoom.creator?.userId) {
+        return res
+          .status(403)
+          .json({ error: "Replay is available once the match has ended" });
+      }
+    }
+
+    // Streamed chunk by chunk; nothing is sent when there is no replay
+    res.type("json");
+    const found = await writeReplayExport(req.params.id, res, {
+      config: getClientSafeConfig(config),
+    });
+    if (!found) {
+      return res.status(404).json({ error: "Replay not found" });
+    }
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+});
+
 // -------------------------------------------------------------------
 // DELETE /api/gamerooms/:id - Delete a game room (room creator only)
 // -------------------------------------------------------------------
@@ -1249,6 +1531,7 @@ router.delete("/:id", async (req, res, next) => {
     const MapChunk = mongoose.model("MapChunk");
     await MapChunk.deleteMany({ map: gameRoom.map });
     await MapModel.findByIdAndDelete(gameRoom.map);
+    await deleteReplay(req.params.id);
     await GameRoom.findByIdAndDelete(req.params.id);
     res.json({
       message: "Game room and associated map data deleted successfully",
@@ -1267,8 +1550,18 @@ router.post("/:id/end", async (req, res, next) => {
     if (!auth) return;
     const { gameRoom } = auth;
 
+    // Record the (unrated) result from the live state before the loop drops it
+    const roomKey = gameRoom._id.toString();
+    const liveRoom = gameLoop.getCachedGameRoom(roomKey) || gameRoom;
+
     // Stop the game loop first
-    await gameLoop.stopRoom(gameRoom._id.toString());
+    await gameLoop.stopRoom(roomKey);
+
+    try {
+      await recordMatchResult(liveRoom, "ended");
+    } catch (err) {
+      console.error(`[RESULTS] Failed to record room ${roomKey}:`, err.message);
+    }
 
     // Now delete associated map data and the game room itself
     const MapModel = mongoose.model("Map");
@@ -1296,7 +1589,7 @@ router.post("/:id/pause", async (req, res, next) => {
     if (gameRoom.status !== ROOM_STATUS.OPEN) {
       return res.status(400).json({ error: "Only active games can be paused" });
     }
-    await gameLoop.stopRoom(req.params.id.toString());
+    await gameLoop.stopRoom(req.params.id.toString(), { keepChat: true });
     await GameRoom.findByIdAndUpdate(req.params.id, { status: ROOM_STATUS.PAUSED });
     res.json({ message: "Game session paused successfully" });
   } catch (error) {
@@ -1338,6 +1631,15 @@ router.post("/:id/start", async (req, res, next) => {
     if (gameRoom.status !== ROOM_STATUS.LOBBY) {
       return res.status(400).json({ error: "Room is not in lobby state" });
     }
+    const unready = getUnreadyPlayers(
+      (await getAuthoritativeRoom(req.params.id)) || gameRoom
+    );
+    if (unready.length > 0) {
+      const names = unready.map((p) => p.profile?.displayName || p.userId);
+      return res
+        .status(409)
+        .json({ error: `Waiting for ${names.join(", ")} to get ready` });
+    }
 
     await GameRoom.findByIdAndUpdate(req.params.id, { status: ROOM_STATUS.OPEN });
     await gameLoop.refreshRoomCache(req.params.id.toString());
@@ -1354,6 +1656,390 @@ router.post("/:id/start", async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/teams - Assign players/bots to teams (creator, lobby only)
+// Body: { teams: { [owner]: teamId | null } } — null returns an owner to free-for-all
+// -------------------------------------------------------------------
+router.post("/:id/teams", async (req, res, next) => {
+  try {
+    const { teams } = req.body || {};
+    if (!teams || typeof teams !== "object" || Array.isArray(teams)) {
+      return res.status(400).json({ error: "teams must be an object of owner -> team" });
+    }
+    const auth = await requireCreator(req, res);
+    if (!auth) return;
+    if (auth.gameRoom.status !== ROOM_STATUS.LOBBY) {
+      return res.status(400).json({ error: "Teams can only be changed in the lobby" });
+    }
+
+    let assignments = null;
+    await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) {
+        throw Object.assign(new Error("Game room not found"), { status: 404 });
+      }
+      const teamCount = gameRoom.gameState?.settings?.teamCount || 0;
+      if (teamCount < 2) {
+        throw Object.assign(new Error("This room is free-for-all"), { status: 400 });
+      }
+      const knownOwners = new Set([
+        ...(gameRoom.players || []).map((p) => p.userId),
+        ...(gameRoom.gameState?.nations || []).map((n) => n.owner),
+      ]);
+      const next = { ...(gameRoom.gameState.teams || {}) };
+      for (const [owner, value] of Object.entries(teams)) {
+        if (!knownOwners.has(owner)) {
+          throw Object.assign(new Error(`Unknown player: ${owner}`), { status: 400 });
+        }
+        const team = normalizeTeamId(value);
+        if (value !== null && value !== "" && (team === null || team > teamCount)) {
+          throw Object.assign(new Error(`Team must be between 1 and ${teamCount}`), {
+            status: 400,
+          });
+        }
+        if (team === null) {
+          delete next[owner];
+        } else {
+          next[owner] = team;
+        }
+      }
+      gameRoom.gameState.teams = next;
+      applyTeamAssignments(gameRoom.gameState);
+      await persistRoomMutation(gameRoom, req.params.id, [
+        "gameState.teams",
+        "gameState.nations",
+      ]);
+      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+      assignments = next;
+    });
+
+    res.json({ message: "Teams updated", teams: assignments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/ready - Mark the caller ready or not (lobby only)
+// Body: { ready: boolean }
+// -------------------------------------------------------------------
+router.post("/:id/ready", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    const { userId: legacyUserId, password, ready } = req.body || {};
+    const userId = sessionActor?.userId || legacyUserId;
+    if (!userId) {
+      return res.status(400).json({ error: "userId is required" });
+    }
+
+    let isReady = false;
+    await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) {
+        throw Object.assign(new Error("Game room not found"), { status: 404 });
+      }
+      if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
+        throw Object.assign(new Error("Invalid credentials"), { status: 403 });
+      }
+      if (gameRoom.status !== ROOM_STATUS.LOBBY) {
+        throw Object.assign(new Error("Ready checks only apply in the lobby"), {
+          status: 400,
+        });
+      }
+      const player = setPlayerReady(gameRoom, userId, parseBoolean(ready, true));
+      if (!player) {
+        throw Object.assign(new Error("You are not a player in this room"), {
+          status: 403,
+        });
+      }
+      isReady = player.userState.ready;
+      touchRoom(req.params.id.toString());
+      await persistRoomMutation(gameRoom, req.params.id, ["players"]);
+      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+    });
+
+    res.json({ message: isReady ? "Ready" : "Not ready", ready: isReady });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/kick - Remove a player from the lobby (creator only)
+// Body: { target: userId, ban?: boolean } — banned users can't come back
+// -------------------------------------------------------------------
+router.post("/:id/kick", async (req, res, next) => {
+  try {
+    const { target, ban } = req.body || {};
+    if (!target) {
+      return res.status(400).json({ error: "target is required" });
+    }
+    const auth = await requireCreator(req, res);
+    if (!auth) return;
+    if (auth.gameRoom.status !== ROOM_STATUS.LOBBY) {
+      return res.status(400).json({ error: "Players can only be kicked in the lobby" });
+    }
+    if (auth.gameRoom.creator.userId === target) {
+      return res.status(400).json({ error: "You can't kick yourself" });
+    }
+
+    const banned = parseBoolean(ban);
+    const roomKey = req.params.id.toString();
+    await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) {
+        throw Object.assign(new Error("Game room not found"), { status: 404 });
+      }
+      if (!removePlayer(gameRoom, target, { ban: banned })) {
+        throw Object.assign(new Error("Player not found in this room"), { status: 404 });
+      }
+      gameLoop.syncMatrixFromNations(roomKey, gameRoom.gameState.nations);
+      await persistRoomMutation(gameRoom, req.params.id, [
+        "players",
+        "spectators",
+        "bannedUsers",
+        "gameState.nations",
+        "gameState.teams",
+      ]);
+      removeUserFromRoom(roomKey, target, { type: "kicked", roomId: roomKey, banned });
+      broadcastRoomUpdate(roomKey, gameRoom);
+    });
+
+    res.json({ message: banned ? "Player banned" : "Player kicked", target });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/host - Hand the host role to another player (creator only)
+// Body: { target: userId }
+// -------------------------------------------------------------------
+router.post("/:id/host", async (req, res, next) => {
+  try {
+    const { target } = req.body || {};
+    if (!target) {
+      return res.status(400).json({ error: "target is required" });
+    }
+    const auth = await requireCreator(req, res);
+    if (!auth) return;
+    if (auth.gameRoom.status !== ROOM_STATUS.LOBBY) {
+      return res.status(400).json({ error: "The host can only change in the lobby" });
+    }
+
+    await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) {
+        throw Object.assign(new Error("Game room not found"), { status: 404 });
+      }
+      if (!transferHost(gameRoom, target)) {
+        throw Object.assign(new Error("Player not found in this room"), { status: 404 });
+      }
+      await persistRoomMutation(gameRoom, req.params.id, ["creator"]);
+      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+    });
+
+    res.json({ message: "Host transferred", host: target });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Throw away a lobby room's map and generate a new one at a preset size.
+// The room shows as initializing until generateRoomMap moves it back to the
+// lobby; clients reload the map when lobby.mapRevision changes.
+async function regenerateLobbyMap(gameRoom, preset) {
+  const Map = mongoose.model("Map");
+  const MapChunk = mongoose.model("MapChunk");
+  const MapRegion = mongoose.model("MapRegion");
+  const roomKey = gameRoom._id.toString();
+  const mapSeed = Math.random();
+
+  await MapChunk.deleteMany({ map: gameRoom.map });
+  await MapRegion.deleteMany({ map: gameRoom.map });
+  const map = await Map.findByIdAndUpdate(
+    gameRoom.map,
+    {
+      width: preset.width,
+      height: preset.height,
+      seed: mapSeed,
+      status: "initializing",
+      generationProgress: 5,
+      generationStage: "queued",
+    },
+    { new: true }
+  );
+  gameLoop.clearMapCache(roomKey);
+
+  await generateRoomMap(gameRoom, map, {
+    width: preset.width,
+    height: preset.height,
+    erosionPasses: preset.erosionPasses,
+    numBlobs: preset.numBlobs,
+    seed: mapSeed,
+    botCount: 0,
+    archetype: resolveMapArchetype(map.archetype),
+  });
+  const liveRoom = await getAuthoritativeRoom(roomKey);
+  if (liveRoom) broadcastRoomUpdate(roomKey, liveRoom);
+}
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/settings - Edit room settings (creator, lobby only)
+// Body: { botCount?, botDifficulty?, winMode?, winPercentage?,
+//         matchLengthMinutes?, allowRefound?, mapSize?, visibility?,
+//         roomPassword? ("" clears it), maxPlayers? (0 = no cap) }
+// A new mapSize regenerates the map, so it's only allowed before anyone founds.
+// -------------------------------------------------------------------
+router.post("/:id/settings", async (req, res, next) => {
+  try {
+    const {
+      botCount,
+      botDifficulty,
+      winMode,
+      winPercentage,
+      matchLengthMinutes,
+      allowRefound,
+      mapSize,
+      visibility,
+      roomPassword,
+      maxPlayers,
+    } = req.body || {};
+    const auth = await requireCreator(req, res);
+    if (!auth) return;
+    if (auth.gameRoom.status !== ROOM_STATUS.LOBBY) {
+      return res.status(400).json({ error: "Settings can only be changed in the lobby" });
+    }
+
+    const bots = botCount === undefined ? null : Number(botCount);
+    if (bots !== null && (!Number.isInteger(bots) || bots < 0 || bots > MAX_BOTS)) {
+      return res.status(400).json({ error: `botCount must be between 0 and ${MAX_BOTS}` });
+    }
+    const botTiers = parseBotDifficulty(botDifficulty);
+    if (botTiers === null) {
+      return res.status(400).json({ error: BOT_DIFFICULTY_ERROR });
+    }
+    const mapPreset = mapSize === undefined ? null : getMapSizePreset(mapSize);
+    if (mapSize !== undefined && !mapPreset) {
+      return res.status(400).json({ error: "Unknown map size" });
+    }
+    const nextVisibility = visibility === undefined ? null : parseVisibility(visibility);
+    if (visibility !== undefined && !nextVisibility) {
+      return res
+        .status(400)
+        .json({ error: `visibility must be one of ${ROOM_VISIBILITIES.join(", ")}` });
+    }
+    const cap = maxPlayers === undefined ? null : parseMaxPlayers(maxPlayers);
+    if (cap?.error) {
+      return res.status(400).json({ error: cap.error });
+    }
+
+    const roomKey = req.params.id.toString();
+    let settings = null;
+    let access = null;
+    let regenerate = false;
+    await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) {
+        throw Object.assign(new Error("Game room not found"), { status: 404 });
+      }
+      const current = gameRoom.gameState.settings || {};
+      const victory = parseWinSettings({
+        winMode: winMode ?? current.winMode,
+        winPercentage: winPercentage ?? current.winPercentage,
+        matchLengthMinutes: matchLengthMinutes ?? current.matchLengthMinutes,
+      });
+      if (victory.error) {
+        throw Object.assign(new Error(victory.error), { status: 400 });
+      }
+      if (cap?.maxPlayers && cap.maxPlayers < gameRoom.players.length) {
+        throw Object.assign(
+          new Error(`maxPlayers can't be below the ${gameRoom.players.length} players already here`),
+          { status: 400 }
+        );
+      }
+
+      if (mapPreset) {
+        const map = await mongoose.model("Map").findById(gameRoom.map).lean();
+        regenerate =
+          !!map && (map.width !== mapPreset.width || map.height !== mapPreset.height);
+        if (regenerate && !map.archetype) {
+          throw Object.assign(new Error("This room's map has a fixed size"), {
+            status: 409,
+          });
+        }
+        if (regenerate && (gameRoom.gameState.nations || []).length > 0) {
+          throw Object.assign(
+            new Error("The map size can only change before anyone founds a nation"),
+            { status: 409 }
+          );
+        }
+      }
+
+      // Bots: a new tier list replaces the old one; extra bot nations are removed
+      const previous = gameRoom.gameState.bots || {};
+      const hasTiers = Object.keys(botTiers).length > 0;
+      const nextBots = {
+        count: bots ?? previous.count ?? 0,
+        ...(hasTiers
+          ? botTiers
+          : { difficulty: previous.difficulty, difficulties: previous.difficulties }),
+      };
+      gameRoom.gameState.bots = nextBots;
+      let botIndex = 0;
+      gameRoom.gameState.nations = (gameRoom.gameState.nations || []).filter((nation) => {
+        if (!nation.isBot) return true;
+        const index = botIndex++;
+        if (index >= nextBots.count) return false;
+        if (hasTiers) nation.botDifficulty = getSlotDifficulty(nextBots, index);
+        return true;
+      });
+      gameLoop.syncMatrixFromNations(roomKey, gameRoom.gameState.nations);
+
+      gameRoom.gameState.settings = {
+        ...current,
+        ...victory.settings,
+        allowRefound: parseBoolean(allowRefound, current.allowRefound ?? DEFAULT_ALLOW_REFOUND),
+        ...(mapPreset ? { mapSize: String(mapSize).toLowerCase() } : {}),
+      };
+      settings = gameRoom.gameState.settings;
+      if (nextVisibility) gameRoom.visibility = nextVisibility;
+      if (roomPassword !== undefined) gameRoom.passwordHash = hashRoomPassword(roomPassword);
+      if (cap) gameRoom.maxPlayers = cap.maxPlayers;
+      if (regenerate) {
+        gameRoom.status = ROOM_STATUS.INITIALIZING;
+        gameRoom.gameState.mapRevision = (gameRoom.gameState.mapRevision || 0) + 1;
+      }
+      await persistRoomMutation(gameRoom, req.params.id, [
+        "gameState.bots",
+        "gameState.nations",
+        "gameState.settings",
+        "gameState.mapRevision",
+        "visibility",
+        "passwordHash",
+        "maxPlayers",
+      ]);
+
+      // Fill new bot slots now if players have already founded
+      access = getAccessView(gameRoom);
+      if (!regenerate && nextBots.count > botIndex) {
+        const mapData = await gameLoop.getMapData(roomKey);
+        if (mapData) await spawnBotsForRoom(roomKey, mapData, nextBots.count);
+      }
+      broadcastRoomUpdate(roomKey, gameRoom);
+    });
+
+    if (regenerate) {
+      regenerateLobbyMap(auth.gameRoom, mapPreset).catch((err) =>
+        console.error("Error regenerating lobby map for game room:", roomKey, err)
+      );
+    }
+    res.json({ message: "Settings updated", settings, access, regenerating: regenerate });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // -------------------------------------------------------------------
 // POST /api/gamerooms/:id/quit - Quit a match and remove player's nation
 // -------------------------------------------------------------------
@@ -1385,10 +2071,17 @@ router.post("/:id/quit", async (req, res, next) => {
       gameRoom.players = (gameRoom.players || []).filter(
         (player) => player.userId !== userId
       );
+      gameRoom.spectators = (gameRoom.spectators || []).filter(
+        (spectator) => spectator.userId !== userId
+      );
       if (Array.isArray(gameRoom.gameState?.nations)) {
-        gameRoom.gameState.nations = gameRoom.gameState.nations.filter(
+        const remaining = gameRoom.gameState.nations.filter(
           (nation) => nation.owner !== userId
         );
+        if (remaining.length < gameRoom.gameState.nations.length) {
+          recordCommand(req.params.id, gameRoom.tickCount, "quit", userId);
+        }
+        gameRoom.gameState.nations = remaining;
       }
 
       // Clear the quitting player's territory from the matrix
@@ -1396,6 +2089,7 @@ router.post("/:id/quit", async (req, res, next) => {
 
       await persistRoomMutation(gameRoom, req.params.id, [
         "players",
+        "spectators",
         "gameState.nations",
       ]);
       broadcastRoomUpdate(req.params.id.toString(), gameRoom);
@@ -1414,50 +2108,55 @@ router.post("/:id/quit", async (req, res, next) => {
 // -------------------------------------------------------------------
 router.post("/:id/join", async (req, res, next) => {
   try {
-    const { joinCode, userName, password } = req.body || {};
+    const { joinCode, userName, password, roomPassword } = req.body || {};
     const sessionActor = getSessionActor(req);
     const actorId = sessionActor?.userId || userName;
     const actorProfile = sessionActor?.profile || {};
     if (!actorId) {
       return res.status(400).json({ error: "userName is required" });
     }
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!isJoinableRoomStatus(gameRoom.status))
-      return res.status(400).json({ error: "Game room is not accepting new players" });
-    if (gameRoom.joinCode !== joinCode)
-      return res.status(403).json({ error: "Invalid join code" });
-    let player = gameRoom.players.find((p) => p.userId === actorId);
-    if (player) {
-      if (!sessionActor && player.password && player.password !== password) {
-        return res
-          .status(403)
-          .json({ error: "Invalid password for existing user" });
-      }
-      if (sessionActor) {
-        player.profile = actorProfile;
+    const fail = (message, status) => {
+      throw Object.assign(new Error(message), { status });
+    };
+
+    // Checks and the insert run under the room lock, so two joins can't
+    // both pass the player cap
+    const result = await gameLoop.withRoomMutationLock(req.params.id, async () => {
+      const gameRoom = await getAuthoritativeRoom(req.params.id);
+      if (!gameRoom) fail("Game room not found", 404);
+      if (!isJoinableRoomStatus(gameRoom.status)) {
+        fail("Game room is not accepting new players", 400);
       }
-      if (typeof player?.userState?.ready !== "boolean") {
-        player.userState = {
-          ...(player.userState || {}),
-          ready: false,
+      if (isBanned(gameRoom, actorId)) fail("You have been banned from this room", 403);
+      let player = gameRoom.players.find((p) => p.userId === actorId);
+      if (player) {
+        if (!sessionActor && player.password && player.password !== password) {
+          fail("Invalid password for existing user", 403);
+        }
+        if (sessionActor) {
+          player.profile = actorProfile;
+        }
+        if (typeof player?.userState?.ready !== "boolean") {
+          player.userState = {
+            ...(player.userState || {}),
+            ready: false,
+          };
+        }
+        touchRoom(gameRoom._id.toString());
+        await persistRoomMutation(gameRoom, req.params.id, ["players"]);
+        broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+        return {
+          message: "Rejoined game room successfully",
+          userId: player.userId,
+          config: getClientSafeConfig(config),
         };
       }
-      touchRoom(gameRoom._id.toString());
-      await persistRoomMutation(gameRoom, req.params.id, ["players"]);
-      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-      res.json({
-        message: "Rejoined game room successfully",
-        userId: player.userId,
-        config: getClientSafeConfig(config),
-      });
-    } else {
+
       if (!sessionActor && !password) {
-        return res
-          .status(400)
-          .json({ error: "password is required for non-session join" });
+        fail("password is required for non-session join", 400);
       }
+      const denied = checkRoomAccess(gameRoom, { joinCode, roomPassword });
+      if (denied) fail(denied.error, denied.status);
       player = {
         userId: actorId,
         password: sessionActor ? null : password,
@@ -1465,49 +2164,151 @@ router.post("/:id/join", async (req, res, next) => {
         userState: { ready: false },
       };
       gameRoom.players.push(player);
+      gameRoom.spectators = (gameRoom.spectators || []).filter(
+        (spectator) => spectator.userId !== actorId
+      );
       touchRoom(gameRoom._id.toString());
-      await persistRoomMutation(gameRoom, req.params.id, ["players"]);
+      await persistRoomMutation(gameRoom, req.params.id, ["players", "spectators"]);
       broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-      res.json({
+      return {
         message: "Joined game room successfully",
         userId: player.userId,
-      });
-    }
+      };
+    });
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
 // -------------------------------------------------------------------
-// POST /api/gamerooms/:id/state - Get the latest game state
+// POST /api/gamerooms/:id/spectate - Watch a match without a player slot
+// (Defeated players are moved out of the player list to free their slot)
 // -------------------------------------------------------------------
-// In gameRoutes.js
-router.post("/:id/state", async (req, res, next) => {
+router.post("/:id/spectate", async (req, res, next) => {
   try {
+    const { joinCode, roomPassword } = req.body || {};
     const sessionActor = getSessionActor(req);
-    const { userId: legacyUserId, password, full } = req.body || {};
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId) {
-      return res.status(400).json({ error: "userId is required" });
+    if (!sessionActor) {
+      return res.status(401).json({ error: "Sign in to spectate" });
     }
+    const userId = sessionActor.userId;
 
     const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom) {
+    if (!gameRoom)
       return res.status(404).json({ error: "Game room not found" });
-    }
-
-    if (!sessionActor) {
-      const player = gameRoom.players.find(
-        (p) => p.userId === userId && (!p.password || p.password === password)
-      );
-      if (!player) {
-        return res.status(403).json({ error: "Invalid credentials" });
-      }
+    if (
+      !isJoinableRoomStatus(gameRoom.status) &&
+      gameRoom.status !== ROOM_STATUS.PAUSED
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Game room is not available to spectate" });
+    }
+    if (!canSpectateRoom(gameRoom.gameState)) {
+      return res
+        .status(403)
+        .json({ error: "Fog-of-war matches can't be spectated" });
+    }
+
+    const player = gameRoom.players.find((p) => p.userId === userId);
+    const isSpectator = (gameRoom.spectators || []).some((s) => s.userId === userId);
+    const denied =
+      !player &&
+      !isSpectator &&
+      checkRoomAccess(gameRoom, { joinCode, roomPassword, spectating: true });
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    if (isBanned(gameRoom, userId)) {
+      return res.status(403).json({ error: "You have been banned from this room" });
+    }
+    const activeNation = (gameRoom.gameState?.nations || []).find(
+      (nation) => nation.owner === userId && nation.status !== "defeated"
+    );
+    if (activeNation) {
+      return res
+        .status(409)
+        .json({ error: "Surrender your nation before spectating" });
+    }
+
+    if (player) {
+      gameRoom.players = gameRoom.players.filter((p) => p.userId !== userId);
+    }
+    gameRoom.spectators = gameRoom.spectators || [];
+    const existing = gameRoom.spectators.find((s) => s.userId === userId);
+    if (existing) {
+      existing.profile = sessionActor.profile;
+    } else {
+      gameRoom.spectators.push({
+        userId,
+        profile: sessionActor.profile,
+        joinedAt: new Date(),
+      });
+    }
+    touchRoom(gameRoom._id.toString());
+    await persistRoomMutation(gameRoom, req.params.id, ["players", "spectators"]);
+    broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+
+    const roomAllowRefound = gameRoom.gameState?.settings?.allowRefound;
+    const safeConfig = getClientSafeConfig(config);
+    safeConfig.territorial.allowRefound =
+      roomAllowRefound !== undefined ? roomAllowRefound : DEFAULT_ALLOW_REFOUND;
+    res.json({
+      message: "Spectating game room",
+      userId,
+      spectator: true,
+      config: safeConfig,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/state - Get the latest game state
+// -------------------------------------------------------------------
+// In gameRoutes.js
+router.post("/:id/state", async (req, res, next) => {
+  try {
+    const sessionActor = getSessionActor(req);
+    const { userId: legacyUserId, password, full } = req.body || {};
+    const userId = sessionActor?.userId || legacyUserId;
+    if (!userId) {
+      return res.status(400).json({ error: "userId is required" });
+    }
+
+    const gameRoom = await getAuthoritativeRoom(req.params.id);
+    if (!gameRoom) {
+      return res.status(404).json({ error: "Game room not found" });
+    }
+
+    // Session users must hold a seat or have registered through
+    // /:id/spectate, which applies the room's access rules
+    const isPlayer = sessionActor
+      ? gameRoom.players.some((p) => p.userId === userId)
+      : hasValidPlayerCredentials(gameRoom, userId, password);
+    const spectating =
+      !isPlayer &&
+      !!sessionActor &&
+      (gameRoom.spectators || []).some((s) => s.userId === userId);
+    if (!isPlayer && !spectating) {
+      return res.status(403).json({ error: "Invalid credentials" });
     }
     touchRoom(gameRoom._id.toString());
 
-    const matrix = gameLoop.getCachedMatrix(req.params.id);
-    res.json(buildGameStateResponse(gameRoom, userId, !!full, matrix));
+    if (spectating && !canSpectateRoom(gameRoom.gameState)) {
+      return res.status(403).json({ error: "Fog-of-war matches can't be spectated" });
+    }
+    const state = await gameLoop.withRoomMatrix(req.params.id, (matrix) =>
+      buildGameStateResponse(
+        gameRoom,
+        spectating ? SPECTATOR_VIEWER_ID : userId,
+        !!full,
+        matrix
+      )
+    );
+    res.json({ ...state, spectating });
   } catch (error) {
     next(error);
   }
@@ -1728,6 +2529,7 @@ router.post("/:id/foundNation", async (req, res, next) => {
       }
 
       lockedRoom.gameState.nations = lockedNations.concat(newNation);
+      applyTeamAssignments(lockedRoom.gameState);
       const lockedPlayer = (lockedRoom.players || []).find(
         (entry) => entry.userId === userId
       );
@@ -1738,6 +2540,14 @@ router.post("/:id/foundNation", async (req, res, next) => {
         };
       }
       founded = true;
+      recordCommand(req.params.id, lockedRoom.tickCount, "foundNation", userId, {
+        x,
+        y,
+        nationName: newNation.nationName,
+        color: newNation.color,
+        capitalName: newNation.cities[0]?.name,
+        nation: stripTransientFields(newNation),
+      });
       await persistRoomMutation(lockedRoom, req.params.id, ["gameState.nations", "players"]);
 
       // Sync matrix with the new nation's territory
@@ -1768,267 +2578,56 @@ router.post("/:id/foundNation", async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// Player commands - arrows, fleets, structures and troop target.
+// The rules live in utils/playerCommands.js and are shared with the
+// WebSocket command channel; these routes add auth, locking and persistence.
+// -------------------------------------------------------------------
+async function runPlayerCommandRoute(req, res, command) {
+  const sessionActor = getSessionActor(req);
+  const { userId: legacyUserId, password, ...payload } = req.body || {};
+  const userId = sessionActor?.userId || legacyUserId;
+  if (!userId) {
+    res.status(400).json({ error: "userId is required" });
+    return null;
+  }
+
+  const gameRoom = await getAuthoritativeRoom(req.params.id);
+  if (!gameRoom) {
+    res.status(404).json({ error: "Game room not found" });
+    return null;
+  }
+  if (!ensurePlayableRoom(gameRoom, res)) return null;
+  if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
+    res.status(403).json({ error: "Invalid credentials" });
+    return null;
+  }
+  touchRoom(gameRoom._id.toString());
+
+  const roomKey = req.params.id.toString();
+  const mapData = await gameLoop.getMapData(roomKey);
+  return gameLoop.withRoomMutationLock(roomKey, async () => {
+    const result = runPlayerCommand(gameRoom, userId, command, payload, {
+      roomKey,
+      mapData,
+      matrix: gameLoop.getCachedMatrix(roomKey),
+      regionData: gameLoop.getRegionData(roomKey),
+    });
+    await persistRoomMutation(gameRoom, roomKey, ["gameState.nations"]);
+    broadcastRoomUpdate(roomKey, gameRoom);
+    return result;
+  });
+}
+
 // -------------------------------------------------------------------
 // POST /api/gamerooms/:id/buildCity - Build a new city/structure for a nation
-// Supports: town, tower, and resource structures (farm, mine, etc.)
+// Supports: town, tower, port, and economy structures (farm, mine, etc.)
 // -------------------------------------------------------------------
 router.post("/:id/buildCity", async (req, res, next) => {
   debug("[ROUTE] Build structure request:", req.body);
   try {
-    const { userId: legacyUserId, password, x: rawX, y: rawY, cityType, cityName } = req.body;
-    const sessionActor = getSessionActor(req);
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId || rawX == null || rawY == null || !cityType) {
-      return res
-        .status(400)
-        .json({ error: "userId, x, y, and cityType are required" });
-    }
-    const x = Math.floor(Number(rawX));
-    const y = Math.floor(Number(rawY));
-    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) {
-      return res.status(400).json({ error: "Invalid coordinates" });
-    }
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
-
-    // Find the player's nation.
-    const nation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-    if (!nation)
-      return res.status(404).json({ error: "Nation not found for this user" });
-
-    // Check that the new structure's cell is within the nation's territory.
-    let inTerritory = false;
-    if (nation.territory && nation.territory.x && nation.territory.y) {
-      for (let i = 0; i < nation.territory.x.length; i++) {
-        if (nation.territory.x[i] === x && nation.territory.y[i] === y) {
-          inTerritory = true;
-          break;
-        }
-      }
-    }
-    if (!inTerritory) {
-      return res
-        .status(400)
-        .json({ error: "Selected cell is not within your territory" });
-    }
-
-    // For towns, ensure no city exists within 5 cells (Manhattan distance).
-    if (cityType === "town") {
-      const tooClose = nation.cities?.some(
-        (city) =>
-          (city.type === "town" || city.type === "capital") &&
-          Math.abs(city.x - x) + Math.abs(city.y - y) < 5
-      );
-      if (tooClose) {
-        return res.status(400).json({
-          error: "Cannot build town within 5 cells of an existing town or capital",
-        });
-      }
-    }
-
-    // For towers, check they're not too close to other towers
-    if (cityType === "tower") {
-      const tooClose = nation.cities?.some(
-        (city) =>
-          city.type === "tower" &&
-          Math.abs(city.x - x) + Math.abs(city.y - y) < 3
-      );
-      if (tooClose) {
-        return res.status(400).json({
-          error: "Cannot build tower within 3 cells of another tower",
-        });
-      }
-    }
-
-    // Check if there's already a structure on this tile
-    const existingStructure = nation.cities?.some(
-      (city) => city.x === x && city.y === y
-    );
-    if (existingStructure) {
-      return res.status(400).json({
-        error: "A structure already exists on this tile",
-      });
-    }
-
-    // Region-based building constraints
-    const regionCfg = config?.regions;
-    if (regionCfg?.enabled !== false) {
-      const regionData = gameLoop.getRegionData(req.params.id);
-      if (regionData) {
-        const regionId = getRegionForCell(regionData.assignment, regionData.width, x, y);
-        const UNASSIGNED = 65535;
-
-        if (regionId !== UNASSIGNED) {
-          if (cityType === "town") {
-            // Count existing towns/capitals in this region across ALL nations
-            const allNations = gameRoom.gameState?.nations || [];
-            let townCount = 0;
-            for (const n of allNations) {
-              for (const c of n.cities || []) {
-                if ((c.type === "town" || c.type === "capital") &&
-                    getRegionForCell(regionData.assignment, regionData.width, c.x, c.y) === regionId) {
-                  townCount++;
-                }
-              }
-            }
-            const maxTowns = regionCfg.maxTownsPerRegion ?? 1;
-            if (townCount >= maxTowns) {
-              return res.status(400).json({
-                error: "Region already has a city",
-              });
-            }
-          }
-
-          if (cityType === "tower") {
-            // Count this nation's towers in this region
-            let towerCount = 0;
-            for (const c of nation.cities || []) {
-              if (c.type === "tower" &&
-                  getRegionForCell(regionData.assignment, regionData.width, c.x, c.y) === regionId) {
-                towerCount++;
-              }
-            }
-            const maxTowers = regionCfg.maxTowersPerRegion ?? 2;
-            if (towerCount >= maxTowers) {
-              return res.status(400).json({
-                error: `Region tower limit reached (${maxTowers}/${maxTowers})`,
-              });
-            }
-          }
-        }
-      }
-    }
-
-    /* ---------------------------------------------
-       Resource Structure Placement Checks
-       ---------------------------------------------
-       Only allow resource structures (i.e. types other than capital, town, tower, fort)
-       to be built on a tile that has the required resource.
-    */
-    const resourceStructureMapping = {
-      farm: "food",
-      "lumber mill": "wood",
-      mine: ["stone", "bronze", "steel"],
-      stable: "horses",
-    };
-    let producedResource = null;
-    if (resourceStructureMapping[cityType]) {
-      const mapData = await gameLoop.getMapData(req.params.id);
-      const cell = mapData[y] && mapData[y][x];
-      if (!cell) {
-        return res.status(400).json({ error: "Invalid map cell" });
-      }
-
-      const required = resourceStructureMapping[cityType];
-      const cellResources =
-        Array.isArray(cell.resources) && cell.resources.length > 0
-          ? cell.resources
-          : cell.resourceNode?.type
-          ? [cell.resourceNode.type]
-          : [];
-      let validResource = false;
-      if (Array.isArray(required)) {
-        validResource = cellResources.some((r) => required.includes(r));
-      } else {
-        validResource = cellResources.includes(required);
-      }
-      if (!validResource) {
-        return res.status(400).json({
-          error: `Cannot build ${cityType} on this tile. Required resource not found.`,
-        });
-      }
-      producedResource = cellResources[0];
-    }
-
-    // Get build cost from config.
-    const CITY_BUILD_COSTS = config.buildCosts.structures;
-    const cost = CITY_BUILD_COSTS[cityType];
-    if (!cost)
-      return res.status(400).json({ error: "Invalid structure type specified" });
-
-    // Check if the nation has enough resources.
-    let canBuild = true;
-    for (const resource in cost) {
-      if ((nation.resources[resource] || 0) < cost[resource]) {
-        canBuild = false;
-        break;
-      }
-    }
-    if (!canBuild)
-      return res
-        .status(400)
-        .json({ error: "Insufficient resources to build this structure" });
-
-    const newCity = await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      // Re-validate nation state inside lock
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
-
-      // Re-validate territory ownership inside lock (cell could have flipped during the gap)
-      let stillInTerritory = false;
-      if (lockedNation.territory?.x && lockedNation.territory?.y) {
-        for (let i = 0; i < lockedNation.territory.x.length; i++) {
-          if (lockedNation.territory.x[i] === x && lockedNation.territory.y[i] === y) {
-            stillInTerritory = true;
-            break;
-          }
-        }
-      }
-      if (!stillInTerritory) {
-        throw Object.assign(new Error("Selected cell is no longer within your territory"), { status: 400 });
-      }
-
-      // Check resources again inside lock
-      for (const resource in cost) {
-        if ((lockedNation.resources[resource] || 0) < cost[resource]) {
-          throw Object.assign(new Error("Insufficient resources to build this structure"), { status: 400 });
-        }
-      }
-
-      // Deduct the resource costs.
-      for (const resource in cost) {
-        lockedNation.resources[resource] = (lockedNation.resources[resource] || 0) - cost[resource];
-      }
-
-      // Generate name for the structure
-      const existingNames = new Set(lockedNation.cities?.map((c) => c.name) || []);
-      let generatedName;
-      if (cityType === "tower") {
-        generatedName = cityName || generateUniqueName(generateTowerName, existingNames);
-      } else if (cityType === "town") {
-        generatedName = cityName || generateUniqueName(generateCityName, existingNames);
-      } else {
-        generatedName = cityName || `${cityType.charAt(0).toUpperCase() + cityType.slice(1)} ${lockedNation.cities.length + 1}`;
-      }
-
-      debug(`[BUILD] ${cityType} "${generatedName}" at (${x},${y}) for ${userId}`);
-
-      const city = {
-        name: generatedName,
-        x,
-        y,
-        population: cityType === "tower" ? 0 : 50,
-        type: cityType,
-        resource: producedResource,
-      };
-      lockedNation.cities.push(city);
-
-      // Invalidate loyalty city bonus cache
-      const matrix = gameLoop.cachedMatrix?.get(req.params.id.toString());
-      if (matrix) matrix._cityBonusVersion = (matrix._cityBonusVersion || 0) + 1;
-
-      await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-      return city;
-    });
-
-    res.status(201).json({ message: "Structure built successfully", city: newCity });
+    const result = await runPlayerCommandRoute(req, res, "buildCity");
+    if (result) res.status(201).json(result);
   } catch (error) {
     next(error);
   }
@@ -2071,13 +2670,29 @@ router.post("/:id/pressure", async (req, res) => {
 });
 
 // -------------------------------------------------------------------
-// POST /api/gamerooms/:id/upgradeNode - DEPRECATED
-// Resource node upgrades have been removed from the game
+// POST /api/gamerooms/:id/upgradeNode - Spend gold to raise a claimed
+// resource node's level (see nodeUpgrades.js)
 // -------------------------------------------------------------------
-router.post("/:id/upgradeNode", async (req, res) => {
-  return res.status(410).json({
-    error: "Resource node upgrades have been removed.",
-  });
+router.post("/:id/upgradeNode", async (req, res, next) => {
+  try {
+    const result = await runPlayerCommandRoute(req, res, "upgradeNode");
+    if (result) res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/research - Spend resources on a technology
+// (see research.js)
+// -------------------------------------------------------------------
+router.post("/:id/research", async (req, res, next) => {
+  try {
+    const result = await runPlayerCommandRoute(req, res, "research");
+    if (result) res.json(result);
+  } catch (error) {
+    next(error);
+  }
 });
 
 // -------------------------------------------------------------------
@@ -2086,242 +2701,21 @@ router.post("/:id/upgradeNode", async (req, res) => {
 // -------------------------------------------------------------------
 router.post("/:id/arrow", async (req, res, next) => {
   try {
-    const { userId: legacyUserId, password, type, path, percent } = req.body;
-    const sessionActor = getSessionActor(req);
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId || !type || !path || !Array.isArray(path)) {
-      return res.status(400).json({
-        error: "userId, type (attack/defend), and path array are required",
-      });
-    }
-
-    if (type !== "attack" && type !== "defend") {
-      return res.status(400).json({
-        error: "type must be either 'attack' or 'defend'",
-      });
-    }
-
-    if (path.length < 2) {
-      return res.status(400).json({
-        error: "Arrow path must have at least 2 points",
-      });
-    }
-
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
-
-    const nation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-    if (!nation)
-      return res.status(404).json({ error: "Nation not found for this user" });
-
-    const sanitizedPath = path.map((point) => ({
-      x: Number(point?.x),
-      y: Number(point?.y),
-    }));
-    const hasInvalidPoint = sanitizedPath.some(
-      (point) => !Number.isFinite(point.x) || !Number.isFinite(point.y)
-    );
-    if (hasInvalidPoint) {
-      return res.status(400).json({
-        error: "Arrow path contains invalid coordinates",
-      });
-    }
-
-    // Validate all path points are within map bounds
-    const arrowMapData = await gameLoop.getMapData(req.params.id);
-    if (arrowMapData) {
-      const mapH = arrowMapData.length;
-      const mapW = arrowMapData[0]?.length || 0;
-      const hasOutOfBounds = sanitizedPath.some(
-        (p) => p.x < 0 || p.y < 0 || p.x >= mapW || p.y >= mapH
-      );
-      if (hasOutOfBounds) {
-        return res.status(400).json({
-          error: "Arrow path contains out-of-bounds coordinates",
-        });
-      }
-    }
-
-    if (!isPointNearTerritory(nation, sanitizedPath[0], 3)) {
-      return res.status(400).json({
-        error: "Arrow must start on or near your territory",
-      });
-    }
-
-    const result = await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      // Re-fetch nation inside lock
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
-
-      // Initialize arrowOrders if not present
-      if (!lockedNation.arrowOrders) {
-        lockedNation.arrowOrders = {};
-      }
-
-      // For attack arrows: enforce multi-arrow limits and range
-      if (type === "attack") {
-        // Migrate legacy format
-        if (lockedNation.arrowOrders.attack && !lockedNation.arrowOrders.attacks) {
-          lockedNation.arrowOrders.attacks = [lockedNation.arrowOrders.attack];
-          delete lockedNation.arrowOrders.attack;
-        }
-        if (!lockedNation.arrowOrders.attacks) lockedNation.arrowOrders.attacks = [];
-
-        const maxAttackArrows = config?.territorial?.maxAttackArrows ?? 3;
-        if (lockedNation.arrowOrders.attacks.length >= maxAttackArrows) {
-          throw Object.assign(new Error(`Maximum ${maxAttackArrows} attack arrows allowed`), { status: 400 });
-        }
-
-        // Validate arrow range
-        const pathLen = computePathLength(sanitizedPath);
-        const maxRange = computeMaxArrowRange(lockedNation);
-        if (pathLen > maxRange) {
-          throw Object.assign(new Error(`Arrow path too long (${Math.round(pathLen)} tiles). Max range: ${Math.round(maxRange)} tiles`), { status: 400 });
-        }
-      }
-
-      // For defend arrows: still single
-      if (type === "defend" && lockedNation.arrowOrders.defend) {
-        lockedNation.population = (lockedNation.population || 0) + (lockedNation.arrowOrders.defend.remainingPower || 0);
-        delete lockedNation.arrowOrders.defend;
-      }
-
-      // Arrow resource costs
-      const arrowCostCfg = config?.arrowCosts;
-      let arrowFoodCost = 0;
-      let arrowGoldCost = 0;
-      if (arrowCostCfg && type === "attack") {
-        const pathLen = computePathLength(sanitizedPath);
-        arrowFoodCost = arrowCostCfg.food.base + arrowCostCfg.food.perTile * pathLen;
-        arrowGoldCost = arrowCostCfg.gold.base + arrowCostCfg.gold.perTile * pathLen;
-
-        // First arrow free
-        const attacks = lockedNation.arrowOrders?.attacks || [];
-        if (arrowCostCfg.firstArrowFree && attacks.length === 0) {
-          arrowFoodCost = 0;
-          arrowGoldCost = 0;
-        }
-
-        // Own territory discount — if path start+end both in territory
-        if (arrowCostCfg.ownTerritoryDiscount && arrowFoodCost > 0) {
-          const tx = lockedNation.territory?.x || [];
-          const ty = lockedNation.territory?.y || [];
-          const territorySet = new Set();
-          for (let i = 0; i < tx.length; i++) territorySet.add(`${tx[i]},${ty[i]}`);
-          const startIn = territorySet.has(`${sanitizedPath[0].x},${sanitizedPath[0].y}`);
-          const endIn = territorySet.has(`${sanitizedPath[sanitizedPath.length - 1].x},${sanitizedPath[sanitizedPath.length - 1].y}`);
-          if (startIn && endIn) {
-            arrowFoodCost *= arrowCostCfg.ownTerritoryDiscount;
-            arrowGoldCost *= arrowCostCfg.ownTerritoryDiscount;
-          }
-        }
-
-        arrowFoodCost = Math.ceil(arrowFoodCost);
-        arrowGoldCost = Math.ceil(arrowGoldCost);
-
-        if ((lockedNation.resources?.food || 0) < arrowFoodCost ||
-            (lockedNation.resources?.gold || 0) < arrowGoldCost) {
-          throw Object.assign(new Error("Insufficient resources for arrow"), {
-            status: 400,
-            cost: { food: arrowFoodCost, gold: arrowGoldCost },
-          });
-        }
-        lockedNation.resources.food -= arrowFoodCost;
-        lockedNation.resources.gold -= arrowGoldCost;
-      }
-
-      // Calculate power commitment
-      const minPercent = config?.territorial?.minAttackPercent || 0.05;
-      const maxPercent = config?.territorial?.maxAttackPercent || 1;
-      const rawPercent = Number(percent ?? config?.territorial?.defaultAttackPercent ?? 0.25);
-      if (!Number.isFinite(rawPercent)) {
-        throw Object.assign(new Error("Invalid attack percent"), { status: 400 });
-      }
-      const clampedPercent = Math.min(Math.max(rawPercent, minPercent), maxPercent);
-
-      const troopDensityEnabled = config?.troopDensity?.enabled;
-      const available = lockedNation.population || 0;
-      const power = available * clampedPercent;
-      if (power <= 0) {
-        throw Object.assign(new Error("Not enough population to commit"), { status: 400 });
-      }
-
-      // Only deduct population in legacy mode; density system uses attractors
-      if (!troopDensityEnabled) {
-        lockedNation.population = Math.max(0, available - power);
-      }
-
-      const arrowId = new mongoose.Types.ObjectId().toString();
-
-      // Get current tick for tick-based expiry
-      const currentTick = gameRoom.tickCount || 0;
-
-      if (type === "attack") {
-        lockedNation.arrowOrders.attacks.push({
-          id: arrowId,
-          type: "attack",
-          path: sanitizedPath,
-          currentIndex: 1,
-          remainingPower: troopDensityEnabled ? 0 : power,
-          initialPower: troopDensityEnabled ? 0 : power,
-          troopCommitment: clampedPercent,
-          percent: clampedPercent,
-          createdAt: new Date(),
-          createdAtTick: currentTick,
-          frontWidth: 0,
-          advanceProgress: 0,
-          phase: 1,
-          phaseConsolidationRemaining: 0,
-          status: "advancing",
-          opposingForces: [],
-          headX: sanitizedPath[0].x,
-          headY: sanitizedPath[0].y,
-          effectiveDensityAtFront: 0,
-        });
-      } else {
-        // Defend arrows still use population deduction even in troopDensity mode
-        if (troopDensityEnabled) {
-          // No population deduction for defend in density mode either
-        } else {
-          // Already deducted above
-        }
-        lockedNation.arrowOrders.defend = {
-          id: arrowId,
-          type: "defend",
-          path: sanitizedPath,
-          currentIndex: 0,
-          remainingPower: troopDensityEnabled ? 0 : power,
-          initialPower: troopDensityEnabled ? 0 : power,
-          percent: clampedPercent,
-          createdAt: new Date(),
-          createdAtTick: currentTick,
-        };
-      }
-
-      if (process.env.DEBUG_ARROWS === "true") {
-        debug(
-          `[ARROW-CREATED] PLAYER ${userId} ${type}: id=${arrowId} power=${power.toFixed(0)} pathLen=${sanitizedPath.length} target=(${sanitizedPath[sanitizedPath.length-1]?.x},${sanitizedPath[sanitizedPath.length-1]?.y}) attacks[]=${lockedNation.arrowOrders.attacks?.length || 0}`
-        );
-      }
-
-      await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-
-      return { arrowId, clampedPercent };
-    });
+    const result = await runPlayerCommandRoute(req, res, "arrow");
+    if (result) res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({
-      message: `${type} arrow order sent`,
-      arrowId: result.arrowId,
-      percent: result.clampedPercent,
-      pathLength: path.length,
-    });
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/navalArrow - Ship troops across the sea to a coast
+// Embarks at the nation's port nearest by sea to the target (see naval.js)
+// -------------------------------------------------------------------
+router.post("/:id/navalArrow", async (req, res, next) => {
+  try {
+    const result = await runPlayerCommandRoute(req, res, "navalArrow");
+    if (result) res.json(result);
   } catch (error) {
     next(error);
   }
@@ -2333,68 +2727,8 @@ router.post("/:id/arrow", async (req, res, next) => {
 // -------------------------------------------------------------------
 router.post("/:id/clearArrow", async (req, res, next) => {
   try {
-    const sessionActor = getSessionActor(req);
-    const { userId: legacyUserId, password, type, arrowId } = req.body || {};
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId) {
-      return res.status(400).json({
-        error: "userId is required",
-      });
-    }
-
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
-
-    await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
-
-      const troopDensityEnabled = config?.troopDensity?.enabled;
-
-      if (type === "defend") {
-        if (lockedNation.arrowOrders?.defend) {
-          // In density mode, no population to return; density redistributes via diffusion
-          if (!troopDensityEnabled) {
-            lockedNation.population = (lockedNation.population || 0) + (lockedNation.arrowOrders.defend.remainingPower || 0);
-          }
-          delete lockedNation.arrowOrders.defend;
-        }
-      } else if (arrowId && lockedNation.arrowOrders?.attacks) {
-        const idx = lockedNation.arrowOrders.attacks.findIndex(a => a.id === arrowId);
-        if (idx !== -1) {
-          if (!troopDensityEnabled) {
-            lockedNation.population = (lockedNation.population || 0) + (lockedNation.arrowOrders.attacks[idx].remainingPower || 0);
-          }
-          lockedNation.arrowOrders.attacks.splice(idx, 1);
-        }
-      } else if (type === "attack") {
-        if (lockedNation.arrowOrders?.attacks) {
-          if (!troopDensityEnabled) {
-            for (const a of lockedNation.arrowOrders.attacks) {
-              lockedNation.population = (lockedNation.population || 0) + (a.remainingPower || 0);
-            }
-          }
-          lockedNation.arrowOrders.attacks = [];
-        }
-        if (lockedNation.arrowOrders?.attack) {
-          if (!troopDensityEnabled) {
-            lockedNation.population = (lockedNation.population || 0) + (lockedNation.arrowOrders.attack.remainingPower || 0);
-          }
-          delete lockedNation.arrowOrders.attack;
-        }
-      }
-
-      await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-    });
-
-    res.json({ message: "Arrow cleared" });
+    const result = await runPlayerCommandRoute(req, res, "clearArrow");
+    if (result) res.json(result);
   } catch (error) {
     next(error);
   }
@@ -2405,75 +2739,8 @@ router.post("/:id/clearArrow", async (req, res, next) => {
 // -------------------------------------------------------------------
 router.post("/:id/reinforceArrow", async (req, res, next) => {
   try {
-    const sessionActor = getSessionActor(req);
-    const { userId: legacyUserId, password, arrowId, percent } = req.body || {};
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId || !arrowId) {
-      return res.status(400).json({
-        error: "userId and arrowId are required",
-      });
-    }
-
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
-
-    const result = await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
-
-      const arrow = lockedNation.arrowOrders?.attacks?.find(a => a.id === arrowId);
-      if (!arrow) throw Object.assign(new Error("Arrow not found"), { status: 404 });
-
-      const troopDensityEnabled = config?.troopDensity?.enabled;
-
-      if (troopDensityEnabled) {
-        // In density mode, reinforce increases troopCommitment (attractor share)
-        const minPercent = config?.territorial?.reinforceMinPercent ?? 0.05;
-        const maxPercent = config?.territorial?.maxAttackPercent ?? 1;
-        const rawAddPercent = Number(percent ?? 0.1);
-        const addPercent = Math.min(Math.max(rawAddPercent, minPercent), maxPercent);
-        const newCommitment = Math.min(1, (arrow.troopCommitment || arrow.percent || 0.25) + addPercent);
-        arrow.troopCommitment = newCommitment;
-        arrow.percent = newCommitment;
-
-        await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-        broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-
-        return { reinforcement: addPercent, newPower: newCommitment };
-      } else {
-        // Legacy: deduct population, add to remainingPower
-        const minPercent = config?.territorial?.reinforceMinPercent ?? 0.05;
-        const maxPercent = config?.territorial?.reinforceMaxPercent ?? 0.5;
-        const rawPercent = Number(percent ?? 0.1);
-        const clampedPercent = Math.min(Math.max(rawPercent, minPercent), maxPercent);
-
-        const available = lockedNation.population || 0;
-        const reinforcement = available * clampedPercent;
-        if (reinforcement <= 0) {
-          throw Object.assign(new Error("Not enough population to reinforce"), { status: 400 });
-        }
-
-        lockedNation.population = Math.max(0, available - reinforcement);
-        arrow.remainingPower = (arrow.remainingPower || 0) + reinforcement;
-
-        await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-        broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-
-        return { reinforcement, newPower: arrow.remainingPower };
-      }
-    });
-
-    res.json({
-      message: "Arrow reinforced",
-      reinforcement: Math.round(result.reinforcement),
-      newPower: Math.round(result.newPower),
-    });
+    const result = await runPlayerCommandRoute(req, res, "reinforceArrow");
+    if (result) res.json(result);
   } catch (error) {
     next(error);
   }
@@ -2484,38 +2751,8 @@ router.post("/:id/reinforceArrow", async (req, res, next) => {
 // -------------------------------------------------------------------
 router.post("/:id/retreatArrow", async (req, res, next) => {
   try {
-    const sessionActor = getSessionActor(req);
-    const { userId: legacyUserId, password, arrowId } = req.body || {};
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId || !arrowId) {
-      return res.status(400).json({
-        error: "userId and arrowId are required",
-      });
-    }
-
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
-
-    await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
-
-      const arrow = lockedNation.arrowOrders?.attacks?.find(a => a.id === arrowId);
-      if (!arrow) throw Object.assign(new Error("Arrow not found"), { status: 404 });
-
-      arrow.status = "retreating";
-
-      await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
-      broadcastRoomUpdate(req.params.id.toString(), gameRoom);
-    });
-
-    res.json({ message: "Arrow retreating" });
+    const result = await runPlayerCommandRoute(req, res, "retreatArrow");
+    if (result) res.json(result);
   } catch (error) {
     next(error);
   }
@@ -2526,36 +2763,111 @@ router.post("/:id/retreatArrow", async (req, res, next) => {
 // -------------------------------------------------------------------
 router.post("/:id/troopTarget", async (req, res, next) => {
   try {
-    const sessionActor = getSessionActor(req);
-    const { userId: legacyUserId, password, troopTarget } = req.body || {};
-    const userId = sessionActor?.userId || legacyUserId;
-    if (!userId || troopTarget == null) {
-      return res.status(400).json({
-        error: "userId and troopTarget are required",
-      });
-    }
+    const result = await runPlayerCommandRoute(req, res, "troopTarget");
+    if (result) res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const gameRoom = await getAuthoritativeRoom(req.params.id);
-    if (!gameRoom)
-      return res.status(404).json({ error: "Game room not found" });
-    if (!ensurePlayableRoom(gameRoom, res)) return;
-    if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, password)) {
-      return res.status(403).json({ error: "Invalid credentials" });
-    }
-    touchRoom(gameRoom._id.toString());
+// -------------------------------------------------------------------
+// Diplomacy - pacts, truces and war declarations between nations.
+// All four routes share validation, locking and persistence below.
+// -------------------------------------------------------------------
+async function runDiplomacyCommand(req, res, requiredFields, apply) {
+  const sessionActor = getSessionActor(req);
+  const body = req.body || {};
+  const userId = sessionActor?.userId || body.userId;
+  const missing = requiredFields.filter((field) => body[field] == null);
+  if (!userId || missing.length > 0) {
+    return res.status(400).json({
+      error: `userId and ${requiredFields.join(", ")} are required`,
+    });
+  }
 
-    const clampedTarget = Math.max(0, Math.min(0.8, Number(troopTarget)));
+  const gameRoom = await getAuthoritativeRoom(req.params.id);
+  if (!gameRoom)
+    return res.status(404).json({ error: "Game room not found" });
+  if (!ensurePlayableRoom(gameRoom, res)) return;
+  if (!sessionActor && !hasValidPlayerCredentials(gameRoom, userId, body.password)) {
+    return res.status(403).json({ error: "Invalid credentials" });
+  }
+  touchRoom(gameRoom._id.toString());
 
-    await gameLoop.withRoomMutationLock(req.params.id, async () => {
-      const lockedNation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
-      if (!lockedNation) throw Object.assign(new Error("Nation not found"), { status: 404 });
+  let result = null;
+  await gameLoop.withRoomMutationLock(req.params.id, async () => {
+    const tick = gameRoom.tickCount || 0;
+    const { command, payload } = apply(gameRoom.gameState, userId, tick, body);
+    result = command;
+    recordCommand(req.params.id, tick, "diplomacy", userId, payload);
 
-      lockedNation.troopTarget = clampedTarget;
+    await persistRoomMutation(gameRoom, req.params.id, ["gameState.diplomacy"]);
+    broadcastRoomUpdate(req.params.id.toString(), gameRoom);
+  });
+
+  res.json({ result });
+}
 
-      await persistRoomMutation(gameRoom, req.params.id, ["gameState.nations"]);
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/diplomacy/propose - Propose a pact to another nation
+// Body: { target, type: "nap" | "truce" }
+// -------------------------------------------------------------------
+router.post("/:id/diplomacy/propose", async (req, res, next) => {
+  try {
+    const type = req.body?.type || "nap";
+    await runDiplomacyCommand(req, res, ["target"], (gameState, userId, tick, body) => ({
+      command: proposePact(gameState, userId, body.target, type, tick),
+      payload: { action: "propose", target: body.target, pactType: type },
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/diplomacy/respond - Accept or decline a proposal
+// Body: { pactId, accept }
+// -------------------------------------------------------------------
+router.post("/:id/diplomacy/respond", async (req, res, next) => {
+  try {
+    await runDiplomacyCommand(req, res, ["pactId"], (gameState, userId, tick, body) => {
+      const accept = parseBoolean(body.accept, true);
+      return {
+        command: respondToPact(gameState, userId, body.pactId, accept, tick),
+        payload: { action: accept ? "accept" : "decline", pactId: Number(body.pactId) },
+      };
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({ troopTarget: clampedTarget });
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/diplomacy/break - Break a pact (or withdraw a proposal)
+// Body: { pactId } — the pact stays binding for a notice period, then a
+// cooldown blocks new pacts between the pair
+// -------------------------------------------------------------------
+router.post("/:id/diplomacy/break", async (req, res, next) => {
+  try {
+    await runDiplomacyCommand(req, res, ["pactId"], (gameState, userId, tick, body) => ({
+      command: breakPact(gameState, userId, body.pactId, tick),
+      payload: { action: "break", pactId: Number(body.pactId) },
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/gamerooms/:id/diplomacy/war - Declare war on another nation
+// Body: { target } — breaks any standing pact with the target
+// -------------------------------------------------------------------
+router.post("/:id/diplomacy/war", async (req, res, next) => {
+  try {
+    await runDiplomacyCommand(req, res, ["target"], (gameState, userId, tick, body) => ({
+      command: declareWar(gameState, userId, body.target, tick),
+      payload: { action: "war", target: body.target },
+    }));
   } catch (error) {
     next(error);
   }
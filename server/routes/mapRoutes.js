@@ -10,6 +10,10 @@ import { generateRegions } from "../utils/regionGenerator.js";
 import { generatePreview } from "../utils/mapUtils.js";
 import config from "../config/config.js";
 import { debug, debugWarn } from "../utils/debug.js";
+import { getSessionUserIdFromRequest } from "../utils/auth.js";
+import { parseMapDocument, exportMapDocument } from "../utils/mapFormat.js";
+import { resolveHeightmap, listHeightmapPresets } from "../utils/heightmap.js";
+import { resolveMapArchetype, listMapArchetypes } from "../utils/mapArchetypes.js";
 
 const __mapRoutesFilename = fileURLToPath(import.meta.url);
 const __mapRoutesDirname = path.dirname(__mapRoutesFilename);
@@ -33,6 +37,12 @@ const mapSchema = new mongoose.Schema({
   },
   generationProgress: { type: Number, default: 0 },
   generationStage: { type: String, default: "queued" },
+  // "editor" maps are hand-made and can be picked when creating a room
+  source: { type: String, enum: ["generated", "editor"], default: "generated" },
+  createdBy: { type: String, default: null },
+  // Map archetype (mapArchetypes in gameConfig.json) a generated map used
+  archetype: { type: String, default: null },
+  archetypeVersion: { type: Number, default: null },
 });
 const Map = mongoose.model("Map", mapSchema);
 
@@ -75,6 +85,41 @@ function runMapGenerationWorker(workerData) {
   });
 }
 
+// -------------------------------------------------------------------
+// Helper: Save a map's rows as chunks plus its region layout
+// -------------------------------------------------------------------
+async function saveMapLayers(mapId, mapData, width, height, seed) {
+  const CHUNK_SIZE = 50;
+  const chunks = [];
+  for (let i = 0; i < mapData.length; i += CHUNK_SIZE) {
+    const chunkRows = mapData.slice(i, i + CHUNK_SIZE);
+    chunks.push({
+      map: mapId,
+      startRow: i,
+      endRow: i + chunkRows.length - 1,
+      rows: chunkRows,
+    });
+  }
+  await MapChunk.insertMany(chunks);
+
+  if (config?.regions?.enabled !== false) {
+    const regionData = generateRegions(mapData, width, height, seed, config.regions);
+    await MapRegion.create({
+      map: mapId,
+      width,
+      height,
+      regionCount: regionData.regionCount,
+      seeds: regionData.seeds,
+      assignmentBuffer: Buffer.from(regionData.assignment.buffer),
+    });
+  }
+}
+
+async function loadMapRows(mapId) {
+  const chunks = await MapChunk.find({ map: mapId }).sort({ startRow: 1 }).lean();
+  return chunks.flatMap((chunk) => chunk.rows);
+}
+
 // -------------------------------------------------------------------
 // Endpoints for Maps
 // -------------------------------------------------------------------
@@ -82,7 +127,16 @@ function runMapGenerationWorker(workerData) {
 // POST /api/maps - Create a new map
 router.post("/", async (req, res, next) => {
   try {
-    let { name, width, height, erosion_passes, num_blobs, seed } = req.body;
+    let {
+      name,
+      width,
+      height,
+      erosion_passes,
+      num_blobs,
+      seed,
+      heightmap,
+      archetype,
+    } = req.body;
 
     // Validate dimensions
     if (!width || !height) {
@@ -98,6 +152,28 @@ router.post("/", async (req, res, next) => {
       throw error;
     }
 
+    // A heightmap image replaces procedural elevation and sets the aspect ratio
+    let heightmapSource = null;
+    if (heightmap) {
+      const resolved = resolveHeightmap(heightmap, width);
+      if (resolved.error) {
+        const error = new Error(resolved.error);
+        error.status = 400;
+        throw error;
+      }
+      height = resolved.height;
+      heightmapSource = resolved.source;
+    }
+
+    // Otherwise the archetype picks the map's overall shape
+    const mapArchetype = heightmapSource ? null : resolveMapArchetype(archetype);
+    if (mapArchetype?.error) {
+      const error = new Error(mapArchetype.error);
+      error.status = 400;
+      throw error;
+    }
+    const mirror = mapArchetype?.mapConfig?.symmetry === "mirror";
+
     debug("Starting map generation with dimensions:", width, height);
     if (!erosion_passes) erosion_passes = 4;
     if (!num_blobs) num_blobs = 3;
@@ -110,9 +186,10 @@ router.post("/", async (req, res, next) => {
       erosion_passes,
       num_blobs,
       seed: mapSeed,
-      mapConfig: config?.mapGeneration,
+      mapConfig: mapArchetype?.mapConfig ?? config?.mapGeneration,
+      heightmap: heightmapSource,
     });
-    mapData = assignResourcesToMap(mapData, mapSeed);
+    mapData = assignResourcesToMap(mapData, mapSeed, { mirror });
     debug("Map generated successfully in worker thread");
 
     // Generate regions if enabled
@@ -128,6 +205,8 @@ router.post("/", async (req, res, next) => {
       width,
       height,
       seed: mapSeed,
+      archetype: mapArchetype?.id ?? null,
+      archetypeVersion: mapArchetype?.version ?? null,
     });
     debug("Saving new map metadata to database");
     await newMap.save();
@@ -197,7 +276,16 @@ router.get("/:id/status", async (req, res, next) => {
 
 router.post("/gamemap", async (req, res, next) => {
   try {
-    let { name, width, height, erosion_passes, num_blobs, seed } = req.body;
+    let {
+      name,
+      width,
+      height,
+      erosion_passes,
+      num_blobs,
+      seed,
+      heightmap,
+      archetype,
+    } = req.body;
 
     // Validate dimensions
     if (!width || !height) {
@@ -213,6 +301,28 @@ router.post("/gamemap", async (req, res, next) => {
       throw error;
     }
 
+    // A heightmap image replaces procedural elevation and sets the aspect ratio
+    let heightmapSource = null;
+    if (heightmap) {
+      const resolved = resolveHeightmap(heightmap, width);
+      if (resolved.error) {
+        const error = new Error(resolved.error);
+        error.status = 400;
+        throw error;
+      }
+      height = resolved.height;
+      heightmapSource = resolved.source;
+    }
+
+    // Otherwise the archetype picks the map's overall shape
+    const mapArchetype = heightmapSource ? null : resolveMapArchetype(archetype);
+    if (mapArchetype?.error) {
+      const error = new Error(mapArchetype.error);
+      error.status = 400;
+      throw error;
+    }
+    const mirror = mapArchetype?.mapConfig?.symmetry === "mirror";
+
     const mapSeed = seed !== undefined ? Number(seed) : Math.random();
 
     // Save map metadata first
@@ -222,6 +332,8 @@ router.post("/gamemap", async (req, res, next) => {
       height,
       seed: mapSeed,
       status: "generating",
+      archetype: mapArchetype?.id ?? null,
+      archetypeVersion: mapArchetype?.version ?? null,
     });
 
     await newMap.save();
@@ -248,9 +360,10 @@ router.post("/gamemap", async (req, res, next) => {
           erosion_passes,
           num_blobs,
           seed: mapSeed,
-          mapConfig: config?.mapGeneration,
+          mapConfig: mapArchetype?.mapConfig ?? config?.mapGeneration,
+          heightmap: heightmapSource,
         });
-        mapData = assignResourcesToMap(mapData, mapSeed);
+        mapData = assignResourcesToMap(mapData, mapSeed, { mirror });
         debug("Map generated successfully in worker thread");
 
         // Generate regions if enabled
@@ -300,12 +413,111 @@ router.post("/gamemap", async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// POST /api/maps/custom - Save a map document from the map editor
+// -------------------------------------------------------------------
+router.post("/custom", async (req, res, next) => {
+  try {
+    const userId = getSessionUserIdFromRequest(req);
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to save custom maps" });
+    }
+    const seed = Math.floor(Math.random() * 100000);
+    const parsed = parseMapDocument(req.body?.map, seed);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const newMap = await Map.create({
+      name: parsed.name || "Custom Map",
+      width: parsed.width,
+      height: parsed.height,
+      seed,
+      status: "generating",
+      generationStage: "saving",
+      source: "editor",
+      createdBy: userId,
+    });
+    try {
+      await saveMapLayers(newMap._id, parsed.mapData, parsed.width, parsed.height, seed);
+    } catch (error) {
+      await Map.findByIdAndUpdate(newMap._id, { status: "error" });
+      throw error;
+    }
+    newMap.status = "ready";
+    newMap.generationStage = "complete";
+    newMap.generationProgress = 100;
+    await newMap.save();
+
+    res.status(201).json(newMap);
+  } catch (error) {
+    console.error("Error in POST /api/maps/custom:", error);
+    next(error);
+  }
+});
+
+// -------------------------------------------------------------------
+// PUT /api/maps/custom/:id - Replace a custom map (creator only)
+// -------------------------------------------------------------------
+router.put("/custom/:id", async (req, res, next) => {
+  try {
+    const userId = getSessionUserIdFromRequest(req);
+    if (!userId) {
+      return res.status(401).json({ error: "Sign in to save custom maps" });
+    }
+    const map = await Map.findById(req.params.id);
+    if (!map || map.source !== "editor") {
+      return res.status(404).json({ error: "Custom map not found" });
+    }
+    if (map.createdBy !== userId) {
+      return res.status(403).json({ error: "Only the map's creator can edit it" });
+    }
+    const parsed = parseMapDocument(req.body?.map, map.seed);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await MapChunk.deleteMany({ map: map._id });
+    await MapRegion.deleteMany({ map: map._id });
+    await saveMapLayers(map._id, parsed.mapData, parsed.width, parsed.height, map.seed);
+
+    map.name = parsed.name || map.name;
+    map.width = parsed.width;
+    map.height = parsed.height;
+    map.status = "ready";
+    await map.save();
+
+    res.json(map);
+  } catch (error) {
+    console.error("Error in PUT /api/maps/custom/:id:", error);
+    next(error);
+  }
+});
+
+// GET /api/maps/heightmaps - Bundled heightmap presets (e.g. Earth)
+router.get("/heightmaps", (req, res) => {
+  res.json(listHeightmapPresets());
+});
+
+// GET /api/maps/archetypes - Map shapes for generated maps (pangaea, ...)
+router.get("/archetypes", (req, res) => {
+  res.json({
+    default: config?.mapArchetypes?.default ?? null,
+    archetypes: listMapArchetypes(),
+  });
+});
+
+// GET /api/maps - List saved maps (?source=editor for custom maps only)
 router.get("/", async (req, res, next) => {
   try {
-    const maps = await Map.find({
-      name: { $not: /^Room:/ },
-    })
-      .select("name createdAt width height")
+    const filter = { name: { $not: /^Room:/ } };
+    if (req.query.source === "editor") {
+      filter.source = "editor";
+    } else if (req.query.source === "generated") {
+      filter.source = { $ne: "editor" };
+    }
+    const maps = await Map.find(filter)
+      .select("name createdAt width height source createdBy status")
       .sort("-createdAt");
     res.json(maps);
   } catch (error) {
@@ -476,13 +688,24 @@ router.post("/preview", async (req, res, next) => {
       num_blobs = 4,
       seed,
       mapConfig,
+      archetype,
     } = req.body;
 
+    // Preview an archetype on top of the config being edited
+    let previewConfig = mapConfig;
+    if (archetype) {
+      const resolved = resolveMapArchetype(archetype, mapConfig ?? config?.mapGeneration);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      previewConfig = resolved.mapConfig;
+    }
+
     const w = Math.min(1000, Math.max(50, Number(width)));
     const h = Math.min(1000, Math.max(50, Number(height)));
     const s = seed !== undefined ? Number(seed) : Math.floor(Math.random() * 100000);
 
-    const result = generatePreview(w, h, erosion_passes, num_blobs, s, mapConfig);
+    const result = generatePreview(w, h, erosion_passes, num_blobs, s, previewConfig);
     result.seed = s;
     res.json(result);
   } catch (error) {
@@ -564,6 +787,24 @@ router.get("/:id/regions", async (req, res, next) => {
   }
 });
 
+// GET /api/maps/:id/export - Download a map as a map document
+router.get("/:id/export", async (req, res, next) => {
+  try {
+    const map = await Map.findById(req.params.id).lean();
+    if (!map) {
+      return res.status(404).json({ error: "Map not found" });
+    }
+    if (map.status !== "ready") {
+      return res.status(409).json({ error: "Map is not ready yet" });
+    }
+    const mapData = await loadMapRows(map._id);
+    res.json(exportMapDocument(map.name, mapData));
+  } catch (error) {
+    console.error("Error in GET /api/maps/:id/export:", error);
+    next(error);
+  }
+});
+
 // DELETE /api/maps/:id - Delete a map and its associated chunks
 router.delete("/:id", async (req, res, next) => {
   try {
@@ -0,0 +1,72 @@
+// routes/userRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import MatchResult from "../models/MatchResult.js";
+import { getSessionUserIdFromRequest } from "../utils/auth.js";
+
+const router = express.Router();
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// -------------------------------------------------------------------
+// GET /api/users/:id/history - Rating and recent match results ("me" for the signed-in user)
+// -------------------------------------------------------------------
+router.get("/:id/history", async (req, res, next) => {
+  try {
+    const userId =
+      req.params.id === "me" ? getSessionUserIdFromRequest(req) : req.params.id;
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const user = await User.findById(userId).select("profile rating").lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1),
+      MAX_HISTORY_LIMIT
+    );
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const [matches, total] = await Promise.all([
+      MatchResult.find({ "players.user": user._id })
+        .sort({ endedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      MatchResult.countDocuments({ "players.user": user._id }),
+    ]);
+
+    const id = user._id.toString();
+    res.json({
+      user: {
+        id,
+        profile: user.profile || {},
+        rating: user.rating || {},
+      },
+      total,
+      matches: matches.map((match) => ({
+        id: match._id.toString(),
+        roomName: match.roomName,
+        winMode: match.winMode,
+        reason: match.reason,
+        durationMs: match.durationMs,
+        endedAt: match.endedAt,
+        rated: match.rated,
+        playerCount: match.players.length,
+        // This user's own line, plus the full table for the detail view
+        result: match.players.find((player) => player.user?.toString() === id),
+        players: match.players.map(({ user: _user, ...player }) => player),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
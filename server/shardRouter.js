@@ -0,0 +1,281 @@
+// shardRouter.js — Front process for running game rooms across several processes
+//
+//   ROOM_SHARDS=3 node shardRouter.js      (npm run start:sharded)
+//
+// Forks ROOM_SHARDS copies of index.js, each on its own port (PORT + 1 + id
+// unless SHARD_BASE_PORT is set) with a SHARD_ID, and listens on PORT itself.
+// Rooms belong to the shard their id hashes to (utils/roomShards.js):
+//   - /api/gamerooms/:id/... goes to the room's shard
+//   - room creation is spread round-robin; the shard picks an id it owns
+//   - GET /api/gamerooms merges every shard's list, taking each room's
+//     connection counts from its own shard
+//   - everything else (auth, users, maps, matchmaking, static files) goes
+//     to shard 0
+// WebSockets are terminated here and relayed to shard 0 until the client
+// subscribes to a room, at which point the relay moves to that room's shard.
+// A shard that exits is forked again; its rooms resume from MongoDB. The
+// startup-only reset switches (CLEAR_ROOMS, RESET_DB, --clear-rooms) are
+// passed to each shard's first fork only, so a restart never wipes rooms.
+
+import dotenv from "dotenv";
+import http from "http";
+import path from "path";
+import { fork } from "child_process";
+import { fileURLToPath } from "url";
+import { WebSocketServer, WebSocket } from "ws";
+import { getShardCount, shardForRoom } from "./utils/roomShards.js";
+import { debug, debugWarn } from "./utils/debug.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, ".env") });
+
+const PORT = Number(process.env.PORT) || 5001;
+const SHARD_COUNT = getShardCount();
+const SHARD_BASE_PORT = Number(process.env.SHARD_BASE_PORT) || PORT + 1;
+const SHARD_RESTART_DELAY_MS = 1000;
+const ROOM_PATH = /^\/api\/gamerooms\/([0-9a-f]{24})(?:\/|$)/i;
+const CREATE_PATH = /^\/api\/gamerooms(?:\/init|\/discord-instance)?\/?$/;
+
+const RESET_ENV_KEYS = ["CLEAR_ROOMS", "RESET_DB"];
+const RESET_ARGS = ["--clear-rooms"];
+
+const shards = []; // { id, port, child, ready }
+let nextCreateShard = 0;
+let shuttingDown = false;
+
+// ─── Shard processes ────────────────────────────────────────────
+
+function forkShard(id, { restart = false } = {}) {
+  const shard = shards[id] || { id, port: SHARD_BASE_PORT + id };
+  shards[id] = shard;
+  shard.ready = false;
+  const env = { ...process.env };
+  let args = process.argv.slice(2);
+  if (restart) {
+    // "false" rather than unset, so index.js's dotenv can't bring them back
+    for (const key of RESET_ENV_KEYS) env[key] = "false";
+    args = args.filter((arg) => !RESET_ARGS.includes(arg));
+  }
+  shard.child = fork(path.join(__dirname, "index.js"), args, {
+    env: {
+      ...env,
+      ROOM_SHARDS: String(SHARD_COUNT),
+      SHARD_ID: String(id),
+      PORT: String(shard.port),
+    },
+  });
+  shard.child.on("message", (msg) => {
+    if (msg?.type === "ready") {
+      shard.ready = true;
+      debug(`[SHARD] Shard ${id} ready on port ${shard.port}`);
+    }
+  });
+  shard.child.on("exit", (code, signal) => {
+    shard.ready = false;
+    if (shuttingDown) return;
+    debugWarn(`[SHARD] Shard ${id} exited (${signal || code}), restarting`);
+    setTimeout(() => {
+      if (!shuttingDown) forkShard(id, { restart: true });
+    }, SHARD_RESTART_DELAY_MS);
+  });
+}
+
+function shardForRequest(req) {
+  const { pathname } = new URL(req.url, "http://router");
+  const roomMatch = pathname.match(ROOM_PATH);
+  if (roomMatch) return shards[shardForRoom(roomMatch[1], SHARD_COUNT)];
+  if (req.method === "POST" && CREATE_PATH.test(pathname)) {
+    nextCreateShard = (nextCreateShard + 1) % SHARD_COUNT;
+    return shards[nextCreateShard];
+  }
+  return shards[0];
+}
+
+// ─── HTTP ───────────────────────────────────────────────────────
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function proxyRequest(req, res, shard) {
+  const upstream = http.request(
+    {
+      host: "127.0.0.1",
+      port: shard.port,
+      method: req.method,
+      path: req.url,
+      headers: req.headers,
+    },
+    (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    }
+  );
+  upstream.on("error", (err) => {
+    debugWarn(`[SHARD] Shard ${shard.id} request failed: ${err.message}`);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      sendJson(res, 502, { error: "Game server unavailable" });
+    }
+  });
+  req.pipe(upstream);
+}
+
+// Every shard lists every room, but only the owning shard knows how many
+// sockets are connected to it
+async function listRooms(req, res) {
+  try {
+    const lists = await Promise.all(
+      shards.map(async (shard) => {
+        const response = await fetch(`http://127.0.0.1:${shard.port}${req.url}`, {
+          headers: { cookie: req.headers.cookie || "" },
+        });
+        if (!response.ok) throw new Error(`shard ${shard.id}: ${response.status}`);
+        return response.json();
+      })
+    );
+    const byShard = lists.map((list) => new Map(list.map((room) => [room._id, room])));
+    const rooms = lists[0].map(
+      (room) => byShard[shardForRoom(room._id, SHARD_COUNT)].get(room._id) || room
+    );
+    sendJson(res, 200, rooms);
+  } catch (err) {
+    debugWarn(`[SHARD] Room list failed: ${err.message}`);
+    sendJson(res, 502, { error: "Game server unavailable" });
+  }
+}
+
+function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, "http://router");
+  if (req.method === "GET" && pathname === "/api/shards") {
+    sendJson(res, 200, {
+      shards: shards.map(({ id, port, ready, child }) => ({
+        id,
+        port,
+        ready,
+        pid: child?.pid ?? null,
+      })),
+    });
+    return;
+  }
+  if (req.method === "GET" && /^\/api\/gamerooms\/?$/.test(pathname)) {
+    listRooms(req, res);
+    return;
+  }
+  proxyRequest(req, res, shardForRequest(req));
+}
+
+// ─── WebSocket relay ────────────────────────────────────────────
+
+const wss = new WebSocketServer({ noServer: true });
+
+function relaySocket(client, req) {
+  let upstream = null;
+  let upstreamShard = null;
+  let pending = [];
+
+  const connectUpstream = (shard) => {
+    const previous = upstream;
+    upstreamShard = shard;
+    upstream = new WebSocket(`ws://127.0.0.1:${shard.port}${req.url}`, {
+      headers: {
+        cookie: req.headers.cookie || "",
+        authorization: req.headers.authorization || "",
+      },
+    });
+    const socket = upstream;
+    if (previous) previous.close();
+
+    socket.on("open", () => {
+      pending.forEach((data) => socket.send(data));
+      pending = [];
+    });
+    socket.on("message", (data, isBinary) => {
+      if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+    });
+    // Losing the current upstream drops the client, which reconnects and
+    // resubscribes; replaced upstreams close quietly
+    socket.on("close", () => {
+      if (socket === upstream) client.close();
+    });
+    socket.on("error", (err) => {
+      debugWarn(`[SHARD] Relay to shard ${shard.id} failed: ${err.message}`);
+      if (socket === upstream) client.close();
+    });
+  };
+
+  const send = (data) => {
+    if (upstream.readyState === WebSocket.OPEN) upstream.send(data);
+    else pending.push(data);
+  };
+
+  connectUpstream(shards[0]);
+
+  client.on("message", (data, isBinary) => {
+    if (!isBinary) {
+      let msg = null;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {}
+      if ((msg?.type === "subscribe" || msg?.type === "spectate") && msg.roomId) {
+        const shard = shards[shardForRoom(msg.roomId, SHARD_COUNT)];
+        if (shard !== upstreamShard) {
+          pending = [];
+          connectUpstream(shard);
+        }
+      }
+      send(data.toString());
+      return;
+    }
+    send(data);
+  });
+  client.on("close", () => {
+    const socket = upstream;
+    upstream = null;
+    socket?.close();
+  });
+  client.on("error", () => client.close());
+}
+
+// ─── Start ──────────────────────────────────────────────────────
+
+for (let id = 0; id < SHARD_COUNT; id++) forkShard(id);
+
+const server = http.createServer(handleRequest);
+server.on("upgrade", (req, socket, head) => {
+  if (new URL(req.url, "http://router").pathname !== "/ws") {
+    socket.destroy();
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (client) => relaySocket(client, req));
+});
+server.listen(PORT, () => {
+  debug(`Shard router on port ${PORT} with ${SHARD_COUNT} shard(s)`);
+});
+
+// Shards save their rooms on SIGTERM (see index.js); wait for them to exit
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  debug(`\n[SHUTDOWN] Received ${signal}, stopping shards...`);
+  server.close();
+  const exits = shards.map(
+    (shard) =>
+      new Promise((resolve) => {
+        if (!shard.child || shard.child.exitCode !== null) return resolve();
+        shard.child.once("exit", resolve);
+        shard.child.kill("SIGTERM");
+      })
+  );
+  Promise.all(exits).then(() => process.exit(0));
+  setTimeout(() => {
+    console.error("[SHUTDOWN] Forced exit after timeout");
+    process.exit(1);
+  }, 15000);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,52 @@
+// chat.test.js — Chat scopes and their recipients
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildChatMessage } from "../utils/chat.js";
+
+function makeRoom(pacts = []) {
+  return {
+    players: [{ userId: "alice" }, { userId: "bob" }, { userId: "carol" }],
+    gameState: {
+      nations: [
+        { owner: "alice", status: "active" },
+        { owner: "bob", status: "active" },
+        { owner: "carol", status: "active" },
+        { owner: "bot-1", status: "active", isBot: true },
+      ],
+      diplomacy: { pacts },
+    },
+  };
+}
+
+const pact = (a, b, status = "active") => ({ id: 1, type: "nap", a, b, status });
+
+test("ally chat reaches nations with a pact, without a team", () => {
+  const message = buildChatMessage(makeRoom([pact("alice", "bob")]), "alice", {
+    scope: "ally",
+    text: "hold the river",
+  });
+  assert.deepEqual(message.recipients, ["alice", "bob"]);
+});
+
+test("ally chat includes teammates and skips pending pacts", () => {
+  const room = makeRoom([pact("alice", "carol", "proposed")]);
+  room.gameState.nations[0].team = 1;
+  room.gameState.nations[1].team = 1;
+  const message = buildChatMessage(room, "alice", { scope: "ally", text: "hi" });
+  assert.deepEqual(message.recipients, ["alice", "bob"]);
+});
+
+test("ally chat without allies is refused", () => {
+  assert.throws(
+    () => buildChatMessage(makeRoom(), "alice", { scope: "ally", text: "anyone?" }),
+    { status: 400 }
+  );
+});
+
+test("team chat stays between teammates", () => {
+  const room = makeRoom([pact("alice", "carol")]);
+  room.gameState.nations[0].team = 1;
+  room.gameState.nations[1].team = 1;
+  const message = buildChatMessage(room, "alice", { scope: "team", text: "hi" });
+  assert.deepEqual(message.recipients, ["alice", "bob"]);
+});
@@ -0,0 +1,63 @@
+// fogOfWar.test.js — Fog-of-war views before vision is computed, and spectating
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TerritoryMatrix } from "../utils/TerritoryMatrix.js";
+import { canSpectateRoom, clearRoomFog } from "../utils/fogOfWar.js";
+import { buildGameStateResponse } from "../utils/gameStateView.js";
+
+function makeRoom(roomId) {
+  const matrix = new TerritoryMatrix(40, 40, 8);
+  const nations = [
+    { owner: "alice", status: "active", territory: { x: [2, 3], y: [2, 2] }, cities: [] },
+    { owner: "bob", status: "active", territory: { x: [35, 36], y: [35, 35] }, cities: [] },
+  ];
+  for (const nation of nations) {
+    const index = matrix.getNationIndex(nation.owner);
+    nation.territory.x.forEach((x, i) => matrix.setOwner(x, nation.territory.y[i], index));
+  }
+  const gameRoom = {
+    _id: roomId,
+    tickCount: 0,
+    players: [{ userId: "alice" }, { userId: "bob" }, { userId: "carol" }],
+    creator: { userId: "alice" },
+    gameState: { settings: { fogOfWar: true }, nations },
+  };
+  return { gameRoom, matrix };
+}
+
+const nationOf = (response, owner) =>
+  response.gameState.nations.find((nation) => nation.owner === owner);
+
+test("a fog room's state before the first tick hides enemies", () => {
+  const { gameRoom } = makeRoom("fog-before-tick");
+  clearRoomFog(gameRoom._id);
+  const response = buildGameStateResponse(gameRoom, "alice", true);
+  assert.deepEqual(nationOf(response, "alice").territory, { x: [2, 3], y: [2, 2] });
+  assert.deepEqual(nationOf(response, "bob").territory, { x: [], y: [] });
+  assert.equal(nationOf(response, "bob").startingCell, undefined);
+});
+
+test("vision is computed on demand when the matrix is available", () => {
+  const { gameRoom, matrix } = makeRoom("fog-on-demand");
+  clearRoomFog(gameRoom._id);
+  const response = buildGameStateResponse(gameRoom, "alice", true, matrix);
+  assert.deepEqual(nationOf(response, "bob").territory, { x: [], y: [] });
+  assert.equal(response.gameState.fog.width, 40);
+  assert.ok(response.gameState.fog.runs.includes(2), "own land is visible");
+  clearRoomFog(gameRoom._id);
+});
+
+test("players without a nation see terrain only", () => {
+  const { gameRoom, matrix } = makeRoom("fog-nationless");
+  const response = buildGameStateResponse(gameRoom, "carol", true, matrix);
+  assert.deepEqual(nationOf(response, "alice").territory, { x: [], y: [] });
+  assert.deepEqual(nationOf(response, "bob").territory, { x: [], y: [] });
+  assert.deepEqual(response.gameState.fog.runs, [0, 1600]);
+  clearRoomFog(gameRoom._id);
+});
+
+test("fog-of-war rooms can't be spectated", () => {
+  assert.equal(canSpectateRoom({ settings: { fogOfWar: true } }), false);
+  assert.equal(canSpectateRoom({ settings: { fogOfWar: false } }), true);
+  assert.equal(canSpectateRoom({}), true);
+});
@@ -0,0 +1,68 @@
+// gameLoop.test.js — Reading a room's matrix between worker ticks, and the
+// player command queue
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gameLoop } from "../workers/gameLoop.js";
+
+test("withRoomMatrix waits for the tick in flight", async () => {
+  const roomKey = "matrix-read-room";
+  gameLoop.processingRooms.add(roomKey);
+  let readDuringTick = false;
+  const read = gameLoop.withRoomMatrix(roomKey, (matrix) => {
+    readDuringTick = gameLoop.processingRooms.has(roomKey);
+    return matrix;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  gameLoop.processingRooms.delete(roomKey);
+  assert.equal(await read, null);
+  assert.equal(readDuringTick, false);
+});
+
+test("a tick doesn't start while the matrix is read", async () => {
+  const roomKey = "matrix-read-tick";
+  await gameLoop.withRoomMatrix(roomKey, async () => {
+    assert.equal(await gameLoop.processRoom(roomKey), 0);
+  });
+});
+
+test("a resent command is queued once and answered with the first outcome", async () => {
+  const roomKey = "command-resend-room";
+  const gameRoom = { tickCount: 7, gameState: { nations: [{ owner: "alice" }] } };
+  gameLoop.timers.set(roomKey, null); // running
+  try {
+    const first = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.5 }, "s1-1");
+    const resend = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.5 }, "s1-1");
+    const other = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.2 }, "s1-2");
+    assert.equal(resend, first);
+    assert.equal(gameLoop.commandQueues.get(roomKey).length, 2);
+
+    gameLoop.applyQueuedCommands(roomKey, gameRoom, { roomKey }, 7)();
+    assert.deepEqual(await first, { result: { troopTarget: 0.5 }, tick: 7 });
+    assert.deepEqual(await other, { result: { troopTarget: 0.2 }, tick: 7 });
+
+    // A resend after the tick gets the recorded outcome, not a second application
+    const late = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.5 }, "s1-1");
+    assert.deepEqual(await late, { result: { troopTarget: 0.5 }, tick: 7 });
+    assert.equal(gameLoop.commandQueues.has(roomKey), false);
+  } finally {
+    gameLoop.timers.delete(roomKey);
+    gameLoop.rejectQueuedCommands(roomKey);
+  }
+});
+
+test("commands rejected unapplied can be resent", async () => {
+  const roomKey = "command-resend-stopped";
+  gameLoop.timers.set(roomKey, null);
+  try {
+    const first = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.5 }, "s2-1");
+    gameLoop.rejectQueuedCommands(roomKey);
+    await assert.rejects(first, { status: 409 });
+    const resend = gameLoop.queueCommand(roomKey, "alice", "troopTarget", { troopTarget: 0.5 }, "s2-1");
+    resend.catch(() => {}); // rejected when the test stops the room
+    assert.notEqual(resend, first);
+    assert.equal(gameLoop.commandQueues.get(roomKey).length, 1);
+  } finally {
+    gameLoop.timers.delete(roomKey);
+    gameLoop.rejectQueuedCommands(roomKey);
+  }
+});
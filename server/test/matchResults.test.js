@@ -0,0 +1,81 @@
+// matchResults.test.js — Which finished matches change player ratings
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import MatchResult from "../models/MatchResult.js";
+import User from "../models/User.js";
+import { recordMatchResult } from "../utils/matchResults.js";
+
+// ─── In-memory stand-ins for the user and result collections ────────
+
+const users = new Map();
+let saves = 0;
+
+User.find = async ({ _id }) =>
+  _id.$in.map((id) => users.get(String(id))).filter(Boolean);
+MatchResult.create = async (doc) => doc;
+
+function addUser(rating) {
+  const _id = new mongoose.Types.ObjectId();
+  const user = {
+    _id,
+    rating: { value: rating, peak: rating, games: 5, wins: 2 },
+    save: async () => {
+      saves++;
+      return user;
+    },
+  };
+  users.set(String(_id), user);
+  return user;
+}
+
+// Two signed-in players; the first holds most of the map
+function buildRoom() {
+  const leader = addUser(1200);
+  const trailer = addUser(1200);
+  const room = {
+    _id: new mongoose.Types.ObjectId(),
+    roomName: "Rated?",
+    tickCount: 600,
+    players: [],
+    gameState: {
+      nations: [
+        { owner: String(leader._id), status: "active", territoryPercentage: 55 },
+        { owner: String(trailer._id), status: "active", territoryPercentage: 20 },
+      ],
+    },
+  };
+  return { room, leader, trailer };
+}
+
+test("a match its host ends is recorded unrated", async () => {
+  const { room, leader, trailer } = buildRoom();
+  saves = 0;
+  const result = await recordMatchResult(room, "ended");
+
+  assert.equal(result.reason, "ended");
+  assert.equal(result.rated, false);
+  assert.deepEqual(result.players.map((p) => p.placement), [1, 2]);
+  for (const player of result.players) {
+    assert.equal(player.ratingBefore, undefined);
+    assert.equal(player.ratingAfter, undefined);
+  }
+  assert.deepEqual(leader.rating, { value: 1200, peak: 1200, games: 5, wins: 2 });
+  assert.deepEqual(trailer.rating, { value: 1200, peak: 1200, games: 5, wins: 2 });
+  assert.equal(saves, 0);
+  assert.equal(room.gameState.resultRecorded, true);
+});
+
+test("a match the win condition decides is rated", async () => {
+  const { room, leader, trailer } = buildRoom();
+  room.gameState.nations[0].status = "winner";
+  room.gameState.nations[1].status = "defeated";
+  saves = 0;
+  const result = await recordMatchResult(room, "victory");
+
+  assert.equal(result.rated, true);
+  assert.ok(leader.rating.value > 1200);
+  assert.ok(trailer.rating.value < 1200);
+  assert.equal(leader.rating.games, 6);
+  assert.equal(saves, 2);
+});
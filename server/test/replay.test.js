@@ -0,0 +1,254 @@
+// replay.test.js — Recording a match and re-simulating it through processRoom
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import v8 from "v8";
+import { Writable } from "stream";
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import Replay from "../models/Replay.js";
+import ReplayChunk from "../models/ReplayChunk.js";
+import ReplayMapChunk from "../models/ReplayMapChunk.js";
+import { GameLoop, normalizeRuntimeCell } from "../workers/gameLoop.js";
+import { resimulateReplay } from "../workers/replayRunner.js";
+import {
+  recordCommand,
+  flushReplay,
+  loadReplayForSimulation,
+  writeReplayExport,
+  deleteReplay,
+  stripTransientFields,
+} from "../utils/replayStore.js";
+import { runPlayerCommand } from "../utils/playerCommands.js";
+import { proposePact } from "../utils/diplomacy.js";
+import { applyTeamAssignments } from "../utils/teams.js";
+import { generateWorldMap, mulberry32 } from "../utils/mapUtils.js";
+import { assignResourcesToMap } from "../utils/resourceManagement.js";
+import { generateRegions } from "../utils/regionGenerator.js";
+import { findBotStartCell, buildBotNation } from "../utils/botSpawn.js";
+
+// ─── In-memory stand-ins for the replay collections ─────────────────
+
+const store = { replays: new Map(), chunks: [], mapChunks: [] };
+// Stored copies, as MongoDB would keep them (Buffers survive the round trip)
+const snapshot = (value) => v8.deserialize(v8.serialize(value));
+
+function fakeQuery(run) {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    sort: () => query,
+    cursor: () =>
+      (async function* () {
+        yield* await run();
+      })(),
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+  };
+  return query;
+}
+
+const byRoom = (docs, room) => docs.filter((doc) => String(doc.room) === String(room));
+
+Replay.findOne = ({ room }) => fakeQuery(() => store.replays.get(String(room)) ?? null);
+Replay.updateOne = async ({ room }, update, { upsert = false } = {}) => {
+  let doc = store.replays.get(String(room));
+  let upsertedCount = 0;
+  if (!doc && upsert) {
+    doc = { keyframeCount: 0, chunkCount: 0, mapChunkCount: 0, endedAt: null };
+    Object.assign(doc, snapshot(update.$setOnInsert));
+    store.replays.set(String(room), doc);
+    upsertedCount = 1;
+  }
+  if (doc && update.$set) Object.assign(doc, update.$set);
+  return { upsertedCount };
+};
+Replay.findOneAndUpdate = ({ room }, update) =>
+  fakeQuery(() => {
+    const doc = store.replays.get(String(room));
+    if (!doc) return null;
+    for (const [field, value] of Object.entries(update.$max || {})) {
+      doc[field] = Math.max(doc[field] ?? value, value);
+    }
+    for (const [field, value] of Object.entries(update.$inc || {})) {
+      doc[field] = (doc[field] || 0) + value;
+    }
+    Object.assign(doc, update.$set || {});
+    return { chunkCount: doc.chunkCount };
+  });
+Replay.deleteOne = async ({ room }) => store.replays.delete(String(room));
+ReplayChunk.insertMany = async (docs) => store.chunks.push(...snapshot(docs));
+ReplayChunk.find = ({ room }) =>
+  fakeQuery(() => byRoom(store.chunks, room).sort((a, b) => a.seq - b.seq));
+ReplayChunk.deleteMany = async ({ room }) => {
+  store.chunks = store.chunks.filter((doc) => String(doc.room) !== String(room));
+};
+ReplayMapChunk.create = async (doc) => store.mapChunks.push(snapshot(doc));
+ReplayMapChunk.find = ({ room }) =>
+  fakeQuery(() => byRoom(store.mapChunks, room).sort((a, b) => a.startRow - b.startRow));
+ReplayMapChunk.deleteMany = async ({ room }) => {
+  store.mapChunks = store.mapChunks.filter((doc) => String(doc.room) !== String(room));
+};
+
+// ─── A short recorded match ─────────────────────────────────────────
+
+const SIZE = 48;
+const MAP_SEED = 7;
+const TICK_SEED = 1234;
+// Start cells are picked with Math.random; seed them so the match is the same
+// every run. This seating puts bot-3 where its founding tick trims cells cut
+// off from its capital.
+const SEAT_SEED = 40;
+const seatRandom = mulberry32(SEAT_SEED);
+
+function buildMap() {
+  const generated = generateWorldMap(SIZE, SIZE, 2, 3, MAP_SEED, config?.mapGeneration);
+  return assignResourcesToMap(generated, MAP_SEED).map((row) => row.map(normalizeRuntimeCell));
+}
+
+function seatNation(owner, mapData, nations) {
+  const random = Math.random;
+  Math.random = seatRandom;
+  try {
+    const start = findBotStartCell(mapData, nations);
+    return buildBotNation(owner, start.x, start.y, mapData, nations);
+  } finally {
+    Math.random = random;
+  }
+}
+
+/**
+ * Play `ticks` ticks with a player and bots on a live loop, issuing commands
+ * between ticks the way the routes do. Returns the room key.
+ */
+async function recordMatch(ticks) {
+  const roomKey = new mongoose.Types.ObjectId().toString();
+  const mapData = buildMap();
+  const regionData = generateRegions(mapData, SIZE, SIZE, MAP_SEED, config.regions);
+  const nations = [];
+  for (const owner of ["alice", "bot-1", "bot-2"]) nations.push(seatNation(owner, mapData, nations));
+  nations[0].isBot = false;
+
+  const gameRoom = {
+    _id: roomKey,
+    status: "open",
+    roomName: "Replay test",
+    tickCount: 0,
+    players: [],
+    gameState: { nations, teams: {}, settings: {}, bots: { count: 2 }, rngSeed: TICK_SEED },
+    markModified() {},
+    save: async () => gameRoom,
+  };
+  const live = new GameLoop({ recordResults: false });
+  live.useTickWorkers = false;
+  live.cachedGameRoom.set(roomKey, gameRoom);
+  live.cachedMapData.set(roomKey, mapData);
+  live.cachedMapStats.set(roomKey, {
+    totalClaimable: mapData.flat().filter((cell) => cell.biome !== "OCEAN").length,
+  });
+  live.cachedRegionData.set(roomKey, regionData);
+  await live.prepareRoom(roomKey, mapData, gameRoom);
+
+  const ctx = () => ({ roomKey, mapData, matrix: live.getCachedMatrix(roomKey), regionData });
+  const alice = () => gameRoom.gameState.nations.find((n) => n.owner === "alice");
+  const commands = {
+    3: () => runPlayerCommand(gameRoom, "alice", "troopTarget", { troopTarget: 0.5 }, ctx()),
+    10: () => {
+      const { x, y } = alice().startingCell;
+      const path = [{ x, y }, { x: Math.min(SIZE - 1, x + 6), y }];
+      runPlayerCommand(gameRoom, "alice", "arrow", { type: "attack", path, percent: 0.3 }, ctx());
+    },
+    15: () => {
+      proposePact(gameRoom.gameState, "alice", "bot-1", "nap", gameRoom.tickCount);
+      recordCommand(roomKey, gameRoom.tickCount, "diplomacy", "alice", {
+        action: "propose",
+        target: "bot-1",
+        pactType: "nap",
+      });
+    },
+    20: () => {
+      const bot = seatNation("bot-3", mapData, gameRoom.gameState.nations);
+      gameRoom.gameState.nations.push(bot);
+      applyTeamAssignments(gameRoom.gameState);
+      recordCommand(roomKey, gameRoom.tickCount, "foundNation", bot.owner, {
+        ...bot.startingCell,
+        nation: stripTransientFields(bot),
+      });
+      live.syncMatrixFromNations(roomKey, gameRoom.gameState.nations);
+    },
+    40: () => {
+      gameRoom.gameState.nations = gameRoom.gameState.nations.filter((n) => n.owner !== "bot-2");
+      recordCommand(roomKey, gameRoom.tickCount, "quit", "bot-2");
+      live.syncMatrixFromNations(roomKey, gameRoom.gameState.nations);
+    },
+  };
+
+  for (let tick = 0; tick < ticks; tick++) {
+    commands[tick]?.();
+    await live.processRoom(roomKey);
+  }
+  live.clearMapCache(roomKey);
+  await flushReplay(roomKey, { final: true });
+  return roomKey;
+}
+
+let roomKey;
+before(async () => {
+  roomKey = await recordMatch(75);
+});
+
+test("a recorded match re-simulates to the same keyframes", async () => {
+  const recorded = byRoom(store.chunks, roomKey).flatMap((chunk) => chunk.commands);
+  assert.deepEqual(
+    recorded.map((command) => command.type),
+    ["troopTarget", "arrow", "diplomacy", "foundNation", "quit"]
+  );
+
+  const result = await resimulateReplay(await loadReplayForSimulation(roomKey));
+  assert.equal(result.divergence, null);
+  assert.equal(result.matched, true);
+  assert.equal(result.ticks, 75);
+  assert.equal(result.keyframesChecked, 4); // ticks 0, 25, 50 and 75
+});
+
+test("re-simulation reports the first keyframe that differs", async () => {
+  const frame = byRoom(store.chunks, roomKey)
+    .flatMap((chunk) => chunk.keyframes)
+    .find((keyframe) => keyframe.tick === 50);
+  const owners = frame.owners;
+  frame.owners = [...owners].reverse();
+  try {
+    const result = await resimulateReplay(await loadReplayForSimulation(roomKey));
+    assert.equal(result.matched, false);
+    assert.equal(result.divergence.tick, 50);
+    assert.match(result.divergence.reason, /owner index differs/);
+  } finally {
+    frame.owners = owners;
+  }
+});
+
+test("the export streams every chunk as one JSON document", async () => {
+  let body = "";
+  const out = new Writable({
+    highWaterMark: 64, // forces waits for drain
+    write(chunk, encoding, callback) {
+      body += chunk;
+      callback();
+    },
+  });
+  assert.equal(await writeReplayExport(roomKey, out, { config: { note: "extra" } }), true);
+  const exported = JSON.parse(body);
+  assert.equal(exported.roomId, roomKey);
+  assert.equal(exported.commands.length, 5);
+  assert.deepEqual(exported.keyframes.map((frame) => frame.tick), [0, 25, 50, 75]);
+  assert.equal(typeof exported.keyframes[0].ownership, "string");
+  assert.deepEqual(exported.config, { note: "extra" });
+
+  const missing = new Writable({ write: (chunk, encoding, callback) => callback() });
+  assert.equal(await writeReplayExport(new mongoose.Types.ObjectId(), missing), false);
+});
+
+test("deleting a replay removes its chunks and stored map", async () => {
+  await deleteReplay(roomKey);
+  assert.equal(store.replays.has(roomKey), false);
+  assert.equal(byRoom(store.chunks, roomKey).length, 0);
+  assert.equal(byRoom(store.mapChunks, roomKey).length, 0);
+});
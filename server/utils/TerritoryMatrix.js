@@ -105,6 +105,15 @@ DEFAULT_BIOME_RESISTANCE[BIOME_ENUM.GRASSLAND] = 0.05;
  * Map subclass that auto-stringifies keys to avoid ObjectId vs string mismatches.
  * Ensures consistent key lookup after MongoDB round-trip serialization.
  */
+// Typed-array layers mirrored by views over a shared matrix. Chunk sleep
+// state, bounding boxes and city bonus grids stay with the owning thread.
+const SHARED_LAYERS = [
+  "biomeIndex", "elevation", "moisture", "resourceType", "resourceLevel",
+  "oceanMask", "ownership", "loyalty", "populationDensity", "defenseStrength",
+  "resourceClaimProgress", "resourceClaimOwner", "diffusionResistance",
+  "troopDensity", "ownedCellCount", "troopDensitySum", "prevOwnership",
+];
+
 class StringKeyMap extends Map {
   get(key)    { return super.get(String(key)); }
   set(key, v) { return super.set(String(key), v); }
@@ -117,8 +126,16 @@ export class TerritoryMatrix {
    * @param {number} width  - map width in cells
    * @param {number} height - map height in cells
    * @param {number} maxNations - max simultaneous nations (default 64)
+   * @param {{ shared?: boolean }} options - allocate layers in SharedArrayBuffers
    */
-  constructor(width, height, maxNations = 64) {
+  constructor(width, height, maxNations = 64, { shared = false } = {}) {
+    // Shared matrices keep their layers in SharedArrayBuffers so a worker
+    // thread can run the tick while the main thread reads them
+    const alloc = (Type, length) =>
+      shared
+        ? new Type(new SharedArrayBuffer(length * Type.BYTES_PER_ELEMENT))
+        : new Type(length);
+
     this.width = width;
     this.height = height;
     this.size = width * height;
@@ -131,26 +148,26 @@ export class TerritoryMatrix {
     this.nextNationSlot = 0;
 
     // --- Static layers (set once from mapData) ---
-    this.biomeIndex = new Uint8Array(this.size);
-    this.elevation = new Float32Array(this.size);
-    this.moisture = new Float32Array(this.size);
-    this.resourceType = new Uint8Array(this.size); // 0=none, 1-5=type
-    this.resourceLevel = new Uint8Array(this.size); // upgrade level 0-3
-    this.oceanMask = new Uint8Array(this.size); // 1=impassable
+    this.biomeIndex = alloc(Uint8Array, this.size);
+    this.elevation = alloc(Float32Array, this.size);
+    this.moisture = alloc(Float32Array, this.size);
+    this.resourceType = alloc(Uint8Array, this.size); // 0=none, 1-5=type
+    this.resourceLevel = alloc(Uint8Array, this.size); // upgrade level 0-3
+    this.oceanMask = alloc(Uint8Array, this.size); // 1=impassable
 
     // --- Dynamic layers (mutated per tick) ---
-    this.ownership = new Int8Array(this.size).fill(UNOWNED);
-    this.loyalty = new Float32Array(this.size * maxNations); // per-nation influence
-    this.populationDensity = new Float32Array(this.size);
-    this.defenseStrength = new Float32Array(this.size);
-    this.resourceClaimProgress = new Float32Array(this.size);
-    this.resourceClaimOwner = new Int8Array(this.size).fill(UNOWNED);
+    this.ownership = alloc(Int8Array, this.size).fill(UNOWNED);
+    this.loyalty = alloc(Float32Array, this.size * maxNations); // per-nation influence
+    this.populationDensity = alloc(Float32Array, this.size);
+    this.defenseStrength = alloc(Float32Array, this.size);
+    this.resourceClaimProgress = alloc(Float32Array, this.size);
+    this.resourceClaimOwner = alloc(Int8Array, this.size).fill(UNOWNED);
 
     // --- Diffusion resistance layer (set once from noise + terrain) ---
-    this.diffusionResistance = new Float32Array(this.size);
+    this.diffusionResistance = alloc(Float32Array, this.size);
 
     // --- Troop density layer (per-nation per-cell) ---
-    this.troopDensity = new Float32Array(this.size * maxNations);
+    this.troopDensity = alloc(Float32Array, this.size * maxNations);
 
     // --- City bonus grid cache for loyalty diffusion ---
     this._cityBonusGrids = new Map(); // nIdx -> Float32Array(size)
@@ -158,8 +175,8 @@ export class TerritoryMatrix {
     this._cityBonusBuiltVersion = -1; // version when grids were last built
 
     // --- Running counters per nation (updated by setOwnerByIndex) ---
-    this.ownedCellCount = new Int32Array(maxNations);
-    this.troopDensitySum = new Float64Array(maxNations);
+    this.ownedCellCount = alloc(Int32Array, maxNations);
+    this.troopDensitySum = alloc(Float64Array, maxNations);
     this.nationBBox = Array.from({ length: maxNations }, () => ({
       minX: Infinity, maxX: -1, minY: Infinity, maxY: -1, dirty: false,
     }));
@@ -169,12 +186,12 @@ export class TerritoryMatrix {
     this.chunksX = Math.ceil(width / 16);
     this.chunksY = Math.ceil(height / 16);
     this.totalChunks = this.chunksX * this.chunksY;
-    this.chunkDirty = new Uint8Array(this.totalChunks);
-    this.chunkSleepCounter = new Uint16Array(this.totalChunks);
-    this.chunkHasBorder = new Uint8Array(this.totalChunks);
+    this.chunkDirty = alloc(Uint8Array, this.totalChunks);
+    this.chunkSleepCounter = alloc(Uint16Array, this.totalChunks);
+    this.chunkHasBorder = alloc(Uint8Array, this.totalChunks);
 
     // --- Snapshot layer (for delta derivation) ---
-    this.prevOwnership = new Int8Array(this.size).fill(UNOWNED);
+    this.prevOwnership = alloc(Int8Array, this.size).fill(UNOWNED);
   }
 
   // ─── Index helpers ──────────────────────────────────────────────
@@ -574,6 +591,63 @@ export class TerritoryMatrix {
       }
     }
   }
+
+  // ─── Thread sharing ─────────────────────────────────────────────
+
+  /** Layer arrays of a matrix built with { shared: true }, for postMessage */
+  getSharedLayers() {
+    const layers = {};
+    for (const name of SHARED_LAYERS) layers[name] = this[name];
+    return layers;
+  }
+
+  /**
+   * Nation registry as plain data (the owner map is rebuilt from it). It also
+   * carries the per-nation bounding boxes, which aren't a shared layer.
+   */
+  getRegistry() {
+    return {
+      indexToOwner: [...this.indexToOwner],
+      nextNationSlot: this.nextNationSlot,
+      nationBBox: this.nationBBox
+        .slice(0, this.nextNationSlot)
+        .map(({ minX, maxX, minY, maxY }) => ({ minX, maxX, minY, maxY })),
+    };
+  }
+
+  applyRegistry({ indexToOwner, nextNationSlot, nationBBox = [] }) {
+    this.indexToOwner = [...indexToOwner];
+    this.nextNationSlot = nextNationSlot;
+    this.ownerToIndex = new StringKeyMap();
+    this.indexToOwner.forEach((owner, idx) => {
+      if (owner != null) this.ownerToIndex.set(owner, idx);
+    });
+    this.nationBBox = Array.from({ length: this.maxNations }, (_, n) => ({
+      minX: Infinity, maxX: -1, minY: Infinity, maxY: -1,
+      ...nationBBox[n],
+      dirty: false,
+    }));
+  }
+
+  /**
+   * View over layers shared by another thread. Reads (deltas, fog, views,
+   * serialization) are safe between ticks; the owning thread does all
+   * simulation writes.
+   */
+  static fromSharedLayers({ width, height, maxNations }, layers, registry) {
+    const view = Object.create(TerritoryMatrix.prototype);
+    Object.assign(view, layers, {
+      width,
+      height,
+      size: width * height,
+      maxNations,
+      _cityBonusGrids: new Map(),
+      _cityBonusVersion: 0,
+      _cityBonusBuiltVersion: -1,
+    });
+    view.applyRegistry(registry);
+    return view;
+  }
 }
 
 // Export constants
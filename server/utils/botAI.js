@@ -0,0 +1,1022 @@
+// botAI.js — Bot decision making behind a pluggable strategy interface
+//
+// Every bot nation carries a `botDifficulty` (easy | normal | hard | insane).
+// A difficulty resolves to a tuning profile plus a strategy object:
+//
+//   assess(nation, ctx)               -> situation (optional, once per tick)
+//   mobilize(nation, ctx, situation)  set nation.troopTarget
+//   command(nation, ctx, situation)   queue attack / defend arrows
+//   build(nation, ctx, situation)     place towns, towers and economy
+//                                     structures, upgrade resource nodes,
+//                                     research techs
+//
+// ctx = { mapData, ownershipMap, bonusesByOwner, tickCount, gameState,
+//         matrix, regionData }
+//
+// Profiles live in config.bots.difficulties. Anything a tier leaves out
+// falls back to the flat territorial.bot* keys, so "normal" plays like the
+// original hardwired bots. Extra strategies can be added with
+// registerBotStrategy() and selected from a tier's `strategy` key.
+
+import config from "../config/config.js";
+import { getTerrainCostModifiers } from "./territorialUtils.js";
+import {
+  generateCityName,
+  generateTowerName,
+  generateUniqueName,
+} from "./nameGenerator.js";
+import { debug } from "./debug.js";
+import { canAttack, getBotStanding } from "./diplomacy.js";
+import {
+  evaluateStructureSite,
+  isEconomyStructure,
+  nameEconomyStructure,
+} from "./economyStructures.js";
+import {
+  getNationAnchor,
+  getMinDistanceToTerritory,
+  migrateArrowOrders,
+} from "./gameLogic.js";
+import { evaluateNodeUpgrade, applyNodeUpgrade } from "./nodeUpgrades.js";
+import {
+  applyResearch,
+  canAffordTech,
+  getAvailableTechs,
+  isResearchEnabled,
+} from "./research.js";
+
+export const BOT_DIFFICULTIES = ["easy", "normal", "hard", "insane"];
+
+export function normalizeBotDifficulty(value) {
+  if (typeof value !== "string") return null;
+  const difficulty = value.trim().toLowerCase();
+  return BOT_DIFFICULTIES.includes(difficulty) ? difficulty : null;
+}
+
+export const DEFAULT_BOT_DIFFICULTY =
+  normalizeBotDifficulty(config?.bots?.defaultDifficulty) || "normal";
+
+function baseProfile() {
+  const territorial = config?.territorial || {};
+  return {
+    strategy: "standard",
+    orderIntervalTicks: territorial.botOrderIntervalTicks ?? 4,
+    attackPercent:
+      territorial.botAttackPercent ?? territorial.defaultAttackPercent ?? 0.3,
+    candidatePickTop: territorial.botCandidatePickTop ?? 12,
+    arrowsSmall: 1,
+    arrowsLarge: 2,
+    largeTerritory: 200,
+    resourceReserve: 0.3,
+    mobilization: { peace: 0.15, active: 0.3, threat: 0.4 },
+    threatRadius: 10,
+    buildIntervalTicks: 50,
+    buildOrder: ["town", "lumber mill", "farm", "tower", "mine", "stable", "workshop"],
+    minBuildTerritory: 30,
+    townsPerTerritory: 100,
+    maxTowns: 3,
+    towersPerTerritory: 60,
+    maxTowers: 4,
+    economyPerTerritory: 80,
+    maxEconomyStructures: 2,
+    defendArrows: false,
+    defendThreshold: 0.2,
+    weaknessWeight: 0,
+    counterattackBonus: 0,
+    saveForPriority: false,
+    upgradeNodes: true,
+    research: true,
+    researchOrder: [
+      "agriculture",
+      "roads",
+      "bronzeWorking",
+      "masonry",
+      "conscription",
+      "logistics",
+      "fortification",
+      "mountaineering",
+      "ironWorking",
+      "forestry",
+      "engineering",
+    ],
+  };
+}
+
+/** Tuning for a difficulty: tier overrides layered over the base profile. */
+export function getBotProfile(difficulty) {
+  const base = baseProfile();
+  const tier = config?.bots?.difficulties?.[difficulty] || {};
+  return {
+    ...base,
+    ...tier,
+    mobilization: { ...base.mobilization, ...(tier.mobilization || {}) },
+  };
+}
+
+function getMilitaryStrength(nation) {
+  return config?.troopDensity?.enabled
+    ? nation?.troopCount || 0
+    : nation?.population || 0;
+}
+
+// ---------------------------------------------------------------------
+// Target selection
+// ---------------------------------------------------------------------
+
+function getFrontierCandidatesForBot(
+  nation,
+  mapData,
+  ownershipMap,
+  anchor,
+  resourceNodeClaims = null,
+  matrix = null,
+  nIdx = undefined,
+  standing = null,
+) {
+  const candidates = [];
+  const maxCandidates = config?.territorial?.botFrontierCandidateLimit ?? 0;
+  const seen = new Set();
+  const similarityWeight = config?.territorial?.similarityWeight ?? 1;
+  const similarityPower = config?.territorial?.similarityPower ?? 1;
+  const distancePenaltyPerTile =
+    config?.territorial?.distancePenaltyPerTile ?? 0.02;
+  const scanLimit = config?.territorial?.frontierScanLimit ?? 0;
+  const resourceWeight = config?.territorial?.botResourcePriorityWeight ?? 1.2;
+  const resourceAdjWeight =
+    config?.territorial?.botResourceAdjacencyWeight ?? 0.4;
+
+  const territoryX = nation?.territory?.x || [];
+  const territoryY = nation?.territory?.y || [];
+  const width = mapData[0].length;
+  const height = mapData.length;
+
+  const step =
+    scanLimit > 0 && territoryX.length > scanLimit
+      ? Math.ceil(territoryX.length / scanLimit)
+      : 1;
+  for (let i = 0; i < territoryX.length; i += step) {
+    const x = territoryX[i];
+    const y = territoryY[i];
+    const neighbors = [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ];
+    for (const [dx, dy] of neighbors) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const key = `${nx},${ny}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (ownershipMap?.get(key)?.owner === nation.owner) continue;
+      // Bots never push into a teammate's or pact partner's land
+      let standingBonus = 0;
+      if (standing?.size) {
+        const cellOwner = ownershipMap
+          ? ownershipMap.get(key)?.owner
+          : matrix?.getOwnerString(nx, ny);
+        if (cellOwner && standing.has(cellOwner)) {
+          if (standing.get(cellOwner) === null) continue;
+          standingBonus = standing.get(cellOwner);
+        }
+      }
+      // Check matrix ground truth — skip cells already owned by us (legacy map may be stale)
+      if (matrix && nIdx !== undefined && matrix.isOwnedBy(nx, ny, nIdx))
+        continue;
+      const cell = mapData[ny]?.[nx];
+      if (!cell || cell.biome === "OCEAN") continue;
+      const sourceCell = mapData[y]?.[x];
+      const similarity = getTerrainCostModifiers(
+        sourceCell?.biome,
+        cell?.biome,
+      ).similarity;
+      const similarityScore = Math.pow(similarity, similarityPower);
+      const distance = anchor ? Math.hypot(nx - anchor.x, ny - anchor.y) : 0;
+      const claim = resourceNodeClaims?.[key];
+      const resourceOwned = claim && claim.owner === nation.owner;
+      const resourceOpen = !!cell.resourceNode?.type && !resourceOwned;
+      let resourceScore = resourceOpen ? resourceWeight : 0;
+      if (!resourceOpen && resourceAdjWeight > 0) {
+        const adj = [
+          [1, 0],
+          [-1, 0],
+          [0, 1],
+          [0, -1],
+        ];
+        for (const [adx, ady] of adj) {
+          const ax = nx + adx;
+          const ay = ny + ady;
+          if (ax < 0 || ay < 0 || ax >= width || ay >= height) continue;
+          const adjCell = mapData[ay]?.[ax];
+          if (!adjCell?.resourceNode?.type) continue;
+          const adjKey = `${ax},${ay}`;
+          const adjClaim = resourceNodeClaims?.[adjKey];
+          if (adjClaim && adjClaim.owner === nation.owner) continue;
+          resourceScore = Math.max(resourceScore, resourceAdjWeight);
+        }
+      }
+      const score =
+        similarityWeight * similarityScore -
+        distancePenaltyPerTile * distance +
+        resourceScore +
+        standingBonus;
+      candidates.push({
+        x: nx,
+        y: ny,
+        score,
+      });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  if (maxCandidates > 0 && candidates.length > maxCandidates) {
+    return candidates.slice(0, maxCandidates);
+  }
+  return candidates;
+}
+
+function selectBotTargetCell(nation, ctx, anchor, standing, pickTop) {
+  const { mapData, ownershipMap, gameState, matrix } = ctx;
+  const nIdx = matrix ? matrix.ownerToIndex.get(nation.owner) : undefined;
+  const candidates = getFrontierCandidatesForBot(
+    nation,
+    mapData,
+    ownershipMap,
+    anchor,
+    gameState?.resourceNodeClaims || null,
+    matrix,
+    nIdx,
+    standing,
+  );
+  if (!candidates.length) return null;
+  const pool =
+    pickTop > 0 ? candidates.slice(0, Math.max(1, pickTop)) : candidates;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+// ---------------------------------------------------------------------
+// Arrows
+// ---------------------------------------------------------------------
+
+/**
+ * Queue a simple 2-point attack arrow (anchor -> projected target) toward
+ * the best frontier cell. `standing` maps other owners to a score bonus,
+ * or null for nations the bot must not attack.
+ */
+function enqueueAttackArrow(nation, ctx, profile, standing) {
+  const { mapData, ownershipMap, tickCount, matrix } = ctx;
+  if (!ownershipMap && !matrix) {
+    if (process.env.DEBUG_BOTS === "true") {
+      debug(`[BOTS] skip ${nation.owner} no ownership source`);
+    }
+    return;
+  }
+
+  const maxAttackArrows = config?.territorial?.maxAttackArrows ?? 3;
+  const attacks = nation.arrowOrders?.attacks || [];
+
+  // Determine max arrows for this bot based on territory size
+  const territorySize = nation.territory?.x?.length || 0;
+  const botMaxArrows = Math.min(
+    territorySize > profile.largeTerritory
+      ? profile.arrowsLarge
+      : profile.arrowsSmall,
+    maxAttackArrows,
+  );
+
+  // Check if bot already has max arrows
+  if (attacks.length >= botMaxArrows) {
+    if (tickCount % 20 === 0) {
+      debug(
+        `[BOTS] ${nation.name || nation.owner} has ${attacks.length} active arrows`,
+      );
+    }
+    return;
+  }
+
+  const lastTick = nation.lastBotOrderTick ?? -Infinity;
+  if (tickCount - lastTick < profile.orderIntervalTicks) {
+    if (tickCount % 50 === 0 && process.env.DEBUG_BOTS === "true") {
+      debug(
+        `[BOTS] ${nation.name || nation.owner} waiting (interval=${tickCount - lastTick}/${profile.orderIntervalTicks})`,
+      );
+    }
+    return;
+  }
+
+  const anchor = getNationAnchor(nation);
+  if (!anchor) {
+    if (process.env.DEBUG_BOTS === "true") {
+      debug(`[BOTS] skip ${nation.owner} no anchor`);
+    }
+    return;
+  }
+
+  let candidate = selectBotTargetCell(
+    nation,
+    ctx,
+    anchor,
+    standing,
+    profile.candidatePickTop,
+  );
+  if (!candidate) {
+    candidate = selectBotTargetCell(nation, ctx, anchor, standing, 0);
+  }
+  if (!candidate) {
+    debug(
+      `[BOTS] ${nation.name || nation.owner} has no expansion candidates (territory: ${nation.territory?.x?.length || 0} cells)`,
+    );
+    return;
+  }
+
+  const minPercent = config?.territorial?.minAttackPercent ?? 0.05;
+  const maxPercent = config?.territorial?.maxAttackPercent ?? 1;
+  const clampedPercent = Math.min(
+    Math.max(profile.attackPercent, minPercent),
+    maxPercent,
+  );
+
+  const troopDensityEnabled = config?.troopDensity?.enabled;
+
+  const available = nation.population || 0;
+  const power = available * clampedPercent;
+  if (power <= 0) {
+    debug(
+      `[BOTS] ${nation.name || nation.owner} has no population (${available.toFixed(1)})`,
+    );
+    return;
+  }
+
+  const actualPower = available < 10 ? available : power;
+
+  // Arrow resource cost check for bots
+  const arrowCostCfg = config?.arrowCosts;
+  if (arrowCostCfg) {
+    // First arrow free: applies when bot has no active arrows at all
+    const isFirstArrow = arrowCostCfg.firstArrowFree && attacks.length === 0;
+    if (!isFirstArrow) {
+      const estPathLen = Math.hypot(
+        candidate.x - anchor.x,
+        candidate.y - anchor.y,
+      );
+      const foodCost = Math.ceil(
+        arrowCostCfg.food.base + arrowCostCfg.food.perTile * estPathLen,
+      );
+      const goldCost = Math.ceil(
+        arrowCostCfg.gold.base + arrowCostCfg.gold.perTile * estPathLen,
+      );
+      // Bots keep a resource buffer — don't spend the reserve on arrows
+      const spendable = 1 - profile.resourceReserve;
+      const foodAvail = (nation.resources?.food || 0) * spendable;
+      const goldAvail = (nation.resources?.gold || 0) * spendable;
+      if (foodAvail < foodCost || goldAvail < goldCost) {
+        return; // Can't afford arrow, save resources
+      }
+      nation.resources.food -= foodCost;
+      nation.resources.gold -= goldCost;
+    }
+  }
+
+  // In troop density mode, verify there's meaningful troop density near the
+  // border in the target direction before committing resources to an arrow.
+  // Without this check, bots create arrows targeting border areas with no
+  // troops, which immediately stall and waste arrow slots + resources.
+  if (troopDensityEnabled && matrix) {
+    const nIdx2 = matrix.ownerToIndex.get(nation.owner);
+    if (nIdx2 !== undefined) {
+      // Walk from anchor toward candidate, find the border crossing
+      const bdx = candidate.x - anchor.x;
+      const bdy = candidate.y - anchor.y;
+      const bdist = Math.hypot(bdx, bdy);
+      if (bdist > 1) {
+        const bnx = bdx / bdist;
+        const bny = bdy / bdist;
+        let borderX = -1,
+          borderY = -1;
+        for (let s = 0; s <= Math.ceil(bdist); s++) {
+          const sx = Math.round(anchor.x + bnx * s);
+          const sy = Math.round(anchor.y + bny * s);
+          if (!matrix.inBounds(sx, sy)) break;
+          if (!matrix.isOwnedBy(sx, sy, nIdx2)) {
+            borderX = Math.round(anchor.x + bnx * Math.max(0, s - 1));
+            borderY = Math.round(anchor.y + bny * Math.max(0, s - 1));
+            break;
+          }
+        }
+        if (borderX >= 0 && borderY >= 0) {
+          // Check troop density in a small radius around the border crossing
+          let borderDensity = 0;
+          const checkR = 5;
+          for (let dy2 = -checkR; dy2 <= checkR; dy2++) {
+            for (let dx2 = -checkR; dx2 <= checkR; dx2++) {
+              const fx = borderX + dx2;
+              const fy = borderY + dy2;
+              if (!matrix.inBounds(fx, fy)) continue;
+              const fi = matrix.idx(fx, fy);
+              if (matrix.ownership[fi] === nIdx2) {
+                borderDensity += matrix.troopDensity[nIdx2 * matrix.size + fi];
+              }
+            }
+          }
+          if (borderDensity < 5) {
+            return; // Not enough troops near border in this direction
+          }
+        }
+      }
+    }
+  }
+
+  // Only deduct population in legacy mode
+  if (!troopDensityEnabled) {
+    nation.population = Math.max(0, available - actualPower);
+  }
+  nation.arrowOrders = nation.arrowOrders || {};
+  if (!nation.arrowOrders.attacks) nation.arrowOrders.attacks = [];
+
+  // Project the target further in the expansion direction so the arrow
+  // has room to expand before reaching its final waypoint.
+  // Without this, pathLen=2 targets a single frontier cell (1 tile from
+  // the border) which gets claimed in 1 tick, wasting 99% of arrow power.
+  const dx = candidate.x - anchor.x;
+  const dy = candidate.y - anchor.y;
+  const dist = Math.hypot(dx, dy);
+  const range = config?.territorial?.arrowBaseRange ?? 15;
+  let targetX, targetY;
+  if (dist > 0.001) {
+    const nx = dx / dist;
+    const ny = dy / dist;
+    targetX = Math.round(anchor.x + nx * (dist + range));
+    targetY = Math.round(anchor.y + ny * (dist + range));
+  } else {
+    // Degenerate case: candidate is at the anchor, just push outward
+    targetX = candidate.x + range;
+    targetY = candidate.y;
+  }
+
+  // Clamp to map bounds if we have mapData dimensions
+  if (mapData && mapData[0]) {
+    const mapW = mapData[0].length;
+    const mapH = mapData.length;
+    targetX = Math.max(0, Math.min(mapW - 1, targetX));
+    targetY = Math.max(0, Math.min(mapH - 1, targetY));
+  }
+
+  const arrowPath = [
+    { x: anchor.x, y: anchor.y },
+    { x: targetX, y: targetY },
+  ];
+
+  nation.arrowOrders.attacks.push({
+    id: `bot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: "attack",
+    path: arrowPath,
+    currentIndex: 1,
+    remainingPower: troopDensityEnabled ? 0 : actualPower,
+    initialPower: troopDensityEnabled ? 0 : actualPower,
+    troopCommitment: clampedPercent,
+    percent: clampedPercent,
+    createdAt: new Date(),
+    createdAtTick: tickCount,
+    frontWidth: 0,
+    advanceProgress: 0,
+    phase: 1,
+    phaseConsolidationRemaining: 0,
+    status: "advancing",
+    opposingForces: [],
+    headX: arrowPath[0].x,
+    headY: arrowPath[0].y,
+    effectiveDensityAtFront: 0,
+  });
+
+  nation.lastBotOrderTick = tickCount;
+}
+
+/** Hold the line toward the biggest incoming threat with a defend arrow. */
+function enqueueDefendArrow(nation, ctx, profile, threatPoint) {
+  if (nation.arrowOrders?.defend) return;
+  const anchor = getNationAnchor(nation);
+  if (!anchor) return;
+  if (anchor.x === threatPoint.x && anchor.y === threatPoint.y) return;
+
+  const troopDensityEnabled = config?.troopDensity?.enabled;
+  const percent = Math.min(0.5, profile.attackPercent);
+  const power = troopDensityEnabled ? 0 : (nation.population || 0) * percent;
+  if (!troopDensityEnabled) {
+    nation.population = Math.max(0, (nation.population || 0) - power);
+  }
+
+  nation.arrowOrders = nation.arrowOrders || {};
+  nation.arrowOrders.defend = {
+    id: `bot-def-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: "defend",
+    path: [
+      { x: anchor.x, y: anchor.y },
+      { x: threatPoint.x, y: threatPoint.y },
+    ],
+    currentIndex: 0,
+    remainingPower: power,
+    initialPower: power,
+    percent,
+    createdAt: new Date(),
+    createdAtTick: ctx.tickCount,
+  };
+  debug(
+    `[BOTS] ${nation.name || nation.owner} defending toward (${threatPoint.x},${threatPoint.y})`,
+  );
+}
+
+// ---------------------------------------------------------------------
+// Building
+// ---------------------------------------------------------------------
+
+function isBuildDue(nation, ctx, profile) {
+  const lastBuildTick = nation._lastBotBuildTick ?? -Infinity;
+  if (ctx.tickCount - lastBuildTick < profile.buildIntervalTicks) return false;
+  nation._lastBotBuildTick = ctx.tickCount;
+  return true;
+}
+
+/**
+ * Build the first structure in `buildOrder` that is affordable, under the
+ * bot's limits and has a valid site. With `saveForPriority` the bot only
+ * considers the first type still under its limit and waits until it can
+ * afford it instead of buying something cheaper.
+ */
+function buildStructure(nation, ctx, profile, buildOrder) {
+  const { mapData, gameState, regionData, matrix } = ctx;
+  const buildCosts = config?.buildCosts?.structures;
+  if (!buildCosts) return;
+
+  const resources = nation.resources || {};
+  const territory = nation.territory;
+  if (!territory?.x?.length || territory.x.length < profile.minBuildTerritory)
+    return; // Need some territory first
+
+  const regionCfg = config?.regions;
+  const assignment = regionData?.assignment;
+  const regWidth = regionData?.width;
+
+  for (const buildType of buildOrder) {
+    const cost = buildCosts[buildType];
+    if (!cost) continue;
+
+    // Count existing structures of this type
+    const existing = (nation.cities || []).filter(
+      (c) =>
+        c.type === buildType || (buildType === "town" && c.type === "capital"),
+    );
+
+    // Bot limits scale with territory: e.g. 1 town per ~100 cells, 1 tower per ~60
+    const economy = isEconomyStructure(buildType);
+    const maxForBot =
+      buildType === "town"
+        ? Math.min(
+            profile.maxTowns,
+            Math.floor(territory.x.length / profile.townsPerTerritory),
+          )
+        : economy
+          ? Math.min(
+              profile.maxEconomyStructures,
+              Math.floor(territory.x.length / profile.economyPerTerritory),
+            )
+          : Math.min(
+              profile.maxTowers,
+              Math.floor(territory.x.length / profile.towersPerTerritory),
+            );
+    if (existing.length >= maxForBot) continue;
+
+    // Check affordability
+    let canAfford = true;
+    for (const res in cost) {
+      if ((resources[res] || 0) < cost[res]) {
+        canAfford = false;
+        break;
+      }
+    }
+    if (!canAfford) {
+      if (profile.saveForPriority) return;
+      continue;
+    }
+
+    // Find a valid cell to build on
+    const anchor = getNationAnchor(nation);
+    if (!anchor) continue;
+
+    const tx = territory.x;
+    const ty = territory.y;
+
+    // Build a set of all nations' structures for distance checks
+    const allCities = [];
+    for (const n of gameState?.nations || []) {
+      for (const c of n.cities || []) {
+        allCities.push(c);
+      }
+    }
+
+    let bestCell = null;
+    let bestScore = -Infinity;
+
+    // Sample territory cells (check up to 200 random cells to avoid O(n) on huge territories)
+    const sampleSize = Math.min(territory.x.length, 200);
+    const step = Math.max(1, Math.floor(territory.x.length / sampleSize));
+
+    for (let i = 0; i < territory.x.length; i += step) {
+      const cx = tx[i];
+      const cy = ty[i];
+
+      // Skip if out of map bounds
+      if (!mapData[cy] || !mapData[cy][cx]) continue;
+
+      // Skip ocean
+      const cell = mapData[cy][cx];
+      if (cell.biome === "OCEAN") continue;
+
+      // Skip if a structure already exists here
+      if (allCities.some((c) => c.x === cx && c.y === cy)) continue;
+
+      // Distance checks
+      if (buildType === "town") {
+        // Must be 5+ cells from other towns/capitals
+        const tooClose = allCities.some(
+          (c) =>
+            (c.type === "town" || c.type === "capital") &&
+            Math.abs(c.x - cx) + Math.abs(c.y - cy) < 5,
+        );
+        if (tooClose) continue;
+      } else if (buildType === "tower") {
+        // Must be 3+ cells from other towers
+        const tooClose = (nation.cities || []).some(
+          (c) =>
+            c.type === "tower" && Math.abs(c.x - cx) + Math.abs(c.y - cy) < 3,
+        );
+        if (tooClose) continue;
+      }
+
+      // Economy structures: spacing and land checks shared with /buildCity
+      let site = null;
+      if (economy) {
+        site = evaluateStructureSite(buildType, cx, cy, mapData, nation);
+        if (site.error) continue;
+      }
+
+      // Region limit check
+      if (assignment && regWidth && regionCfg) {
+        const rId = assignment[cy * regWidth + cx];
+        if (rId !== 65535) {
+          if (buildType === "town") {
+            let townCount = 0;
+            for (const c of allCities) {
+              if (
+                (c.type === "town" || c.type === "capital") &&
+                assignment[c.y * regWidth + c.x] === rId
+              ) {
+                townCount++;
+              }
+            }
+            if (townCount >= (regionCfg.maxTownsPerRegion ?? 1)) continue;
+          } else if (buildType === "tower") {
+            let towerCount = 0;
+            for (const c of nation.cities || []) {
+              if (
+                c.type === "tower" &&
+                assignment[c.y * regWidth + c.x] === rId
+              ) {
+                towerCount++;
+              }
+            }
+            if (towerCount >= (regionCfg.maxTowersPerRegion ?? 2)) continue;
+          }
+        }
+      }
+
+      // Scoring: prefer cells away from capital (for spread), closer to border (for towers)
+      const distFromAnchor = Math.hypot(cx - anchor.x, cy - anchor.y);
+      let score = 0;
+
+      if (buildType === "town") {
+        // Towns: prefer moderate distance from anchor, not too far
+        score = distFromAnchor - Math.abs(distFromAnchor - 15) * 0.5;
+      } else if (economy) {
+        // Economy: the most productive site
+        score = site.score;
+      } else {
+        // Towers: prefer border regions (cells near territory edge)
+        score = distFromAnchor * 0.5; // further from capital is better for defense
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestCell = { x: cx, y: cy };
+      }
+    }
+
+    if (!bestCell) continue;
+
+    // Deduct resources
+    for (const res in cost) {
+      nation.resources[res] = (nation.resources[res] || 0) - cost[res];
+    }
+
+    // Create the structure with a proper generated name
+    const existingNames = new Set((nation.cities || []).map((c) => c.name));
+    const structureName =
+      buildType === "town"
+        ? generateUniqueName(generateCityName, existingNames)
+        : economy
+          ? nameEconomyStructure(buildType, existingNames)
+          : generateUniqueName(generateTowerName, existingNames);
+
+    nation.cities = nation.cities || [];
+    nation.cities.push({
+      name: structureName,
+      x: bestCell.x,
+      y: bestCell.y,
+      population: buildType === "tower" ? 0 : 50,
+      type: buildType,
+    });
+
+    // Invalidate loyalty city bonus cache
+    if (matrix) matrix._cityBonusVersion = (matrix._cityBonusVersion || 0) + 1;
+
+    debug(
+      `[BOTS] ${nation.name || nation.owner} built ${buildType} "${structureName}" at (${bestCell.x},${bestCell.y})`,
+    );
+
+    // Only build one structure per tick
+    return;
+  }
+}
+
+/**
+ * Spend gold above the reserve on the cheapest upgrade among the bot's
+ * claimed resource nodes. At most one upgrade per call.
+ */
+function upgradeResourceNode(nation, ctx, profile) {
+  const { gameState, mapData, matrix } = ctx;
+  if (!profile.upgradeNodes || !matrix) return;
+  const claims = gameState?.resourceNodeClaims || {};
+  const goldAvail = (nation.resources?.gold || 0) * (1 - profile.resourceReserve);
+
+  let best = null;
+  for (const [key, claim] of Object.entries(claims)) {
+    if (claim?.owner !== nation.owner) continue;
+    const [x, y] = key.split(",").map(Number);
+    const upgrade = evaluateNodeUpgrade(gameState, nation, x, y, mapData, matrix);
+    if (upgrade.error || upgrade.cost > goldAvail) continue;
+    if (!best || upgrade.cost < best.cost) best = upgrade;
+  }
+  if (!best) return;
+
+  applyNodeUpgrade(gameState, nation, matrix, best);
+  debug(
+    `[BOTS] ${nation.name || nation.owner} upgraded node (${best.key}) to level ${best.level}`,
+  );
+}
+
+const DEFENSIVE_TECH_EFFECTS = ["defensePower", "towerStrength", "mobilizationRate"];
+
+/**
+ * Research one affordable tech, paying only from resources above the
+ * reserve. Picks by `researchOrder`; with `defensive` set, techs that help
+ * hold ground come first.
+ */
+function researchTech(nation, ctx, profile, defensive = false) {
+  if (!profile.research || !isResearchEnabled()) return;
+  const spendable = 1 - profile.resourceReserve;
+  const affordable = getAvailableTechs(nation).filter((tech) =>
+    canAffordTech(nation, tech, spendable),
+  );
+  if (affordable.length === 0) return;
+
+  const rank = (tech) => {
+    const index = profile.researchOrder.indexOf(tech.id);
+    const orderRank = index === -1 ? profile.researchOrder.length : index;
+    const isDefensive = DEFENSIVE_TECH_EFFECTS.some(
+      (key) => tech.effects?.[key] !== undefined,
+    );
+    return defensive && isDefensive ? orderRank - 1000 : orderRank;
+  };
+  const tech = affordable.reduce((best, t) => (rank(t) < rank(best) ? t : best));
+
+  applyResearch(nation, { id: tech.id, tech });
+  debug(`[BOTS] ${nation.name || nation.owner} researched ${tech.name}`);
+}
+
+// ---------------------------------------------------------------------
+// Strategies
+// ---------------------------------------------------------------------
+
+/**
+ * Standard bots: expand toward good land, mobilize when enemy arrows get
+ * close and build on a fixed cadence. Used by Easy and Normal.
+ */
+export function createStandardStrategy(profile) {
+  return {
+    profile,
+    mobilize(nation, ctx) {
+      if (!config?.troopDensity?.enabled) return;
+      const attacks = nation.arrowOrders?.attacks || [];
+      // Check if any enemy arrows are targeting cells near this nation's territory
+      const underThreat = (ctx.gameState?.nations || []).some((n) => {
+        if (n.owner === nation.owner || n.status === "defeated") return false;
+        const enemyAttacks = n.arrowOrders?.attacks || [];
+        return enemyAttacks.some((a) => {
+          if (!a.path || a.path.length < 2) return false;
+          const target = a.path[a.path.length - 1];
+          const dist = getMinDistanceToTerritory(
+            nation,
+            target.x,
+            target.y,
+            profile.threatRadius + 5,
+          );
+          return dist <= profile.threatRadius;
+        });
+      });
+
+      if (underThreat) {
+        nation.troopTarget = profile.mobilization.threat;
+      } else if (attacks.length > 0) {
+        nation.troopTarget = profile.mobilization.active;
+      } else {
+        nation.troopTarget = profile.mobilization.peace;
+      }
+    },
+    command(nation, ctx) {
+      // Diplomatic standing: skip allies/pact partners, lean toward enemies at war
+      const standing = getBotStanding(ctx.gameState, nation);
+      enqueueAttackArrow(nation, ctx, profile, standing);
+    },
+    build(nation, ctx) {
+      if (!isBuildDue(nation, ctx, profile)) return;
+      buildStructure(nation, ctx, profile, profile.buildOrder);
+      upgradeResourceNode(nation, ctx, profile);
+      researchTech(nation, ctx, profile);
+    },
+  };
+}
+
+/**
+ * Sum the pressure of hostile arrows heading at this nation, relative to
+ * its own strength. Returns the arrow head carrying the biggest threat and
+ * who sent it.
+ */
+function assessThreat(nation, ctx, profile) {
+  const { gameState } = ctx;
+  const ownStrength = getMilitaryStrength(nation);
+  let pressure = 0;
+  let worst = 0;
+  let point = null;
+  let attacker = null;
+
+  for (const other of gameState?.nations || []) {
+    if (other.owner === nation.owner || other.status === "defeated") continue;
+    if (!canAttack(gameState, other, nation)) continue;
+    const otherStrength = getMilitaryStrength(other);
+    for (const arrow of other.arrowOrders?.attacks || []) {
+      if (!arrow.path || arrow.path.length < 2) continue;
+      const head = {
+        x: Math.round(arrow.headX ?? arrow.path[0].x),
+        y: Math.round(arrow.headY ?? arrow.path[0].y),
+      };
+      const target = arrow.path[arrow.path.length - 1];
+      const dist = Math.min(
+        getMinDistanceToTerritory(nation, head.x, head.y, profile.threatRadius),
+        getMinDistanceToTerritory(
+          nation,
+          target.x,
+          target.y,
+          profile.threatRadius,
+        ),
+      );
+      if (dist > profile.threatRadius) continue;
+      const commitment = arrow.percent || arrow.troopCommitment || 0.25;
+      const weight =
+        otherStrength * commitment * (1 - dist / (profile.threatRadius + 1));
+      pressure += weight;
+      if (weight > worst) {
+        worst = weight;
+        point = head;
+        attacker = other.owner;
+      }
+    }
+  }
+
+  const level =
+    ownStrength > 0 ? pressure / ownStrength : pressure > 0 ? 1 : 0;
+  return { level, point, attacker, ownStrength };
+}
+
+/**
+ * Tactical bots: assess threats, defend with arrows, counterattack whoever
+ * is attacking them, go after weaker neighbours and adapt the build order
+ * (towers under pressure, towns in peacetime). Used by Hard and Insane.
+ */
+export function createTacticalStrategy(profile) {
+  const standard = createStandardStrategy(profile);
+  return {
+    ...standard,
+    assess(nation, ctx) {
+      return assessThreat(nation, ctx, profile);
+    },
+    mobilize(nation, ctx, threat) {
+      if (!config?.troopDensity?.enabled) return;
+      const { mobilization } = profile;
+      if (threat.level > 0) {
+        // Scale mobilization with how outmatched we are
+        nation.troopTarget = Math.min(
+          0.8,
+          mobilization.active +
+            (mobilization.threat - mobilization.active) *
+              Math.min(2, threat.level * 2),
+        );
+      } else if ((nation.arrowOrders?.attacks || []).length > 0) {
+        nation.troopTarget = mobilization.active;
+      } else {
+        nation.troopTarget = mobilization.peace;
+      }
+    },
+    command(nation, ctx, threat) {
+      if (
+        profile.defendArrows &&
+        threat.point &&
+        threat.level >= profile.defendThreshold
+      ) {
+        enqueueDefendArrow(nation, ctx, profile, threat.point);
+      }
+
+      const standing = getBotStanding(ctx.gameState, nation);
+      // Prefer targets weaker than us; avoid ones much stronger
+      if (profile.weaknessWeight > 0 && threat.ownStrength > 0) {
+        for (const other of ctx.gameState?.nations || []) {
+          if (other.owner === nation.owner || other.status === "defeated") {
+            continue;
+          }
+          if (standing.get(other.owner) === null) continue;
+          const ratio = getMilitaryStrength(other) / threat.ownStrength;
+          const bonus = profile.weaknessWeight * (1 - Math.min(2, ratio));
+          standing.set(other.owner, (standing.get(other.owner) || 0) + bonus);
+        }
+      }
+      if (threat.attacker && standing.get(threat.attacker) !== null) {
+        standing.set(
+          threat.attacker,
+          (standing.get(threat.attacker) || 0) + profile.counterattackBonus,
+        );
+      }
+      enqueueAttackArrow(nation, ctx, profile, standing);
+    },
+    build(nation, ctx, threat) {
+      if (!isBuildDue(nation, ctx, profile)) return;
+      const underPressure = threat.level >= profile.defendThreshold;
+      const buildOrder = underPressure ? ["tower", "town"] : profile.buildOrder;
+      buildStructure(nation, ctx, profile, buildOrder);
+      // Under pressure, gold goes to towers rather than node upgrades, and
+      // research favours defense
+      if (!underPressure) {
+        upgradeResourceNode(nation, ctx, profile);
+      }
+      researchTech(nation, ctx, profile, underPressure);
+    },
+  };
+}
+
+const strategyFactories = new Map([
+  ["standard", createStandardStrategy],
+  ["tactical", createTacticalStrategy],
+]);
+const strategyCache = new Map();
+
+/** Register a strategy factory selectable via a tier's `strategy` key. */
+export function registerBotStrategy(name, factory) {
+  strategyFactories.set(name, factory);
+  strategyCache.clear();
+}
+
+export function getBotStrategy(difficulty) {
+  const key = normalizeBotDifficulty(difficulty) || DEFAULT_BOT_DIFFICULTY;
+  let strategy = strategyCache.get(key);
+  if (!strategy) {
+    const profile = getBotProfile(key);
+    const factory =
+      strategyFactories.get(profile.strategy) || createStandardStrategy;
+    strategy = factory(profile);
+    strategyCache.set(key, strategy);
+  }
+  return strategy;
+}
+
+/** Run one tick of bot decisions for `nation`. */
+export function runBotTurn(nation, ctx) {
+  if (nation.status === "defeated") return;
+
+  // Migrate legacy single attack to attacks[]
+  migrateArrowOrders(nation);
+
+  const strategy = getBotStrategy(nation.botDifficulty);
+  const situation = strategy.assess ? strategy.assess(nation, ctx) : null;
+  strategy.mobilize(nation, ctx, situation);
+  strategy.command(nation, ctx, situation);
+  strategy.build(nation, ctx, situation);
+}
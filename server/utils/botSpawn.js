@@ -0,0 +1,264 @@
+// botSpawn.js
+// Start-cell selection, naming and starting nations for bots. Shared by the
+// room routes and the headless simulation harness.
+import { generateCityName, generateUniqueName } from "./nameGenerator.js";
+
+export const MIN_FOUND_DISTANCE = 5;
+
+export function manhattanDistance(x1, y1, x2, y2) {
+  return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+}
+
+function isCellOccupied(nations, x, y) {
+  return (nations || []).some((nation) => {
+    if (!nation.territory || !nation.territory.x || !nation.territory.y)
+      return false;
+    for (let i = 0; i < nation.territory.x.length; i++) {
+      if (nation.territory.x[i] === x && nation.territory.y[i] === y) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+function isTooCloseToExisting(nations, x, y) {
+  return (nations || []).some((nation) => {
+    if (nation.startingCell) {
+      if (
+        manhattanDistance(
+          x,
+          y,
+          nation.startingCell.x,
+          nation.startingCell.y
+        ) < MIN_FOUND_DISTANCE
+      ) {
+        return true;
+      }
+    }
+    if (nation.cities && nation.cities.length > 0) {
+      return nation.cities.some(
+        (city) => manhattanDistance(x, y, city.x, city.y) < MIN_FOUND_DISTANCE
+      );
+    }
+    return false;
+  });
+}
+
+export function findBotStartCell(mapData, nations, maxAttempts = 5000) {
+  if (!Array.isArray(mapData) || !Array.isArray(mapData[0])) return null;
+  const height = mapData.length;
+  const width = mapData[0].length;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const x = Math.floor(Math.random() * width);
+    const y = Math.floor(Math.random() * height);
+    const cell = mapData[y]?.[x];
+    if (!cell || cell.biome === "OCEAN") continue;
+    if (isCellOccupied(nations, x, y)) continue;
+    if (isTooCloseToExisting(nations, x, y)) continue;
+    return { x, y };
+  }
+  return null;
+}
+
+const BOT_NAME_PARTS = {
+  start: [
+    "Al",
+    "Bel",
+    "Cor",
+    "Dor",
+    "Eld",
+    "Fal",
+    "Gal",
+    "Hel",
+    "Ith",
+    "Jar",
+    "Kor",
+    "Lor",
+    "Mor",
+    "Nor",
+    "Or",
+    "Pal",
+    "Quel",
+    "Riv",
+    "Sol",
+    "Tor",
+    "Val",
+    "Wes",
+    "Xan",
+    "Yor",
+    "Zen",
+  ],
+  middle: [
+    "a",
+    "e",
+    "i",
+    "o",
+    "u",
+    "ae",
+    "io",
+    "or",
+    "an",
+    "en",
+    "in",
+    "on",
+    "un",
+    "ar",
+    "er",
+    "ir",
+    "ur",
+    "ath",
+    "eth",
+    "ith",
+    "oth",
+    "ul",
+  ],
+  end: [
+    "a",
+    "on",
+    "ia",
+    "is",
+    "ar",
+    "or",
+    "en",
+    "um",
+    "os",
+    "as",
+    "ath",
+    "eth",
+    "ir",
+    "or",
+    "un",
+    "ria",
+    "dor",
+    "mar",
+    "tor",
+    "lan",
+  ],
+  titles: [
+    "Duchy of {name}",
+    "Commonwealth of {name}",
+    "Kingdom of {name}",
+    "Principality of {name}",
+    "Free State of {name}",
+    "Republic of {name}",
+    "{name} Republic",
+    "{name} Confederacy",
+    "{name} Union",
+    "Grand {name}",
+    "{name} Dominion",
+    "{name} Federation",
+    "{name} League",
+    "{name} Pact",
+    "{name} Concord",
+    "{name} Realm",
+    "{name} Empire",
+    "{name} Protectorate",
+    "{name} Marches",
+    "{name} Republic",
+  ],
+};
+
+function sample(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+function titleCase(value) {
+  if (!value) return value;
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function buildBotBaseName() {
+  const name =
+    sample(BOT_NAME_PARTS.start) +
+    sample(BOT_NAME_PARTS.middle) +
+    sample(BOT_NAME_PARTS.end);
+  return titleCase(name.toLowerCase());
+}
+
+function generateBotName(existingNames) {
+  const baseName = buildBotBaseName();
+  const template = sample(BOT_NAME_PARTS.titles);
+  return template.replace("{name}", baseName);
+}
+
+export function generateUniqueBotName(existingNames, fallbackIndex) {
+  const used = existingNames || new Set();
+  for (let attempt = 0; attempt < 12; attempt++) {
+    const candidate = generateBotName(used);
+    if (!used.has(candidate)) return candidate;
+  }
+  return `Bot_${fallbackIndex}`;
+}
+
+export function buildBotNation(botId, x, y, mapData, existingNations) {
+  // Generate circular starting territory (radius 5 for ~10x10 area)
+  const startingRadius = 5;
+  const territoryX = [];
+  const territoryY = [];
+
+  for (let dy = -startingRadius; dy <= startingRadius; dy++) {
+    for (let dx = -startingRadius; dx <= startingRadius; dx++) {
+      if (dx * dx + dy * dy <= startingRadius * startingRadius) {
+        const tx = x + dx;
+        const ty = y + dy;
+        if (mapData && tx >= 0 && ty >= 0 && ty < mapData.length && tx < mapData[0].length) {
+          const cell = mapData[ty][tx];
+          if (cell && cell.biome !== "OCEAN") {
+            // Check not already claimed
+            const alreadyClaimed = (existingNations || []).some((nation) => {
+              if (!nation.territory?.x) return false;
+              for (let i = 0; i < nation.territory.x.length; i++) {
+                if (nation.territory.x[i] === tx && nation.territory.y[i] === ty) {
+                  return true;
+                }
+              }
+              return false;
+            });
+            if (!alreadyClaimed) {
+              territoryX.push(tx);
+              territoryY.push(ty);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Fallback to just the center tile if no valid territory generated
+  if (territoryX.length === 0) {
+    territoryX.push(x);
+    territoryY.push(y);
+  }
+
+  const initialDelta = { add: { x: [...territoryX], y: [...territoryY] }, sub: { x: [], y: [] } };
+  return {
+    owner: botId,
+    status: "active",
+    isBot: true,
+    startingCell: { x, y },
+    territory: { x: territoryX, y: territoryY },
+    territoryDelta: initialDelta,
+    territoryDeltaForClient: initialDelta,
+    population: 100,
+    nationalWill: 50,
+    resources: {
+      food: 200,
+      wood: 150,
+      stone: 100,
+      iron: 0,
+      gold: 0,
+    },
+    cities: [
+      {
+        name: generateUniqueName(generateCityName, new Set()),
+        x,
+        y,
+        population: 50,
+        type: "capital",
+      },
+    ],
+    structures: [],
+    auto_city: false,
+  };
+}
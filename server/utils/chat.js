@@ -0,0 +1,188 @@
+// chat.js — In-match text chat
+//
+// Players send { type: "chat", scope, text, to } over the room's WebSocket
+// (see wsHub.js). Scopes:
+//   global   everyone in the room, spectators included
+//   team     the sender's nation and its teammates (see teams.js)
+//   ally     teammates plus nations the sender has a pact with (see diplomacy.js)
+//   private  the sender and one other nation's owner (`to`)
+// Recipients are fixed when a message is sent, so a later team or pact
+// change doesn't reveal old chat. Text is trimmed, capped at chat.maxLength
+// and has chat.blockedWords masked. Each player may send chat.rateLimit
+// messages per window in a room.
+//
+// Chat isn't game state: the last chat.backlogSize messages per room are
+// kept in memory on the room's shard, and replayed to a player when they
+// (re)subscribe. They are gone once the room closes or the shard restarts.
+
+import config from "../config/config.js";
+import { areAllied } from "./teams.js";
+import { hasPeace } from "./diplomacy.js";
+
+export const CHAT_SCOPES = ["global", "team", "ally", "private"];
+
+const chatConfig = () => config?.chat || {};
+
+const backlogs = new Map(); // roomId -> [message], oldest first
+const sendTimes = new Map(); // roomId -> Map<userId, [timestamp]>
+const nextIds = new Map(); // roomId -> next message id
+
+function statusError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+let blockedPattern = null;
+let blockedPatternSource = null;
+
+function getBlockedPattern() {
+  const words = (chatConfig().blockedWords || [])
+    .map((word) => String(word).trim().toLowerCase())
+    .filter(Boolean);
+  const source = words.join("|");
+  if (source !== blockedPatternSource) {
+    blockedPatternSource = source;
+    const escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    blockedPattern = escaped.length
+      ? new RegExp(`\\b(?:${escaped.join("|")})(?:s|es|ed|er|ers|ing|y|ty)?\\b`, "gi")
+      : null;
+  }
+  return blockedPattern;
+}
+
+/** Mask blocked words (and their plain suffixed forms) with asterisks */
+export function filterProfanity(text) {
+  const pattern = getBlockedPattern();
+  if (!pattern) return text;
+  return text.replace(pattern, (match) => "*".repeat(match.length));
+}
+
+/** Collapse whitespace, cap the length and filter. Throws 400 when empty. */
+export function sanitizeChatText(text) {
+  const maxLength = chatConfig().maxLength ?? 300;
+  const clean = String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+  if (!clean) throw statusError("Message is empty", 400);
+  return filterProfanity(clean);
+}
+
+/**
+ * Record a send for the rate limit. Throws 429 when the player already
+ * sent rateLimit.messages within rateLimit.windowMs.
+ */
+export function consumeChatRate(roomId, userId, now = Date.now()) {
+  const { messages = 5, windowMs = 5000 } = chatConfig().rateLimit || {};
+  if (!sendTimes.has(roomId)) sendTimes.set(roomId, new Map());
+  const roomTimes = sendTimes.get(roomId);
+  const recent = (roomTimes.get(userId) || []).filter((time) => now - time < windowMs);
+  if (recent.length >= messages) {
+    roomTimes.set(userId, recent);
+    throw statusError("You're sending messages too fast", 429);
+  }
+  recent.push(now);
+  roomTimes.set(userId, recent);
+}
+
+const findNation = (gameRoom, owner) =>
+  (gameRoom.gameState?.nations || []).find(
+    (nation) => nation.owner === owner && nation.status !== "defeated"
+  );
+
+const playerName = (gameRoom, userId) => {
+  const player = (gameRoom.players || []).find((p) => p.userId === userId);
+  return player?.profile?.displayName || userId;
+};
+
+/**
+ * Build a message from `userId` in `gameRoom`. Throws a status error when
+ * the scope or recipient is invalid. Does not record it; see recordChatMessage.
+ */
+export function buildChatMessage(gameRoom, userId, { scope = "global", text, to } = {}) {
+  if (!CHAT_SCOPES.includes(scope)) throw statusError("Invalid chat scope", 400);
+  const nation = findNation(gameRoom, userId);
+  let recipients = null;
+  let toName = null;
+
+  if (scope === "team") {
+    if (!nation || nation.team === null || nation.team === undefined) {
+      throw statusError("You have no team to chat with", 400);
+    }
+    recipients = [
+      userId,
+      ...(gameRoom.gameState?.nations || [])
+        .filter((other) => !other.isBot && areAllied(nation, other))
+        .map((other) => other.owner),
+    ];
+  } else if (scope === "ally") {
+    const gameState = gameRoom.gameState || {};
+    const allies = nation
+      ? (gameState.nations || []).filter(
+          (other) =>
+            !other.isBot &&
+            other.status !== "defeated" &&
+            (areAllied(nation, other) || hasPeace(gameState, userId, other.owner))
+        )
+      : [];
+    if (!allies.length) throw statusError("You have no allies to chat with", 400);
+    recipients = [userId, ...allies.map((other) => other.owner)];
+  } else if (scope === "private") {
+    const target = findNation(gameRoom, to);
+    if (!to || to === userId || !target || target.isBot) {
+      throw statusError("Choose a player's nation to message", 400);
+    }
+    recipients = [userId, to];
+    toName = target.nationName || playerName(gameRoom, to);
+  }
+
+  return {
+    scope,
+    from: userId,
+    fromName: playerName(gameRoom, userId),
+    nationName: nation?.nationName || null,
+    color: nation?.color || null,
+    to: scope === "private" ? to : null,
+    toName,
+    text: sanitizeChatText(text),
+    time: Date.now(),
+    recipients,
+  };
+}
+
+/** Give the message an id and add it to the room's backlog */
+export function recordChatMessage(roomId, message) {
+  const id = nextIds.get(roomId) || 1;
+  nextIds.set(roomId, id + 1);
+  const recorded = { id, ...message };
+  if (!backlogs.has(roomId)) backlogs.set(roomId, []);
+  const backlog = backlogs.get(roomId);
+  backlog.push(recorded);
+  const backlogSize = chatConfig().backlogSize ?? 50;
+  if (backlog.length > backlogSize) backlog.splice(0, backlog.length - backlogSize);
+  return recorded;
+}
+
+/** Spectators (or viewers without a userId) only see global chat */
+export function canSeeChatMessage(message, userId, isSpectator = false) {
+  if (message.scope === "global") return true;
+  if (isSpectator || !userId) return false;
+  return (message.recipients || []).includes(userId);
+}
+
+/** The message as sent to clients, without its recipient list */
+export function toChatView(message) {
+  const { recipients, ...view } = message;
+  return view;
+}
+
+export function getChatBacklog(roomId, userId, isSpectator = false) {
+  return (backlogs.get(roomId) || [])
+    .filter((message) => canSeeChatMessage(message, userId, isSpectator))
+    .map(toChatView);
+}
+
+export function clearRoomChat(roomId) {
+  backlogs.delete(roomId);
+  sendTimes.delete(roomId);
+  nextIds.delete(roomId);
+}
@@ -0,0 +1,378 @@
+// diplomacy.js — Non-aggression pacts, truces and war declarations
+//
+// State lives in gameState.diplomacy:
+//   pacts:     [{ id, type, a, b, status, proposedBy, proposedTick,
+//                 startedTick, expiresTick, brokenBy, endsTick }]
+//   wars:      [{ a, b, declaredBy, tick }]
+//   cooldowns: { "<a>|<b>": untilTick }   (no new pact until then)
+//   events:    recent diplomatic events, newest last, for client notices
+//
+// A pact protects both sides while it is "active" and, after one side
+// breaks it, for a short "breaking" notice period. Truces are pacts that
+// expire on their own. Teammates are always at peace (see teams.js).
+
+import config from "../config/config.js";
+import { areAllied, buildTeamByIndex } from "./teams.js";
+
+export const PACT_TYPES = ["nap", "truce"];
+
+const diplomacyConfig = () => config?.diplomacy || {};
+
+function statusError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function pairKey(ownerA, ownerB) {
+  return ownerA < ownerB ? `${ownerA}|${ownerB}` : `${ownerB}|${ownerA}`;
+}
+
+function involves(entry, ownerA, ownerB) {
+  return (
+    (entry.a === ownerA && entry.b === ownerB) ||
+    (entry.a === ownerB && entry.b === ownerA)
+  );
+}
+
+export function ensureDiplomacy(gameState) {
+  if (!gameState.diplomacy) gameState.diplomacy = {};
+  const diplomacy = gameState.diplomacy;
+  if (!Array.isArray(diplomacy.pacts)) diplomacy.pacts = [];
+  if (!Array.isArray(diplomacy.wars)) diplomacy.wars = [];
+  if (!Array.isArray(diplomacy.events)) diplomacy.events = [];
+  if (!diplomacy.cooldowns) diplomacy.cooldowns = {};
+  if (!Number.isInteger(diplomacy.nextId)) diplomacy.nextId = 1;
+  return diplomacy;
+}
+
+function pushEvent(diplomacy, tick, type, pact, from, to) {
+  const maxEvents = diplomacyConfig().maxEvents ?? 30;
+  diplomacy.events.push({
+    id: diplomacy.nextId++,
+    tick,
+    type,
+    pactType: pact?.type || null,
+    from,
+    to,
+  });
+  if (diplomacy.events.length > maxEvents) {
+    diplomacy.events.splice(0, diplomacy.events.length - maxEvents);
+  }
+}
+
+function isProtective(pact) {
+  return pact.status === "active" || pact.status === "breaking";
+}
+
+/** True while a pact (active or in its break notice) binds the two owners. */
+export function hasPeace(gameState, ownerA, ownerB) {
+  const pacts = gameState?.diplomacy?.pacts;
+  if (!pacts?.length || ownerA === ownerB) return false;
+  return pacts.some((pact) => isProtective(pact) && involves(pact, ownerA, ownerB));
+}
+
+export function isAtWar(gameState, ownerA, ownerB) {
+  const wars = gameState?.diplomacy?.wars;
+  if (!wars?.length) return false;
+  return wars.some((war) => involves(war, ownerA, ownerB));
+}
+
+/** Whether `attacker` may take cells held by `defender`. */
+export function canAttack(gameState, attacker, defender) {
+  if (!attacker || !defender || attacker.owner === defender.owner) return true;
+  if (areAllied(attacker, defender)) return false;
+  return !hasPeace(gameState, attacker.owner, defender.owner);
+}
+
+/**
+ * Nation-index pair mask (1 = may not fight) covering teammates and pact
+ * partners. Stride is matrix.nextNationSlot; lets the typed-array kernels
+ * test peace with a single lookup per cell.
+ */
+export function buildPeaceMask(matrix, nations, diplomacy) {
+  const slots = Math.max(1, matrix.nextNationSlot);
+  const mask = new Uint8Array(slots * slots);
+
+  const teamByIndex = buildTeamByIndex(matrix, nations);
+  for (let a = 0; a < slots; a++) {
+    if (teamByIndex[a] === 0) continue;
+    for (let b = 0; b < slots; b++) {
+      if (a !== b && teamByIndex[a] === teamByIndex[b]) mask[a * slots + b] = 1;
+    }
+  }
+
+  for (const pact of diplomacy?.pacts || []) {
+    if (!isProtective(pact)) continue;
+    const a = matrix.ownerToIndex.get(pact.a);
+    const b = matrix.ownerToIndex.get(pact.b);
+    if (a === undefined || b === undefined || a >= slots || b >= slots) continue;
+    mask[a * slots + b] = 1;
+    mask[b * slots + a] = 1;
+  }
+  return mask;
+}
+
+function getActiveNation(gameState, owner) {
+  return (gameState?.nations || []).find(
+    (nation) => nation.owner === owner && nation.status !== "defeated"
+  );
+}
+
+export function proposePact(gameState, fromOwner, toOwner, type, tick) {
+  if (!PACT_TYPES.includes(type)) {
+    throw statusError(`type must be one of: ${PACT_TYPES.join(", ")}`, 400);
+  }
+  const from = getActiveNation(gameState, fromOwner);
+  const to = getActiveNation(gameState, toOwner);
+  if (!from) throw statusError("Nation not found", 404);
+  if (!to) throw statusError("Target nation not found", 404);
+  if (fromOwner === toOwner) {
+    throw statusError("Cannot make a pact with yourself", 400);
+  }
+  if (areAllied(from, to)) {
+    throw statusError("Teammates are already allied", 400);
+  }
+
+  const diplomacy = ensureDiplomacy(gameState);
+  if (diplomacy.pacts.some((pact) => involves(pact, fromOwner, toOwner))) {
+    throw statusError("A pact with this nation already exists or is pending", 409);
+  }
+  const cooldownUntil = diplomacy.cooldowns[pairKey(fromOwner, toOwner)] || 0;
+  if (cooldownUntil > tick) {
+    throw statusError(
+      `Pact was recently broken; try again in ${cooldownUntil - tick} ticks`,
+      409
+    );
+  }
+
+  const pact = {
+    id: diplomacy.nextId++,
+    type,
+    a: fromOwner,
+    b: toOwner,
+    status: "proposed",
+    proposedBy: fromOwner,
+    proposedTick: tick,
+  };
+  diplomacy.pacts.push(pact);
+  pushEvent(diplomacy, tick, "proposed", pact, fromOwner, toOwner);
+  return pact;
+}
+
+function findPactFor(gameState, owner, pactId) {
+  const diplomacy = ensureDiplomacy(gameState);
+  const pact = diplomacy.pacts.find((entry) => entry.id === Number(pactId));
+  if (!pact || (pact.a !== owner && pact.b !== owner)) {
+    throw statusError("Pact not found", 404);
+  }
+  return { diplomacy, pact };
+}
+
+function activatePact(diplomacy, pact, tick) {
+  pact.status = "active";
+  pact.startedTick = tick;
+  if (pact.type === "truce") {
+    pact.expiresTick = tick + (diplomacyConfig().truceDurationTicks ?? 900);
+  }
+  // Making peace ends any declared war between the two
+  diplomacy.wars = diplomacy.wars.filter((war) => !involves(war, pact.a, pact.b));
+}
+
+export function respondToPact(gameState, owner, pactId, accept, tick) {
+  const { diplomacy, pact } = findPactFor(gameState, owner, pactId);
+  if (pact.status !== "proposed") {
+    throw statusError("Pact is not awaiting a response", 409);
+  }
+  if (pact.proposedBy === owner) {
+    throw statusError("Only the other nation can respond to this proposal", 403);
+  }
+  const other = pact.proposedBy;
+  if (accept) {
+    activatePact(diplomacy, pact, tick);
+    pushEvent(diplomacy, tick, "accepted", pact, owner, other);
+  } else {
+    diplomacy.pacts = diplomacy.pacts.filter((entry) => entry !== pact);
+    pushEvent(diplomacy, tick, "declined", pact, owner, other);
+  }
+  return pact;
+}
+
+function startBreaking(diplomacy, pact, owner, tick) {
+  const cfg = diplomacyConfig();
+  pact.status = "breaking";
+  pact.brokenBy = owner;
+  pact.endsTick = tick + (cfg.breakNoticeTicks ?? 50);
+  diplomacy.cooldowns[pairKey(pact.a, pact.b)] =
+    pact.endsTick + (cfg.breakCooldownTicks ?? 600);
+}
+
+export function breakPact(gameState, owner, pactId, tick) {
+  const { diplomacy, pact } = findPactFor(gameState, owner, pactId);
+  const other = pact.a === owner ? pact.b : pact.a;
+  if (pact.status === "proposed") {
+    // Withdrawing (or ignoring) a proposal carries no penalty
+    diplomacy.pacts = diplomacy.pacts.filter((entry) => entry !== pact);
+    pushEvent(diplomacy, tick, "withdrawn", pact, owner, other);
+    return pact;
+  }
+  if (pact.status === "breaking") {
+    throw statusError("Pact is already being broken", 409);
+  }
+  startBreaking(diplomacy, pact, owner, tick);
+  pushEvent(diplomacy, tick, "broken", pact, owner, other);
+  return pact;
+}
+
+export function declareWar(gameState, fromOwner, toOwner, tick) {
+  const from = getActiveNation(gameState, fromOwner);
+  const to = getActiveNation(gameState, toOwner);
+  if (!from) throw statusError("Nation not found", 404);
+  if (!to) throw statusError("Target nation not found", 404);
+  if (fromOwner === toOwner || areAllied(from, to)) {
+    throw statusError("Cannot declare war on this nation", 400);
+  }
+
+  const diplomacy = ensureDiplomacy(gameState);
+  if (isAtWar(gameState, fromOwner, toOwner)) {
+    throw statusError("Already at war with this nation", 409);
+  }
+  // A standing pact is broken (with notice); pending proposals are dropped
+  for (const pact of [...diplomacy.pacts]) {
+    if (!involves(pact, fromOwner, toOwner)) continue;
+    if (pact.status === "active") {
+      startBreaking(diplomacy, pact, fromOwner, tick);
+    } else if (pact.status === "proposed") {
+      diplomacy.pacts = diplomacy.pacts.filter((entry) => entry !== pact);
+    }
+  }
+  const war = { a: fromOwner, b: toOwner, declaredBy: fromOwner, tick };
+  diplomacy.wars.push(war);
+  pushEvent(diplomacy, tick, "war", null, fromOwner, toOwner);
+  return war;
+}
+
+function territorySize(nation) {
+  return nation?.territory?.x?.length || 0;
+}
+
+/**
+ * Per-tick upkeep: finish break notices, expire truces and stale proposals,
+ * drop entries for defeated nations and let bots answer proposals.
+ */
+export function tickDiplomacy(gameState, tick) {
+  const diplomacy = gameState?.diplomacy;
+  if (!diplomacy?.pacts?.length && !diplomacy?.wars?.length) return false;
+  ensureDiplomacy(gameState);
+  const cfg = diplomacyConfig();
+  const proposalExpiry = cfg.proposalExpiryTicks ?? 150;
+  const botAcceptRatio = cfg.botAcceptStrengthRatio ?? 0.75;
+  const nationsByOwner = new Map(
+    (gameState.nations || []).map((nation) => [nation.owner, nation])
+  );
+  const alive = (owner) => {
+    const nation = nationsByOwner.get(owner);
+    return !!nation && nation.status !== "defeated";
+  };
+
+  let changed = false;
+  const remaining = [];
+  for (const pact of diplomacy.pacts) {
+    if (!alive(pact.a) || !alive(pact.b)) {
+      changed = true;
+      continue;
+    }
+    if (pact.status === "breaking" && pact.endsTick <= tick) {
+      const victim = pact.brokenBy === pact.a ? pact.b : pact.a;
+      pushEvent(diplomacy, tick, "ended", pact, pact.brokenBy, victim);
+      // Betrayed bots answer with war so they go after the breaker
+      if (
+        nationsByOwner.get(victim)?.isBot &&
+        !isAtWar(gameState, victim, pact.brokenBy)
+      ) {
+        diplomacy.wars.push({ a: victim, b: pact.brokenBy, declaredBy: victim, tick });
+        pushEvent(diplomacy, tick, "war", null, victim, pact.brokenBy);
+      }
+      changed = true;
+      continue;
+    }
+    if (pact.status === "active" && pact.expiresTick && pact.expiresTick <= tick) {
+      pushEvent(diplomacy, tick, "expired", pact, pact.a, pact.b);
+      changed = true;
+      continue;
+    }
+    if (pact.status === "proposed") {
+      const responderOwner = pact.proposedBy === pact.a ? pact.b : pact.a;
+      const responder = nationsByOwner.get(responderOwner);
+      if (responder?.isBot) {
+        // Bots make peace with nations strong enough to threaten them
+        const proposer = nationsByOwner.get(pact.proposedBy);
+        changed = true;
+        if (territorySize(proposer) < territorySize(responder) * botAcceptRatio) {
+          pushEvent(diplomacy, tick, "declined", pact, responderOwner, pact.proposedBy);
+          continue;
+        }
+        activatePact(diplomacy, pact, tick);
+        pushEvent(diplomacy, tick, "accepted", pact, responderOwner, pact.proposedBy);
+      } else if (tick - pact.proposedTick >= proposalExpiry) {
+        pushEvent(diplomacy, tick, "withdrawn", pact, pact.proposedBy, responderOwner);
+        changed = true;
+        continue;
+      }
+    }
+    remaining.push(pact);
+  }
+  diplomacy.pacts = remaining;
+
+  const wars = diplomacy.wars.filter((war) => alive(war.a) && alive(war.b));
+  if (wars.length !== diplomacy.wars.length) {
+    diplomacy.wars = wars;
+    changed = true;
+  }
+  for (const [key, until] of Object.entries(diplomacy.cooldowns)) {
+    if (until <= tick) {
+      delete diplomacy.cooldowns[key];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * How a bot regards each other nation when picking targets:
+ * owner -> null (off limits) or a score bonus (> 0 for enemies).
+ */
+export function getBotStanding(gameState, nation) {
+  const standing = new Map();
+  const cfg = diplomacyConfig();
+  const warBonus = cfg.botWarTargetBonus ?? 1.5;
+  for (const other of gameState?.nations || []) {
+    if (other.owner === nation.owner || other.status === "defeated") continue;
+    if (!canAttack(gameState, nation, other)) {
+      standing.set(other.owner, null);
+    } else if (isAtWar(gameState, nation.owner, other.owner)) {
+      standing.set(other.owner, warBonus);
+    }
+  }
+  return standing;
+}
+
+/**
+ * Client view of diplomacy: pending proposals (and their events) are only
+ * visible to the two nations involved; everything else is public.
+ */
+export function getDiplomacyView(diplomacy, viewerId) {
+  if (!diplomacy) return { pacts: [], wars: [], cooldowns: {}, events: [] };
+  const visible = (entry) => entry.a === viewerId || entry.b === viewerId;
+  const privateEvent = (event) =>
+    event.type === "proposed" || event.type === "declined" || event.type === "withdrawn";
+  return {
+    pacts: (diplomacy.pacts || []).filter(
+      (pact) => pact.status !== "proposed" || visible(pact)
+    ),
+    wars: diplomacy.wars || [],
+    cooldowns: diplomacy.cooldowns || {},
+    events: (diplomacy.events || []).filter(
+      (event) =>
+        !privateEvent(event) || event.from === viewerId || event.to === viewerId
+    ),
+  };
+}
@@ -0,0 +1,233 @@
+// economyStructures.js — Farms, lumber mills, mines, stables and workshops
+//
+// Economy structures work the land around them. Each type is configured in
+// config.structures[type]:
+//
+//   radius              tiles worked around the structure (square)
+//   biomeYields         { BIOME: { resource: perTick } } per owned tile
+//   nodeYields          { nodeType: { resource: perTick } } per owned node
+//                       (scaled by the node's upgrade level)
+//   biomeBonuses        { BIOME: { bonus: amount } } per owned tile, folded
+//                       into computeBonusesByOwner via nation.structureBonuses
+//   bonuses             flat { bonus: amount } for owning the structure
+//   yieldMultiplier     workshop boost to economy structures in its radius
+//   minProductiveTiles  tiles/nodes with a yield needed to place it
+//   minSpacing          Manhattan distance from the owner's same-type builds
+//   requiresCity        must be within radius of the owner's town/capital
+//   onCapture           "transfer" to the captor or "destroy"
+//
+// Only tiles the owner currently holds produce, so losing the land around a
+// structure starves it even if the structure itself survives.
+
+import config from "../config/config.js";
+import { UNOWNED } from "./TerritoryMatrix.js";
+import { getNodeMultiplier } from "./territorialUtils.js";
+
+export const ECONOMY_STRUCTURES = [
+  "farm",
+  "lumber mill",
+  "mine",
+  "stable",
+  "workshop",
+];
+
+const BONUS_KEYS = ["expansionPower", "attackPower", "defensePower", "production"];
+
+export function isEconomyStructure(type) {
+  return ECONOMY_STRUCTURES.includes(type);
+}
+
+function getStructureConfig(type) {
+  return config?.structures?.[type] || {};
+}
+
+/** "transfer" | "destroy" for economy structures, null for anything else. */
+export function getCaptureRule(type) {
+  if (!isEconomyStructure(type)) return null;
+  return getStructureConfig(type).onCapture === "transfer" ? "transfer" : "destroy";
+}
+
+function getNodeLevel(cell, x, y, resourceUpgrades) {
+  return resourceUpgrades?.[`${x},${y}`]?.level ?? cell.resourceNode?.level ?? 0;
+}
+
+function addInto(target, amounts, mult = 1) {
+  if (!amounts) return;
+  for (const key in amounts) {
+    target[key] = (target[key] || 0) + (Number(amounts[key]) || 0) * mult;
+  }
+}
+
+/**
+ * Sum what one structure draws from the tiles around it. `isWorked(x, y)`
+ * decides which tiles count (owned tiles in play, every tile when scouting
+ * a site). Returns { yields, bonuses, productiveTiles }.
+ */
+function surveyStructure(type, x, y, mapData, isWorked, resourceUpgrades) {
+  const cfg = getStructureConfig(type);
+  const radius = cfg.radius ?? 3;
+  const biomeYields = cfg.biomeYields || {};
+  const nodeYields = cfg.nodeYields || {};
+  const biomeBonuses = cfg.biomeBonuses || {};
+  const yields = {};
+  const bonuses = {};
+  let productiveTiles = 0;
+  const worksLand =
+    cfg.biomeYields || cfg.nodeYields || cfg.biomeBonuses ? radius : -1;
+
+  for (let dy = -worksLand; dy <= worksLand; dy++) {
+    const row = mapData?.[y + dy];
+    if (!row) continue;
+    for (let dx = -worksLand; dx <= worksLand; dx++) {
+      const cx = x + dx;
+      const cy = y + dy;
+      const cell = row[cx];
+      if (!cell || !isWorked(cx, cy)) continue;
+
+      const tileYield = biomeYields[cell.biome];
+      const tileBonus = biomeBonuses[cell.biome];
+      const nodeType = cell.resourceNode?.type;
+      const nodeYield = nodeType ? nodeYields[nodeType] : null;
+      if (!tileYield && !tileBonus && !nodeYield) continue;
+
+      productiveTiles++;
+      addInto(yields, tileYield);
+      addInto(bonuses, tileBonus);
+      if (nodeYield) {
+        const level = getNodeLevel(cell, cx, cy, resourceUpgrades);
+        addInto(yields, nodeYield, getNodeMultiplier(level));
+      }
+    }
+  }
+  addInto(bonuses, cfg.bonuses);
+  return { yields, bonuses, productiveTiles };
+}
+
+/** "Farm 1", "Lumber mill 2", ...: the first number not already taken. */
+export function nameEconomyStructure(type, existingNames) {
+  const base = type.charAt(0).toUpperCase() + type.slice(1);
+  let n = 1;
+  while (existingNames.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+const manhattan = (a, x, y) => Math.abs(a.x - x) + Math.abs(a.y - y);
+
+/**
+ * Check whether `nation` may place an economy structure at (x, y), ignoring
+ * cost and territory (the caller checks those). Returns { error } or
+ * { productiveTiles, score } where score ranks candidate sites for bots.
+ */
+export function evaluateStructureSite(type, x, y, mapData, nation) {
+  if (!isEconomyStructure(type)) return { error: "Not an economy structure" };
+  const cfg = getStructureConfig(type);
+  const cell = mapData?.[y]?.[x];
+  if (!cell || cell.biome === "OCEAN") {
+    return { error: `Cannot build ${type} on this tile` };
+  }
+
+  const cities = nation?.cities || [];
+  const minSpacing = cfg.minSpacing ?? 0;
+  if (cities.some((c) => c.type === type && manhattan(c, x, y) < minSpacing)) {
+    return {
+      error: `Cannot build ${type} within ${minSpacing} cells of another ${type}`,
+    };
+  }
+
+  const radius = cfg.radius ?? 3;
+  if (cfg.requiresCity) {
+    const nearCity = cities.some(
+      (c) =>
+        (c.type === "town" || c.type === "capital") &&
+        Math.max(Math.abs(c.x - x), Math.abs(c.y - y)) <= radius
+    );
+    if (!nearCity) {
+      return {
+        error: `A ${type} must be within ${radius} cells of your town or capital`,
+      };
+    }
+    // Score by how many economy structures it would boost
+    const boosted = cities.filter(
+      (c) =>
+        c.type !== "workshop" &&
+        isEconomyStructure(c.type) &&
+        Math.max(Math.abs(c.x - x), Math.abs(c.y - y)) <= radius
+    ).length;
+    return { productiveTiles: 0, score: boosted };
+  }
+
+  const survey = surveyStructure(type, x, y, mapData, () => true);
+  const minTiles = cfg.minProductiveTiles ?? 1;
+  if (survey.productiveTiles < minTiles) {
+    return {
+      error: `Not enough suitable land for a ${type} here (${survey.productiveTiles}/${minTiles} productive tiles)`,
+    };
+  }
+  const score =
+    Object.values(survey.yields).reduce((sum, v) => sum + v, 0) +
+    Object.values(survey.bonuses).reduce((sum, v) => sum + v, 0);
+  return { productiveTiles: survey.productiveTiles, score };
+}
+
+/**
+ * Pay out economy structure yields for one tick and refresh each nation's
+ * structureBonuses (read by computeBonusesByOwner next tick). Only tiles
+ * the owner holds in the matrix are worked.
+ */
+export function applyStructureIncome(gameState, mapData, matrix) {
+  if (!gameState?.nations || !Array.isArray(mapData) || !matrix) return;
+  const resourceUpgrades = gameState.resourceUpgrades || null;
+
+  for (const nation of gameState.nations) {
+    const structures = (nation.cities || []).filter((c) => isEconomyStructure(c.type));
+    if (structures.length === 0) {
+      if (nation.structureBonuses) delete nation.structureBonuses;
+      continue;
+    }
+    const nIdx = matrix.ownerToIndex.get(nation.owner);
+    if (nIdx === undefined) continue;
+    const isWorked = (x, y) => {
+      const owner = matrix.getOwner(x, y);
+      return owner !== UNOWNED && owner === nIdx;
+    };
+
+    const workshops = structures.filter((c) => c.type === "workshop");
+    const workshopCfg = getStructureConfig("workshop");
+    const workshopRadius = workshopCfg.radius ?? 6;
+    const income = {};
+    const bonuses = {};
+    for (const structure of structures) {
+      const survey = surveyStructure(
+        structure.type,
+        structure.x,
+        structure.y,
+        mapData,
+        isWorked,
+        resourceUpgrades
+      );
+      // Workshops don't stack: the strongest one in range applies
+      let mult = 1;
+      for (const workshop of workshops) {
+        if (
+          workshop !== structure &&
+          Math.max(
+            Math.abs(workshop.x - structure.x),
+            Math.abs(workshop.y - structure.y)
+          ) <= workshopRadius
+        ) {
+          mult = Math.max(mult, workshopCfg.yieldMultiplier ?? 1);
+        }
+      }
+      addInto(income, survey.yields, mult);
+      addInto(bonuses, survey.bonuses);
+    }
+
+    nation.resources = nation.resources || {};
+    for (const resource in income) {
+      nation.resources[resource] = (nation.resources[resource] || 0) + income[resource];
+    }
+    nation.structureBonuses = Object.fromEntries(
+      BONUS_KEYS.filter((key) => bonuses[key]).map((key) => [key, bonuses[key]])
+    );
+  }
+}
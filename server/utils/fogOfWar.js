@@ -0,0 +1,392 @@
+// fogOfWar.js — Per-team vision for fog-of-war rooms
+//
+// Rooms created with settings.fogOfWar only show each player the terrain plus
+// what lies in sight of their side: owned land (territoryVisionRadius), towns
+// and capitals, towers, ports, the heads of attack arrows and fleets at sea
+// (radii in config.fogOfWar). Teammates share vision. Tiles seen once stay
+// explored; the client shades them but enemy territory, cities and fleets are
+// only sent while they are in sight.
+//
+// The game loop recomputes vision every visionUpdateIntervalTicks. State is
+// kept in memory per room and rebuilt after a restart:
+//
+//   { changedTick, width, height,
+//     viewers: Map<viewerKey, { visible, prevVisible, explored,  (per cell)
+//                               bounds, prevBounds,  (boxes holding vision)
+//                               reveal: Map<owner, delta>, runs }> }
+//
+// viewerKey is "team:<id>" for nations on a team, otherwise the owner id.
+// Players without a living nation (not founded yet, or defeated) share the
+// observer viewer, which sees no enemy cells: they get the terrain only, so
+// nobody can scout through a second account. Spectating is refused in fog
+// rooms (see canSpectateRoom). Until a room's vision is computed (before the
+// first tick, while paused, after a restart) it is computed on demand from
+// the room's matrix, or every viewer is blind when there is no matrix.
+// reveal holds, per enemy owner, the cells that came into sight (add) or
+// went out of sight (sub) at changedTick without changing hands.
+
+import config from "../config/config.js";
+import { getNationTeam } from "./teams.js";
+import { UNOWNED } from "./TerritoryMatrix.js";
+
+export const FOG_UNEXPLORED = 0;
+export const FOG_EXPLORED = 1;
+export const FOG_VISIBLE = 2;
+
+const roomFog = new Map();
+
+const OBSERVER_VIEWER_KEY = "__observer__";
+
+export const getFogConfig = () => config?.fogOfWar || {};
+
+/** True when the room was created with fog of war (and it isn't disabled globally). */
+export function isFogOfWarRoom(gameState) {
+  return getFogConfig().enabled !== false && gameState?.settings?.fogOfWar === true;
+}
+
+/** Fog-of-war matches can't be watched: a spectator would see every side. */
+export function canSpectateRoom(gameState) {
+  return !isFogOfWarRoom(gameState);
+}
+
+export function clearRoomFog(roomKey) {
+  roomFog.delete(roomKey?.toString());
+}
+
+function getViewerKey(nation) {
+  const team = getNationTeam(nation);
+  return team !== null ? `team:${team}` : nation.owner;
+}
+
+// Mark cells within `radius` (Chebyshev) of a set cell along one axis,
+// scanning k = from..to at index start + k * step
+function dilateLine(src, dst, start, step, from, to, radius) {
+  let last = -Infinity;
+  for (let k = from; k <= to; k++) {
+    if (src[start + k * step]) last = k;
+    if (k - last <= radius) dst[start + k * step] = 1;
+  }
+  last = Infinity;
+  for (let k = to; k >= from; k--) {
+    if (src[start + k * step]) last = k;
+    if (last - k <= radius) dst[start + k * step] = 1;
+  }
+}
+
+const emptyBounds = () => ({ minX: Infinity, minY: Infinity, maxX: -1, maxY: -1 });
+
+function growBounds(bounds, x0, y0, x1, y1) {
+  bounds.minX = Math.min(bounds.minX, x0);
+  bounds.minY = Math.min(bounds.minY, y0);
+  bounds.maxX = Math.max(bounds.maxX, x1);
+  bounds.maxY = Math.max(bounds.maxY, y1);
+}
+
+function forEachInBounds(bounds, width, fn) {
+  for (let y = bounds.minY; y <= bounds.maxY; y++) {
+    for (let x = bounds.minX, i = y * width + bounds.minX; x <= bounds.maxX; x++, i++) {
+      fn(i, x, y);
+    }
+  }
+}
+
+function stampDisc(visible, bounds, width, height, cx, cy, radius) {
+  const x0 = Math.round(cx);
+  const y0 = Math.round(cy);
+  const r2 = radius * radius;
+  for (let dy = -radius; dy <= radius; dy++) {
+    const y = y0 + dy;
+    if (y < 0 || y >= height) continue;
+    for (let dx = -radius; dx <= radius; dx++) {
+      const x = x0 + dx;
+      if (x < 0 || x >= width || dx * dx + dy * dy > r2) continue;
+      visible[y * width + x] = 1;
+    }
+  }
+  growBounds(
+    bounds,
+    Math.max(0, x0 - radius),
+    Math.max(0, y0 - radius),
+    Math.min(width - 1, x0 + radius),
+    Math.min(height - 1, y0 + radius)
+  );
+}
+
+// Fill `visible` (all zero) with what `members` can see; returns its bounds
+function computeVision(matrix, members, visible) {
+  const cfg = getFogConfig();
+  const { width, height } = matrix;
+  const bounds = emptyBounds();
+
+  // Owned land, dilated by the territory radius: rows first, then columns
+  const radius = cfg.territoryVisionRadius ?? 4;
+  const src = new Uint8Array(matrix.size);
+  const land = emptyBounds();
+  for (const nation of members) {
+    const tx = nation.territory?.x || [];
+    const ty = nation.territory?.y || [];
+    for (let i = 0; i < tx.length; i++) {
+      src[ty[i] * width + tx[i]] = 1;
+      growBounds(land, tx[i], ty[i], tx[i], ty[i]);
+    }
+  }
+  if (land.maxX >= 0) {
+    growBounds(
+      bounds,
+      Math.max(0, land.minX - radius),
+      Math.max(0, land.minY - radius),
+      Math.min(width - 1, land.maxX + radius),
+      Math.min(height - 1, land.maxY + radius)
+    );
+    const rows = new Uint8Array(matrix.size);
+    for (let y = land.minY; y <= land.maxY; y++) {
+      dilateLine(src, rows, y * width, 1, bounds.minX, bounds.maxX, radius);
+    }
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      dilateLine(rows, visible, x, width, bounds.minY, bounds.maxY, radius);
+    }
+  }
+
+  const structureRadius = {
+    tower: cfg.towerVisionRadius ?? 14,
+    port: cfg.portVisionRadius ?? 10,
+    town: cfg.cityVisionRadius ?? 8,
+    capital: cfg.cityVisionRadius ?? 8,
+  };
+  const arrowRadius = cfg.arrowVisionRadius ?? 6;
+  const fleetRadius = cfg.fleetVisionRadius ?? 5;
+  for (const nation of members) {
+    for (const city of nation.cities || []) {
+      const r = structureRadius[city.type];
+      if (r) stampDisc(visible, bounds, width, height, city.x, city.y, r);
+    }
+    const orders = nation.arrowOrders || {};
+    for (const arrow of orders.attacks || []) {
+      if (arrow?.headX === undefined) continue;
+      stampDisc(visible, bounds, width, height, arrow.headX, arrow.headY, arrowRadius);
+    }
+    for (const fleet of orders.naval || []) {
+      stampDisc(visible, bounds, width, height, fleet.x, fleet.y, fleetRadius);
+    }
+  }
+  return bounds;
+}
+
+// Cells of other owners whose visibility flipped while their owner stayed put
+function computeRevealDeltas(matrix, viewer, region, memberIndices) {
+  const { width, ownership, prevOwnership } = matrix;
+  const { visible, prevVisible } = viewer;
+  const reveal = new Map();
+  forEachInBounds(region, width, (i, x, y) => {
+    if (visible[i] === prevVisible[i]) return;
+    const o = ownership[i];
+    if (o === UNOWNED || o !== prevOwnership[i] || memberIndices.has(o)) return;
+    const owner = matrix.getOwnerByIndex(o);
+    if (!owner) return;
+    let delta = reveal.get(owner);
+    if (!delta) {
+      delta = { add: { x: [], y: [] }, sub: { x: [], y: [] } };
+      reveal.set(owner, delta);
+    }
+    const side = visible[i] ? delta.add : delta.sub;
+    side.x.push(x);
+    side.y.push(y);
+  });
+  return reveal;
+}
+
+/**
+ * Recompute vision for a fog-of-war room. Called by the game loop after each
+ * tick (with the tick number the broadcast will carry); only does work on
+ * the configured interval.
+ */
+export function updateRoomFog(roomKey, gameState, matrix, tick) {
+  const key = roomKey?.toString();
+  if (!isFogOfWarRoom(gameState) || !matrix) {
+    roomFog.delete(key);
+    return;
+  }
+  const interval = Math.max(1, getFogConfig().visionUpdateIntervalTicks ?? 2);
+  let fog = roomFog.get(key);
+  if (fog && (fog.width !== matrix.width || fog.height !== matrix.height)) {
+    fog = null;
+  }
+  if (fog && tick % interval !== 0) return;
+  if (!fog) {
+    fog = { changedTick: -1, width: matrix.width, height: matrix.height, viewers: new Map() };
+    roomFog.set(key, fog);
+  }
+
+  const groups = new Map();
+  for (const nation of gameState.nations || []) {
+    if (nation.status === "defeated") continue;
+    const viewerKey = getViewerKey(nation);
+    if (!groups.has(viewerKey)) groups.set(viewerKey, []);
+    groups.get(viewerKey).push(nation);
+  }
+
+  for (const viewerKey of fog.viewers.keys()) {
+    if (!groups.has(viewerKey)) fog.viewers.delete(viewerKey);
+  }
+  for (const [viewerKey, members] of groups) {
+    let viewer = fog.viewers.get(viewerKey);
+    if (!viewer) {
+      viewer = {
+        visible: new Uint8Array(matrix.size),
+        prevVisible: new Uint8Array(matrix.size),
+        explored: new Uint8Array(matrix.size),
+        bounds: emptyBounds(),
+        prevBounds: emptyBounds(),
+      };
+      fog.viewers.set(viewerKey, viewer);
+    }
+    // Reuse the older buffer for the new vision
+    const next = viewer.prevVisible;
+    forEachInBounds(viewer.prevBounds, matrix.width, (i) => {
+      next[i] = 0;
+    });
+    viewer.prevVisible = viewer.visible;
+    viewer.prevBounds = viewer.bounds;
+    viewer.visible = next;
+    viewer.bounds = computeVision(matrix, members, next);
+
+    const region = { ...viewer.bounds };
+    growBounds(
+      region,
+      viewer.prevBounds.minX,
+      viewer.prevBounds.minY,
+      viewer.prevBounds.maxX,
+      viewer.prevBounds.maxY
+    );
+    forEachInBounds(viewer.bounds, matrix.width, (i) => {
+      if (next[i]) viewer.explored[i] = 1;
+    });
+    const memberIndices = new Set(
+      members.map((n) => matrix.ownerToIndex.get(n.owner)).filter((i) => i !== undefined)
+    );
+    viewer.reveal = computeRevealDeltas(matrix, viewer, region, memberIndices);
+    viewer.runs = null;
+  }
+  fog.changedTick = tick;
+}
+
+// Blind viewer for everyone without a living nation; never changes
+function getObserverFog(fog) {
+  if (!fog.observer) {
+    const none = new Uint8Array(fog.width * fog.height);
+    fog.observer = {
+      visible: none,
+      prevVisible: none,
+      explored: none,
+      reveal: new Map(),
+      runs: null,
+    };
+  }
+  return fog.observer;
+}
+
+/**
+ * Vision for the player `userId` in this room, or null when fog is off.
+ * Players without a living nation, or whose side's vision isn't computed
+ * yet, get the observer view. When the room has no vision yet it is computed
+ * from `matrix` (for tick `tick`); without a matrix the view is blind and
+ * carries no fog mask.
+ */
+export function getViewerFog(roomKey, gameState, userId, { matrix = null, tick = 0 } = {}) {
+  if (!isFogOfWarRoom(gameState)) return null;
+  if (!roomFog.has(roomKey?.toString()) && matrix) {
+    updateRoomFog(roomKey, gameState, matrix, tick);
+  }
+  const nation = (gameState.nations || []).find(
+    (n) => n.owner === userId && n.status !== "defeated"
+  );
+  const viewerKey = nation ? getViewerKey(nation) : OBSERVER_VIEWER_KEY;
+  const fog = roomFog.get(roomKey?.toString()) || {
+    changedTick: -1,
+    width: 0,
+    height: 0,
+    viewers: new Map(),
+  };
+  const viewer = fog.viewers.get(viewerKey) || getObserverFog(fog);
+  return { fog, viewer, viewerKey };
+}
+
+/** True when nation is on the viewer's side (no filtering applies). */
+export function isFriendlyToViewer(viewerFog, nation) {
+  return getViewerKey(nation) === viewerFog.viewerKey;
+}
+
+export function isCellVisible(viewerFog, x, y) {
+  const { width, height } = viewerFog.fog;
+  const cx = Math.round(x);
+  const cy = Math.round(y);
+  if (cx < 0 || cy < 0 || cx >= width || cy >= height) return false;
+  return viewerFog.viewer.visible[cy * width + cx] === 1;
+}
+
+function filterCells(cells, mask, width, out) {
+  for (let i = 0; i < (cells?.x?.length || 0); i++) {
+    if (mask[cells.y[i] * width + cells.x[i]]) {
+      out.x.push(cells.x[i]);
+      out.y.push(cells.y[i]);
+    }
+  }
+  return out;
+}
+
+/** Keep the part of an owner's full territory the viewer can currently see. */
+export function filterTerritoryForViewer(viewerFog, territory) {
+  return filterCells(territory, viewerFog.viewer.visible, viewerFog.fog.width, { x: [], y: [] });
+}
+
+/**
+ * Rewrite an enemy's territory delta for the viewer: gains are sent where
+ * visible now, losses where they were visible before, and on vision update
+ * ticks cells entering or leaving sight are added or removed.
+ */
+export function filterDeltaForViewer(viewerFog, owner, delta, tick) {
+  const { fog, viewer } = viewerFog;
+  const changed = fog.changedTick === tick;
+  const out = {
+    add: filterCells(delta?.add, viewer.visible, fog.width, { x: [], y: [] }),
+    sub: filterCells(delta?.sub, changed ? viewer.prevVisible : viewer.visible, fog.width, { x: [], y: [] }),
+  };
+  const reveal = changed ? viewer.reveal?.get(owner) : null;
+  if (reveal) {
+    out.add.x.push(...reveal.add.x);
+    out.add.y.push(...reveal.add.y);
+    out.sub.x.push(...reveal.sub.x);
+    out.sub.y.push(...reveal.sub.y);
+  }
+  return out;
+}
+
+/**
+ * Client fog mask as run-length pairs [value, count, value, count, ...] in
+ * row-major order (FOG_UNEXPLORED / FOG_EXPLORED / FOG_VISIBLE), or null
+ * when it hasn't changed since `tick` (sent on vision updates and full
+ * states only) or the room's vision isn't computed.
+ */
+export function getFogPayload(viewerFog, tick, full = false) {
+  const { fog, viewer } = viewerFog;
+  if (!fog.width || (!full && fog.changedTick !== tick)) return null;
+  if (!viewer.runs) {
+    const runs = [];
+    const { visible, explored } = viewer;
+    let current = -1;
+    let count = 0;
+    for (let i = 0; i < visible.length; i++) {
+      const value = visible[i] ? FOG_VISIBLE : explored[i] ? FOG_EXPLORED : FOG_UNEXPLORED;
+      if (value === current) {
+        count++;
+        continue;
+      }
+      if (count > 0) runs.push(current, count);
+      current = value;
+      count = 1;
+    }
+    if (count > 0) runs.push(current, count);
+    viewer.runs = runs;
+  }
+  return { width: fog.width, height: fog.height, runs: viewer.runs };
+}
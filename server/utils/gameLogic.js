@@ -11,14 +11,20 @@ import {
 } from "./matrixKernels.js";
 import { applyArrowLoyaltyPressure } from "./matrixLoyalty.js";
 import { resolveDensityCombat } from "./matrixTroopDensity.js";
-import {
-  generateCityName,
-  generateTowerName,
-  generateUniqueName,
-} from "./nameGenerator.js";
 import { debug, debugWarn } from "./debug.js";
-
-export function checkWinCondition(gameState, mapData, totalClaimableOverride) {
+import { getNationTeam } from "./teams.js";
+import { canAttack } from "./diplomacy.js";
+import { runBotTurn } from "./botAI.js";
+import { evaluateVictory, isCapitalConquest } from "./winConditions.js";
+import { advanceFleet, applyFleetCombat, getNavalConfig } from "./naval.js";
+import { getResearchEffects } from "./research.js";
+
+export function checkWinCondition(
+  gameState,
+  mapData,
+  totalClaimableOverride,
+  currentTick = 0
+) {
   const totalClaimable =
     Number.isFinite(totalClaimableOverride) && totalClaimableOverride > 0
       ? totalClaimableOverride
@@ -35,9 +41,7 @@ export function checkWinCondition(gameState, mapData, totalClaimableOverride) {
           return count;
         })();
 
-  // Get the win threshold percentage from your config (e.g., 50 means 50%)
-  const winThreshold = config.winConditionPercentage || 50;
-  let winner = null;
+  const teamTotals = new Map(); // teamId -> combined territory count
 
   // Update each nation with its territory percentage.
   gameState.nations.forEach((nation) => {
@@ -47,16 +51,40 @@ export function checkWinCondition(gameState, mapData, totalClaimableOverride) {
     // Calculate percentage (round to 2 decimals)
     nation.territoryPercentage =
       Math.round((territoryCount / totalClaimable) * 10000) / 100;
-    if (nation.territoryPercentage >= winThreshold) {
-      winner = nation.owner;
+    if (nation.status === "defeated") return;
+    const team = getNationTeam(nation);
+    if (team !== null) {
+      teamTotals.set(team, (teamTotals.get(team) || 0) + territoryCount);
     }
   });
 
+  if (teamTotals.size > 0) {
+    gameState.teamTerritory = Object.fromEntries(
+      [...teamTotals].map(([team, territoryCount]) => [
+        team,
+        Math.round((territoryCount / totalClaimable) * 10000) / 100,
+      ])
+    );
+  }
+
+  // The room's win mode decides who (if anyone) has won
+  const { winner, winningTeam, progress } = evaluateVictory(gameState, currentTick);
+  gameState.victory = progress;
+
   // If a winner is found, update nation statuses accordingly.
   if (winner) {
     gameState.nations.forEach((nation) => {
       nation.status = nation.owner === winner ? "winner" : "defeated";
     });
+  } else if (winningTeam !== null) {
+    gameState.winningTeam = winningTeam;
+    gameState.nations.forEach((nation) => {
+      if (getNationTeam(nation) === winningTeam) {
+        if (nation.status !== "defeated") nation.status = "winner";
+      } else {
+        nation.status = "defeated";
+      }
+    });
   }
 }
 
@@ -199,6 +227,9 @@ function updateNationTerritorial(
     clearTerritory();
   };
 
+  // Capital conquest rooms don't promote towns: losing the capital is final
+  const capitalConquest = isCapitalConquest(gameState);
+
   let skipActions = false;
   if (updatedNation.status === "defeated") {
     markDefeated();
@@ -211,7 +242,7 @@ function updateNationTerritorial(
       // No capital - check if there are any towns to promote
       const towns =
         updatedNation.cities?.filter((city) => city.type === "town") || [];
-      if (towns.length > 0) {
+      if (towns.length > 0 && !capitalConquest) {
         // Promote the first town to capital
         towns[0].type = "capital";
         debug(
@@ -231,7 +262,7 @@ function updateNationTerritorial(
         // Capital territory lost - try to promote nearest town
         const towns =
           updatedNation.cities?.filter((city) => city.type === "town") || [];
-        if (towns.length > 0) {
+        if (towns.length > 0 && !capitalConquest) {
           // Find nearest town that is still in our territory
           let nearestTown = null;
           let minDistance = Infinity;
@@ -386,23 +417,15 @@ function updateNationTerritorial(
     }
 
     if (updatedNation.isBot) {
-      maybeEnqueueBotArrow(
-        updatedNation,
+      runBotTurn(updatedNation, {
         mapData,
         ownershipMap,
         bonusesByOwner,
-        currentTick,
+        tickCount: currentTick,
         gameState,
         matrix,
-      );
-      maybeEnqueueBotBuild(
-        updatedNation,
-        mapData,
-        gameState,
-        currentTick,
         regionData,
-        matrix,
-      );
+      });
     }
 
     // Apply arrow orders (Big Arrow system)
@@ -410,7 +433,8 @@ function updateNationTerritorial(
       updatedNation.arrowOrders &&
       (updatedNation.arrowOrders.attacks?.length > 0 ||
         updatedNation.arrowOrders.attack ||
-        updatedNation.arrowOrders.defend)
+        updatedNation.arrowOrders.defend ||
+        updatedNation.arrowOrders.naval?.length > 0)
     ) {
       try {
         processArrowOrders(
@@ -454,6 +478,17 @@ function updateNationTerritorial(
         updatedNation._disconnectedCells = new Set();
       }
 
+      const seaSeeds = getSeaSupplySeeds(updatedNation, (x, y) =>
+        useMatrix && nIdx !== undefined
+          ? matrix.isOwnedBy(x, y, nIdx)
+          : isCellInTerritory(
+              updatedNation.territory,
+              x,
+              y,
+              getTerritorySetCached(updatedNation),
+            ),
+      );
+
       if (useMatrix && nIdx !== undefined && currentCapital) {
         // Matrix path: BFS on typed array — O(cells) with no string allocation
         const removed = removeDisconnectedTerritory(
@@ -461,6 +496,7 @@ function updateNationTerritorial(
           nIdx,
           currentCapital.x,
           currentCapital.y,
+          seaSeeds,
         );
         if (removed > 0) {
           // Sync legacy territory arrays from matrix
@@ -492,7 +528,11 @@ function updateNationTerritorial(
         }
       } else {
         // Legacy path: BFS with string key sets
-        const connected = computeConnectedTerritorySet(updatedNation, mapData);
+        const connected = computeConnectedTerritorySet(
+          updatedNation,
+          mapData,
+          seaSeeds,
+        );
         if (connected) {
           const tx = [...(updatedNation.territory?.x || [])];
           const ty = [...(updatedNation.territory?.y || [])];
@@ -514,13 +554,34 @@ function updateNationTerritorial(
   return updatedNation;
 }
 
-function computeConnectedTerritorySet(nation, mapData) {
+/**
+ * Extra connectivity seeds for territory supplied by sea: the nation's ports
+ * and, while it still holds a port, the tiles its fleets landed on. Landings
+ * it no longer holds are forgotten.
+ */
+function getSeaSupplySeeds(nation, isOwned) {
+  const ports = (nation.cities || []).filter(
+    (c) => c.type === "port" && isOwned(c.x, c.y),
+  );
+  if (nation.navalLandings?.length > 0) {
+    nation.navalLandings = nation.navalLandings.filter((l) =>
+      isOwned(l.x, l.y),
+    );
+  }
+  if (ports.length === 0) return [];
+  return [...ports, ...(nation.navalLandings || [])];
+}
+
+function computeConnectedTerritorySet(nation, mapData, extraSeeds = []) {
   const capital =
     nation.cities && nation.cities.find((city) => city.type === "capital");
   if (!capital) return null;
   const territorySet = getTerritorySet(nation.territory);
   const connected = new Set();
-  const queue = [[capital.x, capital.y]];
+  const queue = [
+    [capital.x, capital.y],
+    ...extraSeeds.map((seed) => [seed.x, seed.y]),
+  ];
   let queueIndex = 0;
   const width = mapData[0]?.length || 0;
   const height = mapData.length || 0;
@@ -550,668 +611,10 @@ function computeConnectedTerritorySet(nation, mapData) {
   return connected;
 }
 
-/**
- * Bot building logic: attempts to build towns and towers when affordable.
- * Runs every ~50 ticks to avoid spamming.
- */
-function maybeEnqueueBotBuild(
-  nation,
-  mapData,
-  gameState,
-  currentTick,
-  regionData,
-  matrix = null,
-) {
-  if (nation.status === "defeated") return;
-
-  // Only try building every 50 ticks (~5 seconds)
-  const lastBuildTick = nation._lastBotBuildTick ?? -Infinity;
-  if (currentTick - lastBuildTick < 50) return;
-  nation._lastBotBuildTick = currentTick;
-
-  const buildCosts = config?.buildCosts?.structures;
-  if (!buildCosts) return;
-
-  const resources = nation.resources || {};
-  const territory = nation.territory;
-  if (!territory?.x?.length || territory.x.length < 30) return; // Need some territory first
-
-  const regionCfg = config?.regions;
-  const assignment = regionData?.assignment;
-  const regWidth = regionData?.width;
-
-  // Determine what to build: prefer town first, then tower
-  const buildOrder = ["town", "tower"];
-
-  for (const buildType of buildOrder) {
-    const cost = buildCosts[buildType];
-    if (!cost) continue;
-
-    // Check affordability
-    let canAfford = true;
-    for (const res in cost) {
-      if ((resources[res] || 0) < cost[res]) {
-        canAfford = false;
-        break;
-      }
-    }
-    if (!canAfford) continue;
-
-    // Count existing structures of this type
-    const existing = (nation.cities || []).filter(
-      (c) =>
-        c.type === buildType || (buildType === "town" && c.type === "capital"),
-    );
-
-    // Bots limit: 1 town per ~100 territory, up to 3; towers: 1 per ~60 territory, up to 4
-    const maxForBot =
-      buildType === "town"
-        ? Math.min(3, Math.floor(territory.x.length / 100))
-        : Math.min(4, Math.floor(territory.x.length / 60));
-    if (existing.length >= maxForBot) continue;
-
-    // Find a valid cell to build on
-    const anchor = getNationAnchor(nation);
-    if (!anchor) continue;
-
-    const tx = territory.x;
-    const ty = territory.y;
-
-    // Build a set of all nations' structures for distance checks
-    const allCities = [];
-    for (const n of gameState?.nations || []) {
-      for (const c of n.cities || []) {
-        allCities.push(c);
-      }
-    }
-
-    let bestCell = null;
-    let bestScore = -Infinity;
-
-    // Sample territory cells (check up to 200 random cells to avoid O(n) on huge territories)
-    const sampleSize = Math.min(territory.x.length, 200);
-    const step = Math.max(1, Math.floor(territory.x.length / sampleSize));
-
-    for (let i = 0; i < territory.x.length; i += step) {
-      const cx = tx[i];
-      const cy = ty[i];
-
-      // Skip if out of map bounds
-      if (!mapData[cy] || !mapData[cy][cx]) continue;
-
-      // Skip ocean
-      const cell = mapData[cy][cx];
-      if (cell.biome === "OCEAN") continue;
-
-      // Skip if a structure already exists here
-      if (allCities.some((c) => c.x === cx && c.y === cy)) continue;
-
-      // Distance checks
-      if (buildType === "town") {
-        // Must be 5+ cells from other towns/capitals
-        const tooClose = allCities.some(
-          (c) =>
-            (c.type === "town" || c.type === "capital") &&
-            Math.abs(c.x - cx) + Math.abs(c.y - cy) < 5,
-        );
-        if (tooClose) continue;
-      } else if (buildType === "tower") {
-        // Must be 3+ cells from other towers
-        const tooClose = (nation.cities || []).some(
-          (c) =>
-            c.type === "tower" && Math.abs(c.x - cx) + Math.abs(c.y - cy) < 3,
-        );
-        if (tooClose) continue;
-      }
-
-      // Region limit check
-      if (assignment && regWidth && regionCfg) {
-        const rId = assignment[cy * regWidth + cx];
-        if (rId !== 65535) {
-          if (buildType === "town") {
-            let townCount = 0;
-            for (const c of allCities) {
-              if (
-                (c.type === "town" || c.type === "capital") &&
-                assignment[c.y * regWidth + c.x] === rId
-              ) {
-                townCount++;
-              }
-            }
-            if (townCount >= (regionCfg.maxTownsPerRegion ?? 1)) continue;
-          } else if (buildType === "tower") {
-            let towerCount = 0;
-            for (const c of nation.cities || []) {
-              if (
-                c.type === "tower" &&
-                assignment[c.y * regWidth + c.x] === rId
-              ) {
-                towerCount++;
-              }
-            }
-            if (towerCount >= (regionCfg.maxTowersPerRegion ?? 2)) continue;
-          }
-        }
-      }
-
-      // Scoring: prefer cells away from capital (for spread), closer to border (for towers)
-      const distFromAnchor = Math.hypot(cx - anchor.x, cy - anchor.y);
-      let score = 0;
-
-      if (buildType === "town") {
-        // Towns: prefer moderate distance from anchor, not too far
-        score = distFromAnchor - Math.abs(distFromAnchor - 15) * 0.5;
-      } else {
-        // Towers: prefer border regions (cells near territory edge)
-        score = distFromAnchor * 0.5; // further from capital is better for defense
-      }
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestCell = { x: cx, y: cy };
-      }
-    }
-
-    if (!bestCell) continue;
-
-    // Deduct resources
-    for (const res in cost) {
-      nation.resources[res] = (nation.resources[res] || 0) - cost[res];
-    }
-
-    // Create the structure with a proper generated name
-    const existingNames = new Set((nation.cities || []).map((c) => c.name));
-    const structureName =
-      buildType === "town"
-        ? generateUniqueName(generateCityName, existingNames)
-        : generateUniqueName(generateTowerName, existingNames);
-
-    nation.cities = nation.cities || [];
-    nation.cities.push({
-      name: structureName,
-      x: bestCell.x,
-      y: bestCell.y,
-      population: buildType === "tower" ? 0 : 50,
-      type: buildType,
-    });
-
-    // Invalidate loyalty city bonus cache
-    if (matrix) matrix._cityBonusVersion = (matrix._cityBonusVersion || 0) + 1;
-
-    debug(
-      `[BOTS] ${nation.name || nation.owner} built ${buildType} "${structureName}" at (${bestCell.x},${bestCell.y})`,
-    );
-
-    // Only build one structure per tick
-    return;
-  }
-}
-
-function selectBotTargetCellAny(
-  nation,
-  mapData,
-  ownershipMap,
-  anchor,
-  resourceNodeClaims,
-  matrix = null,
-  nIdx = undefined,
-) {
-  const candidates = getFrontierCandidatesForBot(
-    nation,
-    mapData,
-    ownershipMap,
-    anchor,
-    resourceNodeClaims,
-    matrix,
-    nIdx,
-  );
-  if (!candidates.length) return null;
-  return candidates[Math.floor(Math.random() * candidates.length)];
-}
-
-function selectBotTargetCell(
-  nation,
-  mapData,
-  ownershipMap,
-  anchor,
-  resourceNodeClaims,
-  matrix = null,
-  nIdx = undefined,
-) {
-  const candidates = getFrontierCandidatesForBot(
-    nation,
-    mapData,
-    ownershipMap,
-    anchor,
-    resourceNodeClaims,
-    matrix,
-    nIdx,
-  );
-  if (!candidates.length) return null;
-  const pickTop = config?.territorial?.botCandidatePickTop ?? 12;
-  const pool = candidates.slice(0, Math.max(1, pickTop));
-  return pool[Math.floor(Math.random() * pool.length)];
-}
-
-/**
- * Bot AI using the arrow system instead of pressure orders
- * Creates simple 2-point arrow paths (anchor -> target)
- */
-function maybeEnqueueBotArrow(
-  nation,
-  mapData,
-  ownershipMap,
-  bonusesByOwner,
-  tickCount,
-  gameState,
-  matrix = null,
-) {
-  // Skip defeated bots
-  if (nation.status === "defeated") {
-    return;
-  }
-
-  if (!ownershipMap && !matrix) {
-    if (process.env.DEBUG_BOTS === "true") {
-      debug(`[BOTS] skip ${nation.owner} no ownership source`);
-    }
-    return;
-  }
-
-  // Migrate legacy single attack to attacks[]
-  migrateArrowOrders(nation);
-
-  // Adapt bot troop mobilization target based on game state
-  if (config?.troopDensity?.enabled) {
-    const attacks = nation.arrowOrders?.attacks || [];
-    // Check if any enemy arrows are targeting cells near this nation's territory
-    const underThreat = (gameState?.nations || []).some((n) => {
-      if (n.owner === nation.owner || n.status === "defeated") return false;
-      const enemyAttacks = n.arrowOrders?.attacks || [];
-      return enemyAttacks.some((a) => {
-        if (!a.path || a.path.length < 2) return false;
-        const target = a.path[a.path.length - 1];
-        const dist = getMinDistanceToTerritory(nation, target.x, target.y, 15);
-        return dist <= 10;
-      });
-    });
-
-    if (underThreat) {
-      nation.troopTarget = 0.4; // Under threat: high mobilization
-    } else if (attacks.length > 0) {
-      nation.troopTarget = 0.3; // Active arrows: moderate mobilization
-    } else {
-      nation.troopTarget = 0.15; // Peacetime: low mobilization
-    }
-  }
-
-  const maxAttackArrows = config?.territorial?.maxAttackArrows ?? 3;
-  const attacks = nation.arrowOrders?.attacks || [];
-
-  // Determine max arrows for this bot based on territory size
-  const territorySize = nation.territory?.x?.length || 0;
-  const botMaxArrows = territorySize > 200 ? Math.min(2, maxAttackArrows) : 1;
-
-  // Check if bot already has max arrows
-  if (attacks.length >= botMaxArrows) {
-    if (tickCount % 20 === 0) {
-      debug(
-        `[BOTS] ${nation.name || nation.owner} has ${attacks.length} active arrows`,
-      );
-    }
-    return;
-  }
-
-  const orderInterval = config?.territorial?.botOrderIntervalTicks ?? 4;
-  const lastTick = nation.lastBotOrderTick ?? -Infinity;
-  if (tickCount - lastTick < orderInterval) {
-    if (tickCount % 50 === 0 && process.env.DEBUG_BOTS === "true") {
-      debug(
-        `[BOTS] ${nation.name || nation.owner} waiting (interval=${tickCount - lastTick}/${orderInterval})`,
-      );
-    }
-    return;
-  }
-
-  const anchor = getNationAnchor(nation);
-  if (!anchor) {
-    if (process.env.DEBUG_BOTS === "true") {
-      debug(`[BOTS] skip ${nation.owner} no anchor`);
-    }
-    return;
-  }
-
-  const resourceNodeClaims = gameState?.resourceNodeClaims || null;
-  const nIdx = matrix ? matrix.ownerToIndex.get(nation.owner) : undefined;
-  let candidate = selectBotTargetCell(
-    nation,
-    mapData,
-    ownershipMap,
-    anchor,
-    resourceNodeClaims,
-    matrix,
-    nIdx,
-  );
-  if (!candidate) {
-    candidate = selectBotTargetCellAny(
-      nation,
-      mapData,
-      ownershipMap,
-      anchor,
-      resourceNodeClaims,
-      matrix,
-      nIdx,
-    );
-  }
-  if (!candidate) {
-    debug(
-      `[BOTS] ${nation.name || nation.owner} has no expansion candidates (territory: ${nation.territory?.x?.length || 0} cells)`,
-    );
-    return;
-  }
-
-  // Diagnostic: how far is the frontier candidate from the nearest border?
-  const borderDist = getMinDistanceToTerritory(
-    nation,
-    candidate.x,
-    candidate.y,
-    20,
-  );
-  const anchorDist = Math.hypot(candidate.x - anchor.x, candidate.y - anchor.y);
-
-  const minPercent = config?.territorial?.minAttackPercent ?? 0.05;
-  const maxPercent = config?.territorial?.maxAttackPercent ?? 1;
-  const rawPercent =
-    config?.territorial?.botAttackPercent ??
-    config?.territorial?.defaultAttackPercent ??
-    0.3;
-  const clampedPercent = Math.min(Math.max(rawPercent, minPercent), maxPercent);
-
-  const troopDensityEnabled = config?.troopDensity?.enabled;
-
-  const available = nation.population || 0;
-  const power = available * clampedPercent;
-  if (power <= 0) {
-    debug(
-      `[BOTS] ${nation.name || nation.owner} has no population (${available.toFixed(1)})`,
-    );
-    return;
-  }
-
-  const actualPower = available < 10 ? available : power;
-
-  // Arrow resource cost check for bots
-  const arrowCostCfg = config?.arrowCosts;
-  if (arrowCostCfg) {
-    const attacks = nation.arrowOrders?.attacks || [];
-    // First arrow free: applies when bot has no active arrows at all
-    const isFirstArrow = arrowCostCfg.firstArrowFree && attacks.length === 0;
-    if (!isFirstArrow) {
-      const estPathLen = Math.hypot(
-        candidate.x - anchor.x,
-        candidate.y - anchor.y,
-      );
-      const foodCost = Math.ceil(
-        arrowCostCfg.food.base + arrowCostCfg.food.perTile * estPathLen,
-      );
-      const goldCost = Math.ceil(
-        arrowCostCfg.gold.base + arrowCostCfg.gold.perTile * estPathLen,
-      );
-      // Bots keep a resource buffer — don't spend last 30% of resources on arrows
-      const foodAvail = (nation.resources?.food || 0) * 0.7;
-      const goldAvail = (nation.resources?.gold || 0) * 0.7;
-      if (foodAvail < foodCost || goldAvail < goldCost) {
-        return; // Can't afford arrow, save resources
-      }
-      nation.resources.food -= foodCost;
-      nation.resources.gold -= goldCost;
-    }
-  }
-
-  // In troop density mode, verify there's meaningful troop density near the
-  // border in the target direction before committing resources to an arrow.
-  // Without this check, bots create arrows targeting border areas with no
-  // troops, which immediately stall and waste arrow slots + resources.
-  if (troopDensityEnabled && matrix) {
-    const nIdx2 = matrix.ownerToIndex.get(nation.owner);
-    if (nIdx2 !== undefined) {
-      // Walk from anchor toward candidate, find the border crossing
-      const bdx = candidate.x - anchor.x;
-      const bdy = candidate.y - anchor.y;
-      const bdist = Math.hypot(bdx, bdy);
-      if (bdist > 1) {
-        const bnx = bdx / bdist;
-        const bny = bdy / bdist;
-        let borderX = -1,
-          borderY = -1;
-        for (let s = 0; s <= Math.ceil(bdist); s++) {
-          const sx = Math.round(anchor.x + bnx * s);
-          const sy = Math.round(anchor.y + bny * s);
-          if (!matrix.inBounds(sx, sy)) break;
-          if (!matrix.isOwnedBy(sx, sy, nIdx2)) {
-            borderX = Math.round(anchor.x + bnx * Math.max(0, s - 1));
-            borderY = Math.round(anchor.y + bny * Math.max(0, s - 1));
-            break;
-          }
-        }
-        if (borderX >= 0 && borderY >= 0) {
-          // Check troop density in a small radius around the border crossing
-          let borderDensity = 0;
-          const checkR = 5;
-          for (let dy2 = -checkR; dy2 <= checkR; dy2++) {
-            for (let dx2 = -checkR; dx2 <= checkR; dx2++) {
-              const fx = borderX + dx2;
-              const fy = borderY + dy2;
-              if (!matrix.inBounds(fx, fy)) continue;
-              const fi = matrix.idx(fx, fy);
-              if (matrix.ownership[fi] === nIdx2) {
-                borderDensity += matrix.troopDensity[nIdx2 * matrix.size + fi];
-              }
-            }
-          }
-          if (borderDensity < 5) {
-            return; // Not enough troops near border in this direction
-          }
-        }
-      }
-    }
-  }
-
-  // Only deduct population in legacy mode
-  if (!troopDensityEnabled) {
-    nation.population = Math.max(0, available - actualPower);
-  }
-  nation.arrowOrders = nation.arrowOrders || {};
-  if (!nation.arrowOrders.attacks) nation.arrowOrders.attacks = [];
-
-  // Project the target further in the expansion direction so the arrow
-  // has room to expand before reaching its final waypoint.
-  // Without this, pathLen=2 targets a single frontier cell (1 tile from
-  // the border) which gets claimed in 1 tick, wasting 99% of arrow power.
-  const dx = candidate.x - anchor.x;
-  const dy = candidate.y - anchor.y;
-  const dist = Math.hypot(dx, dy);
-  const range = config?.territorial?.arrowBaseRange ?? 15;
-  let targetX, targetY;
-  if (dist > 0.001) {
-    const nx = dx / dist;
-    const ny = dy / dist;
-    targetX = Math.round(anchor.x + nx * (dist + range));
-    targetY = Math.round(anchor.y + ny * (dist + range));
-  } else {
-    // Degenerate case: candidate is at the anchor, just push outward
-    targetX = candidate.x + range;
-    targetY = candidate.y;
-  }
-
-  // Clamp to map bounds if we have mapData dimensions
-  if (mapData && mapData[0]) {
-    const mapW = mapData[0].length;
-    const mapH = mapData.length;
-    targetX = Math.max(0, Math.min(mapW - 1, targetX));
-    targetY = Math.max(0, Math.min(mapH - 1, targetY));
-  }
-
-  const arrowPath = [
-    { x: anchor.x, y: anchor.y },
-    { x: targetX, y: targetY },
-  ];
-
-  nation.arrowOrders.attacks.push({
-    id: `bot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-    type: "attack",
-    path: arrowPath,
-    currentIndex: 1,
-    remainingPower: troopDensityEnabled ? 0 : actualPower,
-    initialPower: troopDensityEnabled ? 0 : actualPower,
-    troopCommitment: clampedPercent,
-    percent: clampedPercent,
-    createdAt: new Date(),
-    createdAtTick: tickCount,
-    frontWidth: 0,
-    advanceProgress: 0,
-    phase: 1,
-    phaseConsolidationRemaining: 0,
-    status: "advancing",
-    opposingForces: [],
-    headX: arrowPath[0].x,
-    headY: arrowPath[0].y,
-    effectiveDensityAtFront: 0,
-  });
-
-  nation.lastBotOrderTick = tickCount;
-}
-
-function pickBotDirection(nation, gameState, anchor) {
-  if (!anchor) return randomDirection();
-  const enemies = (gameState?.nations || []).filter(
-    (n) => n.owner !== nation.owner && n.status !== "defeated",
-  );
-  let best = null;
-  let bestDist = Infinity;
-  enemies.forEach((enemy) => {
-    const enemyAnchor = getNationAnchor(enemy);
-    if (!enemyAnchor) return;
-    const dist = Math.hypot(enemyAnchor.x - anchor.x, enemyAnchor.y - anchor.y);
-    if (dist < bestDist) {
-      bestDist = dist;
-      best = enemyAnchor;
-    }
-  });
-  if (!best) return randomDirection();
-  const dir = normalizeVector(best.x - anchor.x, best.y - anchor.y);
-  return dir || randomDirection();
-}
-
-function randomDirection() {
-  const angle = Math.random() * Math.PI * 2;
-  return { x: Math.cos(angle), y: Math.sin(angle) };
-}
-function getFrontierCandidatesForBot(
-  nation,
-  mapData,
-  ownershipMap,
-  anchor,
-  resourceNodeClaims = null,
-  matrix = null,
-  nIdx = undefined,
-) {
-  const candidates = [];
-  const maxCandidates = config?.territorial?.botFrontierCandidateLimit ?? 0;
-  const seen = new Set();
-  const similarityWeight = config?.territorial?.similarityWeight ?? 1;
-  const similarityPower = config?.territorial?.similarityPower ?? 1;
-  const distancePenaltyPerTile =
-    config?.territorial?.distancePenaltyPerTile ?? 0.02;
-  const scanLimit = config?.territorial?.frontierScanLimit ?? 0;
-  const resourceWeight = config?.territorial?.botResourcePriorityWeight ?? 1.2;
-  const resourceAdjWeight =
-    config?.territorial?.botResourceAdjacencyWeight ?? 0.4;
-
-  const territoryX = nation?.territory?.x || [];
-  const territoryY = nation?.territory?.y || [];
-  const width = mapData[0].length;
-  const height = mapData.length;
-
-  const step =
-    scanLimit > 0 && territoryX.length > scanLimit
-      ? Math.ceil(territoryX.length / scanLimit)
-      : 1;
-  for (let i = 0; i < territoryX.length; i += step) {
-    const x = territoryX[i];
-    const y = territoryY[i];
-    const neighbors = [
-      [1, 0],
-      [-1, 0],
-      [0, 1],
-      [0, -1],
-    ];
-    for (const [dx, dy] of neighbors) {
-      const nx = x + dx;
-      const ny = y + dy;
-      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
-      const key = `${nx},${ny}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      if (ownershipMap?.get(key)?.owner === nation.owner) continue;
-      // Check matrix ground truth — skip cells already owned by us (legacy map may be stale)
-      if (matrix && nIdx !== undefined && matrix.isOwnedBy(nx, ny, nIdx))
-        continue;
-      const cell = mapData[ny]?.[nx];
-      if (!cell || cell.biome === "OCEAN") continue;
-      const sourceCell = mapData[y]?.[x];
-      const similarity = getTerrainCostModifiers(
-        sourceCell?.biome,
-        cell?.biome,
-      ).similarity;
-      const similarityScore = Math.pow(similarity, similarityPower);
-      const distance = anchor ? Math.hypot(nx - anchor.x, ny - anchor.y) : 0;
-      const claim = resourceNodeClaims?.[key];
-      const resourceOwned = claim && claim.owner === nation.owner;
-      const resourceOpen = !!cell.resourceNode?.type && !resourceOwned;
-      let resourceScore = resourceOpen ? resourceWeight : 0;
-      if (!resourceOpen && resourceAdjWeight > 0) {
-        const adj = [
-          [1, 0],
-          [-1, 0],
-          [0, 1],
-          [0, -1],
-        ];
-        for (const [adx, ady] of adj) {
-          const ax = nx + adx;
-          const ay = ny + ady;
-          if (ax < 0 || ay < 0 || ax >= width || ay >= height) continue;
-          const adjCell = mapData[ay]?.[ax];
-          if (!adjCell?.resourceNode?.type) continue;
-          const adjKey = `${ax},${ay}`;
-          const adjClaim = resourceNodeClaims?.[adjKey];
-          if (adjClaim && adjClaim.owner === nation.owner) continue;
-          resourceScore = Math.max(resourceScore, resourceAdjWeight);
-        }
-      }
-      const score =
-        similarityWeight * similarityScore -
-        distancePenaltyPerTile * distance +
-        resourceScore;
-      candidates.push({
-        x: nx,
-        y: ny,
-        score,
-      });
-    }
-  }
-
-  candidates.sort((a, b) => b.score - a.score);
-  if (maxCandidates > 0 && candidates.length > maxCandidates) {
-    return candidates.slice(0, maxCandidates);
-  }
-  return candidates;
-}
-
 /**
  * Migrate legacy single attack arrow to attacks[] array
  */
-function migrateArrowOrders(nation) {
+export function migrateArrowOrders(nation) {
   if (!nation.arrowOrders) return;
   if (nation.arrowOrders.attack && !nation.arrowOrders.attacks) {
     const legacy = nation.arrowOrders.attack;
@@ -1278,12 +681,14 @@ export function computePathLength(path) {
 }
 
 /**
- * Compute max arrow range for a nation based on population
+ * Compute max arrow range for a nation based on population; research can
+ * raise the cap
  */
 export function computeMaxArrowRange(nation) {
   const baseRange = config?.territorial?.arrowBaseRange ?? 15;
   const rangePerSqrtPop = config?.territorial?.arrowRangePerSqrtPop ?? 0.15;
-  const maxRange = config?.territorial?.arrowMaxRange ?? 60;
+  const maxRange =
+    (config?.territorial?.arrowMaxRange ?? 60) + getResearchEffects(nation).arrowRange;
   const pop = nation.population || 0;
   return Math.min(maxRange, baseRange + Math.sqrt(pop) * rangePerSqrtPop);
 }
@@ -1999,6 +1404,12 @@ function processAttackArrowFrontline(
         currentOwnerNation = currentOwner || null;
       }
 
+      // Teammates and pact partners keep their land
+      if (!canAttack(gameState, nation, currentOwnerNation)) {
+        attempts++;
+        continue;
+      }
+
       // Recheck live owned neighbors (may have changed during this tick)
       let liveOwned = 0;
       if (useMatrix) {
@@ -2022,7 +1433,8 @@ function processAttackArrowFrontline(
         cell?.biome,
       );
       const targetTerrainMult =
-        terrainExpansionCostMultByBiome[cell?.biome] || 1;
+        (terrainExpansionCostMultByBiome[cell?.biome] || 1) *
+        (bonusesByOwner?.[nation.owner]?.terrainExpansionCostMult?.[cell?.biome] ?? 1);
       let terrainCrossMult = 1;
       if (sourceCell?.biome === "RIVER" || cell?.biome === "RIVER")
         terrainCrossMult *= riverCrossingCostMult;
@@ -2515,6 +1927,18 @@ function processArrowOrders(
     }
   }
 
+  // Fleets at sea (naval arrows)
+  if (nation.arrowOrders.naval?.length > 0) {
+    processNavalArrows(
+      nation,
+      gameState,
+      mapData,
+      ownershipMap,
+      bonusesByOwner,
+      matrix,
+    );
+  }
+
   // Hole-filling pass
   if (nation.territory?.x?.length > 0) {
     const holesToFill = [];
@@ -2591,10 +2015,197 @@ function processArrowOrders(
   }
 }
 
+/**
+ * Sail each of the nation's fleets one tick (see naval.js). Fleets worn down
+ * to minFleetPower sink with their troops; fleets that reach the target
+ * coast land via landFleet.
+ */
+function processNavalArrows(
+  nation,
+  gameState,
+  mapData,
+  ownershipMap,
+  bonusesByOwner,
+  matrix = null,
+) {
+  const minFleetPower = getNavalConfig().minFleetPower ?? 1;
+  const stillSailing = [];
+  for (const fleet of nation.arrowOrders.naval) {
+    const arrived = advanceFleet(fleet);
+    applyFleetCombat(fleet, nation, gameState);
+    if (!(fleet.remainingPower > minFleetPower)) {
+      debug(
+        `[NAVAL] Fleet ${fleet.id} of ${nation.name || nation.owner} sunk at (${fleet.x},${fleet.y})`,
+      );
+      continue;
+    }
+    if (arrived) {
+      landFleet(fleet, nation, gameState, mapData, ownershipMap, bonusesByOwner, matrix);
+    } else {
+      stillSailing.push(fleet);
+    }
+  }
+  nation.arrowOrders.naval = stillSailing;
+}
+
+/**
+ * Land a fleet at its target: flood outward from the target tile capturing
+ * unowned and hostile land, paying landingTileCost per tile (scaled like an
+ * attack for defended land, plus any defending troops there), up to
+ * maxBeachheadTiles. Surviving troops rejoin the nation on the beachhead,
+ * which stays connected through nation.navalLandings while a port is held.
+ * A landing that cannot take a single tile is repulsed and its troops lost.
+ */
+function landFleet(
+  fleet,
+  nation,
+  gameState,
+  mapData,
+  ownershipMap,
+  bonusesByOwner,
+  matrix = null,
+) {
+  const navalCfg = getNavalConfig();
+  const tileCost = navalCfg.landingTileCost ?? 6;
+  const defenseMult = navalCfg.landingDefenseMult ?? 2;
+  const maxTiles = navalCfg.maxBeachheadTiles ?? 60;
+  const baseDefense = config?.territorial?.baseDefense || 1;
+  const terrainDefenseMultByBiome =
+    config?.territorial?.terrainDefenseMultByBiome || {};
+  const structureConfig = config?.structures || {};
+  const expansionPower = bonusesByOwner?.[nation.owner]?.expansionPower || 1;
+  const attackPower = bonusesByOwner?.[nation.owner]?.attackPower || 1;
+
+  const useMatrix = !!matrix;
+  const nIdx = useMatrix ? matrix.ownerToIndex.get(nation.owner) : undefined;
+  const loyaltyEnabled = useMatrix && config?.loyalty?.enabled !== false;
+  const densityEnabled =
+    config?.troopDensity?.enabled && useMatrix && nIdx !== undefined;
+  const width = mapData[0]?.length || 0;
+  const height = mapData.length || 0;
+  const neighbors = [
+    [1, 0],
+    [-1, 0],
+    [0, 1],
+    [0, -1],
+  ];
+
+  let power = fleet.remainingPower || 0;
+  const beachhead = [];
+  const queue = [{ x: fleet.target.x, y: fleet.target.y }];
+  const seen = new Set([(fleet.target.y << 16) | fleet.target.x]);
+
+  for (let q = 0; q < queue.length && beachhead.length < maxTiles; q++) {
+    const { x, y } = queue[q];
+    const cell = mapData[y]?.[x];
+    if (!cell || cell.biome === "OCEAN") continue;
+
+    let ours = false;
+    let defender = null;
+    if (useMatrix) {
+      const ownerIdx = matrix.getOwner(x, y);
+      ours = ownerIdx === nIdx;
+      if (!ours && ownerIdx !== UNOWNED) {
+        const ownerId = matrix.getOwnerByIndex(ownerIdx);
+        defender = gameState.nations.find((n) => n.owner === ownerId) || null;
+      }
+    } else {
+      const current = ownershipMap?.get(`${x},${y}`);
+      ours = current?.owner === nation.owner;
+      if (!ours) defender = current || null;
+    }
+
+    if (!ours) {
+      if (!canAttack(gameState, nation, defender)) continue;
+      let cost = tileCost / expansionPower;
+      let defenderDensityIdx = -1;
+      if (defender) {
+        const defenderPower =
+          bonusesByOwner?.[defender.owner]?.defensePower || 1;
+        const defense =
+          baseDefense *
+          defenderPower *
+          (terrainDefenseMultByBiome[cell.biome] || 1) *
+          getStructureDefenseBoost(x, y, defender, structureConfig)
+            .troopLossMultiplier;
+        cost = (tileCost * defenseMult * defense) / attackPower;
+        const defenderIdx = useMatrix
+          ? matrix.ownerToIndex.get(defender.owner)
+          : undefined;
+        if (densityEnabled && defenderIdx !== undefined) {
+          defenderDensityIdx = defenderIdx * matrix.size + matrix.idx(x, y);
+          cost += matrix.troopDensity[defenderDensityIdx];
+        }
+      }
+      if (cost > power) continue;
+      power -= cost;
+
+      if (defender) {
+        if (defenderDensityIdx >= 0) {
+          defender.troopCount = Math.max(
+            0,
+            (defender.troopCount || 0) - matrix.troopDensity[defenderDensityIdx],
+          );
+          matrix.troopDensity[defenderDensityIdx] = 0;
+        }
+        if (useMatrix) {
+          const targetIdx = matrix.ownerToIndex.get(defender.owner);
+          if (targetIdx !== undefined && matrix.isOwnedBy(x, y, targetIdx)) {
+            matrix.setOwner(x, y, UNOWNED);
+          }
+        }
+        removeTerritoryCell(defender, x, y);
+      }
+      if (useMatrix && nIdx !== undefined) {
+        matrix.setOwner(x, y, nIdx);
+        if (loyaltyEnabled) matrix.setLoyalty(x, y, nIdx, 1.0);
+      }
+      addTerritoryCell(nation, x, y);
+    }
+
+    beachhead.push({ x, y });
+    for (const [dx, dy] of neighbors) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const key = (ny << 16) | nx;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+
+  if (beachhead.length === 0) {
+    debug(
+      `[NAVAL] Landing of ${nation.name || nation.owner} at (${fleet.target.x},${fleet.target.y}) repulsed`,
+    );
+    return;
+  }
+
+  // Survivors go ashore
+  nation.population = (nation.population || 0) + power;
+  if (densityEnabled) {
+    nation.troopCount = (nation.troopCount || 0) + power;
+    const perTile = power / beachhead.length;
+    for (const tile of beachhead) {
+      matrix.troopDensity[nIdx * matrix.size + matrix.idx(tile.x, tile.y)] +=
+        perTile;
+    }
+  }
+  nation.navalLandings = [
+    ...(nation.navalLandings || []),
+    { x: beachhead[0].x, y: beachhead[0].y },
+  ];
+  debug(
+    `[NAVAL] ${nation.name || nation.owner} landed at (${fleet.target.x},${fleet.target.y}): ${beachhead.length} tiles, ${Math.round(power)} troops ashore`,
+  );
+}
+
 /**
  * Calculate defense effects from nearby structures (OpenFront-style defense posts)
  * Towers/towns in range cause higher troop losses and slower attack speed
  * Only the strongest effect applies (like OpenFront's "only one post applies per tile")
+ * Towers are scaled by the defender's researched towerStrength
  * @param {number} x - Target tile x coordinate
  * @param {number} y - Target tile y coordinate
  * @param {object} defenderNation - The nation defending the tile
@@ -2619,6 +2230,7 @@ function getStructureDefenseBoost(x, y, defenderNation, structureConfig) {
 
   let bestTroopLossMult = 1;
   let bestSpeedMult = 1;
+  let towerStrength = null;
 
   for (const city of defenderNation.cities) {
     // Use Euclidean distance like OpenFront
@@ -2627,7 +2239,8 @@ function getStructureDefenseBoost(x, y, defenderNation, structureConfig) {
 
     if (city.type === "tower") {
       radius = towerConfig.defenseRadius;
-      troopLossMult = towerConfig.troopLossMultiplier;
+      towerStrength ??= getResearchEffects(defenderNation).towerStrength;
+      troopLossMult = towerConfig.troopLossMultiplier * towerStrength;
       speedReduction = towerConfig.speedReduction;
     } else if (city.type === "town" || city.type === "capital") {
       radius = townConfig.defenseRadius;
@@ -2652,16 +2265,7 @@ function getStructureDefenseBoost(x, y, defenderNation, structureConfig) {
   };
 }
 
-function normalizeVector(x, y) {
-  const dx = Number(x);
-  const dy = Number(y);
-  if (!Number.isFinite(dx) || !Number.isFinite(dy)) return null;
-  const len = Math.hypot(dx, dy);
-  if (len === 0) return null;
-  return { x: dx / len, y: dy / len };
-}
-
-function getNationAnchor(nation) {
+export function getNationAnchor(nation) {
   const capital =
     nation.cities && nation.cities.find((city) => city.type === "capital");
   if (capital) return { x: capital.x, y: capital.y };
@@ -2672,7 +2276,7 @@ function getNationAnchor(nation) {
   return null;
 }
 
-function getMinDistanceToTerritory(nation, x, y, maxDistance = Infinity) {
+export function getMinDistanceToTerritory(nation, x, y, maxDistance = Infinity) {
   if (!nation?.territory?.x || !nation?.territory?.y) return Infinity;
   let best = Infinity;
   const tx = nation.territory.x;
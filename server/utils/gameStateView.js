@@ -1,6 +1,22 @@
 import { packTerritoryDelta } from "./packedDelta.js";
 import { buildTroopDensityPayload } from "./matrixTroopDensity.js";
 import config from "../config/config.js";
+import { getDiplomacyView } from "./diplomacy.js";
+import { getMatchEventsView } from "./matchEvents.js";
+import { getFleetViews } from "./naval.js";
+import { getBotSlots, isPlayerReady } from "./lobby.js";
+import { getAccessView } from "./roomAccess.js";
+import {
+  filterDeltaForViewer,
+  filterTerritoryForViewer,
+  getFogPayload,
+  getViewerFog,
+  isCellVisible,
+  isFriendlyToViewer,
+} from "./fogOfWar.js";
+
+// Viewer id used for spectators — owns nothing, so every nation gets the enemy view
+export const SPECTATOR_VIEWER_ID = "__spectator__";
 
 // Strip internal caches from nation object before sending to client
 function stripInternalCaches(nation) {
@@ -27,6 +43,12 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
   // Use packed deltas for smaller payloads (enable via env var)
   const usePackedDeltas = process.env.USE_PACKED_DELTAS === "true";
 
+  // In fog-of-war rooms, enemies are cut down to what the viewer can see
+  const viewerFog = getViewerFog(gameRoom._id, gameRoom.gameState, userId, {
+    matrix,
+    tick: gameRoom.tickCount || 0,
+  });
+
   const filterNation = (nation) => {
     if (nation.status === "defeated") {
       return {
@@ -37,6 +59,16 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
 
     const cleanNation = stripInternalCaches(nation);
     const isOwner = nation.owner === userId;
+    const fogged = !!viewerFog && !isFriendlyToViewer(viewerFog, nation);
+    // Ships at sea are visible to everyone in sight, without their routes
+    cleanNation.fleets = getFleetViews(nation);
+    if (fogged) {
+      const seen = (item) => isCellVisible(viewerFog, item.x, item.y);
+      cleanNation.fleets = cleanNation.fleets.filter(seen);
+      cleanNation.cities = (cleanNation.cities || []).filter(seen);
+      delete cleanNation.startingCell;
+      delete cleanNation.navalLandings;
+    }
 
     // Strip sensitive data from enemy nations
     if (!isOwner) {
@@ -56,16 +88,22 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
       if (full) {
         return {
           ...publicNation,
+          ...(fogged
+            ? { territory: filterTerritoryForViewer(viewerFog, nation.territory) }
+            : {}),
           territoryDeltaForClient: null,
           packedDelta: null,
         };
       }
 
       const { territory, territoryLoyalty, ...rest } = publicNation;
-      const delta = nation.territoryDeltaForClient || {
+      let delta = nation.territoryDeltaForClient || {
         add: { x: [], y: [] },
         sub: { x: [], y: [] },
       };
+      if (fogged) {
+        delta = filterDeltaForViewer(viewerFog, nation.owner, delta, gameRoom.tickCount);
+      }
       const packedDelta = usePackedDeltas ? packTerritoryDelta(delta) : null;
 
       return {
@@ -139,17 +177,41 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
     if (claim.progressOwner === userId) {
       // Player's own in-progress claim: show full data
       filteredClaims[key] = claim;
+    } else if (viewerFog && !isCellVisible(viewerFog, ...key.split(",").map(Number))) {
+      // Out of sight: the node is known, its owner isn't
+      filteredClaims[key] = { type: claim.type, owner: null };
     } else {
       // Other players' claims: only show completed owner + type
       filteredClaims[key] = { type: claim.type, owner: claim.owner || null };
     }
   }
 
+  // Node levels under fog follow the claims: known only where visible
+  const rawUpgrades = gameRoom.gameState?.resourceUpgrades || {};
+  const filteredUpgrades = viewerFog
+    ? Object.fromEntries(
+        Object.entries(rawUpgrades).filter(([key]) =>
+          isCellVisible(viewerFog, ...key.split(",").map(Number))
+        )
+      )
+    : rawUpgrades;
+
   const filteredGameState = {
     nations: (gameRoom.gameState?.nations || []).map(filterNation),
     settings: gameRoom.gameState?.settings,
+    teams: gameRoom.gameState?.teams || {},
+    teamTerritory: gameRoom.gameState?.teamTerritory || {},
+    winningTeam: gameRoom.gameState?.winningTeam ?? null,
+    victory: gameRoom.gameState?.victory || null,
+    diplomacy: getDiplomacyView(gameRoom.gameState?.diplomacy, userId),
+    matchEvents: getMatchEventsView(gameRoom.gameState?.matchEvents, userId, viewerFog),
     resourceNodeClaims: filteredClaims,
+    resourceUpgrades: filteredUpgrades,
   };
+  if (viewerFog) {
+    const fog = getFogPayload(viewerFog, gameRoom.tickCount, full);
+    if (fog) filteredGameState.fog = fog;
+  }
 
   const activeNationOwners = new Set(
     (gameRoom.gameState?.nations || [])
@@ -158,12 +220,10 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
   );
   const players = (gameRoom.players || []).map((player) => {
     const founded = activeNationOwners.has(player.userId);
-    const explicitReady = player?.userState?.ready;
-    const ready = founded || explicitReady === true;
     return {
       userId: player.userId,
       displayName: player?.profile?.displayName || player.userId,
-      ready,
+      ready: isPlayerReady(player),
       founded,
       isCreator: gameRoom?.creator?.userId === player.userId,
     };
@@ -175,7 +235,19 @@ export function buildGameStateResponse(gameRoom, userId, full = false, matrix =
     roomCreator: gameRoom.creator.userId,
     roomStatus: gameRoom.status || "open",
     players,
+    spectatorCount: (gameRoom.spectators || []).length,
     gameState: filteredGameState,
+    // Slots and map info the lobby panel needs before the match starts
+    ...(gameRoom.status === "lobby"
+      ? {
+          lobby: {
+            botSlots: getBotSlots(gameRoom.gameState),
+            mapSize: gameRoom.gameState?.settings?.mapSize || null,
+            mapRevision: gameRoom.gameState?.mapRevision || 0,
+            ...getAccessView(gameRoom),
+          },
+        }
+      : {}),
     usePackedDeltas, // Tell client which format we're using
   };
 }
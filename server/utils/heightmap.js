@@ -0,0 +1,157 @@
+// heightmap.js — Heightmap and biome-color images as map sources
+//
+// A heightmap request is either { preset: "earth" } for a bundled image in
+// assets/heightmaps, or an upload:
+//
+//   { image: <base64 PNG>, biomeImage?: <base64 PNG>, seaLevel?: 0..1 }
+//
+// image       grayscale heightmap; brightness is elevation, pixels darker
+//             than seaLevel are sea (color images use their luminance)
+// biomeImage  optional; each pixel's nearest BIOME_PALETTE color fixes that
+//             tile's biome inland (sea and coast follow elevation), and
+//             transparent pixels are left to the generator
+//
+// Data URLs ("data:image/png;base64,...") are accepted. The map keeps the
+// image's aspect ratio, so only the requested width is used.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "../config/config.js";
+import { decodePng } from "./png.js";
+
+const __heightmapDirname = path.dirname(fileURLToPath(import.meta.url));
+const PRESET_DIR = path.join(__heightmapDirname, "../assets/heightmaps");
+
+// Same colors as the map preview and editor
+export const BIOME_PALETTE = [
+  ["OCEAN", [30, 60, 120]],
+  ["COASTAL", [160, 180, 140]],
+  ["MOUNTAIN", [140, 140, 140]],
+  ["DESERT", [210, 190, 120]],
+  ["SAVANNA", [190, 190, 80]],
+  ["TROPICAL_FOREST", [40, 140, 60]],
+  ["RAINFOREST", [20, 100, 40]],
+  ["TUNDRA", [200, 210, 220]],
+  ["TAIGA", [60, 100, 80]],
+  ["GRASSLAND", [130, 180, 80]],
+  ["WOODLAND", [90, 140, 60]],
+  ["FOREST", [40, 120, 50]],
+  ["RIVER", [50, 90, 170]],
+];
+export const NO_BIOME = 255;
+
+const getHeightmapConfig = () => config?.heightmaps || {};
+
+function decodeImage(encoded, label) {
+  if (typeof encoded !== "string" || !encoded) {
+    return { error: `${label} must be a base64 PNG` };
+  }
+  const base64 = encoded.replace(/^data:[^,]*,/, "");
+  try {
+    // The size limit is checked from the header, before anything is inflated
+    const maxSize = getHeightmapConfig().maxImageSize ?? 2048;
+    const image = decodePng(Buffer.from(base64, "base64"), { maxSize });
+    return { image };
+  } catch (err) {
+    return { error: `${label}: ${err.message}` };
+  }
+}
+
+function toElevation({ width, height, channels, data }) {
+  const out = new Float32Array(width * height);
+  for (let i = 0; i < out.length; i++) {
+    const p = i * channels;
+    out[i] =
+      channels >= 3
+        ? (0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) / 255
+        : data[p] / 255;
+  }
+  return { width, height, data: out };
+}
+
+function toBiomes({ width, height, channels, data }) {
+  const out = new Uint8Array(width * height);
+  const hasAlpha = channels === 2 || channels === 4;
+  for (let i = 0; i < out.length; i++) {
+    const p = i * channels;
+    if (hasAlpha && data[p + channels - 1] < 128) {
+      out[i] = NO_BIOME;
+      continue;
+    }
+    const r = data[p];
+    const g = channels >= 3 ? data[p + 1] : r;
+    const b = channels >= 3 ? data[p + 2] : r;
+    let best = 0;
+    let bestDist = Infinity;
+    for (let k = 0; k < BIOME_PALETTE.length; k++) {
+      const [pr, pg, pb] = BIOME_PALETTE[k][1];
+      const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = k;
+      }
+    }
+    out[i] = best;
+  }
+  return { width, height, data: out };
+}
+
+/** Bundled presets as [{ id, label }] for the room creation form. */
+export function listHeightmapPresets() {
+  const presets = getHeightmapConfig().presets || {};
+  return Object.entries(presets).map(([id, preset]) => ({
+    id,
+    label: preset.label || id,
+  }));
+}
+
+/**
+ * Turn a heightmap request into a map source for the generator. Returns
+ * { error } or { source, width, height } where height follows the image's
+ * aspect ratio.
+ */
+export function resolveHeightmap(spec, width) {
+  if (!spec || typeof spec !== "object") return { error: "Invalid heightmap" };
+  const heightmapConfig = getHeightmapConfig();
+
+  let encoded = spec.image;
+  let encodedBiomes = spec.biomeImage;
+  let seaLevel = spec.seaLevel;
+  if (spec.preset !== undefined) {
+    const preset = heightmapConfig.presets?.[spec.preset];
+    if (!preset) return { error: `Unknown heightmap preset "${spec.preset}"` };
+    const readAsset = (file) =>
+      file ? fs.readFileSync(path.join(PRESET_DIR, file)).toString("base64") : undefined;
+    encoded = readAsset(preset.file);
+    encodedBiomes = readAsset(preset.biomeFile);
+    seaLevel = preset.seaLevel;
+  }
+
+  const heightImage = decodeImage(encoded, "Heightmap image");
+  if (heightImage.error) return { error: heightImage.error };
+  let biomeMap = null;
+  if (encodedBiomes) {
+    const biomeImage = decodeImage(encodedBiomes, "Biome image");
+    if (biomeImage.error) return { error: biomeImage.error };
+    biomeMap = toBiomes(biomeImage.image);
+  }
+
+  seaLevel = Number(seaLevel ?? heightmapConfig.defaultSeaLevel ?? 0.35);
+  if (!(seaLevel > 0 && seaLevel < 1)) {
+    return { error: "seaLevel must be between 0 and 1" };
+  }
+
+  const { image } = heightImage;
+  const height = Math.max(1, Math.round((width * image.height) / image.width));
+  return {
+    width,
+    height,
+    source: {
+      heightmap: toElevation(image),
+      biomeMap,
+      seaLevel,
+      detail: heightmapConfig.detail ?? 0.04,
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// lobby.js — Pre-game lobby rules
+//
+// Rooms wait in the "lobby" status between map generation and /start. Each
+// player has a ready flag in players[].userState.ready: founding a nation
+// sets it, and players can toggle it themselves. The host (gameRoom.creator)
+// can only start once every player is ready, and can kick or ban players,
+// hand the host role to someone else and edit the room settings. Bots get
+// one slot per gameState.bots.count; a slot's nation spawns once the first
+// player founds (see spawnBotsForRoom in gameRoutes.js).
+
+import {
+  DEFAULT_BOT_DIFFICULTY,
+  normalizeBotDifficulty,
+} from "./botAI.js";
+
+// Same cap as the create-room form
+export const MAX_BOTS = 20;
+
+export function isPlayerReady(player) {
+  return player?.userState?.ready === true;
+}
+
+export function getUnreadyPlayers(gameRoom) {
+  return (gameRoom?.players || []).filter((player) => !isPlayerReady(player));
+}
+
+export function isBanned(gameRoom, userId) {
+  return (gameRoom?.bannedUsers || []).includes(userId);
+}
+
+/** Set a player's ready flag. Returns the player, or null if not in the room. */
+export function setPlayerReady(gameRoom, userId, ready) {
+  const player = (gameRoom.players || []).find((p) => p.userId === userId);
+  if (!player) return null;
+  player.userState = { ...(player.userState || {}), ready: !!ready };
+  return player;
+}
+
+/**
+ * Remove a player (and their nation) from the room. With `ban` they can't
+ * join, spectate or rejoin through Discord again. Returns false if the user
+ * isn't in the room.
+ */
+export function removePlayer(gameRoom, userId, { ban = false } = {}) {
+  const inRoom =
+    (gameRoom.players || []).some((p) => p.userId === userId) ||
+    (gameRoom.spectators || []).some((s) => s.userId === userId);
+  if (!inRoom) return false;
+  gameRoom.players = (gameRoom.players || []).filter((p) => p.userId !== userId);
+  gameRoom.spectators = (gameRoom.spectators || []).filter((s) => s.userId !== userId);
+  if (Array.isArray(gameRoom.gameState?.nations)) {
+    gameRoom.gameState.nations = gameRoom.gameState.nations.filter(
+      (nation) => nation.owner !== userId
+    );
+  }
+  if (gameRoom.gameState?.teams?.[userId] !== undefined) {
+    delete gameRoom.gameState.teams[userId];
+  }
+  if (ban && !isBanned(gameRoom, userId)) {
+    gameRoom.bannedUsers = [...(gameRoom.bannedUsers || []), userId];
+  }
+  return true;
+}
+
+/** Make another player the host. Returns false if they aren't a player. */
+export function transferHost(gameRoom, userId) {
+  const player = (gameRoom.players || []).find((p) => p.userId === userId);
+  if (!player) return false;
+  gameRoom.creator = {
+    userId: player.userId,
+    password: player.password || null,
+    profile: player.profile || {},
+  };
+  return true;
+}
+
+/** Tier for bot slot `index` from the room's bot settings */
+export function getSlotDifficulty(bots, index) {
+  return (
+    normalizeBotDifficulty(bots?.difficulties?.[index]) ||
+    normalizeBotDifficulty(bots?.difficulty) ||
+    DEFAULT_BOT_DIFFICULTY
+  );
+}
+
+/** One entry per bot slot; spawned slots carry their nation's owner and name */
+export function getBotSlots(gameState) {
+  const bots = gameState?.bots || {};
+  const count = Math.max(0, Number(bots.count) || 0);
+  const botNations = (gameState?.nations || []).filter((nation) => nation.isBot);
+  return Array.from({ length: count }, (_, index) => {
+    const nation = botNations[index];
+    return {
+      index,
+      difficulty: nation?.botDifficulty || getSlotDifficulty(bots, index),
+      owner: nation?.owner || null,
+      nationName: nation?.nationName || null,
+    };
+  });
+}
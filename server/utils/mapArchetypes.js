@@ -0,0 +1,45 @@
+// mapArchetypes.js — Named map shapes for generated maps
+//
+// gameConfig.json mapArchetypes.presets holds one entry per archetype:
+//
+//   "pangaea": { "version": 1, "label": "Pangaea", "description": "...",
+//                "overrides": { "anchorLayout": "central", ... } }
+//
+// overrides are mapGeneration keys (see DEFAULTS in mapUtils.js) applied on
+// top of the base mapGeneration section, so retuning the base still carries
+// through. Bump an archetype's version whenever its overrides change; maps
+// record the id and version they were generated with.
+
+import config from "../config/config.js";
+
+const getArchetypeConfig = () => config?.mapArchetypes || {};
+
+/** Archetypes as [{ id, label, description, version }] for room forms. */
+export function listMapArchetypes() {
+  const presets = getArchetypeConfig().presets || {};
+  return Object.entries(presets).map(([id, preset]) => ({
+    id,
+    label: preset.label || id,
+    description: preset.description || "",
+    version: preset.version ?? 1,
+  }));
+}
+
+/**
+ * Look up an archetype by id (the configured default when empty). Returns
+ * { error } or { id, version, mapConfig } where mapConfig is the archetype's
+ * overrides merged onto base (the mapGeneration section unless given).
+ */
+export function resolveMapArchetype(id, base = config?.mapGeneration) {
+  const archetypeConfig = getArchetypeConfig();
+  const archetypeId = id || archetypeConfig.default;
+  if (!archetypeId) return { id: null, version: null, mapConfig: base };
+
+  const preset = archetypeConfig.presets?.[archetypeId];
+  if (!preset) return { error: `Unknown map archetype "${archetypeId}"` };
+  return {
+    id: archetypeId,
+    version: preset.version ?? 1,
+    mapConfig: { ...base, ...preset.overrides },
+  };
+}
@@ -0,0 +1,260 @@
+// mapFormat.js — Hand-made map documents (map editor import/export)
+//
+// Custom maps travel as a JSON document:
+//
+//   {
+//     "format": "historyengine-map",
+//     "version": 1,
+//     "name": "Island Chain",
+//     "width": 64,
+//     "height": 48,
+//     "legend": { "~": "OCEAN", "g": "GRASSLAND", ... },   optional
+//     "terrain": ["~~~~gggg...", ...],                     required
+//     "elevation": ["00005566...", ...],                   optional
+//     "resources": [{ "x": 12, "y": 7, "type": "iron", "level": 0 }],
+//     "autoResources": false                               optional
+//   }
+//
+// terrain   `height` strings of `width` characters; each character is a key
+//           of `legend` (DEFAULT_LEGEND when omitted). "RIVER" tiles are
+//           rivers. Every map needs at least one land tile.
+// elevation `height` strings of `width` digits, 0 (sea floor) to 9
+//           (highest peaks). Omitted rows or the whole field fall back to
+//           a typical elevation for each tile's biome.
+// resources resource nodes: type is one of territorial.resourceTypes and
+//           level is the node's starting upgrade level (default 0).
+// autoResources  also scatter random nodes the way generated maps do.
+//
+// Moisture, temperature and terrain features are derived from the biome and
+// elevation, so a document only carries what an editor paints.
+
+import config from "../config/config.js";
+import { assignResourcesToMap } from "./resourceManagement.js";
+
+export const MAP_FORMAT = "historyengine-map";
+export const MAP_FORMAT_VERSION = 1;
+
+export const DEFAULT_LEGEND = {
+  "~": "OCEAN",
+  ",": "COASTAL",
+  "^": "MOUNTAIN",
+  d: "DESERT",
+  s: "SAVANNA",
+  j: "TROPICAL_FOREST",
+  r: "RAINFOREST",
+  t: "TUNDRA",
+  a: "TAIGA",
+  g: "GRASSLAND",
+  w: "WOODLAND",
+  f: "FOREST",
+  "=": "RIVER",
+};
+
+// Typical climate per biome: [elevation digit, moisture, temperature]
+const BIOME_DEFAULTS = {
+  OCEAN: [2, 1, 0.5],
+  COASTAL: [3, 0.6, 0.6],
+  MOUNTAIN: [8, 0.4, 0.3],
+  DESERT: [5, 0.1, 0.85],
+  SAVANNA: [5, 0.3, 0.8],
+  TROPICAL_FOREST: [4, 0.75, 0.85],
+  RAINFOREST: [4, 0.9, 0.8],
+  TUNDRA: [6, 0.3, 0.1],
+  TAIGA: [6, 0.5, 0.25],
+  GRASSLAND: [5, 0.45, 0.55],
+  WOODLAND: [5, 0.55, 0.5],
+  FOREST: [5, 0.65, 0.5],
+  RIVER: [4, 0.9, 0.55],
+};
+
+const editorConfig = config?.mapEditor || {};
+const MIN_SIZE = editorConfig.minSize ?? 32;
+const MAX_SIZE = editorConfig.maxSize ?? 1000;
+const MAX_RESOURCE_LEVEL = editorConfig.maxResourceLevel ?? 3;
+
+const digitToElevation = (digit) => (digit + 0.5) / 10;
+
+// Same thresholds as assembleMapData in mapUtils.js, minus the noise
+function deriveFeatures(elevation, moisture, isRiver) {
+  const features = [];
+  if (elevation > 0.8) {
+    features.push("peaks", "cliffs");
+  } else if (elevation > 0.6) {
+    features.push("hills");
+    if (moisture > 0.6) features.push("springs");
+  } else if (elevation < 0.3) {
+    features.push("lowlands");
+    if (moisture > 0.6) features.push("wetlands");
+  }
+  if (moisture > 0.7 && elevation > 0.3 && elevation < 0.6) {
+    features.push("fertile valleys");
+  }
+  if (isRiver) features.push("river");
+  return features;
+}
+
+function checkRows(rows, field, width, height) {
+  if (!Array.isArray(rows) || rows.length !== height) {
+    return `${field} must be an array of ${height} rows`;
+  }
+  const badRow = rows.findIndex(
+    (row) => typeof row !== "string" || row.length !== width
+  );
+  if (badRow !== -1) {
+    return `${field} row ${badRow} must be a string of ${width} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a map document and build the cell grid stored in MapChunks.
+ * Returns { error } or { name, width, height, mapData }.
+ */
+export function parseMapDocument(doc, seed = 0) {
+  if (!doc || typeof doc !== "object") return { error: "Map document must be an object" };
+  if (doc.format !== undefined && doc.format !== MAP_FORMAT) {
+    return { error: `Unsupported map format "${doc.format}"` };
+  }
+  if (doc.version !== undefined && doc.version > MAP_FORMAT_VERSION) {
+    return { error: `Map format version ${doc.version} is newer than this server supports` };
+  }
+
+  const width = Number(doc.width);
+  const height = Number(doc.height);
+  for (const [label, value] of [["width", width], ["height", height]]) {
+    if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+      return { error: `${label} must be a whole number from ${MIN_SIZE} to ${MAX_SIZE}` };
+    }
+  }
+
+  const legend = doc.legend || DEFAULT_LEGEND;
+  for (const [key, biome] of Object.entries(legend)) {
+    if (key.length !== 1 || !BIOME_DEFAULTS[biome]) {
+      return { error: `Invalid legend entry "${key}": "${biome}"` };
+    }
+  }
+
+  const terrainError = checkRows(doc.terrain, "terrain", width, height);
+  if (terrainError) return { error: terrainError };
+  if (doc.elevation !== undefined) {
+    const elevationError = checkRows(doc.elevation, "elevation", width, height);
+    if (elevationError) return { error: elevationError };
+  }
+
+  let landTiles = 0;
+  const mapData = new Array(height);
+  for (let y = 0; y < height; y++) {
+    const terrainRow = doc.terrain[y];
+    const elevationRow = doc.elevation?.[y];
+    const row = new Array(width);
+    for (let x = 0; x < width; x++) {
+      const biome = legend[terrainRow[x]];
+      if (!biome) {
+        return { error: `Unknown terrain "${terrainRow[x]}" at (${x},${y})` };
+      }
+      const [defaultDigit, moisture, temperature] = BIOME_DEFAULTS[biome];
+      let digit = defaultDigit;
+      if (elevationRow) {
+        digit = Number(elevationRow[x]);
+        if (!Number.isInteger(digit)) {
+          return { error: `Elevation at (${x},${y}) must be a digit 0-9` };
+        }
+      }
+      const elevation = digitToElevation(digit);
+      const isRiver = biome === "RIVER";
+      if (biome !== "OCEAN") landTiles++;
+      row[x] = {
+        x,
+        y,
+        elevation,
+        moisture,
+        temperature,
+        biome,
+        isRiver,
+        erosion: 0,
+        features: deriveFeatures(elevation, moisture, isRiver),
+        resources: [],
+      };
+    }
+    mapData[y] = row;
+  }
+  if (landTiles === 0) return { error: "Map needs at least one land tile" };
+
+  const resourceTypes = config?.territorial?.resourceTypes || [
+    "food",
+    "wood",
+    "iron",
+    "stone",
+    "gold",
+  ];
+  const resources = doc.resources || [];
+  if (!Array.isArray(resources)) return { error: "resources must be an array" };
+  for (const node of resources) {
+    const { x, y, type } = node || {};
+    const cell = mapData[y]?.[x];
+    if (!cell) return { error: `Resource node at (${x},${y}) is outside the map` };
+    if (cell.biome === "OCEAN") {
+      return { error: `Resource node at (${x},${y}) is in the ocean` };
+    }
+    if (!resourceTypes.includes(type)) {
+      return { error: `Unknown resource type "${type}" at (${x},${y})` };
+    }
+    const level = Math.min(
+      MAX_RESOURCE_LEVEL,
+      Math.max(0, Math.floor(Number(node.level) || 0))
+    );
+    cell.resources = [type];
+    cell.resourceNode = { type, level };
+  }
+
+  const finalData = doc.autoResources ? assignResourcesToMap(mapData, seed) : mapData;
+  return {
+    name: typeof doc.name === "string" && doc.name.trim() ? doc.name.trim().slice(0, 80) : null,
+    width,
+    height,
+    mapData: finalData,
+  };
+}
+
+/** Turn a stored cell grid back into a map document. */
+export function exportMapDocument(name, mapData) {
+  const height = mapData.length;
+  const width = mapData[0]?.length || 0;
+  const keyByBiome = Object.fromEntries(
+    Object.entries(DEFAULT_LEGEND).map(([key, biome]) => [biome, key])
+  );
+  const terrain = [];
+  const elevation = [];
+  const resources = [];
+  for (let y = 0; y < height; y++) {
+    let terrainRow = "";
+    let elevationRow = "";
+    for (let x = 0; x < width; x++) {
+      const cell = mapData[y][x] || {};
+      terrainRow += keyByBiome[cell.biome] || keyByBiome.OCEAN;
+      const digit = Math.floor((cell.elevation ?? 0) * 10);
+      elevationRow += String(Math.min(9, Math.max(0, digit)));
+      if (cell.resourceNode?.type) {
+        resources.push({
+          x,
+          y,
+          type: cell.resourceNode.type,
+          level: cell.resourceNode.level || 0,
+        });
+      }
+    }
+    terrain.push(terrainRow);
+    elevation.push(elevationRow);
+  }
+  return {
+    format: MAP_FORMAT,
+    version: MAP_FORMAT_VERSION,
+    name,
+    width,
+    height,
+    legend: DEFAULT_LEGEND,
+    terrain,
+    elevation,
+    resources,
+  };
+}
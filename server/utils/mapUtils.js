@@ -29,6 +29,11 @@ const DEFAULTS = {
   moistureInfluenceRadius: 15,
   rainShadowDecay: 0.92,
   moistureSmoothPasses: 3,
+  // Map shape (see mapArchetypes in gameConfig.json)
+  anchorLayout: "scatter", // scatter | central | twin | ring
+  anchorCountScale: 1,
+  basinStrength: 0, // > 0 sinks the map center (inland sea)
+  symmetry: "none", // none | mirror (left half reflected onto the right)
 };
 
 function resolveConfig(cfg) {
@@ -42,7 +47,7 @@ function resolveConfig(cfg) {
 
 // ─── Phase 1: Seeded PRNG + Noise ────────────────────────────────────────────
 
-function mulberry32(seed) {
+export function mulberry32(seed) {
   let s = seed | 0;
   return () => {
     s = (s + 0x6d2b79f5) | 0;
@@ -116,21 +121,78 @@ function fbm(noise2D, x, y, octaves, freq, persistence) {
   return value / maxAmp;
 }
 
-function generateElevation(width, height, numBlobs, noise2D, rng, cfg) {
-  const total = width * height;
-  const elev = new Float32Array(total);
+// Continent anchors for the configured layout. Mirrored maps keep anchors on
+// the left half, which is reflected onto the right after generation.
+function placeAnchors(width, height, numBlobs, rng, cfg) {
+  const count = Math.max(1, Math.round(numBlobs * cfg.anchorCountScale));
+  const minDim = Math.min(width, height);
+  const margin = cfg.anchorMargin;
+  const maxX = cfg.symmetry === "mirror" ? 0.5 : 1 - margin;
+  const anchor = (fx, fy) => ({
+    x: fx * width,
+    y: fy * height,
+    strength: cfg.anchorMinStrength + rng() * cfg.anchorStrengthRange,
+    sigma: minDim * (cfg.anchorMinSigma + rng() * cfg.anchorSigmaRange),
+  });
+  const between = (min, max) => min + rng() * (max - min);
 
   const anchors = [];
-  for (let i = 0; i < numBlobs; i++) {
-    anchors.push({
-      x: cfg.anchorMargin * width + rng() * width * (1 - 2 * cfg.anchorMargin),
-      y: cfg.anchorMargin * height + rng() * height * (1 - 2 * cfg.anchorMargin),
-      strength: cfg.anchorMinStrength + rng() * cfg.anchorStrengthRange,
-      sigma: Math.min(width, height) * (cfg.anchorMinSigma + rng() * cfg.anchorSigmaRange),
-    });
+  if (cfg.anchorLayout === "central") {
+    // One dominant landmass with satellites hugging it
+    const cx = cfg.symmetry === "mirror" ? 0.42 : 0.5;
+    const core = anchor(cx, 0.5);
+    core.sigma = minDim * (cfg.anchorMinSigma + cfg.anchorSigmaRange);
+    anchors.push(core);
+    for (let i = 1; i < count; i++) {
+      anchors.push(anchor(between(cx - 0.2, Math.min(maxX, cx + 0.2)), between(0.3, 0.7)));
+    }
+  } else if (cfg.anchorLayout === "twin") {
+    // Two landmasses either side of a central channel
+    const twinCount = Math.max(2, count);
+    for (let i = 0; i < twinCount; i++) {
+      const left = cfg.symmetry === "mirror" || i % 2 === 0;
+      const fx = left ? between(margin, 0.36) : between(0.64, 1 - margin);
+      anchors.push(anchor(fx, between(margin, 1 - margin)));
+    }
+  } else if (cfg.anchorLayout === "ring") {
+    // Land around the edge of a central sea
+    const arc = cfg.symmetry === "mirror" ? Math.PI : 2 * Math.PI;
+    const offset = cfg.symmetry === "mirror" ? Math.PI / 2 : rng() * arc;
+    for (let i = 0; i < count; i++) {
+      const angle = offset + ((i + rng() * 0.5) / count) * arc;
+      anchors.push(anchor(0.5 + Math.cos(angle) * 0.3, 0.5 + Math.sin(angle) * 0.3));
+    }
+  } else {
+    for (let i = 0; i < count; i++) {
+      anchors.push(anchor(between(margin, maxX), between(margin, 1 - margin)));
+    }
   }
   // Ensure at least one strong anchor for mountain generation
   anchors[0].strength = Math.max(anchors[0].strength, 0.55);
+  return anchors;
+}
+
+// Reflect the left half onto the right. With merge, each mirrored pair keeps
+// the higher of the two so land added on either side (bridges) survives.
+function mirrorElevation(elev, width, height, merge) {
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width >> 1; x++) {
+      const left = row + x;
+      const right = row + width - 1 - x;
+      const e = merge ? Math.max(elev[left], elev[right]) : elev[left];
+      elev[left] = e;
+      elev[right] = e;
+    }
+  }
+}
+
+function generateElevation(width, height, numBlobs, noise2D, rng, cfg) {
+  const total = width * height;
+  const elev = new Float32Array(total);
+
+  const anchors = placeAnchors(width, height, numBlobs, rng, cfg);
+  const basinSigma2 = (Math.min(width, height) * 0.2) ** 2;
 
   const border = width * cfg.borderWidth;
 
@@ -164,6 +226,13 @@ function generateElevation(width, height, numBlobs, noise2D, rng, cfg) {
       // Combine
       let e = noiseVal * cfg.noiseWeight + blobBias * cfg.anchorWeight + cfg.elevationOffset;
 
+      // Central basin
+      if (cfg.basinStrength > 0) {
+        const bx = x - width / 2;
+        const by = y - height / 2;
+        e -= cfg.basinStrength * Math.exp(-(bx * bx + by * by) / (2 * basinSigma2));
+      }
+
       // Amplify peaks near continent centers
       if (blobBias > 0.2 && noiseVal > 0.15) {
         e += (blobBias - 0.2) * noiseVal * cfg.peakAmplifyStrength;
@@ -183,6 +252,7 @@ function generateElevation(width, height, numBlobs, noise2D, rng, cfg) {
       elev[idx] = Math.max(0, Math.min(1, e));
     }
   }
+  if (cfg.symmetry === "mirror") mirrorElevation(elev, width, height, false);
 
   // Guarantee mountain peaks
   let maxElev = 0;
@@ -592,7 +662,10 @@ export const generateResources = (biome, elevation, moisture, temperature, rng)
 
 // ─── Phase 9: Assembly + Smoothing ──────────────────────────────────────────
 
-function assembleMapData(elev, moisture, riverMask, width, height, noise2D, rng, cfg) {
+// biomeOverride (optional) holds BIOME_ORDER indices from a biome image,
+// 255 where the generator should decide. Sea and coast always follow
+// elevation so the image can't break the coastline.
+function assembleMapData(elev, moisture, riverMask, width, height, noise2D, rng, cfg, biomeOverride) {
   const mapData = new Array(height);
 
   for (let y = 0; y < height; y++) {
@@ -605,6 +678,10 @@ function assembleMapData(elev, moisture, riverMask, width, height, noise2D, rng,
       const isRiver = riverMask[idx] === 1;
 
       let biome = determineBiome(elevation, moist, temperature, x, y, noise2D, cfg);
+      const override = biomeOverride ? biomeOverride[idx] : 255;
+      if (override !== 255 && biome !== "OCEAN" && biome !== "COASTAL") {
+        biome = BIOME_ORDER[override];
+      }
 
       const features = [];
       if (elevation > 0.8) {
@@ -624,16 +701,14 @@ function assembleMapData(elev, moisture, riverMask, width, height, noise2D, rng,
         features.push("fertile valleys");
       }
 
-      if (isRiver) {
-        features.push("river");
-        biome = "RIVER";
-      }
+      if (isRiver && biome !== "OCEAN") biome = "RIVER";
+      if (biome === "RIVER") features.push("river");
 
       const resources = generateResources(biome, elevation, moist, temperature, rng);
 
       row[x] = {
         x, y, elevation, moisture: moist, temperature, biome,
-        isRiver, erosion: 0, features, resources,
+        isRiver: biome === "RIVER", erosion: 0, features, resources,
       };
     }
     mapData[y] = row;
@@ -676,6 +751,24 @@ function smoothEligibleCells(mapData, radius) {
   return mapData;
 }
 
+// Copy the left half's cells onto the right so both sides of a mirrored map
+// get the same biomes, rivers and resources.
+function mirrorMapData(mapData) {
+  for (const row of mapData) {
+    const width = row.length;
+    for (let x = 0; x < width >> 1; x++) {
+      const cell = row[x];
+      row[width - 1 - x] = {
+        ...cell,
+        x: width - 1 - x,
+        features: [...cell.features],
+        resources: [...cell.resources],
+      };
+    }
+  }
+  return mapData;
+}
+
 // ─── Preview-only: compact biome buffer ─────────────────────────────────────
 
 const BIOME_INDEX = {
@@ -693,6 +786,8 @@ export function generatePreview(width, height, erosion_passes, num_blobs, seed,
 
   const elev = generateElevation(width, height, num_blobs, noise2D, rng, cfg);
   ensureConnectivity(elev, width, height, cfg.seaLevel, noise2D);
+  const mirrored = cfg.symmetry === "mirror";
+  if (mirrored) mirrorElevation(elev, width, height, true);
   const riverMask = generateRivers(elev, width, height, noise2D, cfg);
   const moisture = generateMoisture(elev, riverMask, width, height, noise2D, cfg);
 
@@ -713,12 +808,18 @@ export function generatePreview(width, height, erosion_passes, num_blobs, seed,
       let biome = determineBiome(e, m, t, x, y, noise2D, cfg);
       if (isRiver) biome = "RIVER";
 
-      const bi = BIOME_INDEX[biome] ?? 0;
-      biomes[idx] = bi;
-      biomeCounts[bi]++;
-      if (isRiver) riverCount++;
+      biomes[idx] = BIOME_INDEX[biome] ?? 0;
+    }
+    if (mirrored) {
+      for (let x = 0; x < width >> 1; x++) {
+        biomes[y * width + width - 1 - x] = biomes[y * width + x];
+      }
     }
   }
+  for (let i = 0; i < total; i++) {
+    biomeCounts[biomes[i]]++;
+    if (biomes[i] === BIOME_INDEX.RIVER) riverCount++;
+  }
 
   const landCount = total - biomeCounts[0]; // 0 = OCEAN
   const genTime = Date.now() - t0;
@@ -737,6 +838,86 @@ export function generatePreview(width, height, erosion_passes, num_blobs, seed,
   };
 }
 
+// ─── Heightmap Import ───────────────────────────────────────────────────────
+
+// Index order of biome images (see BIOME_PALETTE in heightmap.js)
+const BIOME_ORDER = Object.keys(BIOME_INDEX);
+
+function sampleBilinear(data, srcW, srcH, u, v) {
+  const fx = Math.min(srcW - 1, Math.max(0, u * srcW - 0.5));
+  const fy = Math.min(srcH - 1, Math.max(0, v * srcH - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(srcW - 1, x0 + 1);
+  const y1 = Math.min(srcH - 1, y0 + 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const top = data[y0 * srcW + x0] * (1 - tx) + data[y0 * srcW + x1] * tx;
+  const bottom = data[y1 * srcW + x0] * (1 - tx) + data[y1 * srcW + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+// Resample the image to the map size and rescale it so the image's sea level
+// lands on the generator's, with a little noise so coasts aren't blocky.
+function elevationFromHeightmap(heightmap, width, height, seaLevel, detail, noise2D, cfg) {
+  const elev = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = sampleBilinear(
+        heightmap.data, heightmap.width, heightmap.height,
+        (x + 0.5) / width, (y + 0.5) / height
+      );
+      let e = v < seaLevel
+        ? (v / seaLevel) * cfg.seaLevel
+        : cfg.seaLevel + ((v - seaLevel) / (1 - seaLevel)) * (1 - cfg.seaLevel);
+      e += fbm(noise2D, x, y, 4, cfg.fbmFrequency * 4, cfg.fbmPersistence) * detail;
+      elev[y * width + x] = Math.max(0, Math.min(1, e));
+    }
+  }
+  return elev;
+}
+
+function biomesFromImage(biomeMap, width, height) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(biomeMap.height - 1, Math.floor((y / height) * biomeMap.height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(biomeMap.width - 1, Math.floor((x / width) * biomeMap.width));
+      out[y * width + x] = biomeMap.data[sy * biomeMap.width + sx];
+    }
+  }
+  return out;
+}
+
+/**
+ * Build a map from a heightmap source (see utils/heightmap.js) instead of
+ * procedural elevation. Rivers, moisture, temperature and biomes come from
+ * the usual phases; a biome image, when given, overrides inland biomes.
+ */
+export function generateWorldMapFromHeightmap(width, height, source, seed = 42, mapConfig) {
+  const cfg = resolveConfig(mapConfig);
+  const t0 = Date.now();
+
+  const rng = mulberry32(seed * 2147483647 + 1);
+  const noise2D = createNoise2D(seed);
+
+  const elev = elevationFromHeightmap(
+    source.heightmap, width, height, source.seaLevel, source.detail ?? 0, noise2D, cfg
+  );
+  const riverMask = generateRivers(elev, width, height, noise2D, cfg);
+  const moisture = generateMoisture(elev, riverMask, width, height, noise2D, cfg);
+  const biomeOverride = source.biomeMap
+    ? biomesFromImage(source.biomeMap, width, height)
+    : null;
+  const mapData = assembleMapData(
+    elev, moisture, riverMask, width, height, noise2D, rng, cfg, biomeOverride
+  );
+  smoothEligibleCells(mapData, 1);
+
+  if (DEBUG_MAP) console.log(`[mapgen] Heightmap import: ${Date.now() - t0}ms`);
+  return mapData;
+}
+
 // ─── Main Entry Point ───────────────────────────────────────────────────────
 
 export function generateWorldMap(
@@ -761,6 +942,7 @@ export function generateWorldMap(
 
   const t2 = Date.now();
   ensureConnectivity(elev, width, height, cfg.seaLevel, noise2D);
+  if (cfg.symmetry === "mirror") mirrorElevation(elev, width, height, true);
   if (DEBUG_MAP) console.log(`[mapgen] Connectivity: ${Date.now() - t2}ms`);
 
   const t3 = Date.now();
@@ -777,6 +959,7 @@ export function generateWorldMap(
 
   const t6 = Date.now();
   smoothEligibleCells(mapData, Math.min(2, erosion_passes));
+  if (cfg.symmetry === "mirror") mirrorMapData(mapData);
   if (DEBUG_MAP) console.log(`[mapgen] Smoothing: ${Date.now() - t6}ms`);
 
   if (DEBUG_MAP) console.log(`[mapgen] Total: ${Date.now() - t0}ms`);
@@ -0,0 +1,168 @@
+// matchEvents.js — Match event log behind the in-game notification feed
+//
+// State lives in gameState.matchEvents:
+//   events: recent events, newest last: { id, tick, type, ...details }
+//   nextId
+//
+// Event types (owner is the nation the event is about):
+//   cityCaptured       { owner, from, cityType, name, x, y }
+//   structureDestroyed { owner, by, cityType, name, x, y }
+//   cityThreatened     { owner, by, cityType, name, x, y }
+//   nationDefeated     { owner, by }
+//   nationEncircled    { owner, by }           (pocket holding the capital)
+//   encirclement       { owner, from, cells }   (enemy pocket taken outright,
+//                                               minEncirclementCells or more)
+//   resourceClaimed    { owner, resource, x, y }
+//   victory            { owner, team }
+//
+// Events ride along with the regular state broadcast; clients show the ones
+// whose id is newer than the last they saw.
+
+import config from "../config/config.js";
+import { UNOWNED } from "./TerritoryMatrix.js";
+import { isCellVisible } from "./fogOfWar.js";
+
+const THREATENED_CITY_TYPES = new Set(["capital", "town", "port"]);
+
+const eventsConfig = () => config?.matchEvents || {};
+
+export function ensureMatchEvents(gameState) {
+  if (!gameState.matchEvents) gameState.matchEvents = {};
+  const log = gameState.matchEvents;
+  if (!Array.isArray(log.events)) log.events = [];
+  if (!Number.isInteger(log.nextId)) log.nextId = 1;
+  return log;
+}
+
+export function recordMatchEvent(gameState, tick, type, details = {}) {
+  const log = ensureMatchEvents(gameState);
+  const event = { id: log.nextId++, tick, type, ...details };
+  log.events.push(event);
+  const maxEvents = eventsConfig().maxEvents ?? 50;
+  if (log.events.length > maxEvents) {
+    log.events.splice(0, log.events.length - maxEvents);
+  }
+  return event;
+}
+
+const cityDetails = (city) => ({
+  cityType: city.type,
+  name: city.name || null,
+  x: city.x,
+  y: city.y,
+});
+
+export function recordCityCaptured(gameState, tick, city, from, owner) {
+  recordMatchEvent(gameState, tick, "cityCaptured", { owner, from, ...cityDetails(city) });
+}
+
+export function recordStructureDestroyed(gameState, tick, city, owner, by) {
+  recordMatchEvent(gameState, tick, "structureDestroyed", {
+    owner,
+    by: by || null,
+    ...cityDetails(city),
+  });
+}
+
+/**
+ * Warn owners whose cities lost nearby cells to an enemy this tick (from
+ * the ownership snapshot taken at tick start). One warning per city per
+ * cooldown window.
+ */
+export function detectCityThreats(gameState, matrix, tick) {
+  const radius = eventsConfig().threatRadius ?? 3;
+  const cooldown = eventsConfig().threatCooldownTicks ?? 100;
+  const recent = new Set(
+    ensureMatchEvents(gameState)
+      .events.filter((e) => e.type === "cityThreatened" && tick - e.tick < cooldown)
+      .map((e) => `${e.owner}|${e.x},${e.y}`)
+  );
+  const { ownership, prevOwnership, width, height } = matrix;
+
+  for (const nation of gameState.nations || []) {
+    if (nation.status === "defeated" || !nation.cities?.length) continue;
+    const nIdx = matrix.ownerToIndex.get(nation.owner);
+    if (nIdx === undefined) continue;
+
+    for (const city of nation.cities) {
+      if (!THREATENED_CITY_TYPES.has(city.type)) continue;
+      if (recent.has(`${nation.owner}|${city.x},${city.y}`)) continue;
+      let attackerIdx = UNOWNED;
+      for (let dy = -radius; dy <= radius && attackerIdx === UNOWNED; dy++) {
+        const y = city.y + dy;
+        if (y < 0 || y >= height) continue;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const x = city.x + dx;
+          if (x < 0 || x >= width) continue;
+          const i = y * width + x;
+          if (prevOwnership[i] === nIdx && ownership[i] !== nIdx && ownership[i] !== UNOWNED) {
+            attackerIdx = ownership[i];
+            break;
+          }
+        }
+      }
+      if (attackerIdx === UNOWNED) continue;
+      recordMatchEvent(gameState, tick, "cityThreatened", {
+        owner: nation.owner,
+        by: matrix.getOwnerByIndex(attackerIdx),
+        ...cityDetails(city),
+      });
+    }
+  }
+}
+
+/**
+ * Compare nation statuses with those from before the tick: one victory event
+ * when the match is decided, otherwise an event per newly defeated nation,
+ * credited to whoever last took its capital.
+ */
+export function recordStatusChanges(gameState, statusBefore, tick) {
+  const nations = gameState.nations || [];
+  const winners = nations.filter(
+    (n) => n.status === "winner" && statusBefore.get(n.owner) !== "winner"
+  );
+  if (winners.length > 0) {
+    const team = gameState.winningTeam ?? null;
+    recordMatchEvent(gameState, tick, "victory", {
+      owner: team !== null ? null : winners[0].owner,
+      team,
+    });
+    return;
+  }
+
+  // Losing the capital defeats a nation on its next update, so look back
+  // through the log rather than at this tick only
+  const capitalTakers = new Map();
+  for (const event of ensureMatchEvents(gameState).events) {
+    if (event.type === "cityCaptured" && event.cityType === "capital") {
+      capitalTakers.set(event.from, event.owner);
+    }
+  }
+  for (const nation of nations) {
+    if (nation.status !== "defeated") continue;
+    const before = statusBefore.get(nation.owner);
+    if (before === undefined || before === "defeated") continue;
+    recordMatchEvent(gameState, tick, "nationDefeated", {
+      owner: nation.owner,
+      by: capitalTakers.get(nation.owner) || null,
+    });
+  }
+}
+
+/**
+ * Events for one viewer. Under fog of war a player only hears about events
+ * they took part in, eliminations and victories, and places they can see.
+ */
+export function getMatchEventsView(matchEvents, viewerId, viewerFog = null) {
+  const events = matchEvents?.events || [];
+  if (!viewerFog) return events;
+  return events.filter(
+    (event) =>
+      event.type === "nationDefeated" ||
+      event.type === "victory" ||
+      event.owner === viewerId ||
+      event.from === viewerId ||
+      event.by === viewerId ||
+      (Number.isFinite(event.x) && isCellVisible(viewerFog, event.x, event.y))
+  );
+}
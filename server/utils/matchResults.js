@@ -0,0 +1,245 @@
+// matchResults.js — Per-match player stats, results and rating updates
+//
+// While a room runs, trackMatchStats keeps gameState.matchStats
+// ({ [owner]: { peakTerritory, eliminations, eliminatedAtTick, ... } }).
+// When the match ends (win condition met or the creator ends the room),
+// recordMatchResult ranks every nation and stores a MatchResult. Only a win
+// condition rates the match: a room its creator ends is recorded unrated, so
+// ending a match early can neither bank a lead nor dodge a loss. A room is
+// only ever recorded once.
+
+import mongoose from "mongoose";
+import MatchResult from "../models/MatchResult.js";
+import User from "../models/User.js";
+import config from "../config/config.js";
+import { getNationTeam } from "./teams.js";
+import { getWinSettings, groupSides } from "./winConditions.js";
+import {
+  DEFAULT_RATING,
+  computeRatingChanges,
+  getBotRating,
+} from "./ratings.js";
+import { debug } from "./debug.js";
+
+// Result reasons that apply Elo changes (see MatchResult.reason)
+const RATED_REASONS = new Set(["victory"]);
+
+function getCapital(nation) {
+  return (nation.cities || []).find((city) => city.type === "capital") || null;
+}
+
+/**
+ * Update peak territory and eliminations for this tick. Run after territory
+ * has been synced from the matrix and before the win check, so nations the
+ * win check marks defeated are not counted as eliminated. Stops once the
+ * room's result has been recorded.
+ */
+export function trackMatchStats(gameState, matrix, tick) {
+  if (!gameState?.nations || gameState.resultRecorded) return;
+  const stats = (gameState.matchStats = gameState.matchStats || {});
+
+  for (const nation of gameState.nations) {
+    if (!nation.owner) continue;
+    let entry = stats[nation.owner];
+    if (!entry) {
+      entry = stats[nation.owner] = {
+        peakTerritory: 0,
+        peakTerritoryPercentage: 0,
+        eliminations: 0,
+        eliminatedAtTick: null,
+        eliminatedBy: null,
+        lastCapital: null,
+      };
+    }
+
+    if (nation.status === "defeated") {
+      if (entry.eliminatedAtTick !== null) continue;
+      entry.eliminatedAtTick = tick;
+      // Credit whoever holds the fallen capital
+      const captor = entry.lastCapital
+        ? matrix?.getOwnerString(entry.lastCapital.x, entry.lastCapital.y)
+        : null;
+      if (captor && captor !== nation.owner) {
+        entry.eliminatedBy = captor;
+        if (stats[captor]) stats[captor].eliminations++;
+      }
+      continue;
+    }
+
+    // Refounded after a defeat
+    entry.eliminatedAtTick = null;
+    entry.eliminatedBy = null;
+    const territory = nation.territory?.x?.length || 0;
+    entry.peakTerritory = Math.max(entry.peakTerritory, territory);
+    entry.peakTerritoryPercentage = Math.max(
+      entry.peakTerritoryPercentage,
+      nation.territoryPercentage || 0
+    );
+    const capital = getCapital(nation);
+    if (capital) entry.lastCapital = { x: capital.x, y: capital.y };
+  }
+}
+
+// Nations the win check marks "defeated" on the final tick were never
+// knocked out, so they still rank as survivors by the land they held.
+function wasEliminated(nation, stats) {
+  return nation.status === "defeated" && stats[nation.owner]?.eliminatedAtTick != null;
+}
+
+// Winners first, then surviving sides by land held, then the fallen by how
+// long they lasted. Sides that compare equal share a placement.
+function rankSides(sides, stats) {
+  const keyOf = (side) => {
+    const won = side.nations.some((n) => n.status === "winner");
+    const survivors = side.nations.filter((n) => !wasEliminated(n, stats));
+    if (survivors.length > 0) {
+      const land = survivors.reduce((sum, n) => sum + (n.territoryPercentage || 0), 0);
+      return [won ? 1 : 0, 1, land];
+    }
+    const lastOut = Math.max(
+      ...side.nations.map((n) => stats[n.owner].eliminatedAtTick)
+    );
+    return [0, 0, lastOut];
+  };
+  const keyed = sides.map((side) => ({ side, key: keyOf(side) }));
+  keyed.sort((a, b) => b.key[0] - a.key[0] || b.key[1] - a.key[1] || b.key[2] - a.key[2]);
+
+  let placement = 0;
+  let previous = null;
+  keyed.forEach((entry, index) => {
+    if (!previous || entry.key.some((value, i) => value !== previous[i])) {
+      placement = index + 1;
+    }
+    entry.side.placement = placement;
+    previous = entry.key;
+  });
+}
+
+/** Snapshot a room's outcome as a MatchResult document body (no ratings yet). */
+export function buildMatchResult(gameRoom, reason) {
+  const gameState = gameRoom.gameState || {};
+  const nations = (gameState.nations || []).filter((n) => n.owner);
+  const stats = gameState.matchStats || {};
+  const sides = groupSides(nations);
+  rankSides(sides, stats);
+
+  const placementByOwner = new Map();
+  sides.forEach((side) =>
+    side.nations.forEach((n) => placementByOwner.set(n.owner, side.placement))
+  );
+  const profiles = new Map(
+    (gameRoom.players || []).map((player) => [player.userId, player.profile || {}])
+  );
+  const winner = nations.find((n) => n.status === "winner");
+  const tickRate =
+    Number(process.env.TICK_RATE_MS) || Number(config?.territorial?.tickRateMs) || 100;
+  const durationTicks = gameRoom.tickCount || 0;
+
+  return {
+    room: gameRoom._id,
+    roomName: gameRoom.roomName,
+    winMode: getWinSettings(gameState).mode,
+    reason,
+    winner: gameState.winningTeam == null ? winner?.owner || null : null,
+    winningTeam: gameState.winningTeam ?? null,
+    durationTicks,
+    durationMs: durationTicks * tickRate,
+    players: nations
+      .map((nation) => {
+        const entry = stats[nation.owner] || {};
+        const profile = profiles.get(nation.owner) || {};
+        return {
+          userId: nation.owner,
+          user:
+            !nation.isBot && mongoose.isValidObjectId(nation.owner)
+              ? nation.owner
+              : null,
+          isBot: !!nation.isBot,
+          botDifficulty: nation.botDifficulty || null,
+          displayName: profile.displayName || nation.displayName || nation.owner,
+          nationName: nation.nationName || profile.nationName || nation.owner,
+          team: getNationTeam(nation),
+          placement: placementByOwner.get(nation.owner),
+          status: nation.status,
+          peakTerritory: entry.peakTerritory || 0,
+          peakTerritoryPercentage: entry.peakTerritoryPercentage || 0,
+          finalTerritoryPercentage: wasEliminated(nation, stats)
+            ? 0
+            : nation.territoryPercentage || 0,
+          eliminations: entry.eliminations || 0,
+          eliminatedAtTick: entry.eliminatedAtTick ?? null,
+          eliminatedBy: entry.eliminatedBy || null,
+        };
+      })
+      .sort((a, b) => a.placement - b.placement),
+    endedAt: new Date(),
+  };
+}
+
+/**
+ * Record a finished room once: store its MatchResult and, for a rated
+ * reason, update ratings. The result is snapshotted synchronously, so the
+ * live room may keep ticking while this resolves. Returns the saved document, or null when
+ * the room was already recorded or never had a contest.
+ */
+export async function recordMatchResult(gameRoom, reason) {
+  const gameState = gameRoom?.gameState;
+  if (!gameState || gameState.resultRecorded) return null;
+  if (!gameRoom.tickCount || (gameState.nations || []).length < 2) return null;
+  gameState.resultRecorded = true;
+  gameRoom.markModified?.("gameState.resultRecorded");
+
+  const result = buildMatchResult(gameRoom, reason);
+  const userIds = result.players.filter((p) => p.user).map((p) => p.user);
+  const users = userIds.length
+    ? await User.find({ _id: { $in: userIds } })
+    : [];
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const entrants = result.players.map((player) => {
+    const user = player.user ? usersById.get(player.user) : null;
+    return {
+      key: player.userId,
+      rating: user
+        ? user.rating?.value ?? DEFAULT_RATING
+        : player.isBot
+        ? getBotRating(player.botDifficulty)
+        : DEFAULT_RATING,
+      games: user?.rating?.games || 0,
+      placement: player.placement,
+      team: player.team,
+      rated: !!user,
+    };
+  });
+  const changes = RATED_REASONS.has(reason)
+    ? computeRatingChanges(entrants)
+    : new Map();
+
+  for (const player of result.players) {
+    const user = player.user ? usersById.get(player.user) : null;
+    if (!user || !changes.has(player.userId)) {
+      if (!user) player.user = null;
+      continue;
+    }
+    const before = user.rating?.value ?? DEFAULT_RATING;
+    const after = before + changes.get(player.userId);
+    player.ratingBefore = before;
+    player.ratingAfter = after;
+    user.rating = {
+      value: after,
+      peak: Math.max(user.rating?.peak ?? DEFAULT_RATING, after),
+      games: (user.rating?.games || 0) + 1,
+      wins: (user.rating?.wins || 0) + (player.placement === 1 ? 1 : 0),
+    };
+  }
+  result.rated = changes.size > 0;
+
+  const saved = await MatchResult.create(result);
+  await Promise.all(
+    users.filter((user) => changes.has(user._id.toString())).map((user) => user.save())
+  );
+  debug(
+    `[RESULTS] Recorded ${reason} for room ${gameRoom._id} (${result.players.length} nations, ${changes.size} rated)`
+  );
+  return saved;
+}
@@ -0,0 +1,206 @@
+// matchmaking.js — Public matchmaking queue
+//
+// Signed-in players queue with a preferred match size (players) and map
+// size. Players with the same preferences share a bucket. A bucket launches
+// a match once it holds enough players, or once its longest-waiting player
+// has waited fillWithBotsAfterSeconds, in which case bots take the empty
+// slots. Rooms are built by the factory passed to initMatchmaking (see
+// gameRoutes.js). Queue progress and the finished room are pushed to each
+// player's WebSocket connections as { type: "matchmaking", status, ... }.
+// The queue lives in memory: a server restart empties it.
+
+import config from "../config/config.js";
+import { hasUserConnection, sendToUser } from "../wsHub.js";
+import { debug } from "./debug.js";
+
+const matchmakingConfig = config?.matchmaking || {};
+const MIN_PLAYERS = matchmakingConfig.minPlayers ?? 2;
+const MAX_PLAYERS = matchmakingConfig.maxPlayers ?? 8;
+const DEFAULT_PLAYERS = matchmakingConfig.defaultPlayers ?? 4;
+const MAP_SIZES = matchmakingConfig.mapSizes || {
+  normal: { width: 500, height: 500, erosionPasses: 3, numBlobs: 9 },
+};
+const DEFAULT_MAP_SIZE = MAP_SIZES[matchmakingConfig.defaultMapSize]
+  ? matchmakingConfig.defaultMapSize
+  : Object.keys(MAP_SIZES)[0];
+const FILL_AFTER_MS = (matchmakingConfig.fillWithBotsAfterSeconds ?? 45) * 1000;
+const DISCONNECT_GRACE_MS = (matchmakingConfig.disconnectGraceSeconds ?? 15) * 1000;
+const QUEUE_INTERVAL_MS = matchmakingConfig.queueIntervalMs ?? 2000;
+
+const queue = new Map(); // userId -> { userId, profile, preferences, bucket, joinedAt, disconnectedAt }
+let createRoomFn = null;
+let timer = null;
+
+export function initMatchmaking(createRoom) {
+  createRoomFn = createRoom;
+}
+
+export function getMapSizePreset(mapSize) {
+  return MAP_SIZES[mapSize] || null;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Validate queue preferences; blank values take the config defaults.
+ * Returns { preferences } or { error }.
+ */
+export function parseMatchmakingPreferences({ players, mapSize } = {}) {
+  const count = isBlank(players) ? DEFAULT_PLAYERS : Number(players);
+  if (!Number.isInteger(count) || count < MIN_PLAYERS || count > MAX_PLAYERS) {
+    return { error: `players must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}` };
+  }
+  const size = isBlank(mapSize) ? DEFAULT_MAP_SIZE : String(mapSize).toLowerCase();
+  if (!MAP_SIZES[size]) {
+    return { error: `mapSize must be one of ${Object.keys(MAP_SIZES).join(", ")}` };
+  }
+  return { preferences: { players: count, mapSize: size } };
+}
+
+const bucketKey = (preferences) => `${preferences.players}:${preferences.mapSize}`;
+
+function getBucketEntries(bucket) {
+  return [...queue.values()]
+    .filter((entry) => entry.bucket === bucket)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+function buildStatus(entry, bucketEntries, now = Date.now()) {
+  const oldest = bucketEntries[0]?.joinedAt ?? entry.joinedAt;
+  return {
+    type: "matchmaking",
+    status: "queued",
+    preferences: entry.preferences,
+    queued: bucketEntries.length,
+    needed: entry.preferences.players,
+    waitedSeconds: Math.floor((now - entry.joinedAt) / 1000),
+    botsFillInSeconds: Math.max(0, Math.ceil((oldest + FILL_AFTER_MS - now) / 1000)),
+  };
+}
+
+function notifyBucket(bucket) {
+  const entries = getBucketEntries(bucket);
+  const now = Date.now();
+  entries.forEach((entry) => sendToUser(entry.userId, buildStatus(entry, entries, now)));
+}
+
+function ensureTimer() {
+  if (timer) return;
+  timer = setInterval(processQueue, QUEUE_INTERVAL_MS);
+  timer.unref?.();
+}
+
+function stopTimerIfIdle() {
+  if (queue.size > 0 || !timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+/** Queue a player, replacing any earlier entry. Returns their queue status. */
+export function joinQueue(userId, profile, preferences) {
+  const previous = queue.get(userId);
+  const entry = {
+    userId,
+    profile: profile || {},
+    preferences,
+    bucket: bucketKey(preferences),
+    joinedAt: Date.now(),
+    disconnectedAt: null,
+  };
+  queue.set(userId, entry);
+  debug(`[MATCHMAKING] ${userId} queued for ${entry.bucket} (${queue.size} queued)`);
+  if (previous && previous.bucket !== entry.bucket) notifyBucket(previous.bucket);
+  ensureTimer();
+  processQueue();
+  return getQueueStatus(userId);
+}
+
+export function leaveQueue(userId) {
+  const entry = queue.get(userId);
+  if (!entry) return false;
+  queue.delete(userId);
+  debug(`[MATCHMAKING] ${userId} left ${entry.bucket}`);
+  notifyBucket(entry.bucket);
+  stopTimerIfIdle();
+  return true;
+}
+
+/** The player's queue status, or null when they are not queued. */
+export function getQueueStatus(userId) {
+  const entry = queue.get(userId);
+  if (!entry) return null;
+  return buildStatus(entry, getBucketEntries(entry.bucket));
+}
+
+function launchMatch(entries, preferences) {
+  entries.forEach((entry) => queue.delete(entry.userId));
+  const botCount = Math.max(0, preferences.players - entries.length);
+  debug(
+    `[MATCHMAKING] launching ${bucketKey(preferences)} with ${entries.length} players + ${botCount} bots`
+  );
+  entries.forEach((entry) =>
+    sendToUser(entry.userId, {
+      type: "matchmaking",
+      status: "matched",
+      players: entries.length,
+      bots: botCount,
+    })
+  );
+
+  const players = entries.map(({ userId, profile }) => ({ userId, profile }));
+  Promise.resolve()
+    .then(() => createRoomFn({ players, preferences, botCount }))
+    .then(({ gameRoomId, joinCode }) => {
+      entries.forEach((entry) =>
+        sendToUser(entry.userId, {
+          type: "matchmaking",
+          status: "found",
+          gameRoomId,
+          joinCode,
+        })
+      );
+    })
+    .catch((err) => {
+      console.error("[MATCHMAKING] Failed to create room:", err);
+      entries.forEach((entry) =>
+        sendToUser(entry.userId, {
+          type: "matchmaking",
+          status: "error",
+          message: "Could not create a match. Please queue again.",
+        })
+      );
+    });
+}
+
+function processQueue() {
+  if (!createRoomFn) return;
+  const now = Date.now();
+
+  // Drop players whose every connection has been closed for the grace period
+  for (const entry of [...queue.values()]) {
+    if (hasUserConnection(entry.userId)) {
+      entry.disconnectedAt = null;
+    } else if (entry.disconnectedAt === null) {
+      entry.disconnectedAt = now;
+    } else if (now - entry.disconnectedAt >= DISCONNECT_GRACE_MS) {
+      debug(`[MATCHMAKING] dropping disconnected ${entry.userId}`);
+      queue.delete(entry.userId);
+    }
+  }
+
+  const buckets = new Set([...queue.values()].map((entry) => entry.bucket));
+  for (const bucket of buckets) {
+    let entries = getBucketEntries(bucket);
+    const { preferences } = entries[0];
+    while (entries.length >= preferences.players) {
+      launchMatch(entries.slice(0, preferences.players), preferences);
+      entries = entries.slice(preferences.players);
+    }
+    if (entries.length > 0 && now - entries[0].joinedAt >= FILL_AFTER_MS) {
+      launchMatch(entries, preferences);
+      continue;
+    }
+    if (entries.length > 0) notifyBucket(bucket);
+  }
+  stopTimerIfIdle();
+}
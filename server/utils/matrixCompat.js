@@ -61,7 +61,8 @@ export function getFullTerritory(matrix, owner) {
   return matrix.getCellsForNation(nIdx);
 }
 
-function applyDeltaToTerritoryInPlace(territory, delta) {
+/** Apply an {add, sub} delta to a territory's x[]/y[] arrays, reusing them */
+export function applyDeltaToTerritoryInPlace(territory, delta) {
   const xArr = Array.isArray(territory?.x) ? territory.x : [];
   const yArr = Array.isArray(territory?.y) ? territory.y : [];
   const idxByKey = new Map();
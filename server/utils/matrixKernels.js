@@ -332,20 +332,23 @@ export function detectEncirclement(matrix, nations = []) {
 
 /**
  * BFS from seed cell, returning connected mask for a specific nation.
- * Returns Uint8Array[size] where 1 = connected to seed.
+ * extraSeeds ([{ x, y }]) start the search from more cells too, e.g. ports
+ * and naval landings that keep overseas territory supplied.
+ * Returns Uint8Array[size] where 1 = connected to a seed.
  */
-export function computeConnectedComponent(matrix, nationIdx, seedX, seedY) {
+export function computeConnectedComponent(matrix, nationIdx, seedX, seedY, extraSeeds = []) {
   const { width, height, size, ownership } = matrix;
-  if (!matrix.inBounds(seedX, seedY)) return new Uint8Array(size);
-
   const connected = new Uint8Array(size);
-  const seedI = matrix.idx(seedX, seedY);
-
-  // Seed must be owned by this nation — if not, return empty component
-  if (ownership[seedI] !== nationIdx) return connected;
-
-  const queue = [seedI];
-  connected[seedI] = 1;
+  const queue = [];
+
+  // Seeds must be owned by this nation — unowned seeds are skipped
+  for (const seed of [{ x: seedX, y: seedY }, ...extraSeeds]) {
+    if (!matrix.inBounds(seed.x, seed.y)) continue;
+    const seedI = matrix.idx(seed.x, seed.y);
+    if (ownership[seedI] !== nationIdx || connected[seedI]) continue;
+    connected[seedI] = 1;
+    queue.push(seedI);
+  }
 
   let qIdx = 0;
   while (qIdx < queue.length) {
@@ -466,11 +469,17 @@ export function passiveConcavityFill(matrix, nations, minNeighbors = 5, maxPasse
 }
 
 /**
- * BFS from capital, set non-connected owned cells to UNOWNED.
- * Returns count of removed cells.
+ * BFS from capital (and any extraSeeds), set non-connected owned cells to
+ * UNOWNED. Returns count of removed cells.
  */
-export function removeDisconnectedTerritory(matrix, nationIdx, capitalX, capitalY) {
-  const connected = computeConnectedComponent(matrix, nationIdx, capitalX, capitalY);
+export function removeDisconnectedTerritory(matrix, nationIdx, capitalX, capitalY, extraSeeds = []) {
+  const connected = computeConnectedComponent(
+    matrix,
+    nationIdx,
+    capitalX,
+    capitalY,
+    extraSeeds
+  );
   const { size, ownership, loyalty } = matrix;
   let removed = 0;
 
@@ -3,6 +3,7 @@
 // Chunk-based skipping: sleeps interior chunks with no recent changes.
 
 import { UNOWNED } from "./TerritoryMatrix.js";
+import { buildPeaceMask } from "./diplomacy.js";
 
 /**
  * Tick the loyalty diffusion system.
@@ -12,8 +13,9 @@ import { UNOWNED } from "./TerritoryMatrix.js";
  * @param {TerritoryMatrix} matrix
  * @param {object} cfg - loyalty config section
  * @param {Array} nations - gameState.nations array
+ * @param {object} [diplomacy] - gameState.diplomacy (pacts stop contesting)
  */
-export function tickLoyaltyDiffusion(matrix, cfg, nations) {
+export function tickLoyaltyDiffusion(matrix, cfg, nations, diplomacy = null) {
   const {
     diffusionRate = 0.04,
     decayRate = 0.01,
@@ -86,6 +88,11 @@ export function tickLoyaltyDiffusion(matrix, cfg, nations) {
     };
   }
 
+  // Allies and pact partners don't contest each other's cells: their
+  // loyalty only decays there
+  const peaceMask = buildPeaceMask(matrix, nations, diplomacy);
+  const peaceStride = Math.max(1, matrix.nextNationSlot);
+
   const diffRes = matrix.diffusionResistance;
   const { chunksX, chunkDirty, chunkHasBorder, chunkSleepCounter } = matrix;
   const SLEEP_THRESHOLD = 3;
@@ -98,6 +105,7 @@ export function tickLoyaltyDiffusion(matrix, cfg, nations) {
 
     const nOffset = n * size;
     const grid = cityBonusGrids.get(n);
+    const peaceRow = n * peaceStride;
 
     // Convert bbox to chunk coords
     const bbMinCX = b.minX >> 4;
@@ -142,6 +150,10 @@ export function tickLoyaltyDiffusion(matrix, cfg, nations) {
               // 2. Decay
               if (currentOwner !== UNOWNED && currentOwner !== n) {
                 newVal -= decayRate;
+                if (peaceMask[peaceRow + currentOwner] === 1) {
+                  loyalty[loyaltyIdx] = newVal < 0 ? 0 : newVal;
+                  continue;
+                }
               }
 
               // 3. Diffusion from 4-neighbors (reads in-place — Red-Black safe)
@@ -136,8 +136,9 @@ export function tickPopulationDensity(matrix, cfg, nations, regionData = null, r
  * @param {Array} nations - gameState.nations array
  * @param {object} structureConfig - config.structures
  * @param {number} densityDefenseScale - config.populationDensity.densityDefenseScale
+ * @param {object} [bonusesByOwner] - research towerStrength per owner
  */
-export function computeDefenseStrength(matrix, nations, structureConfig, densityDefenseScale = 0.5, troopDefenseScale = 0, regionData = null, regionCfg = null) {
+export function computeDefenseStrength(matrix, nations, structureConfig, densityDefenseScale = 0.5, troopDefenseScale = 0, regionData = null, regionCfg = null, bonusesByOwner = null) {
   const { width, height, size, ownership, populationDensity, defenseStrength, oceanMask } = matrix;
 
   const townConfig = structureConfig?.town || { defenseRadius: 20 };
@@ -165,6 +166,7 @@ export function computeDefenseStrength(matrix, nations, structureConfig, density
     if (nation.status === "defeated") continue;
     const nIdx = matrix.ownerToIndex.get(nation.owner);
     if (nIdx === undefined) continue;
+    const towerStrength = bonusesByOwner?.[nation.owner]?.towerStrength ?? 1;
 
     for (const city of nation.cities || []) {
       if (!matrix.inBounds(city.x, city.y)) continue;
@@ -172,7 +174,7 @@ export function computeDefenseStrength(matrix, nations, structureConfig, density
       let radius, bonusMult;
       if (city.type === "tower") {
         radius = towerConfig.defenseRadius || 40;
-        bonusMult = (towerConfig.troopLossMultiplier || 6.0) * 0.1;
+        bonusMult = (towerConfig.troopLossMultiplier || 6.0) * 0.1 * towerStrength;
       } else if (city.type === "town" || city.type === "capital") {
         radius = townConfig.defenseRadius || 20;
         bonusMult = (townConfig.troopLossMultiplier || 3.0) * 0.1;
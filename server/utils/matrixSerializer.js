@@ -1,6 +1,6 @@
 // matrixSerializer.js — MongoDB serialization for typed arrays via Buffer
 // Static layers are NOT serialized (reconstructed from mapData).
-// Only dynamic layers are persisted.
+// Only dynamic layers, plus resourceLevel (raised by node upgrades), are persisted.
 
 import { TerritoryMatrix, UNOWNED } from "./TerritoryMatrix.js";
 
@@ -61,6 +61,8 @@ export function serializeMatrix(matrix) {
     populationDensity: safeBufferCopy(matrix.populationDensity),
     resourceClaimProgress: safeBufferCopy(matrix.resourceClaimProgress),
     resourceClaimOwner: safeBufferCopy(matrix.resourceClaimOwner),
+    // Node upgrade levels (the rest of the static layers come from mapData)
+    resourceLevel: safeBufferCopy(matrix.resourceLevel),
 
     // Per-nation-per-cell layers (quantized Uint8, trimmed to used slots)
     loyalty: safeBufferCopy(loyaltyQuantized),
@@ -73,12 +75,13 @@ export function serializeMatrix(matrix) {
  * @param {object} data - Serialized data from serializeMatrix
  * @param {Array} mapData - 2D map data array for static layer reconstruction
  * @param {object} matrixConfig - matrix config section for noise/resistance params
+ * @param {object} [options] - TerritoryMatrix constructor options (e.g. { shared: true })
  * @returns {TerritoryMatrix}
  */
-export function deserializeMatrix(data, mapData, matrixConfig) {
+export function deserializeMatrix(data, mapData, matrixConfig, options = {}) {
   if (!data || !data.width || !data.height) return null;
 
-  const matrix = new TerritoryMatrix(data.width, data.height, data.maxNations || 64);
+  const matrix = new TerritoryMatrix(data.width, data.height, data.maxNations || 64, options);
 
   // Restore static layers from mapData (including diffusion resistance)
   if (mapData) {
@@ -147,6 +150,11 @@ export function deserializeMatrix(data, mapData, matrixConfig) {
   }
   restoreFloat32(data.resourceClaimProgress, matrix.resourceClaimProgress);
   restoreInt8(data.resourceClaimOwner, matrix.resourceClaimOwner);
+  // Saves from before node upgrades keep the mapData levels
+  const levelBytes = safeBytes(data.resourceLevel);
+  if (levelBytes && levelBytes.byteLength === matrix.resourceLevel.length) {
+    matrix.resourceLevel.set(levelBytes);
+  }
 
   // Loyalty: v2 uses quantized Uint8 [0,255] → Float32 [0,1]; v1 uses Float32 directly
   if (data.serializationVersion >= 2) {
@@ -3,6 +3,7 @@
 // Chunk skipping for diffusion; conservation sums use separate full-bbox pass.
 
 import { UNOWNED } from "./TerritoryMatrix.js";
+import { buildPeaceMask } from "./diplomacy.js";
 
 const DX = [1, -1, 0, 0];
 const DY = [0, 0, 1, -1];
@@ -15,8 +16,9 @@ const DY = [0, 0, 1, -1];
  * @param {TerritoryMatrix} matrix
  * @param {object} cfg - troopDensity config section
  * @param {Array} nations - gameState.nations array
+ * @param {object} [bonusesByOwner] - research mobilizationRate per owner
  */
-export function tickMobilization(matrix, cfg, nations) {
+export function tickMobilization(matrix, cfg, nations, bonusesByOwner = null) {
   const {
     mobilizationBaseRate = 0.05,
     mobilizationFreeWorkerScale = 1.5,
@@ -46,9 +48,11 @@ export function tickMobilization(matrix, cfg, nations) {
         0,
         (population - currentTroops) / population,
       );
+      const rate =
+        mobilizationBaseRate * (bonusesByOwner?.[nation.owner]?.mobilizationRate ?? 1);
       const mobilizeAmount =
         population *
-        (mobilizationBaseRate / 10) *
+        (rate / 10) *
         (1 + freeWorkerRatio * mobilizationFreeWorkerScale);
       nation.troopCount = Math.min(
         targetTroops,
@@ -482,6 +486,9 @@ export function resolveDensityCombat(
     const ni = matrix.ownerToIndex.get(n.owner);
     if (ni !== undefined) nationByIndex[ni] = n;
   }
+  // Teammates and pact partners never fight — their cells are skipped
+  const peaceMask = buildPeaceMask(matrix, gameState.nations, gameState.diplomacy);
+  const peaceRow = nIdx * Math.max(1, matrix.nextNationSlot);
 
   const hx = Math.round(arrow.headX ?? 0);
   const hy = Math.round(arrow.headY ?? 0);
@@ -530,6 +537,7 @@ export function resolveDensityCombat(
 
       if (cellOwner === nIdx) continue;
       if (matrix.oceanMask[ci] === 1) continue;
+      if (cellOwner !== UNOWNED && peaceMask[peaceRow + cellOwner] === 1) continue;
 
       let adjacentToUs = false;
       let attackerDensity = 0;
@@ -0,0 +1,253 @@
+// naval.js — Ports, sea routes and fleets
+//
+// Land arrows cannot cross ocean; troops cross it by ship instead. A port is
+// built on a COASTAL tile touching the sea. A naval arrow embarks troops at
+// the owner's port nearest (by sea) to the target coast, sails there at
+// config.naval.shipSpeedTilesPerTick and lands, capturing a beachhead (see
+// processNavalArrows in gameLogic.js). Fleets live in nation.arrowOrders.naval:
+//
+//   { id, type: "naval", portX, portY, target: { x, y },
+//     path: [{ x, y }, ...]   port, open-water waypoints, target
+//     routeLength, sailed,    tiles along the path, tiles covered so far
+//     x, y,                   current position
+//     remainingPower, initialPower, percent, createdAtTick, status: "sailing" }
+//
+// Fleets of nations that may fight each other trade losses when they pass
+// within interceptRadius, and hostile ports wear down fleets sailing nearby.
+
+import config from "../config/config.js";
+import { canAttack } from "./diplomacy.js";
+
+const DX8 = [1, -1, 0, 0, 1, 1, -1, -1];
+const DY8 = [0, 0, 1, -1, 1, -1, 1, -1];
+
+export const getNavalConfig = () => config?.naval || {};
+
+const isOcean = (mapData, x, y) => mapData?.[y]?.[x]?.biome === "OCEAN";
+
+function touchesOcean(mapData, x, y) {
+  for (let d = 0; d < 8; d++) {
+    if (isOcean(mapData, x + DX8[d], y + DY8[d])) return true;
+  }
+  return false;
+}
+
+/** Land tile with open sea next to it (a naval arrow can land here). */
+export function isCoastTile(mapData, x, y) {
+  const cell = mapData?.[y]?.[x];
+  return !!cell && cell.biome !== "OCEAN" && touchesOcean(mapData, x, y);
+}
+
+/**
+ * Check whether `nation` may place a port at (x, y), ignoring cost and
+ * territory (the caller checks those). Returns { error } or {}.
+ */
+export function evaluatePortSite(x, y, mapData, nation) {
+  const cell = mapData?.[y]?.[x];
+  if (!cell || cell.biome !== "COASTAL" || !touchesOcean(mapData, x, y)) {
+    return { error: "Ports must be built on a coastal tile next to the sea" };
+  }
+  const minSpacing = config?.structures?.port?.minSpacing ?? 0;
+  const tooClose = (nation?.cities || []).some(
+    (c) => c.type === "port" && Math.abs(c.x - x) + Math.abs(c.y - y) < minSpacing
+  );
+  if (tooClose) {
+    return { error: `Cannot build port within ${minSpacing} cells of another port` };
+  }
+  return {};
+}
+
+// True if every tile strictly between a and b is ocean
+function isOpenWater(mapData, a, b) {
+  const steps = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) * 2);
+  for (let s = 1; s < steps; s++) {
+    const t = s / steps;
+    const x = Math.round(a.x + (b.x - a.x) * t);
+    const y = Math.round(a.y + (b.y - a.y) * t);
+    if (!isOcean(mapData, x, y)) return false;
+  }
+  return true;
+}
+
+// Drop waypoints a straight run over open water can skip
+function simplifySeaPath(mapData, cells) {
+  if (cells.length <= 2) return cells;
+  const out = [cells[0]];
+  let anchor = 0;
+  while (anchor < cells.length - 1) {
+    let next = anchor + 1;
+    while (
+      next + 1 < cells.length &&
+      isOpenWater(mapData, cells[anchor], cells[next + 1])
+    ) {
+      next++;
+    }
+    out.push(cells[next]);
+    anchor = next;
+  }
+  return out;
+}
+
+export function computeRouteLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Shortest sea route from any of `ports` to the coast tile `target`, at most
+ * maxLength ocean tiles long. Returns { port, path, routeLength } with path
+ * running port → open water → target, or null when no port can reach it.
+ */
+export function findSeaRoute(mapData, ports, target, maxLength = Infinity) {
+  const height = mapData?.length || 0;
+  const width = mapData?.[0]?.length || 0;
+  if (!width || !ports?.length || !isCoastTile(mapData, target.x, target.y)) {
+    return null;
+  }
+
+  // Ocean tiles next to a port, mapped to that port
+  const dock = new Map();
+  for (const port of ports) {
+    for (let d = 0; d < 8; d++) {
+      const x = port.x + DX8[d];
+      const y = port.y + DY8[d];
+      if (isOcean(mapData, x, y) && !dock.has(y * width + x)) {
+        dock.set(y * width + x, port);
+      }
+    }
+  }
+  if (dock.size === 0) return null;
+
+  // BFS outward from the sea around the target until a port's water is reached
+  const prev = new Int32Array(width * height).fill(-2);
+  const depth = new Uint16Array(width * height);
+  const queue = [];
+  for (let d = 0; d < 8; d++) {
+    const x = target.x + DX8[d];
+    const y = target.y + DY8[d];
+    if (!isOcean(mapData, x, y)) continue;
+    const i = y * width + x;
+    if (prev[i] !== -2) continue;
+    prev[i] = -1;
+    queue.push(i);
+  }
+
+  let found = -1;
+  for (let q = 0; q < queue.length && found < 0; q++) {
+    const ci = queue[q];
+    if (dock.has(ci)) {
+      found = ci;
+      break;
+    }
+    if (depth[ci] >= maxLength) continue;
+    const cx = ci % width;
+    const cy = (ci - cx) / width;
+    for (let d = 0; d < 8; d++) {
+      const nx = cx + DX8[d];
+      const ny = cy + DY8[d];
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const ni = ny * width + nx;
+      if (prev[ni] !== -2 || !isOcean(mapData, nx, ny)) continue;
+      prev[ni] = ci;
+      depth[ni] = depth[ci] + 1;
+      queue.push(ni);
+    }
+  }
+  if (found < 0) return null;
+
+  // prev[] points back toward the target, so walking it runs port → target
+  const port = dock.get(found);
+  const water = [];
+  for (let i = found; i >= 0; i = prev[i]) {
+    water.push({ x: i % width, y: Math.floor(i / width) });
+  }
+  const path = [
+    { x: port.x, y: port.y },
+    ...simplifySeaPath(mapData, water),
+    { x: target.x, y: target.y },
+  ];
+  return { port, path, routeLength: computeRouteLength(path) };
+}
+
+/**
+ * Move a fleet one tick along its route and update its x/y. Returns true
+ * once it has reached the target coast.
+ */
+export function advanceFleet(fleet) {
+  const speed = getNavalConfig().shipSpeedTilesPerTick ?? 0.5;
+  const path = fleet.path || [];
+  const routeLength = fleet.routeLength ?? computeRouteLength(path);
+  fleet.sailed = Math.min(routeLength, (fleet.sailed || 0) + speed);
+
+  let remaining = fleet.sailed;
+  let position = path[path.length - 1] || { x: fleet.x, y: fleet.y };
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const segment = Math.hypot(b.x - a.x, b.y - a.y);
+    if (remaining <= segment) {
+      const t = segment > 0 ? remaining / segment : 1;
+      position = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      break;
+    }
+    remaining -= segment;
+  }
+  fleet.x = Math.round(position.x * 100) / 100;
+  fleet.y = Math.round(position.y * 100) / 100;
+  return fleet.sailed >= routeLength;
+}
+
+/**
+ * Apply one tick of combat at sea to `fleet`: hostile ports in range fire on
+ * it, and hostile fleets within interceptRadius trade losses with it. Each
+ * fleet pair is fought once per tick, by the nation whose owner id sorts
+ * first.
+ */
+export function applyFleetCombat(fleet, nation, gameState) {
+  const cfg = getNavalConfig();
+  const interceptRadius = cfg.interceptRadius ?? 2;
+  const lossRate = cfg.interceptLossRate ?? 0.05;
+  const portRadius = cfg.portInterceptRadius ?? 6;
+  const portAttrition = cfg.portAttritionPerTick ?? 0.01;
+
+  for (const other of gameState?.nations || []) {
+    if (other === nation || other.status === "defeated") continue;
+    if (!canAttack(gameState, nation, other)) continue;
+
+    for (const city of other.cities || []) {
+      if (city.type !== "port") continue;
+      if (Math.hypot(city.x - fleet.x, city.y - fleet.y) <= portRadius) {
+        fleet.remainingPower -= (fleet.initialPower || 0) * portAttrition;
+      }
+    }
+
+    if (nation.owner > other.owner) continue;
+    for (const enemy of other.arrowOrders?.naval || []) {
+      if (!(enemy.remainingPower > 0) || !(fleet.remainingPower > 0)) continue;
+      if (Math.hypot(enemy.x - fleet.x, enemy.y - fleet.y) > interceptRadius) continue;
+      const ourLoss = Math.min(fleet.remainingPower, enemy.remainingPower * lossRate);
+      const theirLoss = Math.min(enemy.remainingPower, fleet.remainingPower * lossRate);
+      fleet.remainingPower -= ourLoss;
+      enemy.remainingPower -= theirLoss;
+    }
+  }
+}
+
+/** Public view of a nation's fleets at sea: [{ id, x, y, power, heading }]. */
+export function getFleetViews(nation) {
+  const fleets = nation?.arrowOrders?.naval;
+  if (!Array.isArray(fleets) || fleets.length === 0) return [];
+  return fleets.map((fleet) => {
+    const target = fleet.target || fleet.path?.[fleet.path.length - 1] || fleet;
+    return {
+      id: fleet.id,
+      x: fleet.x,
+      y: fleet.y,
+      power: Math.round(fleet.remainingPower || 0),
+      heading: Math.atan2(target.y - fleet.y, target.x - fleet.x),
+    };
+  });
+}
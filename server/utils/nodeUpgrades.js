@@ -0,0 +1,71 @@
+// nodeUpgrades.js — Gold-funded resource node upgrades
+//
+// A node's level lives in the matrix resourceLevel layer, so it belongs to the
+// tile rather than to whoever paid for it: capturing the tile captures the
+// level. serializeMatrix persists the layer. gameState.resourceUpgrades mirrors
+// the non-zero levels ({ "x,y": { level } }) for the bonus and income code
+// (getNodeMultiplier) and for clients.
+//
+// Costs come from territorial.resourceNodeUpgradeCosts: { "1": 50, ... } is
+// the gold needed to reach each level. Only completed claims can be upgraded.
+
+import config from "../config/config.js";
+
+const DEFAULT_UPGRADE_COSTS = { 1: 50, 2: 150, 3: 400 };
+
+export function getNodeUpgradeCosts() {
+  return config?.territorial?.resourceNodeUpgradeCosts || DEFAULT_UPGRADE_COSTS;
+}
+
+export function getMaxNodeLevel() {
+  return Math.max(0, ...Object.keys(getNodeUpgradeCosts()).map(Number));
+}
+
+/** Gold needed to take a node from `level` to the next, or null at max level */
+export function getNextUpgradeCost(level) {
+  const cost = Number(getNodeUpgradeCosts()[String(level + 1)]);
+  return Number.isFinite(cost) ? cost : null;
+}
+
+/**
+ * Check that `nation` can upgrade the node at (x, y) now. Returns
+ * { error } or { key, index, level, cost } where level is the new level.
+ */
+export function evaluateNodeUpgrade(gameState, nation, x, y, mapData, matrix) {
+  if (!matrix) return { error: "Game is not running" };
+  if (!matrix.inBounds(x, y)) return { error: "Invalid coordinates" };
+  if (!mapData?.[y]?.[x]?.resourceNode?.type) {
+    return { error: "There is no resource node on this tile" };
+  }
+  const key = `${x},${y}`;
+  if (gameState.resourceNodeClaims?.[key]?.owner !== nation.owner) {
+    return { error: "You must control this resource node to upgrade it" };
+  }
+
+  const index = matrix.idx(x, y);
+  const current = matrix.resourceLevel[index];
+  const cost = getNextUpgradeCost(current);
+  if (cost === null) return { error: "This node is already at max level" };
+  if ((nation.resources?.gold || 0) < cost) {
+    return { error: `Upgrading to level ${current + 1} costs ${cost} gold` };
+  }
+  return { key, index, level: current + 1, cost };
+}
+
+/** Spend the gold and raise the level of an upgrade from evaluateNodeUpgrade */
+export function applyNodeUpgrade(gameState, nation, matrix, upgrade) {
+  nation.resources.gold = (nation.resources.gold || 0) - upgrade.cost;
+  matrix.resourceLevel[upgrade.index] = upgrade.level;
+  gameState.resourceUpgrades = gameState.resourceUpgrades || {};
+  gameState.resourceUpgrades[upgrade.key] = { level: upgrade.level };
+}
+
+/** Rebuild gameState.resourceUpgrades from the matrix for the given nodes */
+export function syncResourceUpgrades(gameState, matrix, nodes) {
+  const upgrades = {};
+  for (const { x, y } of nodes) {
+    const level = matrix.resourceLevel[matrix.idx(x, y)];
+    if (level > 0) upgrades[`${x},${y}`] = { level };
+  }
+  gameState.resourceUpgrades = upgrades;
+}
@@ -169,3 +169,266 @@ export function unpackTerritoryDeltaBinary(buffer) {
 
   return result;
 }
+
+// ---------------------------------------------------------------------
+// Binary state frames (sent as binary WebSocket messages)
+// ---------------------------------------------------------------------
+//
+// A state frame carries the same object as a JSON { type: "state", ... }
+// message. The bulky, numeric parts travel in typed sections and the rest
+// stays in a JSON meta section. All numbers are little-endian.
+//
+//   Header (12 bytes)
+//     u8  magic       0x48 ("H")
+//     u8  version     STATE_FRAME_VERSION
+//     u8  frameType   1 = state
+//     u8  flags       reserved, 0
+//     u32 tickCount
+//     u32 sectionCount
+//   Sections, each: u8 id, u32 byteLength, payload
+//     META          UTF-8 JSON of the response with the binary fields removed
+//     NATIONS       u16 count, then per nation (meta order) f32 × NATION_FIELDS
+//                   (NaN = field absent)
+//     DELTAS        u16 count, then per entry: u16 nation, u32 add, u32 sub,
+//                   (add + sub) × (u16 x, u16 y)
+//     ARROWS        u16 count, then per arrow: u16 nation, u8 slot
+//                   (ARROW_SLOTS), u16 index, u16 pathLength (0xffff = no
+//                   path), pathLength × (u16 x, u16 y), f32 × ARROW_FIELDS
+//     TROOP_DENSITY u16 count, then per entry: u16 nation, u32 cells,
+//                   cells × (u16 x, u16 y, u8 value)
+//
+// Bump STATE_FRAME_VERSION whenever the layout or a field list changes;
+// the client rejects frames from a version it doesn't know.
+// Keep in sync with client/src/utils/packedDelta.js.
+
+export const STATE_FRAME_MAGIC = 0x48;
+export const STATE_FRAME_VERSION = 1;
+export const FRAME_TYPE_STATE = 1;
+export const FRAME_SECTIONS = {
+  META: 1,
+  NATIONS: 2,
+  DELTAS: 3,
+  ARROWS: 4,
+  TROOP_DENSITY: 5,
+};
+export const NATION_FIELDS = [
+  "population",
+  "maxPopulation",
+  "nationalWill",
+  "territoryPercentage",
+  "troopCount",
+  "troopTarget",
+];
+export const ARROW_SLOTS = ["attacks", "defend", "attack"];
+export const ARROW_FIELDS = [
+  "currentIndex",
+  "remainingPower",
+  "initialPower",
+  "troopCommitment",
+  "percent",
+  "headX",
+  "headY",
+  "frontWidth",
+  "advanceProgress",
+  "phase",
+  "effectiveDensityAtFront",
+  "stalledTicks",
+  "emptyFrontTicks",
+  "createdAtTick",
+];
+const NO_PATH = 0xffff;
+
+class FrameWriter {
+  constructor(initialSize = 4096) {
+    this.buffer = Buffer.allocUnsafe(initialSize);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.offset + bytes) size *= 2;
+    const next = Buffer.allocUnsafe(size);
+    this.buffer.copy(next, 0, 0, this.offset);
+    this.buffer = next;
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.buffer.writeUInt8(value, this.offset);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.buffer.writeUInt16LE(value, this.offset);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.buffer.writeUInt32LE(value, this.offset);
+    this.offset += 4;
+  }
+
+  f32(value) {
+    this.ensure(4);
+    this.buffer.writeFloatLE(value, this.offset);
+    this.offset += 4;
+  }
+
+  bytes(source) {
+    this.ensure(source.length);
+    source.copy(this.buffer, this.offset);
+    this.offset += source.length;
+  }
+
+  // Sections are written with a placeholder length patched once the body is done
+  beginSection(id) {
+    this.u8(id);
+    const lengthOffset = this.offset;
+    this.u32(0);
+    return lengthOffset;
+  }
+
+  endSection(lengthOffset) {
+    this.buffer.writeUInt32LE(this.offset - lengthOffset - 4, lengthOffset);
+  }
+
+  finish() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+const toNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) ? value : NaN;
+
+/**
+ * Encode a buildGameStateResponse result as a binary state frame (Buffer).
+ * The response is not modified.
+ */
+export function encodeStateFrame(response) {
+  const meta = { ...response, usePackedDeltas: false };
+  const sourceNations = response.gameState?.nations || [];
+  const nations = [];
+  const deltas = [];
+  const arrows = [];
+  const densities = [];
+
+  sourceNations.forEach((nation, index) => {
+    const stripped = { ...nation };
+    for (const field of NATION_FIELDS) delete stripped[field];
+
+    let delta = nation.territoryDeltaForClient;
+    if (!delta && typeof nation.packedDelta === "string") {
+      delta = unpackTerritoryDelta(nation.packedDelta);
+    }
+    delete stripped.territoryDeltaForClient;
+    delete stripped.packedDelta;
+    if (delta) deltas.push({ index, delta });
+
+    if (Array.isArray(nation.troopDensityMap)) {
+      densities.push({ index, cells: nation.troopDensityMap });
+      delete stripped.troopDensityMap;
+    }
+
+    if (nation.arrowOrders) {
+      const orders = { ...nation.arrowOrders };
+      ARROW_SLOTS.forEach((slotName, slot) => {
+        const value = orders[slotName];
+        if (!value) return;
+        const list = slotName === "attacks" ? value : [value];
+        if (!Array.isArray(list)) return;
+        const rest = list.map((arrow, arrowIndex) => {
+          if (!arrow || typeof arrow !== "object") return arrow;
+          arrows.push({ index, slot, arrowIndex, arrow });
+          const remaining = { ...arrow };
+          if (Array.isArray(arrow.path)) delete remaining.path;
+          for (const field of ARROW_FIELDS) {
+            if (Number.isFinite(toNumber(arrow[field]))) delete remaining[field];
+          }
+          return remaining;
+        });
+        orders[slotName] = slotName === "attacks" ? rest : rest[0];
+      });
+      stripped.arrowOrders = orders;
+    }
+
+    nations.push(stripped);
+  });
+
+  meta.gameState = { ...response.gameState, nations };
+  const json = Buffer.from(JSON.stringify(meta), "utf8");
+
+  const writer = new FrameWriter(json.length + 1024);
+  writer.u8(STATE_FRAME_MAGIC);
+  writer.u8(STATE_FRAME_VERSION);
+  writer.u8(FRAME_TYPE_STATE);
+  writer.u8(0);
+  writer.u32(response.tickCount || 0);
+  writer.u32(5);
+
+  let section = writer.beginSection(FRAME_SECTIONS.META);
+  writer.bytes(json);
+  writer.endSection(section);
+
+  section = writer.beginSection(FRAME_SECTIONS.NATIONS);
+  writer.u16(sourceNations.length);
+  for (const nation of sourceNations) {
+    for (const field of NATION_FIELDS) writer.f32(toNumber(nation[field]));
+  }
+  writer.endSection(section);
+
+  section = writer.beginSection(FRAME_SECTIONS.DELTAS);
+  writer.u16(deltas.length);
+  for (const { index, delta } of deltas) {
+    const addX = delta.add?.x || [];
+    const addY = delta.add?.y || [];
+    const subX = delta.sub?.x || [];
+    const subY = delta.sub?.y || [];
+    writer.u16(index);
+    writer.u32(addX.length);
+    writer.u32(subX.length);
+    for (let i = 0; i < addX.length; i++) {
+      writer.u16(addX[i]);
+      writer.u16(addY[i]);
+    }
+    for (let i = 0; i < subX.length; i++) {
+      writer.u16(subX[i]);
+      writer.u16(subY[i]);
+    }
+  }
+  writer.endSection(section);
+
+  section = writer.beginSection(FRAME_SECTIONS.ARROWS);
+  writer.u16(arrows.length);
+  for (const { index, slot, arrowIndex, arrow } of arrows) {
+    writer.u16(index);
+    writer.u8(slot);
+    writer.u16(arrowIndex);
+    const path = Array.isArray(arrow.path) ? arrow.path : null;
+    writer.u16(path ? path.length : NO_PATH);
+    for (const point of path || []) {
+      writer.u16(point?.x || 0);
+      writer.u16(point?.y || 0);
+    }
+    for (const field of ARROW_FIELDS) writer.f32(toNumber(arrow[field]));
+  }
+  writer.endSection(section);
+
+  section = writer.beginSection(FRAME_SECTIONS.TROOP_DENSITY);
+  writer.u16(densities.length);
+  for (const { index, cells } of densities) {
+    const count = Math.floor(cells.length / 3);
+    writer.u16(index);
+    writer.u32(count);
+    for (let i = 0; i < count * 3; i += 3) {
+      writer.u16(cells[i]);
+      writer.u16(cells[i + 1]);
+      writer.u8(cells[i + 2]);
+    }
+  }
+  writer.endSection(section);
+
+  return writer.finish();
+}
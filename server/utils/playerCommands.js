@@ -0,0 +1,651 @@
+// playerCommands.js — In-game player actions (arrows, fleets, structures,
+// resource node upgrades, research)
+//
+// Shared by the REST routes and the WebSocket command channel. Each command
+// validates against the live room and mutates it in place, returning the
+// response body or throwing an Error with a `status`. Commands don't save or
+// broadcast: the REST routes run them under GameLoop.withRoomMutationLock and
+// persist afterwards, while WebSocket commands are queued with
+// GameLoop.queueCommand and applied at the start of the next tick, whose
+// broadcast carries the result.
+//
+//   runPlayerCommand(gameRoom, userId, "arrow", { type, path, percent },
+//                    { roomKey, mapData, matrix, regionData })
+
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import { computePathLength, computeMaxArrowRange } from "./gameLogic.js";
+import { generateCityName, generateTowerName, generateUniqueName } from "./nameGenerator.js";
+import { getRegionForCell } from "./regionGenerator.js";
+import { recordCommand } from "./replayStore.js";
+import {
+  evaluateStructureSite,
+  isEconomyStructure,
+  nameEconomyStructure,
+} from "./economyStructures.js";
+import { evaluatePortSite, findSeaRoute, getNavalConfig, isCoastTile } from "./naval.js";
+import { evaluateNodeUpgrade, applyNodeUpgrade } from "./nodeUpgrades.js";
+import { evaluateResearch, applyResearch } from "./research.js";
+import { debug } from "./debug.js";
+
+function statusError(message, status, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function isPointNearTerritory(nation, point, maxDistance = 3) {
+  if (!point || !nation?.territory?.x || !nation?.territory?.y) return false;
+  const tx = nation.territory.x;
+  const ty = nation.territory.y;
+  for (let i = 0; i < tx.length; i++) {
+    const dist = Math.abs(tx[i] - point.x) + Math.abs(ty[i] - point.y);
+    if (dist <= maxDistance) return true;
+  }
+  return false;
+}
+
+function isInTerritory(nation, x, y) {
+  const tx = nation.territory?.x || [];
+  const ty = nation.territory?.y || [];
+  for (let i = 0; i < tx.length; i++) {
+    if (tx[i] === x && ty[i] === y) return true;
+  }
+  return false;
+}
+
+function clampAttackPercent(percent) {
+  const minPercent = config?.territorial?.minAttackPercent || 0.05;
+  const maxPercent = config?.territorial?.maxAttackPercent || 1;
+  const rawPercent = Number(percent ?? config?.territorial?.defaultAttackPercent ?? 0.25);
+  if (!Number.isFinite(rawPercent)) {
+    throw statusError("Invalid attack percent", 400);
+  }
+  return Math.min(Math.max(rawPercent, minPercent), maxPercent);
+}
+
+function parseCell(rawX, rawY) {
+  const x = Math.floor(Number(rawX));
+  const y = Math.floor(Number(rawY));
+  if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) {
+    throw statusError("Invalid coordinates", 400);
+  }
+  return { x, y };
+}
+
+// ─── Arrows ─────────────────────────────────────────────────────
+
+function sendArrow(gameRoom, nation, { type, path, percent }, ctx) {
+  if (!type || !Array.isArray(path)) {
+    throw statusError("type (attack/defend) and path array are required", 400);
+  }
+  if (type !== "attack" && type !== "defend") {
+    throw statusError("type must be either 'attack' or 'defend'", 400);
+  }
+  if (path.length < 2) {
+    throw statusError("Arrow path must have at least 2 points", 400);
+  }
+
+  const sanitizedPath = path.map((point) => ({
+    x: Number(point?.x),
+    y: Number(point?.y),
+  }));
+  if (sanitizedPath.some((point) => !Number.isFinite(point.x) || !Number.isFinite(point.y))) {
+    throw statusError("Arrow path contains invalid coordinates", 400);
+  }
+
+  // Validate all path points are within map bounds
+  if (ctx.mapData) {
+    const mapH = ctx.mapData.length;
+    const mapW = ctx.mapData[0]?.length || 0;
+    const hasOutOfBounds = sanitizedPath.some(
+      (p) => p.x < 0 || p.y < 0 || p.x >= mapW || p.y >= mapH
+    );
+    if (hasOutOfBounds) {
+      throw statusError("Arrow path contains out-of-bounds coordinates", 400);
+    }
+  }
+
+  if (!isPointNearTerritory(nation, sanitizedPath[0], 3)) {
+    throw statusError("Arrow must start on or near your territory", 400);
+  }
+
+  if (!nation.arrowOrders) nation.arrowOrders = {};
+
+  // For attack arrows: enforce multi-arrow limits and range
+  if (type === "attack") {
+    // Migrate legacy format
+    if (nation.arrowOrders.attack && !nation.arrowOrders.attacks) {
+      nation.arrowOrders.attacks = [nation.arrowOrders.attack];
+      delete nation.arrowOrders.attack;
+    }
+    if (!nation.arrowOrders.attacks) nation.arrowOrders.attacks = [];
+
+    const maxAttackArrows = config?.territorial?.maxAttackArrows ?? 3;
+    if (nation.arrowOrders.attacks.length >= maxAttackArrows) {
+      throw statusError(`Maximum ${maxAttackArrows} attack arrows allowed`, 400);
+    }
+
+    const pathLen = computePathLength(sanitizedPath);
+    const maxRange = computeMaxArrowRange(nation);
+    if (pathLen > maxRange) {
+      throw statusError(
+        `Arrow path too long (${Math.round(pathLen)} tiles). Max range: ${Math.round(maxRange)} tiles`,
+        400
+      );
+    }
+  }
+
+  // For defend arrows: still single
+  if (type === "defend" && nation.arrowOrders.defend) {
+    nation.population = (nation.population || 0) + (nation.arrowOrders.defend.remainingPower || 0);
+    delete nation.arrowOrders.defend;
+  }
+
+  // Arrow resource costs
+  const arrowCostCfg = config?.arrowCosts;
+  if (arrowCostCfg && type === "attack") {
+    const pathLen = computePathLength(sanitizedPath);
+    let arrowFoodCost = arrowCostCfg.food.base + arrowCostCfg.food.perTile * pathLen;
+    let arrowGoldCost = arrowCostCfg.gold.base + arrowCostCfg.gold.perTile * pathLen;
+
+    // First arrow free
+    if (arrowCostCfg.firstArrowFree && nation.arrowOrders.attacks.length === 0) {
+      arrowFoodCost = 0;
+      arrowGoldCost = 0;
+    }
+
+    // Own territory discount — if path start+end both in territory
+    if (arrowCostCfg.ownTerritoryDiscount && arrowFoodCost > 0) {
+      const start = sanitizedPath[0];
+      const end = sanitizedPath[sanitizedPath.length - 1];
+      if (isInTerritory(nation, start.x, start.y) && isInTerritory(nation, end.x, end.y)) {
+        arrowFoodCost *= arrowCostCfg.ownTerritoryDiscount;
+        arrowGoldCost *= arrowCostCfg.ownTerritoryDiscount;
+      }
+    }
+
+    arrowFoodCost = Math.ceil(arrowFoodCost);
+    arrowGoldCost = Math.ceil(arrowGoldCost);
+
+    if ((nation.resources?.food || 0) < arrowFoodCost ||
+        (nation.resources?.gold || 0) < arrowGoldCost) {
+      throw statusError("Insufficient resources for arrow", 400, {
+        cost: { food: arrowFoodCost, gold: arrowGoldCost },
+      });
+    }
+    nation.resources.food -= arrowFoodCost;
+    nation.resources.gold -= arrowGoldCost;
+  }
+
+  // Calculate power commitment
+  const clampedPercent = clampAttackPercent(percent);
+  const troopDensityEnabled = config?.troopDensity?.enabled;
+  const available = nation.population || 0;
+  const power = available * clampedPercent;
+  if (power <= 0) {
+    throw statusError("Not enough population to commit", 400);
+  }
+
+  // Only deduct population in legacy mode; density system uses attractors
+  if (!troopDensityEnabled) {
+    nation.population = Math.max(0, available - power);
+  }
+
+  const arrowId = new mongoose.Types.ObjectId().toString();
+  const currentTick = gameRoom.tickCount || 0;
+
+  if (type === "attack") {
+    nation.arrowOrders.attacks.push({
+      id: arrowId,
+      type: "attack",
+      path: sanitizedPath,
+      currentIndex: 1,
+      remainingPower: troopDensityEnabled ? 0 : power,
+      initialPower: troopDensityEnabled ? 0 : power,
+      troopCommitment: clampedPercent,
+      percent: clampedPercent,
+      createdAt: new Date(),
+      createdAtTick: currentTick,
+      frontWidth: 0,
+      advanceProgress: 0,
+      phase: 1,
+      phaseConsolidationRemaining: 0,
+      status: "advancing",
+      opposingForces: [],
+      headX: sanitizedPath[0].x,
+      headY: sanitizedPath[0].y,
+      effectiveDensityAtFront: 0,
+    });
+  } else {
+    // Defend arrows: population was deducted above in legacy mode only
+    nation.arrowOrders.defend = {
+      id: arrowId,
+      type: "defend",
+      path: sanitizedPath,
+      currentIndex: 0,
+      remainingPower: troopDensityEnabled ? 0 : power,
+      initialPower: troopDensityEnabled ? 0 : power,
+      percent: clampedPercent,
+      createdAt: new Date(),
+      createdAtTick: currentTick,
+    };
+  }
+
+  if (process.env.DEBUG_ARROWS === "true") {
+    debug(
+      `[ARROW-CREATED] PLAYER ${nation.owner} ${type}: id=${arrowId} power=${power.toFixed(0)} pathLen=${sanitizedPath.length} target=(${sanitizedPath[sanitizedPath.length-1]?.x},${sanitizedPath[sanitizedPath.length-1]?.y}) attacks[]=${nation.arrowOrders.attacks?.length || 0}`
+    );
+  }
+
+  recordCommand(ctx.roomKey, currentTick, "arrow", nation.owner, {
+    type,
+    path: sanitizedPath,
+    percent: clampedPercent,
+    arrowId,
+  });
+
+  return {
+    message: `${type} arrow order sent`,
+    arrowId,
+    percent: clampedPercent,
+    pathLength: path.length,
+  };
+}
+
+// Ship troops across the sea to a coast, embarking at the nation's port
+// nearest by sea to the target (see naval.js)
+function sendNavalArrow(gameRoom, nation, { x: rawX, y: rawY, percent }, ctx) {
+  if (rawX == null || rawY == null) {
+    throw statusError("x and y are required", 400);
+  }
+  const navalCfg = getNavalConfig();
+  if (navalCfg.enabled === false) {
+    throw statusError("Naval invasions are disabled", 400);
+  }
+  const target = { x: Math.floor(Number(rawX)), y: Math.floor(Number(rawY)) };
+  if (!Number.isFinite(target.x) || !Number.isFinite(target.y)) {
+    throw statusError("Invalid coordinates", 400);
+  }
+  if (!ctx.mapData || !isCoastTile(ctx.mapData, target.x, target.y)) {
+    throw statusError("Naval invasions must target a coastal tile next to the sea", 400);
+  }
+
+  if (!nation.arrowOrders) nation.arrowOrders = {};
+  if (!nation.arrowOrders.naval) nation.arrowOrders.naval = [];
+  const maxFleets = navalCfg.maxFleets ?? 2;
+  if (nation.arrowOrders.naval.length >= maxFleets) {
+    throw statusError(`Maximum ${maxFleets} fleets at sea allowed`, 400);
+  }
+
+  const ports = (nation.cities || []).filter((c) => c.type === "port");
+  if (ports.length === 0) {
+    throw statusError("Build a port first", 400);
+  }
+  const route = findSeaRoute(ctx.mapData, ports, target, navalCfg.maxRouteLength ?? 250);
+  if (!route) {
+    throw statusError("None of your ports can reach that coast by sea", 400);
+  }
+
+  const launchCost = navalCfg.launchCost || {};
+  for (const resource in launchCost) {
+    if ((nation.resources?.[resource] || 0) < launchCost[resource]) {
+      throw statusError("Insufficient resources to launch a fleet", 400, { cost: launchCost });
+    }
+  }
+
+  const clampedPercent = clampAttackPercent(percent);
+
+  // Troops leave the mainland: in density mode they come out of the
+  // mobilized army, otherwise out of population
+  const troopDensityEnabled = config?.troopDensity?.enabled;
+  const available = troopDensityEnabled ? nation.troopCount || 0 : nation.population || 0;
+  const power = available * clampedPercent;
+  if (power <= (navalCfg.minFleetPower ?? 1)) {
+    throw statusError("Not enough troops to embark", 400);
+  }
+
+  for (const resource in launchCost) {
+    nation.resources[resource] -= launchCost[resource];
+  }
+  nation.population = Math.max(0, (nation.population || 0) - power);
+  if (troopDensityEnabled) {
+    nation.troopCount = Math.max(0, available - power);
+  }
+
+  const arrowId = new mongoose.Types.ObjectId().toString();
+  const currentTick = gameRoom.tickCount || 0;
+  nation.arrowOrders.naval.push({
+    id: arrowId,
+    type: "naval",
+    portX: route.port.x,
+    portY: route.port.y,
+    target,
+    path: route.path,
+    routeLength: route.routeLength,
+    sailed: 0,
+    x: route.port.x,
+    y: route.port.y,
+    remainingPower: power,
+    initialPower: power,
+    percent: clampedPercent,
+    createdAt: new Date(),
+    createdAtTick: currentTick,
+    status: "sailing",
+  });
+
+  recordCommand(ctx.roomKey, currentTick, "navalArrow", nation.owner, {
+    target,
+    percent: clampedPercent,
+    arrowId,
+  });
+
+  return {
+    message: "Fleet launched",
+    arrowId,
+    percent: clampedPercent,
+    routeLength: Math.round(route.routeLength),
+  };
+}
+
+// Clear an arrow by arrowId, or every arrow of a type (backward compat)
+function clearArrow(gameRoom, nation, { type, arrowId }, ctx) {
+  const troopDensityEnabled = config?.troopDensity?.enabled;
+  // In density mode, no population to return; density redistributes via diffusion
+  const refund = (arrow) => {
+    if (!troopDensityEnabled) {
+      nation.population = (nation.population || 0) + (arrow?.remainingPower || 0);
+    }
+  };
+
+  if (type === "defend") {
+    if (nation.arrowOrders?.defend) {
+      refund(nation.arrowOrders.defend);
+      delete nation.arrowOrders.defend;
+    }
+  } else if (arrowId && nation.arrowOrders?.attacks) {
+    const idx = nation.arrowOrders.attacks.findIndex((a) => a.id === arrowId);
+    if (idx !== -1) {
+      refund(nation.arrowOrders.attacks[idx]);
+      nation.arrowOrders.attacks.splice(idx, 1);
+    }
+  } else if (type === "attack") {
+    if (nation.arrowOrders?.attacks) {
+      nation.arrowOrders.attacks.forEach(refund);
+      nation.arrowOrders.attacks = [];
+    }
+    if (nation.arrowOrders?.attack) {
+      refund(nation.arrowOrders.attack);
+      delete nation.arrowOrders.attack;
+    }
+  }
+
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "clearArrow", nation.owner, {
+    type: type || null,
+    arrowId: arrowId || null,
+  });
+  return { message: "Arrow cleared" };
+}
+
+// Add troops to an active attack arrow
+function reinforceArrow(gameRoom, nation, { arrowId, percent }, ctx) {
+  if (!arrowId) throw statusError("arrowId is required", 400);
+  const arrow = nation.arrowOrders?.attacks?.find((a) => a.id === arrowId);
+  if (!arrow) throw statusError("Arrow not found", 404);
+
+  const minPercent = config?.territorial?.reinforceMinPercent ?? 0.05;
+  let reinforcement;
+  let newPower;
+  if (config?.troopDensity?.enabled) {
+    // In density mode, reinforce increases troopCommitment (attractor share)
+    const maxPercent = config?.territorial?.maxAttackPercent ?? 1;
+    const rawAddPercent = Number(percent ?? 0.1);
+    const addPercent = Math.min(Math.max(rawAddPercent, minPercent), maxPercent);
+    const newCommitment = Math.min(1, (arrow.troopCommitment || arrow.percent || 0.25) + addPercent);
+    arrow.troopCommitment = newCommitment;
+    arrow.percent = newCommitment;
+    reinforcement = addPercent;
+    newPower = newCommitment;
+  } else {
+    // Legacy: deduct population, add to remainingPower
+    const maxPercent = config?.territorial?.reinforceMaxPercent ?? 0.5;
+    const rawPercent = Number(percent ?? 0.1);
+    const clampedPercent = Math.min(Math.max(rawPercent, minPercent), maxPercent);
+
+    const available = nation.population || 0;
+    reinforcement = available * clampedPercent;
+    if (reinforcement <= 0) {
+      throw statusError("Not enough population to reinforce", 400);
+    }
+    nation.population = Math.max(0, available - reinforcement);
+    arrow.remainingPower = (arrow.remainingPower || 0) + reinforcement;
+    newPower = arrow.remainingPower;
+  }
+
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "reinforceArrow", nation.owner, {
+    arrowId,
+    percent: percent ?? null,
+  });
+  return {
+    message: "Arrow reinforced",
+    reinforcement: Math.round(reinforcement),
+    newPower: Math.round(newPower),
+  };
+}
+
+function retreatArrow(gameRoom, nation, { arrowId }, ctx) {
+  if (!arrowId) throw statusError("arrowId is required", 400);
+  const arrow = nation.arrowOrders?.attacks?.find((a) => a.id === arrowId);
+  if (!arrow) throw statusError("Arrow not found", 404);
+
+  arrow.status = "retreating";
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "retreatArrow", nation.owner, { arrowId });
+  return { message: "Arrow retreating" };
+}
+
+// Set the share of population kept mobilized as troops
+function setTroopTarget(gameRoom, nation, { troopTarget }, ctx) {
+  if (troopTarget == null) throw statusError("troopTarget is required", 400);
+  const clampedTarget = Math.max(0, Math.min(0.8, Number(troopTarget)));
+  if (!Number.isFinite(clampedTarget)) throw statusError("Invalid troopTarget", 400);
+
+  nation.troopTarget = clampedTarget;
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "troopTarget", nation.owner, {
+    troopTarget: clampedTarget,
+  });
+  return { troopTarget: clampedTarget };
+}
+
+// ─── Structures ─────────────────────────────────────────────────
+
+function buildCity(gameRoom, nation, { x: rawX, y: rawY, cityType, cityName }, ctx) {
+  if (rawX == null || rawY == null || !cityType) {
+    throw statusError("x, y, and cityType are required", 400);
+  }
+  const { x, y } = parseCell(rawX, rawY);
+
+  if (!isInTerritory(nation, x, y)) {
+    throw statusError("Selected cell is not within your territory", 400);
+  }
+
+  // For towns, ensure no city exists within 5 cells (Manhattan distance).
+  if (cityType === "town") {
+    const tooClose = nation.cities?.some(
+      (city) =>
+        (city.type === "town" || city.type === "capital") &&
+        Math.abs(city.x - x) + Math.abs(city.y - y) < 5
+    );
+    if (tooClose) {
+      throw statusError("Cannot build town within 5 cells of an existing town or capital", 400);
+    }
+  }
+
+  // For towers, check they're not too close to other towers
+  if (cityType === "tower") {
+    const tooClose = nation.cities?.some(
+      (city) => city.type === "tower" && Math.abs(city.x - x) + Math.abs(city.y - y) < 3
+    );
+    if (tooClose) {
+      throw statusError("Cannot build tower within 3 cells of another tower", 400);
+    }
+  }
+
+  if (nation.cities?.some((city) => city.x === x && city.y === y)) {
+    throw statusError("A structure already exists on this tile", 400);
+  }
+
+  // Region-based building constraints
+  const regionCfg = config?.regions;
+  const regionData = ctx.regionData;
+  if (regionCfg?.enabled !== false && regionData) {
+    const regionOf = (cx, cy) => getRegionForCell(regionData.assignment, regionData.width, cx, cy);
+    const regionId = regionOf(x, y);
+    const UNASSIGNED = 65535;
+
+    if (regionId !== UNASSIGNED) {
+      if (cityType === "town") {
+        // Count existing towns/capitals in this region across ALL nations
+        let townCount = 0;
+        for (const n of gameRoom.gameState?.nations || []) {
+          for (const c of n.cities || []) {
+            if ((c.type === "town" || c.type === "capital") && regionOf(c.x, c.y) === regionId) {
+              townCount++;
+            }
+          }
+        }
+        if (townCount >= (regionCfg.maxTownsPerRegion ?? 1)) {
+          throw statusError("Region already has a city", 400);
+        }
+      }
+
+      if (cityType === "tower") {
+        // Count this nation's towers in this region
+        const towerCount = (nation.cities || []).filter(
+          (c) => c.type === "tower" && regionOf(c.x, c.y) === regionId
+        ).length;
+        const maxTowers = regionCfg.maxTowersPerRegion ?? 2;
+        if (towerCount >= maxTowers) {
+          throw statusError(`Region tower limit reached (${maxTowers}/${maxTowers})`, 400);
+        }
+      }
+    }
+  }
+
+  // Economy structures need productive land around them (see economyStructures.js)
+  if (isEconomyStructure(cityType)) {
+    const site = evaluateStructureSite(cityType, x, y, ctx.mapData, nation);
+    if (site.error) throw statusError(site.error, 400);
+  }
+
+  // Ports must sit on the coast (see naval.js)
+  if (cityType === "port") {
+    const site = evaluatePortSite(x, y, ctx.mapData, nation);
+    if (site.error) throw statusError(site.error, 400);
+  }
+
+  const cost = config.buildCosts.structures[cityType];
+  if (!cost) throw statusError("Invalid structure type specified", 400);
+  for (const resource in cost) {
+    if ((nation.resources[resource] || 0) < cost[resource]) {
+      throw statusError("Insufficient resources to build this structure", 400);
+    }
+  }
+  for (const resource in cost) {
+    nation.resources[resource] = (nation.resources[resource] || 0) - cost[resource];
+  }
+
+  const existingNames = new Set(nation.cities?.map((c) => c.name) || []);
+  let generatedName;
+  if (cityType === "tower") {
+    generatedName = cityName || generateUniqueName(generateTowerName, existingNames);
+  } else if (cityType === "town") {
+    generatedName = cityName || generateUniqueName(generateCityName, existingNames);
+  } else {
+    generatedName = cityName || nameEconomyStructure(cityType, existingNames);
+  }
+
+  debug(`[BUILD] ${cityType} "${generatedName}" at (${x},${y}) for ${nation.owner}`);
+
+  const city = {
+    name: generatedName,
+    x,
+    y,
+    population: cityType === "tower" ? 0 : 50,
+    type: cityType,
+  };
+  nation.cities.push(city);
+
+  // Invalidate loyalty city bonus cache
+  if (ctx.matrix) ctx.matrix._cityBonusVersion = (ctx.matrix._cityBonusVersion || 0) + 1;
+
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "buildCity", nation.owner, {
+    x,
+    y,
+    cityType,
+    cityName: generatedName,
+  });
+  return { message: "Structure built successfully", city };
+}
+
+// ─── Resource nodes ─────────────────────────────────────────────
+
+function upgradeNode(gameRoom, nation, { x: rawX, y: rawY }, ctx) {
+  const { x, y } = parseCell(rawX, rawY);
+  const upgrade = evaluateNodeUpgrade(gameRoom.gameState, nation, x, y, ctx.mapData, ctx.matrix);
+  if (upgrade.error) {
+    throw statusError(upgrade.error, ctx.matrix ? 400 : 409);
+  }
+  applyNodeUpgrade(gameRoom.gameState, nation, ctx.matrix, upgrade);
+
+  debug(`[UPGRADE] Node (${x},${y}) to level ${upgrade.level} for ${nation.owner}`);
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "upgradeNode", nation.owner, {
+    x,
+    y,
+    level: upgrade.level,
+  });
+  return {
+    message: `Resource node upgraded to level ${upgrade.level}`,
+    x,
+    y,
+    level: upgrade.level,
+    cost: upgrade.cost,
+  };
+}
+
+// ─── Research ───────────────────────────────────────────────────
+
+function research(gameRoom, nation, { techId }, ctx) {
+  const result = evaluateResearch(nation, techId);
+  if (result.error) throw statusError(result.error, 400);
+  applyResearch(nation, result);
+
+  debug(`[RESEARCH] ${nation.owner} researched ${techId}`);
+  recordCommand(ctx.roomKey, gameRoom.tickCount, "research", nation.owner, { techId });
+  return {
+    message: `${result.tech.name} researched`,
+    techId,
+    completed: nation.research.completed,
+  };
+}
+
+export const PLAYER_COMMANDS = {
+  arrow: sendArrow,
+  navalArrow: sendNavalArrow,
+  clearArrow,
+  reinforceArrow,
+  retreatArrow,
+  troopTarget: setTroopTarget,
+  buildCity,
+  upgradeNode,
+  research,
+};
+
+/**
+ * Apply a player command to the live room. Returns the response body;
+ * throws an Error with `status` when the command is rejected.
+ */
+export function runPlayerCommand(gameRoom, userId, command, payload, ctx) {
+  const handler = PLAYER_COMMANDS[command];
+  if (!handler) throw statusError(`Unknown command "${command}"`, 400);
+  const nation = gameRoom.gameState?.nations?.find((n) => n.owner === userId);
+  if (!nation) throw statusError("Nation not found for this user", 404);
+  return handler(gameRoom, nation, payload || {}, ctx);
+}
@@ -0,0 +1,129 @@
+// png.js — Minimal PNG decoder for heightmap uploads
+//
+// Handles non-interlaced grayscale, RGB, palette, gray+alpha and RGBA images
+// at 8 or 16 bits per channel (16-bit samples keep their high byte), which
+// covers what image editors and GIS tools export for heightmaps.
+
+import zlib from "zlib";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG buffer. Returns { width, height, channels, data } where data
+ * holds 8-bit samples row by row; palette images are expanded to RGB(A).
+ * Throws on malformed or unsupported files, and before inflating anything
+ * when a side is larger than `maxSize`.
+ */
+export function decodePng(buffer, { maxSize = Infinity } = {}) {
+  if (!Buffer.isBuffer(buffer) || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error("Not a PNG image");
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      if (body[12] !== 0) throw new Error("Interlaced PNGs are not supported");
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      transparency = body;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  const channels = CHANNELS[colorType];
+  if (!width || !height || !channels) throw new Error("Unsupported PNG color type");
+  if (bitDepth !== 8 && bitDepth !== 16) {
+    throw new Error("Only 8- and 16-bit PNGs are supported");
+  }
+  if (colorType === 3 && (!palette || bitDepth !== 8)) {
+    throw new Error("Unsupported palette PNG");
+  }
+  if (width > maxSize || height > maxSize) {
+    throw new Error(`Larger than ${maxSize}x${maxSize} pixels`);
+  }
+
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  // Never inflate more than the header's dimensions need
+  const expectedLength = height * (stride + 1);
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expectedLength });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new Error("PNG data is larger than its header declares");
+    }
+    throw err;
+  }
+  if (raw.length < expectedLength) throw new Error("Truncated PNG data");
+
+  // Undo the per-row filters in place
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[dst + i - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[dst - stride + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? pixels[dst - stride + i - bytesPerPixel] : 0;
+      let value = raw[src + i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      pixels[dst + i] = value & 0xff;
+    }
+  }
+
+  if (colorType === 3) {
+    const outChannels = transparency ? 4 : 3;
+    const data = new Uint8Array(width * height * outChannels);
+    for (let i = 0; i < width * height; i++) {
+      const entry = pixels[i];
+      data[i * outChannels] = palette[entry * 3];
+      data[i * outChannels + 1] = palette[entry * 3 + 1];
+      data[i * outChannels + 2] = palette[entry * 3 + 2];
+      if (transparency) data[i * outChannels + 3] = transparency[entry] ?? 255;
+    }
+    return { width, height, channels: outChannels, data };
+  }
+
+  if (bitDepth === 16) {
+    const data = new Uint8Array(width * height * channels);
+    for (let i = 0; i < data.length; i++) data[i] = pixels[i * 2];
+    return { width, height, channels, data };
+  }
+  return { width, height, channels, data: pixels };
+}
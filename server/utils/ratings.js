@@ -0,0 +1,57 @@
+// ratings.js — Multiplayer Elo for finished matches
+//
+// Every pair of entrants on different sides is scored as a virtual 1v1
+// decided by placement (better placement wins, equal placement draws). A
+// player's K is split across their opponents so one match moves a rating
+// about as much as one 1v1 game. Bots take part at a fixed rating per
+// difficulty so games against them still count, but their ratings never move.
+
+import config from "../config/config.js";
+
+export const DEFAULT_RATING = 1000;
+
+const ratingsConfig = config?.ratings || {};
+const K_FACTOR = ratingsConfig.kFactor ?? 32;
+const PROVISIONAL_K_FACTOR = ratingsConfig.provisionalKFactor ?? 64;
+const PROVISIONAL_GAMES = ratingsConfig.provisionalGames ?? 10;
+const BOT_RATINGS = ratingsConfig.botRatings || {};
+
+export function getBotRating(difficulty) {
+  return Number(BOT_RATINGS[difficulty]) || DEFAULT_RATING;
+}
+
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * entrants: [{ key, rating, games, placement, team, rated }]
+ * Returns Map(key -> rounded rating change) for rated entrants.
+ */
+export function computeRatingChanges(entrants) {
+  const changes = new Map();
+  for (const entrant of entrants) {
+    if (!entrant.rated) continue;
+    const opponents = entrants.filter(
+      (other) =>
+        other !== entrant &&
+        (entrant.team === null || entrant.team === undefined || other.team !== entrant.team)
+    );
+    if (opponents.length === 0) continue;
+
+    const k =
+      (entrant.games || 0) < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+    let total = 0;
+    for (const opponent of opponents) {
+      const actual =
+        entrant.placement < opponent.placement
+          ? 1
+          : entrant.placement === opponent.placement
+          ? 0.5
+          : 0;
+      total += actual - expectedScore(entrant.rating, opponent.rating);
+    }
+    changes.set(entrant.key, Math.round((k * total) / opponents.length));
+  }
+  return changes;
+}
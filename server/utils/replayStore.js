@@ -0,0 +1,614 @@
+// replayStore.js — Per-room command log + territory keyframes for match replays
+//
+// Every player command is recorded with the tick it was applied on, alongside
+// the nations, game state, map and tick seed the loop started from, so a match
+// can be fed back through GameLoop.processRoom offline (see
+// workers/replayRunner.js). Periodic ownership keyframes are also captured:
+// they drive playback in the client viewer and are what a re-simulation is
+// checked against.
+//
+// Each flush writes its commands and keyframes as ReplayChunk documents
+// (room + seq), split so no chunk nears MongoDB's 16 MB document limit; the
+// Replay document only holds the header and counters, and the runtime map
+// goes to ReplayMapChunk documents. Exports are streamed chunk by chunk.
+// A replay outlives its room when the match ends, and is deleted with a room
+// that is deleted or expires, or replay.retentionDays after it ended.
+
+import { promisify } from "util";
+import { gzip, gunzip } from "zlib";
+import mongoose from "mongoose";
+import Replay from "../models/Replay.js";
+import ReplayChunk from "../models/ReplayChunk.js";
+import ReplayMapChunk from "../models/ReplayMapChunk.js";
+import config from "../config/config.js";
+import { BIOME_NAMES, RESOURCE_NAMES } from "./TerritoryMatrix.js";
+import { debug, debugWarn } from "./debug.js";
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+export const REPLAY_FORMAT_VERSION = 1;
+export const REPLAY_COMMAND_TYPES = new Set([
+  "arrow",
+  "navalArrow",
+  "clearArrow",
+  "reinforceArrow",
+  "retreatArrow",
+  "troopTarget",
+  "foundNation",
+  "buildCity",
+  "diplomacy",
+  "upgradeNode",
+  "research",
+  "quit",
+  // Loop restarted from saved state; re-simulation stops here
+  "resume",
+]);
+
+const replayEnabled = config?.replay?.enabled !== false;
+const keyframeIntervalTicks = Math.max(
+  1,
+  Number(config?.replay?.keyframeIntervalTicks) || 25
+);
+const maxKeyframes = Math.max(1, Number(config?.replay?.maxKeyframes) || 1500);
+// Well under MongoDB's 16 MB document limit, leaving room for BSON overhead
+const CHUNK_MAX_BYTES = 8 * 1024 * 1024;
+// Cells per ReplayMapChunk, before compression
+const MAP_CHUNK_CELLS = 100000;
+
+const pendingCommands = new Map(); // roomKey -> [{ tick, type, actor, payload, at }]
+const pendingKeyframes = new Map(); // roomKey -> [{ tick, ownership, owners, nations }]
+const keyframeCounts = new Map(); // roomKey -> keyframes persisted + pending
+const lastRecordedTick = new Map(); // roomKey -> highest tick seen
+const initializedRooms = new Set(); // rooms whose Replay document exists
+const flushesInFlight = new Map(); // roomKey -> promise of the running flush
+
+/**
+ * Run-length encode a typed array as Int32 [value, count, value, count, ...].
+ * Territory and biome layers are dominated by long runs, so this keeps
+ * keyframes small without pulling in a compression dependency on the client.
+ */
+function encodeRuns(typedArray) {
+  const runs = [];
+  const len = typedArray.length;
+  let i = 0;
+  while (i < len) {
+    const value = typedArray[i];
+    let j = i + 1;
+    while (j < len && typedArray[j] === value) j++;
+    runs.push(value, j - i);
+    i = j;
+  }
+  const packed = Int32Array.from(runs);
+  return Buffer.from(packed.buffer, 0, packed.byteLength);
+}
+
+// Binary fields come back from lean queries as BSON Binary, not Buffer
+function toBuffer(value) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value)) return value;
+  if (value.buffer) return Buffer.from(value.buffer);
+  return null;
+}
+
+function toBase64(value) {
+  return toBuffer(value)?.toString("base64") ?? null;
+}
+
+/**
+ * A nation as stored in a replay: a plain copy without runtime caches. The
+ * pending territoryDelta stays — the next tick reads it (a non-empty delta
+ * triggers that tick's connectivity check).
+ */
+export function stripTransientFields(nation) {
+  return JSON.parse(
+    JSON.stringify(nation, (key, value) => {
+      if (key.startsWith("_") || key === "territoryDeltaForClient") {
+        return undefined;
+      }
+      return value;
+    })
+  );
+}
+
+function summarizeNation(nation) {
+  return {
+    owner: nation.owner,
+    nationName: nation.nationName || null,
+    displayName: nation.displayName || null,
+    color: nation.color || null,
+    status: nation.status || "active",
+    isBot: !!nation.isBot,
+    population: Math.round(nation.population || 0),
+    troopCount: Math.round(nation.troopCount || 0),
+    territoryPercentage: nation.territoryPercentage || 0,
+    cities: (nation.cities || []).map((city) => ({
+      name: city.name,
+      x: city.x,
+      y: city.y,
+      type: city.type,
+    })),
+    arrows: (nation.arrowOrders?.attacks || []).map((arrow) => ({
+      id: arrow.id,
+      path: arrow.path,
+      status: arrow.status,
+    })),
+  };
+}
+
+// Rough BSON size of a buffered entry; binary fields count at their length
+function estimateEntryBytes(entry) {
+  let bytes = 0;
+  const json = JSON.stringify(entry, (key, value) => {
+    if (Buffer.isBuffer(value)) {
+      bytes += value.length;
+      return null;
+    }
+    return value;
+  });
+  return bytes + (json?.length || 0);
+}
+
+/** Split a flush into chunk-sized { commands, keyframes } groups */
+function splitIntoChunks(commands, keyframes) {
+  const chunks = [];
+  let current = { commands: [], keyframes: [] };
+  let currentBytes = 0;
+  const add = (field, entry) => {
+    const bytes = estimateEntryBytes(entry);
+    if (currentBytes > 0 && currentBytes + bytes > CHUNK_MAX_BYTES) {
+      chunks.push(current);
+      current = { commands: [], keyframes: [] };
+      currentBytes = 0;
+    }
+    current[field].push(entry);
+    currentBytes += bytes;
+  };
+  commands.forEach((command) => add("commands", command));
+  keyframes.forEach((keyframe) => add("keyframes", keyframe));
+  if (current.commands.length > 0 || current.keyframes.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+function noteTick(roomKey, tick) {
+  if (tick > (lastRecordedTick.get(roomKey) ?? -1)) {
+    lastRecordedTick.set(roomKey, tick);
+  }
+}
+
+/** The game state minus its nations, as a plain copy */
+function stripGameState(gameState) {
+  const { nations, ...rest } = gameState || {};
+  return JSON.parse(JSON.stringify(rest));
+}
+
+/** Write the runtime map as gzipped bands of rows; returns the band count */
+async function writeMapChunks(roomKey, mapData) {
+  const width = mapData[0]?.length || 1;
+  const rowsPerChunk = Math.max(1, Math.floor(MAP_CHUNK_CELLS / width));
+  let count = 0;
+  for (let startRow = 0; startRow < mapData.length; startRow += rowsPerChunk) {
+    const rows = mapData.slice(startRow, startRow + rowsPerChunk);
+    await ReplayMapChunk.create({
+      room: roomKey,
+      startRow,
+      rowCount: rows.length,
+      rows: await gzipAsync(JSON.stringify(rows)),
+    });
+    count++;
+  }
+  return count;
+}
+
+async function encodeRegions(regionData) {
+  if (!regionData?.assignment) return null;
+  const { assignment } = regionData;
+  return {
+    regionCount: regionData.regionCount || 0,
+    seeds: regionData.seeds || [],
+    assignment: await gzipAsync(
+      Buffer.from(assignment.buffer, assignment.byteOffset, assignment.byteLength)
+    ),
+  };
+}
+
+/**
+ * Create the Replay document for a room the first time its loop starts.
+ * Safe to call on every start/resume — existing replays are left untouched
+ * apart from a "resume" marker. `mapData` and `regionData` are what the loop
+ * ticks against; `tickWorkers` is whether it ticks in a worker thread.
+ */
+export async function ensureReplay(
+  roomKey,
+  gameRoom,
+  matrix,
+  { mapData = null, regionData = null, tickWorkers = null } = {}
+) {
+  if (!replayEnabled || !gameRoom || !matrix) return;
+  try {
+    const existing = await Replay.findOne({ room: roomKey })
+      .select("keyframeCount endedAt")
+      .lean();
+    if (existing) {
+      // Resumed after a pause or restart — the match is still running
+      if (existing.endedAt) {
+        await Replay.updateOne({ room: roomKey }, { $set: { endedAt: null } });
+      }
+      keyframeCounts.set(roomKey, existing.keyframeCount || 0);
+      initializedRooms.add(roomKey);
+      recordCommand(roomKey, gameRoom.tickCount || 0, "resume", null);
+      return;
+    }
+
+    const mapDoc = gameRoom.map
+      ? await mongoose.model("Map").findById(gameRoom.map).select("seed").lean()
+      : null;
+    const regions = await encodeRegions(regionData);
+    const startTick = gameRoom.tickCount || 0;
+    // Snapshot and first keyframe are taken together, before any await, so
+    // a command recorded meanwhile lands after both. Commands recorded before
+    // the loop first started are already part of the snapshot.
+    pendingCommands.delete(roomKey);
+    keyframeCounts.set(roomKey, 0);
+    captureKeyframe(roomKey, startTick, matrix, gameRoom.gameState?.nations);
+
+    const result = await Replay.updateOne(
+      { room: roomKey },
+      {
+        $setOnInsert: {
+          room: roomKey,
+          map: gameRoom.map || null,
+          roomName: gameRoom.roomName,
+          mapSeed: mapDoc?.seed ?? null,
+          width: matrix.width,
+          height: matrix.height,
+          tickRateMs: config?.territorial?.tickRateMs ?? 200,
+          keyframeIntervalTicks,
+          startTick,
+          lastTick: startTick,
+          mapLayers: {
+            biome: encodeRuns(matrix.biomeIndex),
+            resourceType: encodeRuns(matrix.resourceType),
+          },
+          initialNations: (gameRoom.gameState?.nations || []).map(
+            stripTransientFields
+          ),
+          initialGameState: stripGameState(gameRoom.gameState),
+          rngSeed: gameRoom.gameState?.rngSeed ?? null,
+          tickWorkers,
+          regions,
+        },
+      },
+      { upsert: true }
+    );
+    initializedRooms.add(roomKey);
+    if (result.upsertedCount > 0 && mapData) {
+      const mapChunkCount = await writeMapChunks(roomKey, mapData);
+      await Replay.updateOne({ room: roomKey }, { $set: { mapChunkCount } });
+    }
+    debug(`[REPLAY] Started replay for room ${roomKey} at tick ${startTick}`);
+  } catch (err) {
+    if (!initializedRooms.has(roomKey)) {
+      pendingKeyframes.delete(roomKey);
+      keyframeCounts.delete(roomKey);
+    }
+    debugWarn(`[REPLAY] Failed to initialize replay for room ${roomKey}:`, err.message);
+  }
+}
+
+/** Buffer a player command; persisted on the next flush. */
+export function recordCommand(roomKey, tick, type, actor, payload = {}) {
+  if (!replayEnabled || !REPLAY_COMMAND_TYPES.has(type)) return;
+  const key = roomKey?.toString();
+  if (!pendingCommands.has(key)) pendingCommands.set(key, []);
+  pendingCommands.get(key).push({
+    tick: tick || 0,
+    type,
+    actor,
+    payload,
+    at: new Date(),
+  });
+  noteTick(key, tick || 0);
+}
+
+function captureKeyframe(roomKey, tick, matrix, nations) {
+  const count = keyframeCounts.get(roomKey) || 0;
+  if (count >= maxKeyframes) return;
+  if (!pendingKeyframes.has(roomKey)) pendingKeyframes.set(roomKey, []);
+  pendingKeyframes.get(roomKey).push({
+    tick,
+    ownership: encodeRuns(matrix.ownership),
+    owners: [...matrix.indexToOwner],
+    nations: (nations || []).map(summarizeNation),
+  });
+  keyframeCounts.set(roomKey, count + 1);
+  noteTick(roomKey, tick);
+}
+
+/** Called by the game loop after each tick; captures on the keyframe interval. */
+export function maybeCaptureKeyframe(roomKey, tick, matrix, nations) {
+  if (!replayEnabled || !matrix || !initializedRooms.has(roomKey)) return;
+  if (tick % keyframeIntervalTicks !== 0) return;
+  captureKeyframe(roomKey, tick, matrix, nations);
+}
+
+async function writeFlush(key, { commands, keyframes, lastTick, final }) {
+  const chunks = splitIntoChunks(commands, keyframes);
+  const update = {
+    $max: { lastTick },
+  };
+  if (chunks.length > 0) {
+    // Reserve the chunk sequence numbers atomically
+    update.$inc = { keyframeCount: keyframes.length, chunkCount: chunks.length };
+  }
+  if (final) update.$set = { endedAt: new Date() };
+
+  try {
+    const replay = await Replay.findOneAndUpdate({ room: key }, update, {
+      new: true,
+      projection: { chunkCount: 1 },
+    }).lean();
+    if (replay && chunks.length > 0) {
+      const firstSeq = replay.chunkCount - chunks.length;
+      await ReplayChunk.insertMany(
+        chunks.map((chunk, index) => ({
+          room: key,
+          seq: firstSeq + index,
+          ...chunk,
+        }))
+      );
+    }
+  } catch (err) {
+    console.error(`[REPLAY] Failed to flush replay for room ${key}:`, err.message);
+  }
+}
+
+function forgetRoom(key) {
+  pendingCommands.delete(key);
+  pendingKeyframes.delete(key);
+  keyframeCounts.delete(key);
+  lastRecordedTick.delete(key);
+  initializedRooms.delete(key);
+}
+
+/**
+ * Persist buffered commands/keyframes. With `final`, the replay is marked as
+ * ended and the in-memory state for the room is released. A room's flushes
+ * are written one after another, in call order.
+ */
+export async function flushReplay(roomKey, { final = false } = {}) {
+  const key = roomKey?.toString();
+  if (!initializedRooms.has(key)) {
+    if (final) {
+      pendingCommands.delete(key);
+      pendingKeyframes.delete(key);
+      lastRecordedTick.delete(key);
+    }
+    return;
+  }
+
+  const entries = {
+    commands: pendingCommands.get(key) || [],
+    keyframes: pendingKeyframes.get(key) || [],
+    lastTick: lastRecordedTick.get(key) ?? 0,
+    final,
+  };
+  pendingCommands.set(key, []);
+  pendingKeyframes.set(key, []);
+  if (final) forgetRoom(key);
+
+  const flush = (flushesInFlight.get(key) || Promise.resolve()).then(() =>
+    writeFlush(key, entries)
+  );
+  flushesInFlight.set(key, flush);
+  try {
+    await flush;
+  } finally {
+    if (flushesInFlight.get(key) === flush) flushesInFlight.delete(key);
+  }
+}
+
+/**
+ * Delete a room's replay with its chunks and stored map, for rooms that are
+ * deleted or expire. Waits for a flush in flight so it can't re-add chunks.
+ */
+export async function deleteReplay(roomKey) {
+  const key = roomKey?.toString();
+  forgetRoom(key);
+  await flushesInFlight.get(key);
+  await Promise.all([
+    Replay.deleteOne({ room: key }),
+    ReplayChunk.deleteMany({ room: key }),
+    ReplayMapChunk.deleteMany({ room: key }),
+  ]);
+}
+
+/**
+ * Delete replays that ended more than replay.retentionDays ago (0 keeps them).
+ * `ownsRoom` limits this to the rooms of the calling shard.
+ */
+export async function pruneExpiredReplays(ownsRoom = () => true) {
+  const retentionDays = Number(config?.replay?.retentionDays ?? 30);
+  if (!(retentionDays > 0)) return 0;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = (
+    await Replay.find({ endedAt: { $ne: null, $lt: cutoff } }).select("room").lean()
+  ).filter((replay) => ownsRoom(replay.room.toString()));
+  for (const replay of expired) {
+    await deleteReplay(replay.room);
+  }
+  if (expired.length > 0) debug(`[REPLAY] Pruned ${expired.length} expired replay(s)`);
+  return expired.length;
+}
+
+// Inline (legacy) entries first, then each ReplayChunk in order, read one at a time
+async function* readChunks(key, replay, field) {
+  if (replay[field]?.length) yield replay[field];
+  const cursor = ReplayChunk.find({ room: key }).sort({ seq: 1 }).select(field).lean().cursor();
+  for await (const chunk of cursor) {
+    if (chunk[field]?.length) yield chunk[field];
+  }
+}
+
+const formatKeyframe = (frame) => ({
+  tick: frame.tick,
+  ownership: toBase64(frame.ownership),
+  owners: frame.owners || [],
+  nations: frame.nations || [],
+});
+
+// Resolves once `out` can take more, or has closed
+function drained(out) {
+  return new Promise((resolve) => {
+    if (out.destroyed) return resolve();
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+  });
+}
+
+/**
+ * Stream a replay to `out` (an HTTP response or other writable) as JSON,
+ * binary layers base64-encoded and `extra` merged into the header. Chunks are
+ * read and written one at a time, so memory stays flat however long the
+ * match ran. Returns false, having written nothing, when there is no replay.
+ */
+export async function writeReplayExport(roomKey, out, extra = {}) {
+  const key = roomKey?.toString();
+  if (initializedRooms.has(key)) {
+    await flushReplay(key);
+  }
+  const replay = await Replay.findOne({ room: key }).lean();
+  if (!replay) return false;
+
+  const header = {
+    version: REPLAY_FORMAT_VERSION,
+    roomId: key,
+    roomName: replay.roomName,
+    mapSeed: replay.mapSeed,
+    width: replay.width,
+    height: replay.height,
+    tickRateMs: replay.tickRateMs,
+    keyframeIntervalTicks: replay.keyframeIntervalTicks,
+    startTick: replay.startTick,
+    lastTick: replay.lastTick,
+    endedAt: replay.endedAt,
+    createdAt: replay.createdAt,
+    map: {
+      biome: toBase64(replay.mapLayers?.biome),
+      resourceType: toBase64(replay.mapLayers?.resourceType),
+      mappings: { biomes: BIOME_NAMES, resources: RESOURCE_NAMES },
+    },
+    initialNations: replay.initialNations || [],
+    ...extra,
+  };
+
+  // Writes are dropped once the client has gone away
+  const write = async (text) => {
+    if (!out.destroyed && !out.write(text)) await drained(out);
+  };
+  const writeArray = async (name, field, format) => {
+    await write(`,${JSON.stringify(name)}:[`);
+    let first = true;
+    for await (const entries of readChunks(key, replay, field)) {
+      if (out.destroyed) return;
+      await write(
+        (first ? "" : ",") + entries.map((entry) => JSON.stringify(format(entry))).join(",")
+      );
+      first = false;
+    }
+    await write("]");
+  };
+
+  await write(JSON.stringify(header).slice(0, -1));
+  await writeArray("commands", "commands", (command) => command);
+  await writeArray("keyframes", "keyframes", formatKeyframe);
+  if (!out.destroyed) out.end("}");
+  return true;
+}
+
+/**
+ * Load what re-simulating a replay takes (see workers/replayRunner.js): the
+ * header, the runtime map and regions it was recorded on, and its commands
+ * and keyframes as an async iterable of chunks, read lazily. Null when the
+ * room has no replay.
+ */
+export async function loadReplayForSimulation(roomKey) {
+  const key = roomKey?.toString();
+  if (initializedRooms.has(key)) {
+    await flushReplay(key);
+  }
+  const replay = await Replay.findOne({ room: key }).lean();
+  if (!replay) return null;
+
+  const mapData = [];
+  const mapCursor = ReplayMapChunk.find({ room: key }).sort({ startRow: 1 }).lean().cursor();
+  for await (const chunk of mapCursor) {
+    const rows = JSON.parse((await gunzipAsync(toBuffer(chunk.rows))).toString());
+    mapData.push(...rows);
+  }
+
+  let regionData = null;
+  const assignmentBuffer = toBuffer(replay.regions?.assignment);
+  if (assignmentBuffer) {
+    const raw = await gunzipAsync(assignmentBuffer);
+    regionData = {
+      seeds: replay.regions.seeds || [],
+      assignment: new Uint16Array(
+        raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength)
+      ),
+      regionCount: replay.regions.regionCount || 0,
+      width: replay.width,
+      height: replay.height,
+    };
+  }
+
+  async function* chunks() {
+    if (replay.commands?.length || replay.keyframes?.length) {
+      yield { commands: replay.commands || [], keyframes: replay.keyframes || [] };
+    }
+    const cursor = ReplayChunk.find({ room: key }).sort({ seq: 1 }).lean().cursor();
+    for await (const chunk of cursor) yield chunk;
+  }
+
+  const { commands, keyframes, mapLayers, regions, ...header } = replay;
+  return { header, mapData: mapData.length ? mapData : null, regionData, chunks: chunks() };
+}
+
+/**
+ * Compare a recorded keyframe with a matrix; returns why they differ, or
+ * null when ownership and the owner index match.
+ */
+export function compareKeyframe(frame, matrix) {
+  const owners = [...matrix.indexToOwner];
+  if (JSON.stringify(owners) !== JSON.stringify(frame.owners || [])) {
+    return `owner index differs: recorded ${JSON.stringify(frame.owners)}, replayed ${JSON.stringify(owners)}`;
+  }
+  const recorded = toBuffer(frame.ownership);
+  const replayed = encodeRuns(matrix.ownership);
+  if (!recorded || !recorded.equals(replayed)) {
+    const cells = countDifferingCells(recorded, matrix.ownership);
+    return `territory differs on ${cells} cell(s)`;
+  }
+  return null;
+}
+
+// Cells where run-length encoded `runs` disagrees with `typedArray`
+function countDifferingCells(runs, typedArray) {
+  if (!runs) return typedArray.length;
+  const packed = new Int32Array(runs.buffer.slice(runs.byteOffset, runs.byteOffset + runs.byteLength));
+  let index = 0;
+  let differing = 0;
+  for (let i = 0; i + 1 < packed.length; i += 2) {
+    for (let n = 0; n < packed[i + 1]; n++, index++) {
+      if (typedArray[index] !== packed[i]) differing++;
+    }
+  }
+  return differing + Math.abs(typedArray.length - index);
+}
@@ -0,0 +1,108 @@
+// research.js — Per-nation technology tree
+//
+// Techs are defined in config.research.techs:
+//   id: { name, description, cost: { food, wood, iron, stone, gold },
+//         requires: [ids], effects }
+// Researching is instant once the prerequisites are done and the nation can
+// pay the cost. Completed techs are kept in nation.research.completed.
+//
+// Effects stack across completed techs:
+//   expansionPower, attackPower, defensePower, production, goldIncome
+//                             added to the stat computeBonusesByOwner reports
+//   terrainExpansionCostMult  { BIOME: mult } on terrainExpansionCostMultByBiome
+//   arrowRange                tiles added to territorial.arrowMaxRange
+//   mobilizationRate          multiplier on troopDensity.mobilizationBaseRate
+//   towerStrength             multiplier on the defense towers project
+
+import config from "../config/config.js";
+
+const ADDITIVE_EFFECTS = [
+  "expansionPower",
+  "attackPower",
+  "defensePower",
+  "production",
+  "goldIncome",
+  "arrowRange",
+];
+const MULTIPLIER_EFFECTS = ["mobilizationRate", "towerStrength"];
+
+export function isResearchEnabled() {
+  return config?.research?.enabled !== false;
+}
+
+export function getTechs() {
+  return isResearchEnabled() ? config?.research?.techs || {} : {};
+}
+
+export function getCompletedTechs(nation) {
+  return Array.isArray(nation?.research?.completed) ? nation.research.completed : [];
+}
+
+/** Combined effects of a nation's completed techs (neutral values if none) */
+export function getResearchEffects(nation) {
+  const effects = { terrainExpansionCostMult: {} };
+  for (const key of ADDITIVE_EFFECTS) effects[key] = 0;
+  for (const key of MULTIPLIER_EFFECTS) effects[key] = 1;
+
+  const techs = getTechs();
+  for (const id of getCompletedTechs(nation)) {
+    const techEffects = techs[id]?.effects;
+    if (!techEffects) continue;
+    for (const key of ADDITIVE_EFFECTS) effects[key] += Number(techEffects[key]) || 0;
+    for (const key of MULTIPLIER_EFFECTS) effects[key] *= Number(techEffects[key]) || 1;
+    for (const [biome, mult] of Object.entries(techEffects.terrainExpansionCostMult || {})) {
+      effects.terrainExpansionCostMult[biome] =
+        (effects.terrainExpansionCostMult[biome] ?? 1) * (Number(mult) || 1);
+    }
+  }
+  return effects;
+}
+
+/** Techs whose prerequisites are done and that the nation hasn't researched */
+export function getAvailableTechs(nation) {
+  const completed = new Set(getCompletedTechs(nation));
+  return Object.entries(getTechs())
+    .filter(
+      ([id, tech]) =>
+        !completed.has(id) && (tech.requires || []).every((req) => completed.has(req))
+    )
+    .map(([id, tech]) => ({ id, ...tech }));
+}
+
+export function canAffordTech(nation, tech, spendable = 1) {
+  return Object.entries(tech.cost || {}).every(
+    ([resource, amount]) => (nation.resources?.[resource] || 0) * spendable >= amount
+  );
+}
+
+/**
+ * Check that `nation` can research `techId` now. Returns { error } or
+ * { id, tech }.
+ */
+export function evaluateResearch(nation, techId) {
+  if (!isResearchEnabled()) return { error: "Research is disabled" };
+  // Own keys only, so names like "constructor" aren't taken for techs
+  const techs = getTechs();
+  const tech = Object.hasOwn(techs, techId) ? techs[techId] : null;
+  if (!tech) return { error: "Unknown technology" };
+  const completed = getCompletedTechs(nation);
+  if (completed.includes(techId)) return { error: `${tech.name} is already researched` };
+  const missing = (tech.requires || []).filter((req) => !completed.includes(req));
+  if (missing.length > 0) {
+    const names = missing.map((req) => techs[req]?.name || req);
+    return { error: `${tech.name} requires ${names.join(", ")}` };
+  }
+  if (!canAffordTech(nation, tech)) {
+    return { error: `Not enough resources to research ${tech.name}` };
+  }
+  return { id: techId, tech };
+}
+
+/** Pay for and complete a tech returned by evaluateResearch */
+export function applyResearch(nation, { id, tech }) {
+  nation.resources = nation.resources || {};
+  for (const [resource, amount] of Object.entries(tech.cost || {})) {
+    nation.resources[resource] = (nation.resources[resource] || 0) - amount;
+  }
+  nation.research = { ...(nation.research || {}), completed: [...getCompletedTechs(nation), id] };
+}
@@ -42,7 +42,12 @@ export function calculateAvailableResources(nation) {
   return available;
 }
 
-export function assignResourcesToMap(mapData, seed = 0) {
+/**
+ * Give each cell its resource node. With { mirror: true } (mirrored map
+ * archetypes) nodes are rolled from the left half's coordinates so both
+ * halves match.
+ */
+export function assignResourcesToMap(mapData, seed = 0, { mirror = false } = {}) {
   // First, ensure we're working with a 2D array
   if (!Array.isArray(mapData)) {
     console.error("mapData is not an array");
@@ -67,6 +72,9 @@ export function assignResourcesToMap(mapData, seed = 0) {
 
         const cellX = cell.x ?? colIndex;
         const cellY = cell.y ?? rowIndex;
+        const rollX = mirror
+          ? Math.min(cellX, arrayRow.length - 1 - cellX)
+          : cellX;
         const existingResources = Array.isArray(cell.resources)
           ? cell.resources.filter(Boolean)
           : [];
@@ -81,7 +89,7 @@ export function assignResourcesToMap(mapData, seed = 0) {
               cell.elevation,
               cell.moisture,
               seedValue,
-              cellX,
+              rollX,
               cellY
             );
         const resourceNodeType = existingNodeType || generatedNodeType;
@@ -108,6 +116,7 @@ export function assignResourcesToMap(mapData, seed = 0) {
 
         const cellX = cell.x ?? colIndex;
         const cellY = cell.y ?? rowIndex;
+        const rollX = mirror ? Math.min(cellX, row.length - 1 - cellX) : cellX;
         const existingResources = Array.isArray(cell.resources)
           ? cell.resources.filter(Boolean)
           : [];
@@ -122,7 +131,7 @@ export function assignResourcesToMap(mapData, seed = 0) {
               cell.elevation,
               cell.moisture,
               seedValue,
-              cellX,
+              rollX,
               cellY
             );
         const resourceNodeType = existingNodeType || generatedNodeType;
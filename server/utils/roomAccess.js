@@ -0,0 +1,105 @@
+// roomAccess.js — Who can find and join a room
+//
+// Every room has a visibility:
+//   public    listed in GET /api/gamerooms; anyone can join
+//   unlisted  hidden from the list; joining needs the room's joinCode, which
+//             any player can share as an invite link
+//   private   hidden from the list; joining needs the joinCode, only the host
+//             can see it, and outsiders can't spectate
+// On top of that a room may have a password (a salted scrypt hash in
+// passwordHash) and a maxPlayers cap. All of these only apply to newcomers:
+// players already in the room can always rejoin.
+
+import crypto from "crypto";
+
+export const ROOM_VISIBILITIES = ["public", "unlisted", "private"];
+export const DEFAULT_VISIBILITY = "public";
+export const MAX_ROOM_PLAYERS = 16;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+export function getVisibility(gameRoom) {
+  return ROOM_VISIBILITIES.includes(gameRoom?.visibility)
+    ? gameRoom.visibility
+    : DEFAULT_VISIBILITY;
+}
+
+/** Normalize a visibility; blank takes the default. Returns null when invalid. */
+export function parseVisibility(value) {
+  if (isBlank(value)) return DEFAULT_VISIBILITY;
+  const visibility = String(value).toLowerCase();
+  return ROOM_VISIBILITIES.includes(visibility) ? visibility : null;
+}
+
+/** Blank means no cap. Returns { maxPlayers } or { error }. */
+export function parseMaxPlayers(value) {
+  if (isBlank(value) || Number(value) === 0) return { maxPlayers: null };
+  const maxPlayers = Number(value);
+  if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_ROOM_PLAYERS) {
+    return { error: `maxPlayers must be between 1 and ${MAX_ROOM_PLAYERS}` };
+  }
+  return { maxPlayers };
+}
+
+/** Hash a room password for storage; blank clears it */
+export function hashRoomPassword(password) {
+  if (isBlank(password)) return null;
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+export function hasRoomPassword(gameRoom) {
+  return !!gameRoom?.passwordHash;
+}
+
+export function checkRoomPassword(gameRoom, password) {
+  if (!hasRoomPassword(gameRoom)) return true;
+  if (isBlank(password)) return false;
+  const [salt, hash] = gameRoom.passwordHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function isRoomFull(gameRoom) {
+  const maxPlayers = gameRoom?.maxPlayers;
+  return !!maxPlayers && (gameRoom.players || []).length >= maxPlayers;
+}
+
+/** Whether `userId` may see the room's invite code */
+export function canSeeInvite(gameRoom, userId) {
+  if (getVisibility(gameRoom) === "private") return gameRoom.creator?.userId === userId;
+  return (gameRoom.players || []).some((p) => p.userId === userId);
+}
+
+/**
+ * Check a newcomer's join (or spectate, with `spectating`) request against
+ * the room's visibility, join code, password and player cap. Returns null
+ * when allowed, otherwise { status, error }.
+ */
+export function checkRoomAccess(gameRoom, { joinCode, roomPassword, spectating = false } = {}) {
+  const visibility = getVisibility(gameRoom);
+  if (spectating && visibility === "private") {
+    return { status: 403, error: "This room is private" };
+  }
+  if (visibility !== "public" && gameRoom.joinCode !== joinCode) {
+    return { status: 403, error: "Invalid join code" };
+  }
+  if (!checkRoomPassword(gameRoom, roomPassword)) {
+    return { status: 403, error: "Incorrect room password" };
+  }
+  if (!spectating && isRoomFull(gameRoom)) {
+    return { status: 409, error: "Room is full" };
+  }
+  return null;
+}
+
+/** Visibility, password flag and cap as shown to clients */
+export function getAccessView(gameRoom) {
+  return {
+    visibility: getVisibility(gameRoom),
+    hasPassword: hasRoomPassword(gameRoom),
+    maxPlayers: gameRoom?.maxPlayers || null,
+  };
+}
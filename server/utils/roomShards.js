@@ -0,0 +1,48 @@
+// roomShards.js — Which server process owns which game room
+//
+// With ROOM_SHARDS=N (N > 1), shardRouter.js forks N copies of index.js, one
+// per shard, each with its own SHARD_ID and port. A room belongs to the shard
+// its id hashes to, so the router can forward REST calls and WebSocket
+// subscriptions for a room without any lookup. Rooms are created with an id
+// that hashes to the creating shard, so the process that generated the map
+// also runs the loop. Without ROOM_SHARDS everything runs in one process and
+// every room is owned locally.
+
+import mongoose from "mongoose";
+
+export function getShardCount() {
+  const count = Number(process.env.ROOM_SHARDS);
+  return Number.isInteger(count) && count > 1 ? count : 1;
+}
+
+export function getShardId() {
+  const id = Number(process.env.SHARD_ID);
+  return Number.isInteger(id) && id >= 0 ? id : 0;
+}
+
+export function isSharded() {
+  return getShardCount() > 1;
+}
+
+/** Shard index for a room id (FNV-1a over the id string) */
+export function shardForRoom(roomId, shardCount = getShardCount()) {
+  if (shardCount <= 1) return 0;
+  const key = String(roomId).toLowerCase();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % shardCount;
+}
+
+export function ownsRoom(roomId) {
+  return !isSharded() || shardForRoom(roomId) === getShardId();
+}
+
+/** A fresh room id owned by this process */
+export function newRoomId() {
+  let id = new mongoose.Types.ObjectId();
+  while (!ownsRoom(id)) id = new mongoose.Types.ObjectId();
+  return id;
+}
@@ -0,0 +1,59 @@
+// teams.js — Team (alliance) helpers shared by combat, loyalty and win checks
+//
+// Teams are assigned in the lobby and stored as gameState.teams
+// ({ [owner]: teamId }); each nation also carries its `team` so the hot
+// per-tick paths don't need to look it up. Team ids are positive integers,
+// a missing/null team means the nation plays free-for-all.
+
+import config from "../config/config.js";
+
+export const MAX_TEAMS = Math.max(2, Number(config?.teams?.maxTeams) || 8);
+
+export function normalizeTeamId(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const team = Number(value);
+  if (!Number.isInteger(team) || team < 1) return null;
+  return team;
+}
+
+export function getNationTeam(nation) {
+  return normalizeTeamId(nation?.team);
+}
+
+/** True when two distinct nations share a team. */
+export function areAllied(nationA, nationB) {
+  if (!nationA || !nationB || nationA.owner === nationB.owner) return false;
+  const teamA = getNationTeam(nationA);
+  return teamA !== null && teamA === getNationTeam(nationB);
+}
+
+/**
+ * Team id per matrix nation index (0 = no team). Lets the typed-array
+ * kernels test alliances with a single lookup per cell.
+ */
+export function buildTeamByIndex(matrix, nations) {
+  const teamByIndex = new Int16Array(Math.max(1, matrix.nextNationSlot));
+  for (const nation of nations || []) {
+    if (nation.status === "defeated") continue;
+    const team = getNationTeam(nation);
+    if (team === null) continue;
+    const nIdx = matrix.ownerToIndex.get(nation.owner);
+    if (nIdx !== undefined && nIdx < teamByIndex.length) {
+      teamByIndex[nIdx] = team;
+    }
+  }
+  return teamByIndex;
+}
+
+/** Copy lobby team assignments onto nations (call after founding/reassigning). */
+export function applyTeamAssignments(gameState) {
+  const teams = gameState?.teams || {};
+  for (const nation of gameState?.nations || []) {
+    const team = normalizeTeamId(teams[nation.owner]);
+    if (team === null) {
+      delete nation.team;
+    } else {
+      nation.team = team;
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import config from "../config/config.js";
 import { getTerrainSimilarity } from "./terrainSimilarity.js";
+import { getResearchEffects } from "./research.js";
 
 export function getNodeMultiplier(level) {
   const mults = config?.territorial?.resourceNodeLevelMultipliers || {};
@@ -61,12 +62,21 @@ export function computeBonusesByOwner(
       production: 0,
       goldIncome: 0,
     };
+    // Stables and workshops (see economyStructures.js)
+    const structure = nation.structureBonuses || {};
+    // Completed techs (see research.js)
+    const research = getResearchEffects(nation);
     bonusesByOwner[nation.owner] = {
-      expansionPower: 1 + totals.expansionPower,
-      attackPower: 1 + totals.attackPower,
-      defensePower: 1 + totals.defensePower,
-      production: 1 + totals.production,
-      goldIncome: totals.goldIncome,
+      expansionPower:
+        1 + totals.expansionPower + (structure.expansionPower || 0) + research.expansionPower,
+      attackPower: 1 + totals.attackPower + (structure.attackPower || 0) + research.attackPower,
+      defensePower:
+        1 + totals.defensePower + (structure.defensePower || 0) + research.defensePower,
+      production: 1 + totals.production + (structure.production || 0) + research.production,
+      goldIncome: totals.goldIncome + research.goldIncome,
+      terrainExpansionCostMult: research.terrainExpansionCostMult,
+      mobilizationRate: research.mobilizationRate,
+      towerStrength: research.towerStrength,
     };
   });
 
@@ -0,0 +1,190 @@
+// winConditions.js — Per-room victory modes
+//
+// Rooms pick a mode in gameState.settings.winMode:
+//   territory    — a nation (or team) holds winPercentage of the claimable land
+//   lastStanding — every other nation/team has been defeated
+//   capitals     — losing your capital knocks you out (towns are not promoted
+//                  in its place), so the last side holding a capital wins
+//   score        — when matchLengthMinutes runs out the highest score wins
+// checkWinCondition (gameLogic.js) evaluates the mode and publishes progress
+// as gameState.victory for the HUD. Rooms created before win modes existed
+// have no winMode and keep the config defaults (territory %).
+
+import config from "../config/config.js";
+import { getNationTeam } from "./teams.js";
+
+export const WIN_MODES = ["territory", "lastStanding", "capitals", "score"];
+
+export function normalizeWinMode(value) {
+  return WIN_MODES.includes(value) ? value : null;
+}
+
+export const DEFAULT_WIN_MODE =
+  normalizeWinMode(config?.victory?.defaultMode) || "territory";
+const DEFAULT_WIN_PERCENTAGE = Number(config?.winConditionPercentage) || 50;
+const DEFAULT_MATCH_LENGTH_MINUTES =
+  Number(config?.territorial?.matchLengthMinutes) || 15;
+const MIN_WIN_PERCENTAGE = config?.victory?.minWinPercentage ?? 20;
+const MAX_WIN_PERCENTAGE = config?.victory?.maxWinPercentage ?? 100;
+const MAX_MATCH_LENGTH_MINUTES = config?.victory?.maxMatchLengthMinutes ?? 180;
+const SCORE_PER_TOWN = config?.victory?.scorePerTown ?? 2;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Validate create-room victory options; blank values take the config
+ * defaults. Returns { settings } or { error } for out-of-range input.
+ */
+export function parseWinSettings({ winMode, winPercentage, matchLengthMinutes } = {}) {
+  const mode = isBlank(winMode) ? DEFAULT_WIN_MODE : normalizeWinMode(winMode);
+  if (!mode) {
+    return { error: `winMode must be one of ${WIN_MODES.join(", ")}` };
+  }
+  const percentage = isBlank(winPercentage)
+    ? DEFAULT_WIN_PERCENTAGE
+    : Number(winPercentage);
+  if (
+    !Number.isFinite(percentage) ||
+    percentage < MIN_WIN_PERCENTAGE ||
+    percentage > MAX_WIN_PERCENTAGE
+  ) {
+    return {
+      error: `winPercentage must be between ${MIN_WIN_PERCENTAGE} and ${MAX_WIN_PERCENTAGE}`,
+    };
+  }
+  const minutes = isBlank(matchLengthMinutes)
+    ? DEFAULT_MATCH_LENGTH_MINUTES
+    : Number(matchLengthMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MATCH_LENGTH_MINUTES) {
+    return {
+      error: `matchLengthMinutes must be between 1 and ${MAX_MATCH_LENGTH_MINUTES}`,
+    };
+  }
+  return {
+    settings: { winMode: mode, winPercentage: percentage, matchLengthMinutes: minutes },
+  };
+}
+
+/** Victory settings for a room, falling back to config defaults. */
+export function getWinSettings(gameState) {
+  const settings = gameState?.settings || {};
+  return {
+    mode: normalizeWinMode(settings.winMode) || DEFAULT_WIN_MODE,
+    percentage: Number(settings.winPercentage) || DEFAULT_WIN_PERCENTAGE,
+    matchLengthMinutes:
+      Number(settings.matchLengthMinutes) || DEFAULT_MATCH_LENGTH_MINUTES,
+  };
+}
+
+export function isCapitalConquest(gameState) {
+  return getWinSettings(gameState).mode === "capitals";
+}
+
+function getTickRateMs() {
+  return (
+    Number(process.env.TICK_RATE_MS) ||
+    Number(config?.territorial?.tickRateMs) ||
+    100
+  );
+}
+
+/** Score used by timed matches: land share plus a bonus per town/capital. */
+export function getNationScore(nation) {
+  if (!nation || nation.status === "defeated") return 0;
+  const towns = (nation.cities || []).filter(
+    (city) => city.type === "town" || city.type === "capital"
+  ).length;
+  return (nation.territoryPercentage || 0) + towns * SCORE_PER_TOWN;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/** Group nations into sides: a team, or a single nation playing free-for-all. */
+export function groupSides(nations) {
+  const sides = new Map();
+  for (const nation of nations || []) {
+    const team = getNationTeam(nation);
+    const key = team !== null ? `team:${team}` : `nation:${nation.owner}`;
+    if (!sides.has(key)) sides.set(key, { team, nations: [] });
+    sides.get(key).nations.push(nation);
+  }
+  for (const side of sides.values()) {
+    side.alive = side.nations.some((n) => n.status !== "defeated");
+    side.territory = side.nations.reduce(
+      (sum, n) => sum + (n.status === "defeated" ? 0 : n.territoryPercentage || 0),
+      0
+    );
+    side.score = side.nations.reduce((sum, n) => sum + getNationScore(n), 0);
+  }
+  return [...sides.values()];
+}
+
+function sideResult(side) {
+  if (!side) return { winner: null, winningTeam: null };
+  if (side.team !== null) return { winner: null, winningTeam: side.team };
+  return { winner: side.nations[0].owner, winningTeam: null };
+}
+
+/**
+ * Decide whether the room's win mode has been met. Expects
+ * nation.territoryPercentage to be current. Returns the winning nation or
+ * team (both null while the match goes on) and a progress summary for the HUD.
+ */
+export function evaluateVictory(gameState, currentTick = 0) {
+  const { mode, percentage, matchLengthMinutes } = getWinSettings(gameState);
+  const nations = gameState?.nations || [];
+  const sides = groupSides(nations);
+  const alive = sides.filter((side) => side.alive);
+  const progress = { mode, sidesRemaining: alive.length };
+
+  if (mode === "territory") {
+    progress.target = percentage;
+    progress.leader = round1(Math.max(0, ...alive.map((side) => side.territory)));
+    // Lone nations are checked before teams, as they always were
+    const soloWinner = nations.find(
+      (n) =>
+        n.status !== "defeated" &&
+        getNationTeam(n) === null &&
+        n.territoryPercentage >= percentage
+    );
+    if (soloWinner) return { winner: soloWinner.owner, winningTeam: null, progress };
+    const teamWinner = alive.find(
+      (side) => side.team !== null && round1(side.territory) >= percentage
+    );
+    return { ...sideResult(teamWinner), progress };
+  }
+
+  if (mode === "lastStanding" || mode === "capitals") {
+    // Needs an opponent to have existed, so a lone founder doesn't win instantly
+    if (sides.length >= 2 && alive.length === 1) {
+      return { ...sideResult(alive[0]), progress };
+    }
+    return { winner: null, winningTeam: null, progress };
+  }
+
+  // Timed score
+  const endsAtTick = Math.round((matchLengthMinutes * 60000) / getTickRateMs());
+  progress.endsAtTick = endsAtTick;
+  progress.secondsRemaining = Math.max(
+    0,
+    Math.round(((endsAtTick - currentTick) * getTickRateMs()) / 1000)
+  );
+  progress.scores = Object.fromEntries(
+    nations
+      .filter((n) => n.status !== "defeated")
+      .map((n) => [n.owner, round1(getNationScore(n))])
+  );
+  const teamScores = alive.filter((side) => side.team !== null);
+  if (teamScores.length > 0) {
+    progress.teamScores = Object.fromEntries(
+      teamScores.map((side) => [side.team, round1(side.score)])
+    );
+  }
+  if (currentTick < endsAtTick || alive.length === 0) {
+    return { winner: null, winningTeam: null, progress };
+  }
+  const leader = [...alive].sort(
+    (a, b) => b.score - a.score || b.territory - a.territory
+  )[0];
+  return { ...sideResult(leader), progress };
+}
@@ -16,7 +16,27 @@ import { tickMobilization, tickTroopDensityDiffusion } from "../utils/matrixTroo
 import { deriveOwnershipFromLoyalty } from "../utils/matrixKernels.js";
 import { serializeMatrix, deserializeMatrix } from "../utils/matrixSerializer.js";
 import { generateRegions } from "../utils/regionGenerator.js";
+import { mulberry32 } from "../utils/mapUtils.js";
+import { ensureReplay, maybeCaptureKeyframe, flushReplay } from "../utils/replayStore.js";
+import { canAttack, tickDiplomacy } from "../utils/diplomacy.js";
+import { trackMatchStats, recordMatchResult } from "../utils/matchResults.js";
+import { updateRoomFog, clearRoomFog } from "../utils/fogOfWar.js";
+import { PLAYER_COMMANDS, runPlayerCommand } from "../utils/playerCommands.js";
+import { syncResourceUpgrades } from "../utils/nodeUpgrades.js";
+import {
+  recordMatchEvent,
+  recordCityCaptured,
+  recordStructureDestroyed,
+  detectCityThreats,
+  recordStatusChanges,
+} from "../utils/matchEvents.js";
+import { RoomTickWorker, TICK_WORKER_STOPPED } from "./tickWorkerHost.js";
+import {
+  applyStructureIncome,
+  getCaptureRule,
+} from "../utils/economyStructures.js";
 import { debug, debugWarn } from "../utils/debug.js";
+import { clearRoomChat } from "../utils/chat.js";
 
 const loyaltyEnabled = config?.loyalty?.enabled !== false;
 const popDensityEnabled = config?.populationDensity?.enabled !== false;
@@ -26,7 +46,7 @@ const troopDensityEnabled = config?.troopDensity?.enabled === true;
  * Handle structure capture/destroy when territory changes hands
  * Matrix-aware version: reads ownership from matrix instead of string-key map
  */
-function handleStructureCaptureMatrix(gameState, matrix) {
+function handleStructureCaptureMatrix(gameState, matrix, currentTick) {
   if (!gameState?.nations) return;
 
   const nationsByOwner = new Map(
@@ -47,15 +67,24 @@ function handleStructureCaptureMatrix(gameState, matrix) {
       if (tileOwnerIdx === UNOWNED || tileOwnerIdx !== nIdx) {
         const tileOwnerStr = tileOwnerIdx !== UNOWNED ? matrix.getOwnerByIndex(tileOwnerIdx) : null;
 
-        if (city.type === "tower") {
+        const captureRule = getCaptureRule(city.type);
+        if (city.type === "tower" || captureRule === "destroy") {
           citiesToRemove.push(i);
-          debug(`[STRUCTURE] Tower "${city.name}" at (${city.x},${city.y}) destroyed - territory lost by ${nation.owner}`);
-        } else if (city.type === "town" || city.type === "capital") {
+          recordStructureDestroyed(gameState, currentTick, city, nation.owner, tileOwnerStr);
+          debug(`[STRUCTURE] ${city.type} "${city.name}" at (${city.x},${city.y}) destroyed - territory lost by ${nation.owner}`);
+        } else if (
+          city.type === "town" ||
+          city.type === "capital" ||
+          city.type === "port" ||
+          captureRule === "transfer"
+        ) {
           if (tileOwnerStr) {
             citiesToTransfer.push({ cityIndex: i, newOwner: tileOwnerStr });
+            recordCityCaptured(gameState, currentTick, city, nation.owner, tileOwnerStr);
             debug(`[STRUCTURE] City "${city.name}" at (${city.x},${city.y}) captured by ${tileOwnerStr} from ${nation.owner}`);
           } else {
             citiesToRemove.push(i);
+            recordStructureDestroyed(gameState, currentTick, city, nation.owner, null);
           }
         }
       }
@@ -158,10 +187,13 @@ function applyCityAutoExpansionMatrix(gameState, matrix) {
 /**
  * Encirclement detection and capture using matrix
  */
-function updateEncircledTerritoryMatrix(gameState, matrix) {
+function updateEncircledTerritoryMatrix(gameState, matrix, currentTick) {
   if (!gameState?.nations) return;
 
   // Reset encirclement flags
+  const wasEncircled = new Set(
+    gameState.nations.filter((n) => n.isEncircled).map((n) => n.owner)
+  );
   for (const nation of gameState.nations || []) {
     nation.isEncircled = false;
     nation.encircledBy = null;
@@ -175,6 +207,17 @@ function updateEncircledTerritoryMatrix(gameState, matrix) {
   for (const result of results) {
     const { cells, ownerIdx, encirclerIdx, hasCapital } = result;
     const encirclerOwner = matrix.getOwnerByIndex(encirclerIdx);
+    // Pockets surrounded by a teammate or pact partner are left alone
+    if (
+      ownerIdx !== UNOWNED &&
+      !canAttack(
+        gameState,
+        nationsByOwner.get(encirclerOwner),
+        nationsByOwner.get(matrix.getOwnerByIndex(ownerIdx))
+      )
+    ) {
+      continue;
+    }
 
     if (ownerIdx === UNOWNED) {
       // Unowned territory — instant capture with loyalty
@@ -189,6 +232,12 @@ function updateEncircledTerritoryMatrix(gameState, matrix) {
       if (nation) {
         nation.isEncircled = true;
         nation.encircledBy = encirclerOwner;
+        if (!wasEncircled.has(ownerStr)) {
+          recordMatchEvent(gameState, currentTick, "nationEncircled", {
+            owner: ownerStr,
+            by: encirclerOwner,
+          });
+        }
       }
     } else {
       // No capital — instant capture; transfer loyalty to prevent flicker
@@ -198,6 +247,13 @@ function updateEncircledTerritoryMatrix(gameState, matrix) {
         matrix.loyalty[ownerIdx * matrix.size + ci] *= 0.15;
         matrix.loyalty[encirclerIdx * matrix.size + ci] = 1.0;
       }
+      if (cells.length >= (config?.matchEvents?.minEncirclementCells ?? 10)) {
+        recordMatchEvent(gameState, currentTick, "encirclement", {
+          owner: encirclerOwner,
+          from: matrix.getOwnerByIndex(ownerIdx),
+          cells: cells.length,
+        });
+      }
       debug(`[ENCIRCLE] Captured ${cells.length} enemy cells without capital`);
     }
   }
@@ -269,7 +325,7 @@ function getResourceNodePositions(mapData, width, height, mapKey) {
   return nodes;
 }
 
-function updateResourceNodeClaimsMatrix(gameState, mapData, matrix, mapKey) {
+function updateResourceNodeClaimsMatrix(gameState, mapData, matrix, mapKey, currentTick) {
   if (!gameState || !Array.isArray(mapData)) return;
   const claims = gameState.resourceNodeClaims || {};
   const captureTicks = config?.territorial?.resourceCaptureTicks ?? 20;
@@ -320,6 +376,12 @@ function updateResourceNodeClaimsMatrix(gameState, mapData, matrix, mapKey) {
     claim.progress = Math.min(captureTicks, (claim.progress || 0) + 1);
     if (claim.progress >= captureTicks) {
       claim.owner = ownerId;
+      recordMatchEvent(gameState, currentTick, "resourceClaimed", {
+        owner: ownerId,
+        resource: type,
+        x,
+        y,
+      });
     }
     claim.type = type;
     claims[key] = claim;
@@ -339,7 +401,7 @@ function updateResourceNodeClaimsMatrix(gameState, mapData, matrix, mapKey) {
   gameState.resourceNodeClaims = claims;
 }
 
-function normalizeRuntimeCell(cell) {
+export function normalizeRuntimeCell(cell) {
   if (!cell || typeof cell !== "object") return null;
 
   const nodeType = cell.resourceNode?.type || null;
@@ -358,13 +420,361 @@ function normalizeRuntimeCell(cell) {
   };
 }
 
-class GameLoop {
-  constructor() {
+function updateOwnershipMapFromDeltas(ownershipMap, nations) {
+  for (const nation of nations) {
+    const delta = nation.territoryDelta;
+    if (!delta) continue;
+
+    if (delta.add?.x && delta.add?.y) {
+      for (let i = 0; i < delta.add.x.length; i++) {
+        const key = `${delta.add.x[i]},${delta.add.y[i]}`;
+        ownershipMap.set(key, nation);
+      }
+    }
+
+    if (delta.sub?.x && delta.sub?.y) {
+      for (let i = 0; i < delta.sub.x.length; i++) {
+        const key = `${delta.sub.x[i]},${delta.sub.y[i]}`;
+        if (ownershipMap.get(key) === nation) {
+          ownershipMap.delete(key);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Advance a game state by one tick against its matrix. This is the whole
+ * simulation step shared by the live loop and the headless harness
+ * (scripts/simulate.js); persistence, replays and broadcasts stay with the
+ * caller. Mutates gameState in place.
+ *
+ * When gameState.rngSeed is set, Math.random is reseeded from it and the
+ * tick number for the duration of the tick, so bot decisions and update
+ * order can be reproduced from a replay (see workers/replayRunner.js).
+ *
+ * ownershipMap is only needed by the legacy non-matrix code paths in
+ * gameLogic.js; pass null when every lookup can use the matrix.
+ */
+export function simulateTick(gameState, options) {
+  if (gameState.rngSeed == null) return runTick(gameState, options);
+  const originalRandom = Math.random;
+  Math.random = mulberry32(
+    (gameState.rngSeed ^ Math.imul(options.currentTick + 1, 0x9e3779b1)) | 0
+  );
+  try {
+    return runTick(gameState, options);
+  } finally {
+    Math.random = originalRandom;
+  }
+}
+
+function runTick(
+  gameState,
+  {
+    mapData,
+    matrix,
+    currentTick,
+    regionData = null,
+    totalClaimable = 0,
+    mapKey,
+    ownershipMap = null,
+    perf = {},
+  }
+) {
+  let _t = performance.now();
+  const statusBefore = new Map(gameState.nations.map((n) => [n.owner, n.status]));
+
+  // 1. Snapshot ownership for delta derivation at end of tick
+  matrix.snapshotOwnership();
+
+  // 2. Compute bonuses (node levels come from the matrix)
+  syncResourceUpgrades(
+    gameState,
+    matrix,
+    getResourceNodePositions(mapData, matrix.width, matrix.height, mapKey)
+  );
+  const bonusesByOwner = computeBonusesByOwner(
+    gameState.nations,
+    mapData,
+    gameState?.resourceUpgrades || null,
+    gameState?.resourceNodeClaims || null
+  );
+  perf.bonuses = performance.now() - _t; _t = performance.now();
+
+  // 3. Loyalty diffusion + derive ownership from loyalty
+  if (loyaltyEnabled) {
+    tickLoyaltyDiffusion(
+      matrix,
+      config.loyalty,
+      gameState.nations,
+      gameState.diplomacy
+    );
+    deriveOwnershipFromLoyalty(matrix, config.loyalty?.ownershipThreshold || 0.6);
+  }
+  perf.loyalty = performance.now() - _t; _t = performance.now();
+
+  // 4. Population density diffusion (every 2 ticks — diffusion doesn't need per-tick resolution)
+  const runDiffusion = currentTick % 2 === 0;
+  if (popDensityEnabled && runDiffusion) {
+    tickPopulationDensity(matrix, config.populationDensity, gameState.nations, regionData, config.regions);
+  }
+  perf.popDensity = performance.now() - _t; _t = performance.now();
+
+  // 4.5 Troop density: mobilization + diffusion every tick (sub-steps handle speed)
+  if (troopDensityEnabled) {
+    tickMobilization(matrix, config.troopDensity, gameState.nations, bonusesByOwner);
+    perf.mobilization = performance.now() - _t; _t = performance.now();
+    tickTroopDensityDiffusion(matrix, config.troopDensity, gameState.nations);
+  }
+  perf.troopDensity = performance.now() - _t; _t = performance.now();
+
+  // 4.6 Defense strength (every 2 ticks — recompute after diffusion ticks)
+  if (popDensityEnabled && runDiffusion) {
+    computeDefenseStrength(
+      matrix,
+      gameState.nations,
+      config.structures,
+      config.populationDensity?.densityDefenseScale || 0.5,
+      troopDensityEnabled ? (config.troopDensity?.troopDefenseScale || 0.8) : 0,
+      regionData,
+      config.regions,
+      bonusesByOwner
+    );
+  }
+  perf.defense = performance.now() - _t; _t = performance.now();
+
+  // 4.7 Chunk maintenance: rebuild border flags periodically, tick sleep counters
+  if (currentTick % 5 === 0) {
+    matrix.rebuildChunkBorderFlags();
+  }
+  matrix.tickChunkSleep();
+
+  // 5. Randomize nation update order
+  const nationOrder = [...gameState.nations];
+  const botCount = nationOrder.filter(n => n.isBot && n.status !== 'defeated').length;
+  const activeArrows = nationOrder.filter(n => n.arrowOrders?.attacks?.length > 0 || n.arrowOrders?.attack || n.arrowOrders?.defend).length;
+  const botArrows = nationOrder.filter(n => n.isBot && (n.arrowOrders?.attacks?.length > 0 || n.arrowOrders?.attack)).length;
+
+  const logInterval = process.env.DEBUG_TICKS === "true" ? 10 : 50;
+  if (currentTick % logInterval === 0) {
+    debug(`[TICK ${currentTick}] Nations: ${nationOrder.length}, Bots: ${botCount}, BotArrows: ${botArrows}, PlayerArrows: ${activeArrows - botArrows}`);
+  }
+
+  // ═══ HYPOTHESIS DIAGNOSTICS (every 10 ticks, gated) ═══
+  if (process.env.DEBUG_ARROWS === "true" && currentTick % 10 === 0) {
+    for (const n of nationOrder) {
+      const ao = n.arrowOrders;
+      const attacksLen = ao?.attacks?.length || 0;
+      const hasLegacySingular = !!ao?.attack;
+      const hasDefend = !!ao?.defend;
+      if (attacksLen > 0 || hasLegacySingular || hasDefend) {
+        debug(`[H-DIAG ${currentTick}] ${n.isBot ? 'BOT' : 'PLAYER'} "${n.name || n.owner}": attacks[]=${attacksLen}, attack(singular)=${hasLegacySingular}, defend=${hasDefend}${hasLegacySingular ? ' *** LEGACY FIELD PRESENT ***' : ''}`);
+        if (attacksLen > 0) {
+          ao.attacks.forEach((a, i) => {
+            debug(`  arrow[${i}] id=${a.id} power=${a.remainingPower?.toFixed(0)} status=${a.status} idx=${a.currentIndex}/${a.path?.length} age=${a.createdAt ? Date.now() - new Date(a.createdAt).getTime() : '?'}ms`);
+          });
+        }
+        if (hasLegacySingular) {
+          debug(`  *** LEGACY attack(singular): id=${ao.attack?.id} power=${ao.attack?.remainingPower?.toFixed(0)} path=${ao.attack?.path?.length}`);
+        }
+      }
+    }
+  }
+
+  for (let i = nationOrder.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [nationOrder[i], nationOrder[j]] = [nationOrder[j], nationOrder[i]];
+  }
+
+  perf.ownershipMap = performance.now() - _t; _t = performance.now();
+
+  // 6. Update nations (arrows write to both matrix and ownershipMap via gameLogic.js)
+  const updatedNations = nationOrder.map((nation) =>
+    updateNation(
+      nation,
+      mapData,
+      gameState,
+      ownershipMap,
+      bonusesByOwner,
+      currentTick,
+      null,
+      matrix,
+      regionData
+    )
+  );
+  perf.updateNations = performance.now() - _t; _t = performance.now();
+
+  // 7. Sync string-key caches from gameLogic.js changes (territory deltas)
+  if (ownershipMap) {
+    updateOwnershipMapFromDeltas(ownershipMap, updatedNations);
+  }
+  const hasChanges = updatedNations.some(n =>
+    (n.territoryDelta?.add?.x?.length || 0) > 0 ||
+    (n.territoryDelta?.sub?.x?.length || 0) > 0
+  );
+
+  if (process.env.DEBUG_TICKS === "true" && currentTick % 10 === 0) {
+    const changeDetails = updatedNations
+      .filter(n => (n.territoryDelta?.add?.x?.length || 0) > 0)
+      .map(n => `${n.isBot ? 'BOT' : 'PLAYER'}:${n.owner?.substring(0,8)}(+${n.territoryDelta.add.x.length})`)
+      .join(', ');
+    if (changeDetails) {
+      debug(`[TICK ${currentTick}] Territory changes: ${changeDetails}`);
+    } else {
+      debug(`[TICK ${currentTick}] No territory changes`);
+    }
+  }
+
+  // Territory deltas are consumed by updateOwnershipMapFromDeltas/updateFrontierSetsFromDeltas
+  // above, then reset by applyMatrixToNations at step 12. No explicit reset needed here.
+
+  // 7.5 Passive concavity fill — fill gaps between tendrils (every 3 ticks)
+  if (currentTick % 3 === 0) {
+    const concavityMinNeighbors = config?.loyalty?.concavityFillMinNeighbors ?? 5;
+    const concavityMaxPasses = config?.loyalty?.concavityFillMaxPasses ?? 3;
+    passiveConcavityFill(matrix, updatedNations, concavityMinNeighbors, concavityMaxPasses);
+  }
+  perf.concavity = performance.now() - _t; _t = performance.now();
+
+  gameState.nations = updatedNations;
+
+  // 8. City auto-expansion (modifies matrix directly)
+  applyCityAutoExpansionMatrix(gameState, matrix);
+
+  // 9. Encirclement (runs before structure capture so encircled structures get handled)
+  const encirclementInterval = config?.territorial?.encirclementCheckIntervalTicks ?? 6;
+  if (currentTick % encirclementInterval === 0) {
+    updateEncircledTerritoryMatrix(gameState, matrix, currentTick);
+  }
+  perf.encirclement = performance.now() - _t; _t = performance.now();
+
+  // 9.5 ownershipMap no longer force-rebuilt every tick.
+  // Matrix typed-array lookups replaced all hot-path ownershipMap reads in gameLogic.js.
+  // The cached ownershipMap is still kept for cold paths (legacy fallback, buildCellInfo, etc.)
+  // and updated via delta sync at step 7.
+
+  // 10. Structure capture (after encirclement so encircled structures are correctly handled)
+  handleStructureCaptureMatrix(gameState, matrix, currentTick);
+  detectCityThreats(gameState, matrix, currentTick);
+
+  // 11. Resource claims
+  updateResourceNodeClaimsMatrix(gameState, mapData, matrix, mapKey, currentTick);
+  applyResourceNodeIncome(gameState, mapData);
+  applyStructureIncome(gameState, mapData, matrix);
+  perf.resources = performance.now() - _t; _t = performance.now();
+
+  // 12. Derive client-compatible deltas from matrix snapshot diff
+  applyMatrixToNations(matrix, updatedNations, totalClaimable);
+  perf.matrixSync = performance.now() - _t; _t = performance.now();
+  trackMatchStats(gameState, matrix, currentTick);
+
+  // 12.5 Diplomacy upkeep (break notices, truce expiry, bot replies)
+  const diplomacyChanged = tickDiplomacy(gameState, currentTick);
+
+  const winCheckInterval = config?.territorial?.winConditionCheckIntervalTicks ?? 5;
+  if (currentTick % winCheckInterval === 0) {
+    checkWinCondition(gameState, mapData, totalClaimable, currentTick);
+  }
+  recordStatusChanges(gameState, statusBefore, currentTick);
+
+  return { updatedNations, diplomacyChanged };
+}
+
+/** Make sure every active nation has a matrix slot */
+function registerActiveNations(matrix, nations) {
+  for (const nation of nations) {
+    if (nation.status === "defeated") continue;
+    if (!matrix.ownerToIndex.has(nation.owner)) {
+      matrix.getNationIndex(nation.owner);
+    }
+  }
+}
+
+/**
+ * Build a room's TerritoryMatrix, restored from persisted matrixState when
+ * possible, otherwise from the map and nation territories.
+ * `options` go to the TerritoryMatrix constructor ({ shared } for tick workers).
+ */
+export function buildRoomMatrix(roomKey, mapData, nations, matrixState, options = {}) {
+  // Try to restore from persisted matrixState first
+  if (matrixState) {
+    try {
+      const matrix = deserializeMatrix(matrixState, mapData, config?.matrix, options);
+      if (matrix) {
+        // Ensure all active nations are registered in the restored matrix
+        registerActiveNations(matrix, nations);
+        debug(`[MATRIX] Restored ${matrix.width}x${matrix.height} matrix for room ${roomKey} from DB (${matrix.nextNationSlot} nations)`);
+        return matrix;
+      }
+    } catch (err) {
+      debugWarn(`[MATRIX] Failed to deserialize matrix for room ${roomKey}, building from scratch:`, err.message);
+    }
+  }
+
+  const height = mapData.length;
+  const width = mapData[0]?.length || 0;
+  const configuredMaxNations = Math.max(
+    1,
+    Number(config?.matrix?.maxNations) || 64
+  );
+  const activeNationCount = Math.max(
+    1,
+    (nations || []).filter((n) => n?.status !== "defeated").length
+  );
+  const desiredNationSlots = Math.max(16, activeNationCount + 8);
+  const maxNations = Math.min(configuredMaxNations, desiredNationSlots);
+  const matrix = new TerritoryMatrix(width, height, maxNations, options);
+  matrix.initFromMapData(mapData, config?.matrix);
+  matrix.populateFromNations(nations);
+  debug(`[MATRIX] Created ${width}x${height} matrix for room ${roomKey} (${matrix.nextNationSlot} nations)`);
+  return matrix;
+}
+
+/**
+ * Sync matrix ownership from nations' territory arrays.
+ * Used after route mutations (foundNation, quit) to keep matrix in sync.
+ */
+export function syncMatrixWithNations(matrix, nations) {
+  // Build set of active nation owners for targeted cleanup
+  const activeOwners = new Set();
+  for (const nation of nations) {
+    if (nation.status !== "defeated" && nation.owner) {
+      activeOwners.add(nation.owner);
+    }
+  }
+
+  // Clear ownership for removed/defeated nations only, preserve loyalty for active nations
+  for (let i = 0; i < matrix.size; i++) {
+    const ownerIdx = matrix.ownership[i];
+    if (ownerIdx === UNOWNED) continue;
+    const ownerStr = matrix.getOwnerByIndex(ownerIdx);
+    if (!ownerStr || !activeOwners.has(ownerStr)) {
+      matrix.setOwnerByIndex(i, UNOWNED);
+      // Clear loyalty for removed nations at this cell
+      if (ownerIdx >= 0 && ownerIdx < matrix.maxNations) {
+        matrix.loyalty[ownerIdx * matrix.size + i] = 0;
+      }
+    }
+  }
+
+  // Re-populate from nation territories (sets ownership + loyalty=1.0 for owned cells)
+  matrix.populateFromNations(nations);
+}
+
+/**
+ * Runs every live room on this process. `recordResults: false` keeps a loop
+ * from writing match results and ratings (offline re-simulation).
+ */
+export class GameLoop {
+  constructor({ recordResults = true } = {}) {
+    this.recordResults = recordResults;
     this.timers = new Map();
     this.cachedMapData = new Map();
     this.cachedMapStats = new Map();
     this.cachedGameRoom = new Map();
-    this.cachedMatrix = new Map(); // roomId -> TerritoryMatrix
+    this.cachedMatrix = new Map(); // roomId -> TerritoryMatrix (a shared view with tick workers)
+    this.tickWorkers = new Map(); // roomId -> RoomTickWorker
     this.cachedRegionData = new Map(); // roomId -> { seeds, assignment, regionCount, width, height }
     // String-key caches used by gameLogic.js updateNation() for compatibility
     this.cachedOwnershipMap = new Map();
@@ -374,6 +784,8 @@ class GameLoop {
     this.pendingRooms = new Set();
     this.processingRooms = new Set();
     this.roomMutationLocks = new Set();
+    this.commandQueues = new Map(); // roomId -> [{ userId, command, payload, resolve, reject }]
+    this.recentCommands = new Map(); // roomId -> Map("userId:requestId" -> outcome promise)
     this.loopIds = new Map();
     this.roomTickCount = new Map();
     const tickRate =
@@ -392,6 +804,10 @@ class GameLoop {
     );
     this.lastBroadcast = new Map();
     this.dbSaveIntervalTicks = config?.territorial?.dbSaveIntervalTicks ?? 5;
+    // Run each room's tick in its own worker thread (TICK_WORKERS=false to disable)
+    this.useTickWorkers = process.env.TICK_WORKERS
+      ? process.env.TICK_WORKERS === "true"
+      : config?.territorial?.tickWorkers !== false;
   }
 
   // ─── Matrix management ──────────────────────────────────────────
@@ -400,56 +816,58 @@ class GameLoop {
   getMatrix(roomKey, mapData, nations, matrixState) {
     let matrix = this.cachedMatrix.get(roomKey);
     if (!matrix) {
-      // Try to restore from persisted matrixState first
-      if (matrixState) {
-        try {
-          matrix = deserializeMatrix(matrixState, mapData, config?.matrix);
-          if (matrix) {
-            // Ensure all active nations are registered in the restored matrix
-            for (const nation of nations) {
-              if (nation.status === "defeated") continue;
-              if (!matrix.ownerToIndex.has(nation.owner)) {
-                matrix.getNationIndex(nation.owner);
-              }
-            }
-            this.cachedMatrix.set(roomKey, matrix);
-            debug(`[MATRIX] Restored ${matrix.width}x${matrix.height} matrix for room ${roomKey} from DB (${matrix.nextNationSlot} nations)`);
-            return matrix;
-          }
-        } catch (err) {
-          debugWarn(`[MATRIX] Failed to deserialize matrix for room ${roomKey}, building from scratch:`, err.message);
-        }
-      }
-
-      const height = mapData.length;
-      const width = mapData[0]?.length || 0;
-      const configuredMaxNations = Math.max(
-        1,
-        Number(config?.matrix?.maxNations) || 64
-      );
-      const activeNationCount = Math.max(
-        1,
-        (nations || []).filter((n) => n?.status !== "defeated").length
-      );
-      const desiredNationSlots = Math.max(16, activeNationCount + 8);
-      const maxNations = Math.min(configuredMaxNations, desiredNationSlots);
-      matrix = new TerritoryMatrix(width, height, maxNations);
-      matrix.initFromMapData(mapData, config?.matrix);
-      matrix.populateFromNations(nations);
+      matrix = buildRoomMatrix(roomKey, mapData, nations, matrixState);
       this.cachedMatrix.set(roomKey, matrix);
-      debug(`[MATRIX] Created ${width}x${height} matrix for room ${roomKey} (${matrix.nextNationSlot} nations)`);
     } else {
-      // Ensure any new nations are registered
-      for (const nation of nations) {
-        if (nation.status === "defeated") continue;
-        if (!matrix.ownerToIndex.has(nation.owner)) {
-          matrix.getNationIndex(nation.owner);
-        }
-      }
+      registerActiveNations(matrix, nations);
     }
     return matrix;
   }
 
+  /**
+   * The room's matrix, ready for a tick. With tick workers this (re)starts the
+   * room's worker when needed and returns the main-thread view of its matrix;
+   * a worker that died is rebuilt from the view's last state.
+   */
+  async ensureRoomMatrix(roomKey, mapData, gameRoom) {
+    const { nations } = gameRoom.gameState;
+    if (!this.useTickWorkers) {
+      return this.getMatrix(roomKey, mapData, nations, gameRoom.matrixState);
+    }
+    let tickWorker = this.tickWorkers.get(roomKey);
+    if (tickWorker?.failed) {
+      debugWarn(`[MATRIX] Tick worker for room ${roomKey} failed, restarting`);
+      tickWorker.terminate();
+      tickWorker = null;
+    }
+    if (!tickWorker) {
+      const view = this.cachedMatrix.get(roomKey);
+      tickWorker = new RoomTickWorker(roomKey);
+      this.tickWorkers.set(roomKey, tickWorker);
+      tickWorker
+        .start({
+          mapData,
+          regionData: this.cachedRegionData.get(roomKey) || null,
+          matrixState: view ? serializeMatrix(view) : gameRoom.matrixState,
+          nations,
+        })
+        .then((matrix) => {
+          if (this.tickWorkers.get(roomKey) === tickWorker) {
+            this.cachedMatrix.set(roomKey, matrix);
+          }
+        })
+        .catch(() => {}); // surfaced to the awaiting caller below
+    }
+    return tickWorker.ready;
+  }
+
+  stopTickWorker(roomKey) {
+    const tickWorker = this.tickWorkers.get(roomKey);
+    if (!tickWorker) return;
+    tickWorker.terminate();
+    this.tickWorkers.delete(roomKey);
+  }
+
   /** Get the cached matrix for a room (or null if not yet created) */
   getCachedMatrix(roomKey) {
     return this.cachedMatrix.get(roomKey) || null;
@@ -457,36 +875,20 @@ class GameLoop {
 
   /**
    * Sync matrix ownership from nations' territory arrays.
-   * Used after route mutations (foundNation, quit) to keep matrix in sync.
+   * Used after route mutations (foundNation, quit) to keep matrix in sync;
+   * with tick workers the sync runs in the room's worker.
    */
   syncMatrixFromNations(roomKey, nations) {
+    const tickWorker = this.tickWorkers.get(roomKey);
+    if (tickWorker) {
+      tickWorker.sync(nations).catch((err) =>
+        debugWarn(`[MATRIX] Tick worker sync failed for room ${roomKey}:`, err.message)
+      );
+      return;
+    }
     const matrix = this.cachedMatrix.get(roomKey);
     if (!matrix) return;
-
-    // Build set of active nation owners for targeted cleanup
-    const activeOwners = new Set();
-    for (const nation of nations) {
-      if (nation.status !== "defeated" && nation.owner) {
-        activeOwners.add(nation.owner);
-      }
-    }
-
-    // Clear ownership for removed/defeated nations only, preserve loyalty for active nations
-    for (let i = 0; i < matrix.size; i++) {
-      const ownerIdx = matrix.ownership[i];
-      if (ownerIdx === UNOWNED) continue;
-      const ownerStr = matrix.getOwnerByIndex(ownerIdx);
-      if (!ownerStr || !activeOwners.has(ownerStr)) {
-        matrix.setOwnerByIndex(i, UNOWNED);
-        // Clear loyalty for removed nations at this cell
-        if (ownerIdx >= 0 && ownerIdx < matrix.maxNations) {
-          matrix.loyalty[ownerIdx * matrix.size + i] = 0;
-        }
-      }
-    }
-
-    // Re-populate from nation territories (sets ownership + loyalty=1.0 for owned cells)
-    matrix.populateFromNations(nations);
+    syncMatrixWithNations(matrix, nations);
   }
 
   // ─── Map data management ────────────────────────────────────────
@@ -706,6 +1108,99 @@ class GameLoop {
     }
   }
 
+  /**
+   * Call readFn(matrix) under the room's mutation lock, so state views built
+   * from the matrix layers (shared with the tick worker) never see a tick
+   * half-written. readFn should be synchronous; it gets null without a matrix.
+   */
+  withRoomMatrix(roomId, readFn) {
+    return this.withRoomMutationLock(roomId, () => readFn(this.getCachedMatrix(roomId)));
+  }
+
+  // ─── Player command queue (WebSocket command channel) ───────────
+
+  /**
+   * Queue a player command (see playerCommands.js) for the start of the
+   * room's next tick. Resolves with { result, tick } after that tick has
+   * been broadcast, or rejects with the command's error.
+   *
+   * A client resending a command it got no ack for passes the same
+   * `requestId`; the resend gets the first attempt's outcome instead of
+   * being applied again.
+   */
+  queueCommand(roomId, userId, command, payload, requestId = null) {
+    const roomKey = roomId?.toString();
+    const dedupKey = requestId != null ? `${userId}:${requestId}` : null;
+    const seen = dedupKey && this.recentCommands.get(roomKey)?.get(dedupKey);
+    if (seen) return seen;
+
+    const reject = (message, status) =>
+      Promise.reject(Object.assign(new Error(message), { status }));
+    if (!PLAYER_COMMANDS[command]) return reject(`Unknown command "${command}"`, 400);
+    if (!this.timers.has(roomKey)) return reject("Game is not running", 409);
+
+    let queue = this.commandQueues.get(roomKey);
+    if (!queue) {
+      queue = [];
+      this.commandQueues.set(roomKey, queue);
+    }
+    const maxQueued = config?.territorial?.maxQueuedCommandsPerPlayer ?? 8;
+    if (queue.filter((entry) => entry.userId === userId).length >= maxQueued) {
+      return reject("Too many commands queued", 429);
+    }
+    const outcome = new Promise((resolve, rejectCommand) => {
+      queue.push({ userId, command, payload, resolve, reject: rejectCommand });
+    });
+    if (dedupKey) {
+      let recent = this.recentCommands.get(roomKey);
+      if (!recent) {
+        recent = new Map();
+        this.recentCommands.set(roomKey, recent);
+      }
+      recent.set(dedupKey, outcome);
+      // Map order is insertion order: drop the oldest past the cap
+      const maxRecent = config?.territorial?.recentCommandsPerRoom ?? 512;
+      for (const key of recent.keys()) {
+        if (recent.size <= maxRecent) break;
+        recent.delete(key);
+      }
+    }
+    return outcome;
+  }
+
+  /** Apply queued commands in arrival order; returns a callback that settles them */
+  applyQueuedCommands(roomKey, gameRoom, ctx, tick) {
+    const queue = this.commandQueues.get(roomKey);
+    if (!queue?.length) return null;
+    this.commandQueues.delete(roomKey);
+
+    const outcomes = queue.map((entry) => {
+      try {
+        const result = runPlayerCommand(gameRoom, entry.userId, entry.command, entry.payload, ctx);
+        return { entry, result };
+      } catch (error) {
+        return { entry, error };
+      }
+    });
+    return () => {
+      for (const { entry, result, error } of outcomes) {
+        if (error) entry.reject(error);
+        else entry.resolve({ result, tick });
+      }
+    };
+  }
+
+  rejectQueuedCommands(roomKey, message = "Game is not running") {
+    // Rejected unapplied, so a resend may be queued again once the room runs
+    this.recentCommands.delete(roomKey);
+    const queue = this.commandQueues.get(roomKey);
+    if (!queue) return;
+    this.commandQueues.delete(roomKey);
+    for (const entry of queue) {
+      entry.reject(Object.assign(new Error(message), { status: 409 }));
+    }
+  }
+
   // ─── String-key ownership map methods (used by gameLogic.js) ───
 
   buildInitialOwnershipMap(nations) {
@@ -764,30 +1259,6 @@ class GameLoop {
     return ownershipMap;
   }
 
-  updateOwnershipMapFromDeltas(ownershipMap, nations) {
-    for (const nation of nations) {
-      const delta = nation.territoryDelta;
-      if (!delta) continue;
-
-      if (delta.add?.x && delta.add?.y) {
-        for (let i = 0; i < delta.add.x.length; i++) {
-          const key = `${delta.add.x[i]},${delta.add.y[i]}`;
-          ownershipMap.set(key, nation);
-        }
-      }
-
-      if (delta.sub?.x && delta.sub?.y) {
-        for (let i = 0; i < delta.sub.x.length; i++) {
-          const key = `${delta.sub.x[i]},${delta.sub.y[i]}`;
-          if (ownershipMap.get(key) === nation) {
-            ownershipMap.delete(key);
-          }
-        }
-      }
-    }
-  }
-
-
   // ─── Process room ───────────────────────────────────────────────
 
   async processRoom(roomId) {
@@ -804,6 +1275,7 @@ class GameLoop {
     this.processingRooms.add(roomKey);
 
     const startTime = process.hrtime();
+    let settleCommands = null;
     try {
       let gameRoom = this.cachedGameRoom.get(roomKey);
       if (!gameRoom) {
@@ -814,6 +1286,7 @@ class GameLoop {
         }
       }
       if (!gameRoom || gameRoom.status !== "open" || !gameRoom?.gameState?.nations) {
+        this.rejectQueuedCommands(roomKey);
         return;
       }
 
@@ -828,205 +1301,69 @@ class GameLoop {
         return;
       }
 
-      const matrix = this.getMatrix(roomKey, mapData, gameRoom.gameState.nations, gameRoom.matrixState);
+      const matrix = await this.ensureRoomMatrix(roomKey, mapData, gameRoom);
 
       // ── Tick profiling ──
       const _perf = {};
-      let _t = performance.now();
-
-      // 1. Snapshot ownership for delta derivation at end of tick
-      matrix.snapshotOwnership();
-
-      // 2. Compute bonuses
-      const bonusesByOwner = computeBonusesByOwner(
-        gameRoom.gameState.nations,
-        mapData,
-        gameRoom.gameState?.resourceUpgrades || null,
-        gameRoom.gameState?.resourceNodeClaims || null
-      );
-      _perf.bonuses = performance.now() - _t; _t = performance.now();
-
-      // 3. Loyalty diffusion + derive ownership from loyalty
-      if (loyaltyEnabled) {
-        tickLoyaltyDiffusion(matrix, config.loyalty, gameRoom.gameState.nations);
-        deriveOwnershipFromLoyalty(matrix, config.loyalty?.ownershipThreshold || 0.6);
-      }
-      _perf.loyalty = performance.now() - _t; _t = performance.now();
-
-      // 4. Population density diffusion (every 2 ticks — diffusion doesn't need per-tick resolution)
       const regionData = this.cachedRegionData.get(roomKey) || null;
-      const runDiffusion = currentTick % 2 === 0;
-      if (popDensityEnabled && runDiffusion) {
-        tickPopulationDensity(matrix, config.populationDensity, gameRoom.gameState.nations, regionData, config.regions);
-      }
-      _perf.popDensity = performance.now() - _t; _t = performance.now();
-
-      // 4.5 Troop density: mobilization + diffusion every tick (sub-steps handle speed)
-      if (troopDensityEnabled) {
-        tickMobilization(matrix, config.troopDensity, gameRoom.gameState.nations);
-        _perf.mobilization = performance.now() - _t; _t = performance.now();
-        tickTroopDensityDiffusion(matrix, config.troopDensity, gameRoom.gameState.nations);
-      }
-      _perf.troopDensity = performance.now() - _t; _t = performance.now();
-
-      // 4.6 Defense strength (every 2 ticks — recompute after diffusion ticks)
-      if (popDensityEnabled && runDiffusion) {
-        computeDefenseStrength(
-          matrix,
-          gameRoom.gameState.nations,
-          config.structures,
-          config.populationDensity?.densityDefenseScale || 0.5,
-          troopDensityEnabled ? (config.troopDensity?.troopDefenseScale || 0.8) : 0,
-          regionData,
-          config.regions
-        );
-      }
-      _perf.defense = performance.now() - _t; _t = performance.now();
-
-      // 4.7 Chunk maintenance: rebuild border flags periodically, tick sleep counters
-      if (currentTick % 5 === 0) {
-        matrix.rebuildChunkBorderFlags();
-      }
-      matrix.tickChunkSleep();
-
-      // 5. Build ownershipMap for gameLogic.js compatibility
-      const ownershipMap = matrix
-        ? null
-        : this.getOwnershipMap(roomKey, gameRoom.gameState.nations);
-      const nationOrder = [...gameRoom.gameState.nations];
-      const botCount = nationOrder.filter(n => n.isBot && n.status !== 'defeated').length;
-      const activeArrows = nationOrder.filter(n => n.arrowOrders?.attacks?.length > 0 || n.arrowOrders?.attack || n.arrowOrders?.defend).length;
-      const botArrows = nationOrder.filter(n => n.isBot && (n.arrowOrders?.attacks?.length > 0 || n.arrowOrders?.attack)).length;
-
-      const logInterval = process.env.DEBUG_TICKS === "true" ? 10 : 50;
-      if (currentTick % logInterval === 0) {
-        debug(`[TICK ${currentTick}] Nations: ${nationOrder.length}, Bots: ${botCount}, BotArrows: ${botArrows}, PlayerArrows: ${activeArrows - botArrows}`);
-      }
-
-      // ═══ HYPOTHESIS DIAGNOSTICS (every 10 ticks, gated) ═══
-      if (process.env.DEBUG_ARROWS === "true" && currentTick % 10 === 0) {
-        for (const n of nationOrder) {
-          const ao = n.arrowOrders;
-          const attacksLen = ao?.attacks?.length || 0;
-          const hasLegacySingular = !!ao?.attack;
-          const hasDefend = !!ao?.defend;
-          if (attacksLen > 0 || hasLegacySingular || hasDefend) {
-            debug(`[H-DIAG ${currentTick}] ${n.isBot ? 'BOT' : 'PLAYER'} "${n.name || n.owner}": attacks[]=${attacksLen}, attack(singular)=${hasLegacySingular}, defend=${hasDefend}${hasLegacySingular ? ' *** LEGACY FIELD PRESENT ***' : ''}`);
-            if (attacksLen > 0) {
-              ao.attacks.forEach((a, i) => {
-                debug(`  arrow[${i}] id=${a.id} power=${a.remainingPower?.toFixed(0)} status=${a.status} idx=${a.currentIndex}/${a.path?.length} age=${a.createdAt ? Date.now() - new Date(a.createdAt).getTime() : '?'}ms`);
-              });
-            }
-            if (hasLegacySingular) {
-              debug(`  *** LEGACY attack(singular): id=${ao.attack?.id} power=${ao.attack?.remainingPower?.toFixed(0)} path=${ao.attack?.path?.length}`);
-            }
-          }
-        }
-      }
 
-      for (let i = nationOrder.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [nationOrder[i], nationOrder[j]] = [nationOrder[j], nationOrder[i]];
-      }
-
-      _perf.ownershipMap = performance.now() - _t; _t = performance.now();
-
-      // 6. Update nations (arrows write to both matrix and ownershipMap via gameLogic.js)
-      const updatedNations = nationOrder.map((nation) =>
-        updateNation(
-          nation,
-          mapData,
-          gameRoom.gameState,
-          ownershipMap,
-          bonusesByOwner,
-          currentTick,
-          null,
-          matrix,
-          regionData
-        )
+      // Player commands sent over WebSocket since the last tick; they are
+      // acknowledged once this tick has been broadcast
+      settleCommands = this.applyQueuedCommands(
+        roomKey,
+        gameRoom,
+        { roomKey, mapData, matrix, regionData },
+        currentTick
       );
-      _perf.updateNations = performance.now() - _t; _t = performance.now();
-
-      // 7. Sync string-key caches from gameLogic.js changes (territory deltas)
-      if (ownershipMap) {
-        this.updateOwnershipMapFromDeltas(ownershipMap, updatedNations);
-      }
-      const hasChanges = updatedNations.some(n =>
-        (n.territoryDelta?.add?.x?.length || 0) > 0 ||
-        (n.territoryDelta?.sub?.x?.length || 0) > 0
-      );
-
-      if (process.env.DEBUG_TICKS === "true" && currentTick % 10 === 0) {
-        const changeDetails = updatedNations
-          .filter(n => (n.territoryDelta?.add?.x?.length || 0) > 0)
-          .map(n => `${n.isBot ? 'BOT' : 'PLAYER'}:${n.owner?.substring(0,8)}(+${n.territoryDelta.add.x.length})`)
-          .join(', ');
-        if (changeDetails) {
-          debug(`[TICK ${currentTick}] Territory changes: ${changeDetails}`);
-        } else {
-          debug(`[TICK ${currentTick}] No territory changes`);
-        }
-      }
-
-      // Territory deltas are consumed by updateOwnershipMapFromDeltas/updateFrontierSetsFromDeltas
-      // above, then reset by applyMatrixToNations at step 12. No explicit reset needed here.
-
-      // 7.5 Passive concavity fill — fill gaps between tendrils (every 3 ticks)
-      if (currentTick % 3 === 0) {
-        const concavityMinNeighbors = config?.loyalty?.concavityFillMinNeighbors ?? 5;
-        const concavityMaxPasses = config?.loyalty?.concavityFillMaxPasses ?? 3;
-        passiveConcavityFill(matrix, updatedNations, concavityMinNeighbors, concavityMaxPasses);
-      }
-      _perf.concavity = performance.now() - _t; _t = performance.now();
-
-      gameRoom.gameState.nations = updatedNations;
-
-      // 8. City auto-expansion (modifies matrix directly)
-      applyCityAutoExpansionMatrix(gameRoom.gameState, matrix);
-
-      // 9. Encirclement (runs before structure capture so encircled structures get handled)
-      const encirclementInterval = config?.territorial?.encirclementCheckIntervalTicks ?? 6;
-      if (currentTick % encirclementInterval === 0) {
-        updateEncircledTerritoryMatrix(gameRoom.gameState, matrix);
-      }
-      _perf.encirclement = performance.now() - _t; _t = performance.now();
-
-      // 9.5 ownershipMap no longer force-rebuilt every tick.
-      // Matrix typed-array lookups replaced all hot-path ownershipMap reads in gameLogic.js.
-      // The cached ownershipMap is still kept for cold paths (legacy fallback, buildCellInfo, etc.)
-      // and updated via delta sync at step 7.
-
-      // 10. Structure capture (after encirclement so encircled structures are correctly handled)
-      handleStructureCaptureMatrix(gameRoom.gameState, matrix);
-
-      // 11. Resource claims
-      updateResourceNodeClaimsMatrix(gameRoom.gameState, mapData, matrix, roomKey);
-      applyResourceNodeIncome(gameRoom.gameState, mapData);
-      _perf.resources = performance.now() - _t; _t = performance.now();
-
-      // 12. Derive client-compatible deltas from matrix snapshot diff
       const stats = this.cachedMapStats.get(roomKey);
-      applyMatrixToNations(matrix, updatedNations, stats?.totalClaimable || 0);
-      _perf.matrixSync = performance.now() - _t; _t = performance.now();
+      const totalClaimable = stats?.totalClaimable || 0;
+      const tickWorker = this.tickWorkers.get(roomKey);
+      const { diplomacyChanged } = tickWorker
+        ? await tickWorker.tick(gameRoom.gameState, { currentTick, totalClaimable, perf: _perf })
+        : simulateTick(gameRoom.gameState, {
+            mapData,
+            matrix,
+            currentTick,
+            regionData,
+            totalClaimable,
+            mapKey: roomKey,
+            perf: _perf,
+          });
+      let _t = performance.now();
 
+      if (diplomacyChanged) {
+        gameRoom.markModified("gameState.diplomacy");
+      }
       gameRoom.markModified("gameState.resourceNodeClaims");
+      gameRoom.markModified("gameState.resourceUpgrades");
       gameRoom.markModified("gameState.encirclementClaims");
       gameRoom.markModified("gameState.nations");
+      gameRoom.markModified("gameState.teamTerritory");
+      gameRoom.markModified("gameState.winningTeam");
+      gameRoom.markModified("gameState.victory");
+      gameRoom.markModified("gameState.matchStats");
+      gameRoom.markModified("gameState.matchEvents");
+
+      if (
+        this.recordResults &&
+        !gameRoom.gameState.resultRecorded &&
+        gameRoom.gameState.nations.some((n) => n.status === "winner")
+      ) {
+        recordMatchResult(gameRoom, "victory").catch((err) =>
+          console.error(`[RESULTS] Failed to record room ${roomKey}:`, err.message)
+        );
+      }
 
       if (process.env.DEBUG_BOTS === "true") {
         const bc = (gameRoom.gameState.nations || []).filter((n) => n.isBot).length;
         debug(`[BOTS] tick room=${roomKey} nations=${gameRoom.gameState.nations.length} bots=${bc}`);
       }
 
-      const winCheckInterval = config?.territorial?.winConditionCheckIntervalTicks ?? 5;
-      if (currentTick % winCheckInterval === 0) {
-        const stats = this.cachedMapStats.get(roomKey);
-        checkWinCondition(gameRoom.gameState, mapData, stats?.totalClaimable);
-      }
-
       const nextTick = currentTick + 1;
       this.roomTickCount.set(roomKey, nextTick);
       gameRoom.tickCount = nextTick;
+      maybeCaptureKeyframe(roomKey, nextTick, matrix, gameRoom.gameState.nations);
+      updateRoomFog(roomKey, gameRoom.gameState, matrix, nextTick);
 
       const lastSave = this.lastSaveTick.get(roomKey) || 0;
       const ticksSinceLastSave = nextTick - lastSave;
@@ -1063,6 +1400,7 @@ class GameLoop {
             }
           });
         this.lastSaveTick.set(roomKey, nextTick);
+        flushReplay(roomKey);
       }
 
       const now = Date.now();
@@ -1111,12 +1449,15 @@ class GameLoop {
         debugWarn(
           `Tick update skipped for room ${roomKey} due to manual update conflict: ${error.message}`
         );
+      } else if (error.name === TICK_WORKER_STOPPED) {
+        // Room stopped or refreshed mid-tick
       } else {
         console.error(`Error processing room ${roomKey}:`, error);
       }
       return 0;
     } finally {
       this.processingRooms.delete(roomKey);
+      if (settleCommands) settleCommands();
     }
   }
 
@@ -1151,7 +1492,7 @@ class GameLoop {
     // Initialize matrix (restore from DB if available)
     const gameRoom = await this.getLiveGameRoom(roomKey);
     if (gameRoom?.gameState?.nations) {
-      this.getMatrix(roomKey, mapData, gameRoom.gameState.nations, gameRoom.matrixState);
+      await this.prepareRoom(roomKey, mapData, gameRoom);
     }
 
     const loopId = Date.now() + Math.random();
@@ -1191,6 +1532,24 @@ class GameLoop {
     debug(`[LOOP] Started room ${roomKey} (loopId: ${loopId.toFixed(0)}) [MATRIX]`);
   }
 
+  /**
+   * Ready a room for its first tick: give it the seed its ticks draw from,
+   * build its matrix and start (or resume) its replay.
+   */
+  async prepareRoom(roomKey, mapData, gameRoom) {
+    if (gameRoom.gameState.rngSeed == null) {
+      gameRoom.gameState.rngSeed = Math.floor(Math.random() * 0x100000000) | 0;
+      gameRoom.markModified("gameState.rngSeed");
+    }
+    const matrix = await this.ensureRoomMatrix(roomKey, mapData, gameRoom);
+    await ensureReplay(roomKey, gameRoom, matrix, {
+      mapData,
+      regionData: this.cachedRegionData.get(roomKey) || null,
+      tickWorkers: this.useTickWorkers,
+    });
+    return matrix;
+  }
+
   async refreshRoomCache(roomId) {
     const roomKey = roomId?.toString();
     try {
@@ -1201,6 +1560,7 @@ class GameLoop {
         this.cachedOwnershipMap.delete(roomKey);
         // Invalidate matrix cache so it gets rebuilt with new nation data
         this.cachedMatrix.delete(roomKey);
+        this.stopTickWorker(roomKey);
         debug(`[LOOP] Cache refreshed for room ${roomKey}`);
       }
     } catch (err) {
@@ -1208,14 +1568,30 @@ class GameLoop {
     }
   }
 
-  stopRoom(roomId) {
+  /** Drop a stopped room's map-derived caches, e.g. after its map is regenerated */
+  clearMapCache(roomId) {
+    const roomKey = roomId?.toString();
+    this.stopTickWorker(roomKey);
+    this.cachedMapData.delete(roomKey);
+    this.cachedMapStats.delete(roomKey);
+    this.cachedOwnershipMap.delete(roomKey);
+    this.cachedMatrix.delete(roomKey);
+    this.cachedRegionData.delete(roomKey);
+    cachedResourceNodes.delete(roomKey);
+    clearRoomFog(roomKey);
+  }
+
+  /** Stop a room's loop and drop its caches; `keepChat` keeps the chat backlog (pause) */
+  stopRoom(roomId, { keepChat = false } = {}) {
     const roomKey = roomId?.toString();
     this.pendingRooms.delete(roomKey);
     this.processingRooms.delete(roomKey);
     this.savingRooms.delete(roomKey);
     this.roomMutationLocks.delete(roomKey);
+    this.rejectQueuedCommands(roomKey);
     this.loopIds.delete(roomKey);
     this.roomTickCount.delete(roomKey);
+    this.stopTickWorker(roomKey);
     const timer = this.timers.get(roomKey);
     if (timer) {
       clearTimeout(timer);
@@ -1230,8 +1606,11 @@ class GameLoop {
       this.lastSaveTick.delete(roomKey);
       this.lastBroadcast.delete(roomKey);
       cachedResourceNodes.delete(roomKey);
+      clearRoomFog(roomKey);
       debug(`[LOOP] Stopped room ${roomKey}`);
     }
+    flushReplay(roomKey, { final: true });
+    if (!keepChat) clearRoomChat(roomKey);
   }
 
   /** Graceful shutdown: save all active rooms to DB, then stop loops */
@@ -1246,6 +1625,7 @@ class GameLoop {
       this.timers.delete(roomKey);
       this.pendingRooms.delete(roomKey);
       this.processingRooms.delete(roomKey);
+      this.rejectQueuedCommands(roomKey);
     }
 
     // Now safely serialize and save each room
@@ -1266,6 +1646,8 @@ class GameLoop {
       } catch (err) {
         console.error(`[LOOP] Error saving room ${roomKey} during shutdown:`, err.message);
       }
+      await flushReplay(roomKey);
+      this.stopTickWorker(roomKey);
       // Clean up remaining caches
       this.cachedGameRoom.delete(roomKey);
       this.cachedMapData.delete(roomKey);
@@ -1280,6 +1662,7 @@ class GameLoop {
       this.loopIds.delete(roomKey);
       this.roomTickCount.delete(roomKey);
       cachedResourceNodes.delete(roomKey);
+      clearRoomFog(roomKey);
       debug(`[LOOP] Stopped room ${roomKey}`);
     }
     debug(`[LOOP] All rooms stopped`);
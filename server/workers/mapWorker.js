@@ -1,19 +1,22 @@
 // mapWorker.js
 import { parentPort, workerData } from "worker_threads";
-import { generateWorldMap } from "../utils/mapUtils.js";
+import { generateWorldMap, generateWorldMapFromHeightmap } from "../utils/mapUtils.js";
 
 // Extract parameters passed from the main thread
-const { width, height, erosion_passes, num_blobs, seed, mapConfig } = workerData;
+const { width, height, erosion_passes, num_blobs, seed, mapConfig, heightmap } =
+  workerData;
 
-// Perform the heavy computation
-const mapData = generateWorldMap(
-  width,
-  height,
-  erosion_passes,
-  num_blobs,
-  seed,
-  mapConfig
-);
+// Perform the heavy computation (from a heightmap image when one is given)
+const mapData = heightmap
+  ? generateWorldMapFromHeightmap(width, height, heightmap, seed, mapConfig)
+  : generateWorldMap(
+      width,
+      height,
+      erosion_passes,
+      num_blobs,
+      seed,
+      mapConfig
+    );
 
 // Send the result back to the main thread
 parentPort.postMessage(mapData);
@@ -0,0 +1,231 @@
+// replayRunner.js — Re-simulate a recorded match through GameLoop.processRoom
+//
+// Rebuilds the room a replay was recorded on (map, regions, nations, game
+// state and tick seed) in a GameLoop of its own, then applies the logged
+// commands tick by tick and checks the territory against every recorded
+// keyframe. Nothing is persisted: the room's save() is a no-op and the loop
+// doesn't record match results. Used by scripts/replay.js.
+//
+// Commands are applied the way the server applied them: player commands
+// through runPlayerCommand (with generated arrow ids renamed to the recorded
+// ones), founded nations from their recorded snapshot, diplomacy through
+// diplomacy.js and quits by removing the nation. A "resume" entry means the
+// live loop restarted from saved state, so checking stops there.
+
+import { GameLoop } from "./gameLoop.js";
+import { PLAYER_COMMANDS, runPlayerCommand } from "../utils/playerCommands.js";
+import { proposePact, respondToPact, breakPact, declareWar } from "../utils/diplomacy.js";
+import { applyTeamAssignments } from "../utils/teams.js";
+import { compareKeyframe, flushReplay } from "../utils/replayStore.js";
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+// Recorded payloads as the command handlers take them
+function toCommandPayload(type, payload) {
+  if (type === "navalArrow") return { ...payload.target, percent: payload.percent };
+  return payload;
+}
+
+function renameArrow(nation, fromId, toId) {
+  const orders = nation?.arrowOrders || {};
+  const arrows = [...(orders.attacks || []), ...(orders.naval || []), orders.defend];
+  const arrow = arrows.find((entry) => entry?.id === fromId);
+  if (arrow) arrow.id = toId;
+}
+
+function applyDiplomacy(gameState, actor, { action, target, pactType, pactId }, tick) {
+  if (action === "propose") return proposePact(gameState, actor, target, pactType, tick);
+  if (action === "accept" || action === "decline") {
+    return respondToPact(gameState, actor, pactId, action === "accept", tick);
+  }
+  if (action === "break") return breakPact(gameState, actor, pactId, tick);
+  if (action === "war") return declareWar(gameState, actor, target, tick);
+  throw new Error(`Unknown diplomacy action "${action}"`);
+}
+
+function applyCommand(loop, roomKey, gameRoom, ctx, { tick, type, actor, payload = {} }) {
+  const { gameState } = gameRoom;
+  if (PLAYER_COMMANDS[type]) {
+    const result = runPlayerCommand(gameRoom, actor, type, toCommandPayload(type, payload), ctx);
+    if (payload.arrowId && result?.arrowId) {
+      const nation = gameState.nations.find((n) => n.owner === actor);
+      renameArrow(nation, result.arrowId, payload.arrowId);
+    }
+    return;
+  }
+  if (type === "foundNation") {
+    if (!payload.nation) throw new Error("foundNation was recorded without its nation");
+    gameState.nations = gameState.nations
+      .filter((nation) => nation.owner !== actor || nation.status !== "defeated")
+      .concat(clone(payload.nation));
+    applyTeamAssignments(gameState);
+    loop.syncMatrixFromNations(roomKey, gameState.nations);
+  } else if (type === "quit") {
+    gameState.nations = gameState.nations.filter((nation) => nation.owner !== actor);
+    loop.syncMatrixFromNations(roomKey, gameState.nations);
+  } else if (type === "diplomacy") {
+    applyDiplomacy(gameState, actor, payload, tick);
+  } else {
+    throw new Error(`Unknown command type "${type}"`);
+  }
+}
+
+function countClaimable(mapData) {
+  let total = 0;
+  for (const row of mapData) {
+    for (const cell of row) {
+      if (cell && cell.biome !== "OCEAN") total++;
+    }
+  }
+  return total;
+}
+
+/**
+ * Reads a replay's chunks lazily, buffering commands and keyframes until
+ * the tick they belong to is simulated.
+ */
+function createEntryReader(chunks) {
+  const iterator = chunks[Symbol.asyncIterator]();
+  let commands = [];
+  const keyframes = new Map(); // tick -> keyframe
+  let lastSeenTick = -Infinity;
+  let exhausted = false;
+
+  return {
+    /** Read chunks until every entry up to `tick` is buffered */
+    async readThrough(tick) {
+      while (!exhausted && lastSeenTick <= tick) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          exhausted = true;
+          break;
+        }
+        for (const command of value.commands || []) {
+          commands.push(command);
+          lastSeenTick = Math.max(lastSeenTick, command.tick);
+        }
+        for (const keyframe of value.keyframes || []) {
+          keyframes.set(keyframe.tick, keyframe);
+          lastSeenTick = Math.max(lastSeenTick, keyframe.tick);
+        }
+      }
+    },
+    /** Remove and return the commands applied before `tick`, in log order */
+    takeCommands(tick) {
+      const due = commands.filter((command) => command.tick <= tick);
+      commands = commands.filter((command) => command.tick > tick);
+      return due;
+    },
+    takeKeyframe(tick) {
+      const keyframe = keyframes.get(tick) || null;
+      keyframes.delete(tick);
+      return keyframe;
+    },
+  };
+}
+
+/**
+ * Re-simulate a replay loaded with loadReplayForSimulation (replayStore.js).
+ * Resolves with { matched, ticks, keyframesChecked, divergence, stoppedAt }:
+ * `divergence` is the first { tick, reason } where the replayed match
+ * differs from the recording, `stoppedAt` the tick checking stopped early
+ * (the live loop was resumed). `maxTicks` caps how far to simulate.
+ */
+export async function resimulateReplay(replay, { maxTicks = Infinity } = {}) {
+  const { header, mapData, regionData } = replay;
+  if (!mapData) throw new Error("Replay has no stored map to re-simulate on");
+  if (header.rngSeed == null) throw new Error("Replay was recorded without a tick seed");
+
+  const roomKey = `replay-${header.room}`;
+  const startTick = header.startTick || 0;
+  const lastTick = Math.min(header.lastTick || 0, startTick + maxTicks);
+  const loop = new GameLoop({ recordResults: false });
+  if (header.tickWorkers != null) loop.useTickWorkers = header.tickWorkers;
+
+  const gameRoom = {
+    _id: roomKey,
+    status: "open",
+    roomName: header.roomName,
+    tickCount: startTick,
+    players: [],
+    gameState: {
+      ...clone(header.initialGameState),
+      nations: clone(header.initialNations) || [],
+      rngSeed: header.rngSeed,
+    },
+    markModified() {},
+    save: async () => gameRoom,
+  };
+  loop.cachedGameRoom.set(roomKey, gameRoom);
+  loop.cachedMapData.set(roomKey, mapData);
+  loop.cachedMapStats.set(roomKey, { totalClaimable: countClaimable(mapData) });
+  if (regionData) loop.cachedRegionData.set(roomKey, regionData);
+
+  const result = {
+    matched: false,
+    ticks: 0,
+    keyframesChecked: 0,
+    divergence: null,
+    stoppedAt: null,
+  };
+  const reader = createEntryReader(replay.chunks);
+  const check = (tick, matrix) => {
+    const keyframe = reader.takeKeyframe(tick);
+    if (!keyframe) return true;
+    result.keyframesChecked++;
+    const reason = compareKeyframe(keyframe, matrix);
+    if (reason) result.divergence = { tick, reason };
+    return !reason;
+  };
+
+  try {
+    const matrix = await loop.ensureRoomMatrix(roomKey, mapData, gameRoom);
+    await reader.readThrough(startTick);
+    if (check(startTick, matrix)) {
+      for (let tick = startTick; tick < lastTick; tick++) {
+        await reader.readThrough(tick + 1);
+        const due = reader.takeCommands(tick);
+        if (due.some((command) => command.type === "resume")) {
+          result.stoppedAt = tick;
+          break;
+        }
+
+        const ctx = {
+          roomKey,
+          mapData,
+          matrix: loop.getCachedMatrix(roomKey),
+          regionData,
+        };
+        const failed = due.find((command) => {
+          try {
+            applyCommand(loop, roomKey, gameRoom, ctx, command);
+            return false;
+          } catch (err) {
+            result.divergence = {
+              tick,
+              reason: `${command.type} by ${command.actor} failed: ${err.message}`,
+            };
+            return true;
+          }
+        });
+        if (failed) break;
+
+        await loop.processRoom(roomKey);
+        if (gameRoom.tickCount !== tick + 1) {
+          result.divergence = { tick, reason: "tick did not run" };
+          break;
+        }
+        result.ticks++;
+        if (!check(tick + 1, loop.getCachedMatrix(roomKey))) break;
+      }
+    }
+  } finally {
+    loop.clearMapCache(roomKey);
+    loop.cachedGameRoom.delete(roomKey);
+    // Drop what the replayed player commands recorded under this room key
+    await flushReplay(roomKey, { final: true });
+  }
+
+  result.matched = !result.divergence && result.keyframesChecked > 0;
+  return result;
+}
@@ -0,0 +1,102 @@
+// tickWorker.js — Runs one room's simulation ticks off the main thread
+//
+// Spawned by tickWorkerHost.js. Owns the room's TerritoryMatrix (layers in
+// SharedArrayBuffers so the main thread can read them between ticks) and the
+// nations' territory arrays, which the main thread only receives as deltas.
+//
+// Requests are { id, type, payload } and are answered with
+// { id, ok, result } or { id, ok: false, error }:
+//   init — build the matrix from matrixState or nation territories
+//   tick — run simulateTick on the posted game state
+//   sync — reconcile ownership after a route changed nation territories
+
+import { parentPort } from "worker_threads";
+import { simulateTick, buildRoomMatrix, syncMatrixWithNations } from "./gameLoop.js";
+import { packGameState } from "./tickWorkerHost.js";
+
+let room = null; // { roomKey, mapData, regionData, matrix }
+
+// Territory arrays and their lookup caches, kept between ticks by owner
+const territories = new Map(); // owner -> { territory, _territorySet, _borderSet }
+
+function rememberTerritory(nation) {
+  territories.set(nation.owner, {
+    territory: nation.territory,
+    _territorySet: nation._territorySet,
+    _borderSet: nation._borderSet,
+  });
+}
+
+function restoreTerritory(nation) {
+  if (nation.territory) return; // first tick for this nation: sent in full
+  const saved = territories.get(nation.owner);
+  if (saved) Object.assign(nation, saved);
+  else nation.territory = { x: [], y: [] };
+}
+
+function describeMatrix(matrix) {
+  return {
+    meta: { width: matrix.width, height: matrix.height, maxNations: matrix.maxNations },
+    layers: matrix.getSharedLayers(),
+    registry: matrix.getRegistry(),
+  };
+}
+
+const handlers = {
+  init({ roomKey, mapData, regionData, matrixState, nations }) {
+    territories.clear();
+    const matrix = buildRoomMatrix(roomKey, mapData, nations, matrixState, { shared: true });
+    nations.forEach(rememberTerritory);
+    room = { roomKey, mapData, regionData, matrix };
+    return describeMatrix(matrix);
+  },
+
+  tick({ gameState, currentTick, totalClaimable, cityBonusChanged }) {
+    const { matrix } = room;
+    if (cityBonusChanged) matrix._cityBonusVersion++;
+    for (const nation of gameState.nations) {
+      restoreTerritory(nation);
+      if (nation.status !== "defeated" && !matrix.ownerToIndex.has(nation.owner)) {
+        matrix.getNationIndex(nation.owner);
+      }
+    }
+
+    const perf = {};
+    const { diplomacyChanged } = simulateTick(gameState, {
+      mapData: room.mapData,
+      matrix,
+      currentTick,
+      regionData: room.regionData,
+      totalClaimable,
+      mapKey: room.roomKey,
+      perf,
+    });
+
+    territories.clear();
+    gameState.nations.forEach(rememberTerritory);
+    return {
+      gameState: packGameState(gameState),
+      diplomacyChanged,
+      perf,
+      registry: matrix.getRegistry(),
+    };
+  },
+
+  sync({ nations }) {
+    territories.clear();
+    nations.forEach(rememberTerritory);
+    syncMatrixWithNations(room.matrix, nations);
+    return { registry: room.matrix.getRegistry() };
+  },
+};
+
+parentPort.on("message", ({ id, type, payload }) => {
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown tick worker request: ${type}`);
+    if (type !== "init" && !room) throw new Error("Tick worker not initialized");
+    parentPort.postMessage({ id, ok: true, result: handler(payload) });
+  } catch (err) {
+    parentPort.postMessage({ id, ok: false, error: err.message });
+  }
+});
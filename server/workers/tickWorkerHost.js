@@ -0,0 +1,167 @@
+// tickWorkerHost.js — Main-thread side of a room's tick worker (tickWorker.js)
+//
+// The worker owns the room's TerritoryMatrix, built on SharedArrayBuffers, and
+// runs simulateTick. The main thread keeps a view over the same layers for
+// everything between ticks (commands, fog, keyframes, saves, broadcasts).
+// processRoom holds the room's processing lock for the whole round trip, so
+// the view must only be read under GameLoop.withRoomMutationLock (state
+// views go through GameLoop.withRoomMatrix) or from processRoom itself.
+// Broadcasts triggered by routes are built without the matrix.
+//
+// Per tick only the game state crosses the boundary, without territory
+// arrays or derived caches. Territory comes back as each nation's
+// territoryDeltaForClient and is applied to the main copy here.
+
+import { Worker } from "worker_threads";
+import { TerritoryMatrix } from "../utils/TerritoryMatrix.js";
+import { applyDeltaToTerritoryInPlace } from "../utils/matrixCompat.js";
+
+export const TICK_WORKER_STOPPED = "TickWorkerStopped";
+
+// ─── State packing ──────────────────────────────────────────────
+
+/**
+ * Copy a nation for postMessage: drops `_`-prefixed runtime caches, and the
+ * territory arrays unless the other side has never seen this nation.
+ */
+function packNation(nation, includeTerritory) {
+  const packed = {};
+  for (const key of Object.keys(nation)) {
+    if (key.startsWith("_")) continue;
+    if (key === "territory" && !includeTerritory) continue;
+    packed[key] = nation[key];
+  }
+  return packed;
+}
+
+/** Game state for postMessage; territory is sent only for owners not in knownOwners */
+export function packGameState(gameState, knownOwners = null) {
+  const { nations, ...rest } = gameState;
+  return {
+    ...rest,
+    nations: (nations || []).map((nation) => {
+      const include = !!knownOwners && !knownOwners.has(nation.owner);
+      if (include) knownOwners.add(nation.owner);
+      return packNation(nation, include);
+    }),
+  };
+}
+
+/**
+ * Merge a ticked state back into the main copy. Each nation's territory is
+ * carried over and patched with its client delta, then rebuilt from the
+ * shared ownership layer if its size no longer matches.
+ */
+function unpackGameState(gameState, packed, view) {
+  const previous = new Map((gameState.nations || []).map((n) => [n.owner, n]));
+  for (const nation of packed.nations) {
+    const prev = previous.get(nation.owner);
+    nation.territory = applyDeltaToTerritoryInPlace(
+      prev?.territory,
+      nation.territoryDeltaForClient
+    );
+    if (nation.status === "defeated") continue;
+    const nIdx = view.ownerToIndex.get(nation.owner);
+    if (nIdx !== undefined && nation.territory.x.length !== view.countTerritory(nIdx)) {
+      nation.territory = view.getCellsForNation(nIdx);
+    }
+  }
+  Object.assign(gameState, packed);
+}
+
+// ─── Host ───────────────────────────────────────────────────────
+
+export class RoomTickWorker {
+  constructor(roomKey) {
+    this.roomKey = roomKey;
+    this.view = null;
+    this.ready = null; // Promise<TerritoryMatrix> once start() is called
+    this.failed = false;
+    this.knownOwners = new Set();
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.cityBonusVersion = 0;
+
+    this.worker = new Worker(new URL("./tickWorker.js", import.meta.url));
+    this.worker.on("message", (msg) => this.handleMessage(msg));
+    this.worker.on("error", (err) => this.fail(err));
+    this.worker.on("exit", (code) => {
+      this.fail(new Error(`Tick worker for room ${roomKey} exited with code ${code}`));
+    });
+  }
+
+  handleMessage({ id, ok, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    if (ok) request.resolve(result);
+    else request.reject(new Error(error));
+  }
+
+  fail(error) {
+    this.failed = true;
+    for (const { reject } of this.pending.values()) reject(error);
+    this.pending.clear();
+  }
+
+  request(type, payload) {
+    if (this.failed) {
+      return Promise.reject(new Error(`Tick worker for room ${this.roomKey} is not running`));
+    }
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  /** Build the matrix in the worker; resolves to the main-thread view */
+  start({ mapData, regionData, matrixState, nations }) {
+    for (const nation of nations) this.knownOwners.add(nation.owner);
+    this.ready = this.request("init", {
+      roomKey: this.roomKey,
+      mapData,
+      regionData,
+      matrixState,
+      nations: nations.map((nation) => packNation(nation, true)),
+    }).then(({ meta, layers, registry }) => {
+      this.view = TerritoryMatrix.fromSharedLayers(meta, layers, registry);
+      return this.view;
+    });
+    return this.ready;
+  }
+
+  /** Run one tick in the worker and merge the result into gameState */
+  async tick(gameState, { currentTick, totalClaimable, perf }) {
+    // buildCity bumps the view's city bonus version; pass the change along
+    const cityBonusChanged = this.view._cityBonusVersion !== this.cityBonusVersion;
+    this.cityBonusVersion = this.view._cityBonusVersion;
+
+    const result = await this.request("tick", {
+      gameState: packGameState(gameState, this.knownOwners),
+      currentTick,
+      totalClaimable,
+      cityBonusChanged,
+    });
+    this.view.applyRegistry(result.registry);
+    unpackGameState(gameState, result.gameState, this.view);
+    Object.assign(perf, result.perf);
+    return { diplomacyChanged: result.diplomacyChanged };
+  }
+
+  /** Resync ownership from nation territories after a route changed them */
+  async sync(nations) {
+    this.knownOwners = new Set(nations.map((nation) => nation.owner));
+    const { registry } = await this.request("sync", {
+      nations: nations.map((nation) => packNation(nation, true)),
+    });
+    this.view?.applyRegistry(registry);
+  }
+
+  terminate() {
+    const error = new Error(`Tick worker for room ${this.roomKey} stopped`);
+    error.name = TICK_WORKER_STOPPED;
+    this.fail(error);
+    this.worker.terminate();
+  }
+}
@@ -1,10 +1,21 @@
 import { WebSocketServer } from "ws";
 import GameRoom from "./models/GameRoom.js";
-import { buildGameStateResponse } from "./utils/gameStateView.js";
+import { buildGameStateResponse, SPECTATOR_VIEWER_ID } from "./utils/gameStateView.js";
 import { getSessionUserIdFromRequest } from "./utils/auth.js";
+import { encodeStateFrame } from "./utils/packedDelta.js";
+import { canSpectateRoom } from "./utils/fogOfWar.js";
 import { debug, debugWarn } from "./utils/debug.js";
+import {
+  buildChatMessage,
+  canSeeChatMessage,
+  consumeChatRate,
+  getChatBacklog,
+  recordChatMessage,
+  toChatView,
+} from "./utils/chat.js";
 
 const rooms = new Map(); // roomId -> Set<ws>
+const userSockets = new Map(); // session userId -> Set<ws>, subscribed or not
 let wss = null;
 const lastActivity = new Map(); // roomId -> timestamp
 
@@ -21,12 +32,34 @@ function removeFromRoom(ws) {
   if (set.size === 0) rooms.delete(ws.roomId);
 }
 
+function addUserSocket(ws) {
+  if (!ws.sessionUserId) return;
+  if (!userSockets.has(ws.sessionUserId)) userSockets.set(ws.sessionUserId, new Set());
+  userSockets.get(ws.sessionUserId).add(ws);
+}
+
+function removeUserSocket(ws) {
+  const set = userSockets.get(ws.sessionUserId);
+  if (!set) return;
+  set.delete(ws);
+  if (set.size === 0) userSockets.delete(ws.sessionUserId);
+}
+
 function safeSend(ws, payload) {
   if (ws.readyState === 1) {
-    ws.send(typeof payload === "string" ? payload : JSON.stringify(payload));
+    const raw =
+      typeof payload === "string" || Buffer.isBuffer(payload)
+        ? payload
+        : JSON.stringify(payload);
+    ws.send(raw);
   }
 }
 
+// State goes out as a binary frame to clients that asked for one on subscribe
+function sendState(ws, response) {
+  safeSend(ws, ws.binary ? encodeStateFrame(response) : { type: "state", ...response });
+}
+
 export function touchRoom(roomId) {
   lastActivity.set(roomId, Date.now());
 }
@@ -45,84 +78,261 @@ export function getActiveConnectionCount(roomId) {
   return set ? set.size : 0;
 }
 
+export function hasUserConnection(userId) {
+  const set = userSockets.get(userId);
+  return !!(set && set.size > 0);
+}
+
+/** Send a message to every open connection of a signed-in user, in any room or none. */
+export function sendToUser(userId, payload) {
+  const set = userSockets.get(userId);
+  if (!set) return 0;
+  const message = JSON.stringify(payload);
+  set.forEach((ws) => safeSend(ws, message));
+  return set.size;
+}
+
+/**
+ * Tell a user's connections to a room that they were removed from it and
+ * unsubscribe them, so they stop receiving its state.
+ */
+export function removeUserFromRoom(roomId, userId, payload) {
+  const set = rooms.get(roomId);
+  if (!set) return 0;
+  const sockets = [...set].filter((ws) => ws.userId === userId);
+  const message = JSON.stringify(payload);
+  for (const ws of sockets) {
+    safeSend(ws, message);
+    removeFromRoom(ws);
+    ws.roomId = null;
+    ws.userId = null;
+    ws.isSpectator = false;
+  }
+  return sockets.length;
+}
+
+export function getSpectatorCount(roomId) {
+  const set = rooms.get(roomId);
+  if (!set) return 0;
+  let count = 0;
+  set.forEach((ws) => {
+    if (ws.isSpectator) count++;
+  });
+  return count;
+}
+
 let getLiveRoomFn = null;
-let getMatrixFn = null;
+let withMatrixFn = null;
+let queueCommandFn = null;
 
-export function initWebSocket(server, getLiveRoom, getMatrix) {
+// Player commands ({ type: "command", id, command, payload }) are queued into
+// the room's next tick and answered with { type: "ack", id, ok, ... }. Ids
+// must be unique per player: a resend with the same id (after a lost ack or a
+// reconnect) is answered with the first attempt's outcome, not applied twice.
+async function handleCommand(ws, msg) {
+  const { id = null, command, payload } = msg;
+  const nack = (error, status) => safeSend(ws, { type: "ack", id, ok: false, error, status });
+  if (!ws.roomId || !ws.userId || ws.isSpectator) {
+    nack("Subscribe to the room as a player first", 403);
+    return;
+  }
+  if (!command || !queueCommandFn) {
+    nack("command is required", 400);
+    return;
+  }
+  touchRoom(ws.roomId);
+  try {
+    const { result, tick } = await queueCommandFn(
+      ws.roomId,
+      ws.userId,
+      command,
+      payload || {},
+      id
+    );
+    safeSend(ws, { type: "ack", id, ok: true, result, tick });
+  } catch (err) {
+    if (!err.status) debugWarn(`[WS] Command ${command} failed: ${err.message}`);
+    nack(err.message || "Command failed", err.status || 500);
+  }
+}
+
+// Chat ({ type: "chat", id, scope, text, to }) is relayed straight to the
+// room's sockets, bypassing the tick; see utils/chat.js. The sender gets
+// { type: "chatAck", id, ok, error } and everyone who may see the message
+// gets { type: "chat", message }.
+async function handleChat(ws, msg) {
+  const { id = null } = msg;
+  const nack = (error, status) =>
+    safeSend(ws, { type: "chatAck", id, ok: false, error, status });
+  if (!ws.roomId || !ws.userId || ws.isSpectator) {
+    nack("Join the room as a player to chat", 403);
+    return;
+  }
+  const roomId = ws.roomId;
+  let gameRoom;
+  try {
+    gameRoom = getLiveRoomFn ? await getLiveRoomFn(roomId) : null;
+    if (!gameRoom) {
+      gameRoom = await GameRoom.findById(roomId).lean();
+    }
+  } catch (err) {
+    debugWarn(`[WS] Chat room lookup failed for ${roomId}: ${err.message}`);
+    nack("Chat is unavailable, try again", 503);
+    return;
+  }
+  if (!gameRoom) {
+    nack("Game room not found", 404);
+    return;
+  }
+  // The socket can outlive the player's seat (quit, kick), so check each time
+  if (!(gameRoom.players || []).some((p) => p.userId === ws.userId)) {
+    nack("You are no longer in this room", 403);
+    return;
+  }
+  let message;
+  try {
+    message = buildChatMessage(gameRoom, ws.userId, msg);
+    consumeChatRate(roomId, ws.userId);
+  } catch (err) {
+    nack(err.message || "Message rejected", err.status || 400);
+    return;
+  }
+  message = recordChatMessage(roomId, message);
+  touchRoom(roomId);
+  const payload = JSON.stringify({ type: "chat", message: toChatView(message) });
+  const set = rooms.get(roomId);
+  set?.forEach((client) => {
+    if (canSeeChatMessage(message, client.userId, client.isSpectator)) {
+      safeSend(client, payload);
+    }
+  });
+  safeSend(ws, { type: "chatAck", id, ok: true, messageId: message.id });
+}
+
+// One client message; thrown errors are caught by the caller
+async function handleMessage(ws, data) {
+  let msg;
+  try {
+    msg = JSON.parse(data.toString());
+  } catch (err) {
+    safeSend(ws, { type: "error", message: "Invalid JSON payload" });
+    return;
+  }
+
+  // "spectate" is a subscribe that always receives the shared spectator
+  // view and is also allowed for users registered via /:id/spectate
+  if (msg.type === "subscribe" || msg.type === "spectate") {
+    const { roomId, full, binary } = msg;
+    const spectate = msg.type === "spectate";
+    const userId = ws.sessionUserId;
+    debug(`[WS] ${spectate ? "Spectate" : "Subscribe"} attempt room=${roomId} user=${userId}`);
+    if (!roomId || !userId) {
+      safeSend(ws, {
+        type: "error",
+        message: "roomId and authenticated session are required",
+      });
+      return;
+    }
+
+    // Try in-memory live room first, fall back to DB
+    let gameRoom = getLiveRoomFn ? await getLiveRoomFn(roomId) : null;
+    if (!gameRoom) {
+      gameRoom = await GameRoom.findById(roomId).lean();
+    }
+    if (!gameRoom) {
+      debugWarn(`[WS] Subscribe failed: room not found ${roomId}`);
+      safeSend(ws, { type: "error", message: "Game room not found" });
+      return;
+    }
+
+    const player = gameRoom.players?.find((p) => p.userId === userId);
+    const spectator =
+      spectate && gameRoom.spectators?.find((s) => s.userId === userId);
+    if (!player && !spectator) {
+      debugWarn(`[WS] Subscribe failed: invalid credentials for ${userId}`);
+      safeSend(ws, { type: "error", message: "Invalid credentials" });
+      return;
+    }
+    // Fog-of-war matches have no spectator view (see fogOfWar.js)
+    if (spectate && !canSpectateRoom(gameRoom.gameState)) {
+      debugWarn(`[WS] Spectate refused for ${userId} in fog room ${roomId}`);
+      safeSend(ws, { type: "error", message: "Fog-of-war matches can't be spectated" });
+      return;
+    }
+
+    removeFromRoom(ws);
+    ws.roomId = roomId;
+    ws.userId = userId;
+    ws.full = !!full;
+    ws.binary = !!binary;
+    ws.isSpectator = spectate;
+    addToRoom(ws, roomId);
+    touchRoom(roomId);
+
+    safeSend(ws, {
+      type: "subscribed",
+      roomId,
+      full: ws.full,
+      binary: ws.binary,
+      spectator: ws.isSpectator,
+    });
+    // The matrix layers are shared with the tick worker; read them between ticks
+    const viewerId = ws.isSpectator ? SPECTATOR_VIEWER_ID : userId;
+    const buildState = (matrix) => buildGameStateResponse(gameRoom, viewerId, ws.full, matrix);
+    sendState(ws, withMatrixFn ? await withMatrixFn(roomId, buildState) : buildState(null));
+    safeSend(ws, {
+      type: "chatBacklog",
+      messages: getChatBacklog(roomId, userId, ws.isSpectator),
+    });
+    return;
+  }
+
+  if (msg.type === "chat") {
+    await handleChat(ws, msg);
+    return;
+  }
+
+  if (msg.type === "command") {
+    await handleCommand(ws, msg);
+    return;
+  }
+
+  if (msg.type === "unsubscribe") {
+    removeFromRoom(ws);
+    ws.roomId = null;
+    ws.userId = null;
+    ws.full = false;
+    ws.binary = false;
+    ws.isSpectator = false;
+    safeSend(ws, { type: "unsubscribed" });
+  }
+
+}
+
+export function initWebSocket(server, getLiveRoom, withMatrix, queueCommand) {
   if (wss) return wss;
   getLiveRoomFn = getLiveRoom || null;
-  getMatrixFn = getMatrix || null;
+  withMatrixFn = withMatrix || null;
+  queueCommandFn = queueCommand || null;
   wss = new WebSocketServer({ server, path: "/ws" });
 
   wss.on("connection", (ws, req) => {
     debug(`[WS] Connection from ${req.socket.remoteAddress}`);
     ws.isAlive = true;
     ws.sessionUserId = getSessionUserIdFromRequest(req);
+    addUserSocket(ws);
 
     ws.on("pong", () => {
       ws.isAlive = true;
     });
 
     ws.on("message", async (data) => {
-      let msg;
       try {
-        msg = JSON.parse(data.toString());
+        await handleMessage(ws, data);
       } catch (err) {
-        safeSend(ws, { type: "error", message: "Invalid JSON payload" });
-        return;
-      }
-
-      if (msg.type === "subscribe") {
-        const { roomId, full } = msg;
-        const userId = ws.sessionUserId;
-        debug(`[WS] Subscribe attempt room=${roomId} user=${userId}`);
-        if (!roomId || !userId) {
-          safeSend(ws, {
-            type: "error",
-            message: "roomId and authenticated session are required",
-          });
-          return;
-        }
-
-        // Try in-memory live room first, fall back to DB
-        let gameRoom = getLiveRoomFn ? await getLiveRoomFn(roomId) : null;
-        if (!gameRoom) {
-          gameRoom = await GameRoom.findById(roomId).lean();
-        }
-        if (!gameRoom) {
-          debugWarn(`[WS] Subscribe failed: room not found ${roomId}`);
-          safeSend(ws, { type: "error", message: "Game room not found" });
-          return;
-        }
-
-        const player = gameRoom.players?.find((p) => p.userId === userId);
-        if (!player) {
-          debugWarn(`[WS] Subscribe failed: invalid credentials for ${userId}`);
-          safeSend(ws, { type: "error", message: "Invalid credentials" });
-          return;
-        }
-
-        ws.roomId = roomId;
-        ws.userId = userId;
-        ws.full = !!full;
-        addToRoom(ws, roomId);
-        touchRoom(roomId);
-
-        safeSend(ws, { type: "subscribed", roomId, full: ws.full });
-        const matrix = getMatrixFn ? getMatrixFn(roomId) : null;
-        safeSend(ws, {
-          type: "state",
-          ...buildGameStateResponse(gameRoom, userId, ws.full, matrix),
-        });
-        return;
-      }
-
-      if (msg.type === "unsubscribe") {
-        removeFromRoom(ws);
-        ws.roomId = null;
-        ws.userId = null;
-        ws.full = false;
-        safeSend(ws, { type: "unsubscribed" });
+        // A failed room lookup or state build must not become an unhandled rejection
+        debugWarn(`[WS] Message handling failed: ${err?.message || err}`);
+        safeSend(ws, { type: "error", message: "Server error, please retry" });
       }
     });
 
@@ -131,10 +341,12 @@ export function initWebSocket(server, getLiveRoom, getMatrix) {
         `[WS] Closed ${ws.roomId || "unsubscribed"} code=${code} reason=${reason?.toString?.() || ""}`
       );
       removeFromRoom(ws);
+      removeUserSocket(ws);
     });
     ws.on("error", (err) => {
       debugWarn(`[WS] Error: ${err?.message || err}`);
       removeFromRoom(ws);
+      removeUserSocket(ws);
     });
   });
 
@@ -143,6 +355,7 @@ export function initWebSocket(server, getLiveRoom, getMatrix) {
     wss.clients.forEach((ws) => {
       if (ws.isAlive === false) {
         removeFromRoom(ws);
+        removeUserSocket(ws);
         ws.terminate();
         return;
       }
@@ -170,6 +383,10 @@ export function broadcastRoomUpdate(roomId, gameRoom, matrix = null) {
   const enemyClients = []; // clients that don't own a nation (share identical response)
   set.forEach((ws) => {
     if (!ws.userId) return;
+    if (ws.isSpectator) {
+      enemyClients.push(ws);
+      return;
+    }
     const isOwner = (gameRoom.gameState?.nations || []).some(
       (n) => n.owner === ws.userId && n.status !== "defeated"
     );
@@ -180,23 +397,28 @@ export function broadcastRoomUpdate(roomId, gameRoom, matrix = null) {
     }
   });
 
-  // Build and cache enemy (non-owner) response JSON once for all spectators
-  let cachedEnemyJson = null;
+  // Build the enemy (non-owner) response once for all spectators, encoding
+  // it at most once per format
   if (enemyClients.length > 0) {
     // Use a dummy userId that won't match any nation
     const enemyResponse = buildGameStateResponse(gameRoom, "__spectator__", false, matrix);
-    cachedEnemyJson = JSON.stringify({ type: "state", ...enemyResponse });
+    let cachedEnemyJson = null;
+    let cachedEnemyFrame = null;
     for (const ws of enemyClients) {
-      safeSend(ws, cachedEnemyJson);
+      if (ws.binary) {
+        cachedEnemyFrame = cachedEnemyFrame || encodeStateFrame(enemyResponse);
+        safeSend(ws, cachedEnemyFrame);
+      } else {
+        cachedEnemyJson =
+          cachedEnemyJson || JSON.stringify({ type: "state", ...enemyResponse });
+        safeSend(ws, cachedEnemyJson);
+      }
     }
   }
 
   // Owner clients still need per-user responses (troop density data is per-nation)
   for (const ws of ownerClients) {
-    safeSend(ws, {
-      type: "state",
-      ...buildGameStateResponse(gameRoom, ws.userId, ws.full, matrix),
-    });
+    sendState(ws, buildGameStateResponse(gameRoom, ws.userId, ws.full, matrix));
   }
 
   if (process.env.DEBUG_WS === "true") {